@@ -0,0 +1,55 @@
+// Shows what syncing an assistant profile would change, then applies it with --apply.
+//
+//   npm run sync-assistant -- [profile] [--apply] [--force]
+//
+// The profile defaults to "default". Settings come from api/.env, like the API's.
+
+const { initAzureOpenAI } = require("../src/lib/openai");
+const profiles = require("../src/lib/assistantProfiles");
+
+function formatValue(value) {
+  return typeof value === "string" ? value : JSON.stringify(value, null, 2);
+}
+
+function printChange({ field, from, to }) {
+  console.log(`~ ${field}`);
+  if (from !== null) {
+    console.log(formatValue(from).split("\n").map(line => `  - ${line}`).join("\n"));
+  }
+  if (to !== null) {
+    console.log(formatValue(to).split("\n").map(line => `  + ${line}`).join("\n"));
+  }
+}
+
+async function main(args) {
+  const profile = args.find(arg => !arg.startsWith("--")) || profiles.DEFAULT_PROFILE;
+  const apply = args.includes("--apply");
+  const force = args.includes("--force");
+  const openai = await initAzureOpenAI();
+
+  const plan = await profiles.planSync(openai, profile);
+  const { current, desired } = plan.version;
+  console.log(`Profile "${profile}": ${plan.action} assistant ${plan.assistantId || "(new)"}, definition version ${current ?? "none"} → ${desired}`);
+  plan.changes.forEach(printChange);
+
+  if (plan.action === "none") {
+    console.log("The assistant matches its definition.");
+    return;
+  }
+  if (!apply) {
+    console.log("Run again with --apply to make these changes.");
+    return;
+  }
+
+  const result = await profiles.applySync(openai, profile, { force });
+  console.log(`Assistant ${result.assistantId} is up to date.`);
+  if (plan.action === "create") {
+    const setting = profile === profiles.DEFAULT_PROFILE ? "ASSISTANT_ID" : `ASSISTANT_ID_${profile.toUpperCase().replace(/-/g, "_")}`;
+    console.log(`Set ${setting}=${result.assistantId} in the Function App settings to use it on every instance.`);
+  }
+}
+
+main(process.argv.slice(2)).catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
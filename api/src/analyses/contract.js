@@ -0,0 +1,53 @@
+const { cited, citedList, text, date } = require("./schema");
+
+// Contract review: the key terms of a contract and the clauses that deserve a lawyer's look.
+module.exports = {
+  name: "contract",
+  version: 1,
+  title: "Contract review",
+  description: "Parties, dates, renewal, payments, liability caps, governing law and risky clauses of a contract",
+  instructions: [
+    "You review contracts for a legal team.",
+    "Read the attached documents with file_search and extract the terms they state, then call submit_analysis once with everything you found.",
+    "Only report what the documents state. Use null for a term that is not stated and an empty list when there are no items; never guess.",
+    "Give every item the citation it comes from: the file name as listed in the request and the passage, quoted word for word.",
+    "Write dates as YYYY-MM-DD and amounts with their currency, as stated.",
+    "If submit_analysis answers with errors, call it again with the listed fields corrected."
+  ],
+  fields: {
+    parties: citedList("The parties to the contract", {
+      name: text("Legal name of the party"),
+      role: text("Role of the party, e.g. supplier, customer, licensor")
+    }),
+    effectiveDate: cited("When the contract takes effect", {
+      date: date("Effective date")
+    }, { nullable: true }),
+    terminationDate: cited("When the contract ends, unless renewed", {
+      date: date("Termination or expiry date")
+    }, { nullable: true }),
+    renewal: cited("How the contract renews", {
+      automatic: { type: "boolean", description: "Whether the contract renews without action from the parties" },
+      term: text("Length of each renewal term", { nullable: true }),
+      noticePeriod: text("Notice needed to prevent the renewal", { nullable: true })
+    }, { nullable: true }),
+    paymentObligations: citedList("Payments a party must make", {
+      payer: text("Party that pays"),
+      amount: text("Amount with its currency, null when not a fixed amount", { nullable: true }),
+      schedule: text("When payments are due", { nullable: true }),
+      description: text("What the payment is for")
+    }),
+    liabilityCaps: citedList("Limits on a party's liability", {
+      party: text("Party whose liability is limited, null when it applies to both", { nullable: true }),
+      cap: text("The limit, e.g. an amount or a multiple of the fees paid"),
+      exclusions: text("Liabilities the limit does not apply to", { nullable: true })
+    }),
+    governingLaw: cited("Law governing the contract", {
+      jurisdiction: text("Jurisdiction whose law applies, e.g. England and Wales")
+    }, { nullable: true }),
+    riskClauses: citedList("Clauses that put the customer at risk or deviate from usual terms", {
+      clause: text("Title or number of the clause"),
+      severity: { type: "string", enum: ["low", "medium", "high"], description: "How much attention the clause needs" },
+      reason: text("Why the clause is a risk")
+    })
+  }
+};
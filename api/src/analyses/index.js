@@ -0,0 +1,34 @@
+// Analysis registry: structured extractions /api/analyze can run over documents.
+// An analysis module exports its `name`, `version` (raised with every change to the fields),
+// `title`, `description`, the `instructions` of its runs (a string or an array of lines) and
+// the JSON Schema of each result field in `fields`, see schema.js.
+const analyses = new Map();
+
+const DEFAULT_ANALYSIS = "contract";
+
+function registerAnalysis(analysis) {
+  if (!analysis?.name || !analysis.fields || Object.keys(analysis.fields).length === 0) {
+    throw new Error("An analysis needs a name and result fields");
+  }
+  if (analyses.has(analysis.name)) {
+    throw new Error(`Analysis "${analysis.name}" is already registered`);
+  }
+  analyses.set(analysis.name, analysis);
+}
+
+function getAnalysis(name) {
+  return analyses.get(name) || null;
+}
+
+function listAnalyses() {
+  return [...analyses.values()];
+}
+
+registerAnalysis(require("./contract"));
+
+module.exports = {
+  DEFAULT_ANALYSIS,
+  registerAnalysis,
+  getAnalysis,
+  listAnalyses
+};
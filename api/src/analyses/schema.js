@@ -0,0 +1,44 @@
+// Building blocks for the result schemas of analyses.
+//
+// Every extracted item carries a `citation`: the document and the passage it was read from,
+// so reviewers can check it and downstream systems can link back to the source.
+
+const CITATION = {
+  type: "object",
+  description: "Where the document states this",
+  properties: {
+    fileName: { type: "string", minLength: 1, description: "File name of the document, as listed in the request" },
+    quote: { type: "string", minLength: 1, description: "The passage stating it, quoted word for word" },
+    page: { type: ["integer", "null"], minimum: 1, description: "Page of the passage, null when unknown" }
+  },
+  required: ["fileName", "quote", "page"],
+  additionalProperties: false
+};
+
+// An object of `properties` (all required) and its citation. With `nullable`, the whole item
+// is null when the documents do not state it.
+function cited(description, properties, { nullable = false } = {}) {
+  return {
+    type: nullable ? ["object", "null"] : "object",
+    description,
+    properties: { ...properties, citation: CITATION },
+    required: [...Object.keys(properties), "citation"],
+    additionalProperties: false
+  };
+}
+
+// A list of cited items, empty when the documents state none
+function citedList(description, properties) {
+  return { type: "array", description, items: cited(description, properties) };
+}
+
+function text(description, { nullable = false } = {}) {
+  return { type: nullable ? ["string", "null"] : "string", description };
+}
+
+// A calendar date as YYYY-MM-DD
+function date(description) {
+  return { type: "string", pattern: "^\\d{4}-\\d{2}-\\d{2}$", description: `${description} (YYYY-MM-DD)` };
+}
+
+module.exports = { CITATION, cited, citedList, text, date };
@@ -0,0 +1,147 @@
+const { app } = require("@azure/functions");
+const { createHttpHandler, jsonResponse, rateLimitResponse, serviceErrorResponse } = require("../lib/http");
+const { initAzureOpenAI, isNotFound } = require("../lib/openai");
+const { canAccess } = require("../lib/auth");
+const { getFileRecord } = require("../lib/files");
+const { resolveAssistant } = require("../lib/assistantProfiles");
+const { AnalysisError, runAnalysis } = require("../lib/analysis");
+const analyses = require("../analyses");
+const limits = require("../lib/limits");
+const { createLogger } = require("../lib/logger");
+
+const logger = createLogger({ module: "analyze" });
+
+// Documents per analysis, as many as a message can have attachments
+const MAX_FILES = 10;
+
+function summarize({ name, version, title, description, fields }) {
+  return { profile: name, version, title, description, fields: Object.keys(fields) };
+}
+
+function validateFileIds(fileIds) {
+  if (!Array.isArray(fileIds) || fileIds.length === 0 || fileIds.length > MAX_FILES
+    || fileIds.some(fileId => typeof fileId !== "string" || !fileId)) {
+    return `fileIds must list 1 to ${MAX_FILES} file IDs`;
+  }
+  if (new Set(fileIds).size !== fileIds.length) {
+    return "fileIds must not repeat a file";
+  }
+  return null;
+}
+
+// `[{ fileId, fileName }]` of the files, or the IDs the user may not analyze (`inaccessible`)
+// or that do not exist (`missing`)
+async function findFiles(openai, fileIds, user) {
+  const files = [];
+  const inaccessible = [];
+  const missing = [];
+  for (const fileId of fileIds) {
+    const record = await getFileRecord(fileId);
+    if (!canAccess(user, record)) {
+      inaccessible.push(fileId);
+      continue;
+    }
+    try {
+      files.push({ fileId, fileName: record?.fileName || (await openai.files.retrieve(fileId)).filename });
+    } catch (error) {
+      if (!isNotFound(error)) {
+        throw error;
+      }
+      missing.push(fileId);
+    }
+  }
+  return { files, inaccessible, missing };
+}
+
+// GET  /api/analyze   the analysis profiles
+// POST /api/analyze   { fileIds, profile? } runs an analysis profile (default "contract") over
+//                     the uploaded files and answers with its fields as JSON, each item citing
+//                     the passage it comes from. `valid` is false when fields failed the schema
+//                     after every attempt: they are null and listed in `errors`.
+async function handleAnalyzeRequest(request, { user, client }) {
+  if (request.method === "GET") {
+    return jsonResponse(200, {
+      defaultProfile: analyses.DEFAULT_ANALYSIS,
+      profiles: analyses.listAnalyses().map(summarize)
+    });
+  }
+
+  let releaseRun = null;
+  try {
+    let body;
+    try {
+      body = await request.json();
+    } catch {
+      return jsonResponse(400, { error: "The body must be JSON" });
+    }
+    const { fileIds, profile = analyses.DEFAULT_ANALYSIS } = body || {};
+    const error = validateFileIds(fileIds);
+    if (error) {
+      return jsonResponse(400, { error });
+    }
+    const analysis = analyses.getAnalysis(profile);
+    if (!analysis) {
+      return jsonResponse(404, { error: "Analysis profile not found", profile });
+    }
+
+    const openai = await initAzureOpenAI();
+    const { files, inaccessible, missing } = await findFiles(openai, fileIds, user);
+    if (inaccessible.length > 0) {
+      logger.info("Files not accessible", { fileIds: inaccessible });
+      return jsonResponse(403, { error: "File not accessible", fileIds: inaccessible });
+    }
+    if (missing.length > 0) {
+      return jsonResponse(404, { error: "File not found", fileIds: missing });
+    }
+
+    const assistant = await resolveAssistant(openai);
+    if (!assistant) {
+      throw new Error("No assistant is set up for the default profile: set ASSISTANT_ID or sync the profile");
+    }
+
+    await limits.checkTokenBudget(client);
+    releaseRun = limits.acquireRun(client);
+
+    const startedAt = Date.now();
+    const outcome = await runAnalysis(openai, { analysis, files, assistant });
+    if (outcome.usage) {
+      await limits.recordRun(client, outcome.usage);
+    }
+    logger.info("Analysis finished", {
+      profile,
+      threadId: outcome.threadId,
+      runId: outcome.runId,
+      valid: outcome.valid,
+      attempts: outcome.attempts,
+      failedFields: [...new Set(outcome.errors.map(({ field }) => field))],
+      durationMs: Date.now() - startedAt
+    });
+
+    return jsonResponse(200, { profile, version: analysis.version, fileIds, ...outcome });
+
+  } catch (error) {
+    if (error instanceof limits.RateLimitError) {
+      logger.info("Analysis rate limited", { client, reason: error.message });
+      return rateLimitResponse(error);
+    }
+    if (error instanceof AnalysisError) {
+      logger.warn("Analysis failed", { threadId: error.threadId, runId: error.runId, code: error.code, reason: error.message });
+      return jsonResponse(502, { error: error.message, code: error.code, threadId: error.threadId, runId: error.runId });
+    }
+    logger.error("Analyze request failed", { error });
+    return serviceErrorResponse(error) || jsonResponse(500, { error: "Analysis failed", message: error.message });
+  } finally {
+    releaseRun?.();
+  }
+}
+
+const handleAnalyze = createHttpHandler({ methods: ["GET", "POST", "OPTIONS"], rateLimit: true, assistantsOnly: true }, handleAnalyzeRequest);
+
+app.http("analyze", {
+  methods: ["GET", "POST", "OPTIONS"],
+  authLevel: "anonymous",
+  route: "analyze",
+  handler: handleAnalyze,
+});
+
+module.exports = { handleAnalyze };
@@ -0,0 +1,105 @@
+const { app } = require("@azure/functions");
+const { createHttpHandler, jsonResponse, serviceErrorResponse } = require("../lib/http");
+const { initAzureOpenAI, isChatMode } = require("../lib/openai");
+const { isAuthEnabled } = require("../lib/auth");
+const profiles = require("../lib/assistantProfiles");
+const { createLogger } = require("../lib/logger");
+
+const logger = createLogger({ module: "assistants" });
+
+// Users (comma-separated IDs) who may see and sync assistant definitions when authentication
+// is enabled
+const ASSISTANT_ADMIN_USERS = (process.env.ASSISTANT_ADMIN_USERS || "").split(",").map(id => id.trim()).filter(Boolean);
+
+const PROFILE_ERROR_STATUSES = { profile_not_found: 404, version_conflict: 409, invalid_profile: 500 };
+
+function isAdmin(user) {
+  return !isAuthEnabled() || ASSISTANT_ADMIN_USERS.includes(user.id);
+}
+
+function summarize({ profile, version, name, description = "" }) {
+  return { profile, version, name, description };
+}
+
+async function get(openai, profileName) {
+  const profile = profiles.getProfile(profileName);
+  if (!profile) {
+    return jsonResponse(404, { error: "Assistant profile not found", profile: profileName });
+  }
+  return jsonResponse(200, {
+    ...summarize(profile),
+    definition: profiles.toAssistantParams(profile),
+    sync: await profiles.planSync(openai, profileName)
+  });
+}
+
+async function sync(openai, request, profileName) {
+  const params = new URL(request.url).searchParams;
+  if (params.get("dryRun") === "true") {
+    return jsonResponse(200, { ...await profiles.planSync(openai, profileName), applied: false });
+  }
+  const result = await profiles.applySync(openai, profileName, { force: params.get("force") === "true" });
+  return jsonResponse(result.action === "create" ? 201 : 200, result);
+}
+
+// /api/assistants                        GET the profiles requests may choose from
+// /api/assistants/{profile}              GET the definition and what a sync would change
+// /api/assistants/{profile}/sync         POST create or update the assistant to match the
+//                                        definition (?dryRun=true only reports the changes,
+//                                        ?force=true replaces a newer definition version)
+async function handleAssistantsRequest(request, { user }) {
+  const { profile, action } = request.params;
+
+  try {
+    if (!profile) {
+      if (request.method !== "GET") {
+        return jsonResponse(405, { error: `${request.method} requires a profile` });
+      }
+      return jsonResponse(200, {
+        defaultProfile: profiles.DEFAULT_PROFILE,
+        profiles: profiles.listProfiles().map(summarize)
+      });
+    }
+
+    if (!isAdmin(user)) {
+      return jsonResponse(403, { error: "Assistant definitions are restricted to administrators" });
+    }
+    // Chat mode sends each profile's settings with every request, there is no assistant to sync
+    if (isChatMode()) {
+      return jsonResponse(501, { error: "Not available in chat mode" });
+    }
+    const openai = await initAzureOpenAI();
+
+    if (action === "sync") {
+      if (request.method !== "POST") {
+        return jsonResponse(405, { error: `${request.method} is not supported on a sync` });
+      }
+      return await sync(openai, request, profile);
+    }
+    if (action) {
+      return jsonResponse(404, { error: `Unknown assistant profile action "${action}"` });
+    }
+    if (request.method === "GET") {
+      return await get(openai, profile);
+    }
+    return jsonResponse(405, { error: `${request.method} is not supported on a profile` });
+
+  } catch (error) {
+    if (error instanceof profiles.ProfileError) {
+      return jsonResponse(PROFILE_ERROR_STATUSES[error.code] || 400, { error: error.message, code: error.code, profile });
+    }
+    logger.error("Assistants request failed", { profile, error });
+    return serviceErrorResponse(error) || jsonResponse(500, { error: "Assistants request failed", message: error.message });
+  }
+}
+
+const handleAssistants = createHttpHandler({ methods: ["GET", "POST", "OPTIONS"] }, handleAssistantsRequest);
+
+app.http("assistants", {
+  route: "assistants/{profile?}/{action?}",
+  methods: ["GET", "POST", "OPTIONS"],
+  authLevel: "anonymous",
+  handler: handleAssistants,
+});
+
+module.exports = { handleAssistants };
@@ -0,0 +1,280 @@
+const { setTimeout: sleep } = require("node:timers/promises");
+const { app } = require("@azure/functions");
+const { createHttpHandler, jsonResponse, serviceErrorResponse } = require("../lib/http");
+const { initAzureOpenAI, isNotFound } = require("../lib/openai");
+const { canAccess } = require("../lib/auth");
+const { getFileRecord } = require("../lib/files");
+const { fileApi } = require("../lib/documents");
+const { resolveCollection } = require("../lib/collections");
+const { DEFAULT_PROFILE, getProfile } = require("../lib/assistantProfiles");
+const threads = require("../lib/threads");
+const limits = require("../lib/limits");
+const batches = require("../lib/batches");
+const { processMessageWithFiles } = require("./assistant");
+const { createLogger } = require("../lib/logger");
+
+const logger = createLogger({ module: "batches" });
+
+// Queued jobs, and jobs whose worker stopped, are picked up on this schedule (every minute
+// by default)
+const {
+  BATCH_SCHEDULE = "0 */1 * * * *"
+} = process.env;
+
+const RESULT_FORMATS = {
+  csv: "text/csv; charset=utf-8",
+  json: "application/json"
+};
+
+// How often a cell waiting for one of the client's run slots checks again
+const RUN_SLOT_POLL_MS = 1000;
+
+function notFound(batchId) {
+  return jsonResponse(404, { error: "Batch job not found", batchId });
+}
+
+// Takes one of the client's run slots, as /api/assistant does, waiting until one is free
+async function acquireRunSlot(client) {
+  for (;;) {
+    try {
+      return limits.acquireRun(client);
+    } catch (error) {
+      if (!(error instanceof limits.RateLimitError)) {
+        throw error;
+      }
+      await sleep(RUN_SLOT_POLL_MS);
+    }
+  }
+}
+
+// Asks one question about one target through the same path as /api/assistant, on a new
+// thread tagged "batch", in one of the client's run slots. Resolves with the answer, its
+// citations and the thread and run.
+async function answerCell(job, cell) {
+  const user = { id: job.ownerId };
+  const target = job.targets[cell.target];
+  try {
+    await limits.checkTokenBudget(job.client);
+  } catch (error) {
+    error.stopsBatch = error instanceof limits.RateLimitError;
+    throw error;
+  }
+
+  let collection = null;
+  if (target.type === "collection") {
+    collection = await resolveCollection(await initAzureOpenAI(), target.collectionId, user);
+    if (!collection) {
+      throw new Error(`Collection ${target.collectionId} no longer exists`);
+    }
+  }
+  const fileIds = target.type === "file" ? [target.fileId] : [];
+
+  const outcome = { answer: "", citations: [], threadId: null, runId: null, status: null, error: null };
+  const releaseRun = await acquireRunSlot(job.client);
+  try {
+    const events = processMessageWithFiles(job.questions[cell.question], fileIds, null, user, {
+      collection,
+      profile: job.profile || DEFAULT_PROFILE
+    });
+    for await (const { type, data } of events) {
+      if (type === "thread") {
+        outcome.threadId = data.threadId;
+      } else if (type === "text") {
+        outcome.answer += data.value;
+      } else if (type === "citation") {
+        outcome.citations.push({ label: data.label, fileId: data.fileId, fileName: data.fileName, quote: data.quote });
+      } else if (type === "usage") {
+        await limits.recordRun(job.client, data);
+      } else if (type === "error") {
+        outcome.error = data.message;
+      } else if (type === "done") {
+        Object.assign(outcome, { runId: data.runId, status: data.status });
+      }
+    }
+  } finally {
+    releaseRun();
+  }
+
+  if (outcome.threadId) {
+    await threads.updateThread(outcome.threadId, { tags: ["batch"], batchId: job.id });
+  }
+  if (outcome.error || outcome.status !== "completed") {
+    const error = new Error(outcome.error || `The run ended as ${outcome.status}`);
+    Object.assign(error, { threadId: outcome.threadId, runId: outcome.runId });
+    throw error;
+  }
+  return { answer: outcome.answer, citations: outcome.citations, threadId: outcome.threadId, runId: outcome.runId };
+}
+
+function startBatch(batchId) {
+  batches.startBatch(batchId, answerCell);
+}
+
+// The targets of a new job: each file and each collection on its own. Resolves with
+// `{ targets }` or `{ response }` when one cannot be used.
+async function resolveTargets(openai, { fileIds = [], collections = [] }, user) {
+  if (!Array.isArray(fileIds) || !Array.isArray(collections)
+    || [...fileIds, ...collections].some(ref => typeof ref !== "string" || !ref)) {
+    return { response: jsonResponse(400, { error: "fileIds and collections must be arrays of IDs" }) };
+  }
+  const count = new Set(fileIds).size + new Set(collections).size;
+  if (count === 0 || count > batches.MAX_TARGETS) {
+    return { response: jsonResponse(400, { error: `A job needs 1 to ${batches.MAX_TARGETS} files and collections` }) };
+  }
+
+  const targets = [];
+  for (const fileId of new Set(fileIds)) {
+    const record = await getFileRecord(fileId);
+    if (!canAccess(user, record)) {
+      return { response: jsonResponse(403, { error: "File not accessible", fileIds: [fileId] }) };
+    }
+    try {
+      targets.push({ type: "file", fileId, name: record?.fileName || (await fileApi(openai).retrieve(fileId)).filename });
+    } catch (error) {
+      if (!isNotFound(error)) {
+        throw error;
+      }
+      return { response: jsonResponse(404, { error: "File not found", fileIds: [fileId] }) };
+    }
+  }
+  for (const collectionRef of new Set(collections)) {
+    const collection = await resolveCollection(openai, collectionRef, user);
+    if (!collection) {
+      return { response: jsonResponse(404, { error: "Collection not found", collectionId: collectionRef }) };
+    }
+    targets.push({ type: "collection", collectionId: collection.id, name: collection.name });
+  }
+  return { targets };
+}
+
+async function create(request, user, client) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return jsonResponse(400, { error: "The body must be JSON" });
+  }
+  const error = batches.validateBatch(body || {});
+  if (error) {
+    return jsonResponse(400, { error });
+  }
+  const { name, questions, profile = null } = body;
+  if (profile && profile !== DEFAULT_PROFILE && !getProfile(profile)) {
+    return jsonResponse(404, { error: "Assistant profile not found", profile });
+  }
+
+  const { targets, response } = await resolveTargets(await initAzureOpenAI(), body, user);
+  if (response) {
+    return response;
+  }
+
+  const job = await batches.createBatch({ name, questions, targets, profile }, { ownerId: user.id, client });
+  logger.info("Batch job created", { batchId: job.id, questions: questions.length, targets: targets.length });
+  startBatch(job.id);
+  return jsonResponse(202, batches.summarize(job));
+}
+
+function results(request, job) {
+  const format = new URL(request.url).searchParams.get("format") || "json";
+  if (!Object.hasOwn(RESULT_FORMATS, format)) {
+    return jsonResponse(400, { error: `format must be one of: ${Object.keys(RESULT_FORMATS).join(", ")}` });
+  }
+  const slug = job.name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 60) || "batch";
+  return {
+    status: 200,
+    headers: {
+      "Content-Type": RESULT_FORMATS[format],
+      "Content-Disposition": `attachment; filename="${slug}.${format}"`
+    },
+    body: format === "csv" ? batches.toCsv(job) : JSON.stringify(batches.toMatrix(job), null, 2)
+  };
+}
+
+// /api/batches                    GET the caller's jobs, POST { questions, fileIds?,
+//                                 collections?, name?, profile? } to start one
+// /api/batches/{batchId}          GET the job with every answer, DELETE an ended job
+// /api/batches/{batchId}/results  GET the answers as a download (?format=csv or json)
+// /api/batches/{batchId}/resume   POST to ask the failed and unfinished questions again
+// /api/batches/{batchId}/cancel   POST to stop asking questions
+async function handleBatchesRequest(request, { user, client }) {
+  const { batchId, action } = request.params;
+
+  try {
+    if (!batchId) {
+      if (request.method === "POST") {
+        return await create(request, user, client);
+      }
+      const jobs = await batches.listBatches(job => canAccess(user, job));
+      jobs.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+      return jsonResponse(200, { batches: jobs.map(batches.summarize) });
+    }
+
+    const job = await batches.getBatch(batchId);
+    if (!job || !canAccess(user, job)) {
+      return notFound(batchId);
+    }
+
+    if (!action) {
+      if (request.method === "DELETE") {
+        if (["queued", "running"].includes(job.status)) {
+          return jsonResponse(409, { error: "Cancel the batch job before deleting it", batchId, status: job.status });
+        }
+        await batches.removeBatch(batchId);
+        logger.info("Batch job deleted", { batchId });
+        return jsonResponse(200, { message: "Batch job deleted successfully", batchId });
+      }
+      if (request.method === "GET") {
+        return jsonResponse(200, { ...batches.summarize(job), ...batches.toMatrix(job) });
+      }
+    }
+    else if (action === "results" && request.method === "GET") {
+      return results(request, job);
+    }
+    else if (action === "resume" && request.method === "POST") {
+      const resumed = await batches.resumeBatch(batchId);
+      if (!resumed) {
+        return jsonResponse(409, { error: "The batch job is still running", batchId });
+      }
+      logger.info("Batch job resumed", { batchId });
+      startBatch(batchId);
+      return jsonResponse(202, batches.summarize(resumed));
+    }
+    else if (action === "cancel" && request.method === "POST") {
+      const cancelled = await batches.cancelBatch(batchId);
+      if (!cancelled) {
+        return jsonResponse(409, { error: "The batch job has already ended", batchId, status: job.status });
+      }
+      logger.info("Batch job cancelled", { batchId });
+      return jsonResponse(200, batches.summarize(cancelled));
+    }
+    else if (!["results", "resume", "cancel"].includes(action)) {
+      return jsonResponse(404, { error: `Unknown batch job action "${action}"` });
+    }
+    return jsonResponse(405, { error: `${request.method} is not supported here` });
+
+  } catch (error) {
+    logger.error("Batches request failed", { batchId, error });
+    return serviceErrorResponse(error) || jsonResponse(500, { error: "Batches request failed", message: error.message });
+  }
+}
+
+const handleBatches = createHttpHandler({ methods: ["GET", "POST", "DELETE", "OPTIONS"], rateLimit: true }, handleBatchesRequest);
+
+app.http("batches", {
+  route: "batches/{batchId?}/{action?}",
+  methods: ["GET", "POST", "DELETE", "OPTIONS"],
+  authLevel: "anonymous",
+  handler: handleBatches,
+});
+
+app.timer("batchRunner", {
+  schedule: BATCH_SCHEDULE,
+  handler: async () => {
+    const { started } = await batches.processBatches(answerCell);
+    if (started > 0) {
+      logger.info("Batch jobs picked up", { started });
+    }
+  }
+});
+
+module.exports = { handleBatches, answerCell };
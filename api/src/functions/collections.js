@@ -0,0 +1,231 @@
+const { app } = require("@azure/functions");
+const { createHttpHandler, jsonResponse, serviceErrorResponse } = require("../lib/http");
+const { initAzureOpenAI, isNotFound, isChatMode } = require("../lib/openai");
+const { canAccess, isAuthEnabled } = require("../lib/auth");
+const { getFileRecord, listFileRecords, updateFileRecord, removeFileRecord } = require("../lib/files");
+const collections = require("../lib/collections");
+const indexing = require("../lib/indexing");
+const { fileApi } = require("../lib/documents");
+const { isSearchable } = require("../lib/uploads");
+const { createLogger } = require("../lib/logger");
+
+const logger = createLogger({ module: "collections" });
+
+const MAX_MOVED_FILES = 100;
+
+function notFound(collectionId) {
+  return jsonResponse(404, { error: "Collection not found", collectionId });
+}
+
+async function filesOf(collection, user) {
+  const collectionId = collection.isDefault ? null : collection.id;
+  return listFileRecords(file =>
+    (file.collectionId || null) === collectionId && (!isAuthEnabled() || file.ownerId === user.id));
+}
+
+async function toCollection(collection, user) {
+  const { ownerId, ...fields } = collection;
+  return { ...fields, fileCount: (await filesOf(collection, user)).length };
+}
+
+async function listAll(openai, user) {
+  const all = [await collections.getDefaultCollection(openai), ...await collections.listCollections(user)];
+  const views = [];
+  for (const collection of all) {
+    views.push(await toCollection(collection, user));
+  }
+  return jsonResponse(200, { collections: views, total: views.length });
+}
+
+async function create(openai, request, user) {
+  const changes = await request.json();
+  const error = collections.validateCollection(changes);
+  if (error) {
+    return jsonResponse(400, { error });
+  }
+  if (await collections.findCollectionByName(changes.name, user)) {
+    return jsonResponse(409, { error: `A collection named "${changes.name.trim()}" already exists` });
+  }
+
+  const collection = await collections.createCollection(openai, changes, user);
+  logger.info("Collection created", { collectionId: collection.id, vectorStoreId: collection.vectorStoreId });
+  return jsonResponse(201, await toCollection(collection, user));
+}
+
+async function get(collection, user) {
+  const files = await filesOf(collection, user);
+  return jsonResponse(200, {
+    ...await toCollection(collection, user),
+    files: files.map(file => ({ fileId: file.id, fileName: file.fileName, fileSize: file.fileSize, uploadedAt: file.uploadedAt }))
+  });
+}
+
+// Deletes the collection's vector store, when it has one. Its files go back to the default
+// collection, or are deleted too with `?deleteFiles=true`.
+async function remove(openai, request, collection, user) {
+  if (collection.isDefault) {
+    return jsonResponse(400, { error: "The default collection cannot be deleted" });
+  }
+
+  const deleteFiles = new URL(request.url).searchParams.get("deleteFiles") === "true";
+  const files = await filesOf(collection, user);
+  const fileIds = files.map(file => file.id);
+
+  try {
+    if (collection.vectorStoreId) {
+      await openai.beta.vectorStores.del(collection.vectorStoreId);
+    }
+  } catch (error) {
+    if (!isNotFound(error)) {
+      throw error;
+    }
+  }
+  await collections.removeCollection(collection.id);
+
+  if (deleteFiles) {
+    for (const fileId of fileIds) {
+      try {
+        await fileApi(openai).del(fileId);
+      } catch (error) {
+        if (!isNotFound(error)) {
+          throw error;
+        }
+      }
+      await removeFileRecord(fileId);
+    }
+  } else if (fileIds.length > 0) {
+    const defaultVectorStoreId = await indexing.getAssistantVectorStoreId(openai);
+    const searchable = files.filter(file => isSearchable(file.fileName)).map(file => file.id);
+    if (defaultVectorStoreId && searchable.length > 0) {
+      await indexing.indexFiles(openai, defaultVectorStoreId, searchable);
+    }
+    for (const fileId of fileIds) {
+      await updateFileRecord(fileId, { collectionId: null });
+    }
+  }
+
+  logger.info("Collection deleted", { collectionId: collection.id });
+  return jsonResponse(200, {
+    message: "Collection deleted successfully",
+    collectionId: collection.id,
+    ...(deleteFiles ? { deletedFileIds: fileIds } : { movedFileIds: fileIds })
+  });
+}
+
+// POST /collections/{id}/files { fileIds } moves files from their collection to this one
+async function moveFiles(openai, request, collection, user) {
+  const { fileIds } = await request.json();
+  if (!Array.isArray(fileIds) || fileIds.length === 0 || fileIds.length > MAX_MOVED_FILES
+    || fileIds.some(fileId => typeof fileId !== "string")) {
+    return jsonResponse(400, { error: `fileIds must be an array of 1 to ${MAX_MOVED_FILES} file IDs` });
+  }
+  // In chat mode, the local search finds documents by the collection of their record
+  if (!collection.vectorStoreId && !isChatMode()) {
+    return jsonResponse(400, { error: "The collection has no vector store" });
+  }
+
+  const targetCollectionId = collection.isDefault ? null : collection.id;
+  const results = [];
+  const moved = [];
+  for (const fileId of [...new Set(fileIds)]) {
+    const record = await getFileRecord(fileId);
+    if (!record || !canAccess(user, record)) {
+      results.push({ fileId, status: "not_found" });
+      continue;
+    }
+    if ((record.collectionId || null) === targetCollectionId) {
+      results.push({ fileId, status: "unchanged" });
+      continue;
+    }
+
+    try {
+      const sourceVectorStoreId = await collections.getFileVectorStoreId(openai, record);
+      if (sourceVectorStoreId) {
+        await openai.beta.vectorStores.files.del(sourceVectorStoreId, fileId);
+      }
+    } catch (error) {
+      if (!isNotFound(error)) {
+        results.push({ fileId, status: "failed", error: { code: "remove_failed", message: error.message } });
+        continue;
+      }
+    }
+    moved.push({ fileId, fileName: record.fileName });
+    results.push({ fileId, status: "moved" });
+  }
+
+  if (moved.length > 0) {
+    // Data files for code_interpreter only change collection
+    const searchable = moved.filter(({ fileName }) => isSearchable(fileName)).map(({ fileId }) => fileId);
+    if (searchable.length > 0 && collection.vectorStoreId) {
+      await indexing.indexFiles(openai, collection.vectorStoreId, searchable);
+    }
+    for (const { fileId } of moved) {
+      await updateFileRecord(fileId, { collectionId: targetCollectionId });
+    }
+  }
+
+  logger.info("Files moved", { collectionId: collection.id, moved: moved.length });
+  return jsonResponse(200, { collectionId: collection.id, files: results, moved: moved.length });
+}
+
+// /api/collections                       GET list, POST create { name, description }
+// /api/collections/{id}                  GET details with files, DELETE
+// /api/collections/{id}/files            POST move files { fileIds } into the collection
+async function handleCollectionsRequest(request, { user }) {
+  const { collectionId, action } = request.params;
+
+  try {
+    const openai = await initAzureOpenAI();
+
+    if (!collectionId) {
+      if (request.method === "GET") {
+        return await listAll(openai, user);
+      }
+      if (request.method === "POST") {
+        return await create(openai, request, user);
+      }
+      return jsonResponse(405, { error: `${request.method} requires a collection ID` });
+    }
+
+    const collection = await collections.resolveCollection(openai, collectionId, user);
+    if (!collection) {
+      return notFound(collectionId);
+    }
+
+    if (action === "files") {
+      if (request.method === "POST") {
+        return await moveFiles(openai, request, collection, user);
+      }
+      return jsonResponse(405, { error: `${request.method} is not supported on collection files` });
+    }
+    if (action) {
+      return jsonResponse(404, { error: `Unknown collection action "${action}"` });
+    }
+    if (request.method === "GET") {
+      return await get(collection, user);
+    }
+    if (request.method === "DELETE") {
+      return await remove(openai, request, collection, user);
+    }
+    return jsonResponse(405, { error: `${request.method} is not supported on a collection` });
+
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      return jsonResponse(400, { error: "Invalid JSON body", message: error.message });
+    }
+    logger.error("Collections request failed", { collectionId, error });
+    return serviceErrorResponse(error) || jsonResponse(500, { error: "Collections request failed", message: error.message });
+  }
+}
+
+const handleCollections = createHttpHandler({ methods: ["GET", "POST", "DELETE", "OPTIONS"] }, handleCollectionsRequest);
+
+app.http("collections", {
+  route: "collections/{collectionId?}/{action?}",
+  methods: ["GET", "POST", "DELETE", "OPTIONS"],
+  authLevel: "anonymous",
+  handler: handleCollections,
+});
+
+
+module.exports = { handleCollections };
@@ -0,0 +1,109 @@
+const { app } = require("@azure/functions");
+const { createHttpHandler, jsonResponse, serviceErrorResponse } = require("../lib/http");
+const { initAzureOpenAI, isNotFound } = require("../lib/openai");
+const { canAccess } = require("../lib/auth");
+const threads = require("../lib/threads");
+const { threadApi } = require("../lib/conversations");
+const { MailError } = require("../lib/mail");
+const { FORMATS, loadConversation, renderConversation, renderHtmlBody } = require("../lib/conversationExport");
+const mailer = require("./mailer");
+const { createLogger } = require("../lib/logger");
+
+const logger = createLogger({ module: "exportThread" });
+
+const EMAIL_STATUSES = { sent: 200, dry_run: 200, pending: 202, sending: 202, failed: 502 };
+
+function notFound(threadId) {
+  return jsonResponse(404, { error: "Thread not found", threadId });
+}
+
+function invalidFormat(format) {
+  return jsonResponse(400, { error: `Unknown format "${format}", use one of ${Object.keys(FORMATS).join(", ")}` });
+}
+
+// GET /api/threads/{threadId}/export?format=markdown|html|pdf downloads the rendering
+async function download(conversation, format) {
+  const { content, contentType, fileName } = await renderConversation(conversation, format);
+  return {
+    status: 200,
+    headers: {
+      "Content-Type": contentType,
+      "Content-Disposition": `attachment; filename="${fileName}"`
+    },
+    body: content
+  };
+}
+
+// POST /api/threads/{threadId}/export { format, to, subject } emails the rendering as an
+// attachment, with the conversation in the email body
+async function email(conversation, { format = "pdf", to, subject }) {
+  if (!Object.hasOwn(FORMATS, format)) {
+    return invalidFormat(format);
+  }
+  if ((to !== undefined && typeof to !== "string") || (subject !== undefined && typeof subject !== "string")) {
+    return jsonResponse(400, { error: "to and subject must be strings" });
+  }
+
+  const { content, contentType, fileName } = await renderConversation(conversation, format);
+  try {
+    const result = await mailer.sendEmail({
+      ...(to && { to }),
+      subject: subject || conversation.title,
+      html: renderHtmlBody(conversation),
+      attachments: [{ filename: fileName, content, contentType }]
+    });
+    logger.info("Conversation emailed", { threadId: conversation.threadId, format, emailId: result.id, status: result.status });
+    return jsonResponse(EMAIL_STATUSES[result.status], { threadId: conversation.threadId, format, fileName, email: result });
+  } catch (error) {
+    if (error instanceof MailError) {
+      return jsonResponse(error.code === "recipient_not_allowed" ? 403 : 400, { error: error.message, code: error.code });
+    }
+    throw error;
+  }
+}
+
+async function handleExportRequest(request, { user }) {
+  const { threadId } = request.params;
+  try {
+    // Threads of other users are reported as missing, like in /api/threads
+    const record = await threads.getThread(threadId);
+    if (!canAccess(user, record)) {
+      return notFound(threadId);
+    }
+
+    const body = request.method === "POST" ? await request.text() : "";
+    const options = request.method === "POST"
+      ? (body ? JSON.parse(body) : null) || {}
+      : { format: new URL(request.url).searchParams.get("format") || "markdown" };
+    if (request.method === "GET" && !Object.hasOwn(FORMATS, options.format)) {
+      return invalidFormat(options.format);
+    }
+
+    const openai = await initAzureOpenAI();
+    await threadApi(openai).retrieve(threadId);
+    const conversation = await loadConversation(openai, threadId, record || {});
+
+    return request.method === "POST" ? await email(conversation, options) : await download(conversation, options.format);
+
+  } catch (error) {
+    if (isNotFound(error)) {
+      return notFound(threadId);
+    }
+    if (error instanceof SyntaxError) {
+      return jsonResponse(400, { error: "Invalid JSON body", message: error.message });
+    }
+    logger.error("Export failed", { threadId, error });
+    return serviceErrorResponse(error) || jsonResponse(500, { error: "Export failed", message: error.message });
+  }
+}
+
+const handleExport = createHttpHandler({ methods: ["GET", "POST", "OPTIONS"] }, handleExportRequest);
+
+app.http("exportThread", {
+  route: "threads/{threadId}/export",
+  methods: ["GET", "POST", "OPTIONS"],
+  authLevel: "anonymous",
+  handler: handleExport,
+});
+
+module.exports = { handleExport };
@@ -0,0 +1,89 @@
+const { app } = require("@azure/functions");
+const { createHttpHandler, jsonResponse, serviceErrorResponse } = require("../lib/http");
+const { initAzureOpenAI, isChatMode } = require("../lib/openai");
+const { canAccess } = require("../lib/auth");
+const { getFileRecord } = require("../lib/files");
+const indexing = require("../lib/indexing");
+const documents = require("../lib/documents");
+const { getFileVectorStoreId } = require("../lib/collections");
+const { createLogger } = require("../lib/logger");
+
+const logger = createLogger({ module: "fileStatus" });
+
+const MAX_FILES = 50;
+
+// GET /api/files/status?fileIds=assistant-1,assistant-2[&wait=true&timeout=30]
+// Reports the indexing state of each file in its collection's vector store. With `wait=true`
+// the response is held until no file is in progress anymore, or `timeout` seconds have passed.
+// In chat mode, documents are indexed locally while they are uploaded, so there is no wait.
+async function handleFileStatusRequest(request, { user }) {
+  const url = new URL(request.url);
+  const fileIds = [...new Set(url.searchParams.getAll("fileIds")
+    .flatMap(value => value.split(","))
+    .map(fileId => fileId.trim())
+    .filter(Boolean))];
+
+  if (fileIds.length === 0 || fileIds.length > MAX_FILES) {
+    return jsonResponse(400, { error: `fileIds must list 1 to ${MAX_FILES} file IDs` });
+  }
+
+  try {
+    const openai = await initAzureOpenAI();
+
+    // Files of other users are reported like files that do not exist. The others are grouped
+    // by the vector store of their collection.
+    const files = {};
+    const byVectorStore = new Map();
+    for (const fileId of fileIds) {
+      const record = await getFileRecord(fileId);
+      if (!canAccess(user, record)) {
+        files[fileId] = { fileId, status: "not_found", lastError: null };
+        continue;
+      }
+      if (isChatMode()) {
+        files[fileId] = { fileId, ...(await documents.getIndexingState(fileId)) };
+        continue;
+      }
+      const vectorStoreId = await getFileVectorStoreId(openai, record);
+      byVectorStore.set(vectorStoreId, [...(byVectorStore.get(vectorStoreId) || []), fileId]);
+    }
+
+    let timedOut = false;
+    for (const [vectorStoreId, storeFileIds] of byVectorStore) {
+      if (!vectorStoreId) {
+        storeFileIds.forEach(fileId => { files[fileId] = { fileId, ...indexing.NOT_INDEXED }; });
+      } else if (url.searchParams.get("wait") === "true") {
+        const result = await indexing.waitForIndexing(openai, vectorStoreId, storeFileIds, {
+          timeoutSeconds: url.searchParams.get("timeout")
+        });
+        timedOut = timedOut || result.timedOut;
+        storeFileIds.forEach(fileId => { files[fileId] = { fileId, ...result.states.get(fileId) }; });
+      } else {
+        for (const fileId of storeFileIds) {
+          files[fileId] = { fileId, ...(await indexing.getIndexingState(openai, vectorStoreId, fileId)) };
+        }
+      }
+    }
+
+    const statuses = fileIds.map(fileId => files[fileId]);
+    return jsonResponse(200, {
+      files: statuses,
+      completed: statuses.every(file => file.status === "completed"),
+      timedOut
+    });
+  } catch (error) {
+    logger.error("File status request failed", { error });
+    return serviceErrorResponse(error) || jsonResponse(500, { error: "File status failed", message: error.message });
+  }
+}
+
+const handleFileStatus = createHttpHandler({ methods: ["GET", "OPTIONS"] }, handleFileStatusRequest);
+
+app.http("fileStatus", {
+  methods: ["GET", "OPTIONS"],
+  authLevel: "anonymous",
+  route: "files/status",
+  handler: handleFileStatus,
+});
+
+module.exports = { handleFileStatus };
@@ -0,0 +1,312 @@
+require("dotenv/config");
+
+const { app } = require("@azure/functions");
+const { createHttpHandler, jsonResponse, serviceErrorResponse } = require("../lib/http");
+const { initAzureOpenAI, isNotFound, isChatMode } = require("../lib/openai");
+const { canAccess, isAuthEnabled } = require("../lib/auth");
+const {
+  validateMetadata,
+  pickMetadata,
+  getMetadata,
+  recordFile,
+  getFileRecord,
+  listFileRecords,
+  updateFileRecord,
+  removeFileRecord
+} = require("../lib/files");
+const indexing = require("../lib/indexing");
+const documents = require("../lib/documents");
+const collections = require("../lib/collections");
+const { createLogger } = require("../lib/logger");
+
+const logger = createLogger({ module: "files" });
+
+const MAX_PAGE_SIZE = 100;
+const MAX_DELETED_FILES = 100;
+const SORT_FIELDS = ["uploadedAt", "fileName", "fileSize"];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function pageSize(value, fallback) {
+  const size = parseInt(value, 10);
+  return Number.isNaN(size) ? fallback : Math.min(Math.max(size, 1), MAX_PAGE_SIZE);
+}
+
+// Parses a date or date-time filter; a plain `to` date includes that whole day
+function parseDate(value, { endOfDay = false } = {}) {
+  if (!value) {
+    return null;
+  }
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    return undefined;
+  }
+  return endOfDay && DATE_PATTERN.test(value) ? time + 24 * 60 * 60 * 1000 - 1 : time;
+}
+
+function toFile(file, record) {
+  return {
+    fileId: file.id,
+    fileName: file.filename,
+    fileSize: file.bytes,
+    uploadedAt: new Date(file.created_at * 1000).toISOString(),
+    status: file.status,
+    collectionId: record?.collectionId || collections.DEFAULT_COLLECTION_ID,
+    ...getMetadata(record),
+    ...(record?.guardrailFlags && { guardrailFlags: record.guardrailFlags })
+  };
+}
+
+// Adds the indexing state of each file, read from its collection's vector store
+// (null when unavailable), or from the local document store in chat mode
+async function withIndexing(openai, files, records) {
+  if (isChatMode()) {
+    return Promise.all(files.map(async file => ({ ...file, indexing: await documents.getIndexingState(file.fileId) })));
+  }
+  return Promise.all(files.map(async file => {
+    try {
+      const vectorStoreId = await collections.getFileVectorStoreId(openai, records.get(file.fileId));
+      return { ...file, indexing: vectorStoreId ? await indexing.getIndexingState(openai, vectorStoreId, file.fileId) : indexing.NOT_INDEXED };
+    } catch (vectorError) {
+      logger.warn("Could not read the indexing state", { fileId: file.fileId, error: vectorError });
+      return { ...file, indexing: null };
+    }
+  }));
+}
+
+// GET /api/files?limit&after&name&from&to&collection&tag&contractType&sort&order
+async function listFiles(openai, request, user) {
+  const url = new URL(request.url);
+  const params = url.searchParams;
+  const limit = pageSize(params.get("limit"), 50);
+  const sort = params.get("sort") || "uploadedAt";
+  const order = params.get("order") || (sort === "uploadedAt" ? "desc" : "asc");
+  const from = parseDate(params.get("from"));
+  const to = parseDate(params.get("to"), { endOfDay: true });
+
+  if (!SORT_FIELDS.includes(sort) || !["asc", "desc"].includes(order)) {
+    return jsonResponse(400, { error: `sort must be one of ${SORT_FIELDS.join(", ")} and order asc or desc` });
+  }
+  if (from === undefined || to === undefined) {
+    return jsonResponse(400, { error: "from and to must be dates (YYYY-MM-DD) or ISO date-times" });
+  }
+
+  let collection = null;
+  if (params.get("collection")) {
+    collection = await collections.resolveCollection(openai, params.get("collection"), user);
+    if (!collection) {
+      return jsonResponse(404, { error: "Collection not found", collectionId: params.get("collection") });
+    }
+  }
+
+  const records = new Map((await listFileRecords()).map(record => [record.id, record]));
+
+  // Every page of assistant files, only the caller's own when users are authenticated. The
+  // local records only add the owner and the metadata.
+  const all = [];
+  for await (const file of documents.fileApi(openai).list({ purpose: "assistants" })) {
+    const record = records.get(file.id);
+    if (file.purpose === "assistants" && (!isAuthEnabled() || record?.ownerId === user.id)) {
+      all.push(toFile(file, record));
+    }
+  }
+
+  const name = (params.get("name") || "").toLowerCase();
+  const tag = params.get("tag");
+  const contractType = params.get("contractType");
+  const matching = all.filter(file =>
+    (!name || file.fileName.toLowerCase().includes(name)) &&
+    (from === null || Date.parse(file.uploadedAt) >= from) &&
+    (to === null || Date.parse(file.uploadedAt) <= to) &&
+    (!collection || file.collectionId === collection.id) &&
+    (!tag || file.tags.includes(tag)) &&
+    (!contractType || file.contractType === contractType));
+
+  const direction = order === "asc" ? 1 : -1;
+  matching.sort((a, b) => {
+    const compared = sort === "fileSize" ? a.fileSize - b.fileSize : a[sort].localeCompare(b[sort]);
+    return compared * direction || a.fileName.localeCompare(b.fileName) || a.fileId.localeCompare(b.fileId);
+  });
+
+  const after = params.get("after");
+  const start = after ? matching.findIndex(file => file.fileId === after) + 1 : 0;
+  if (after && start === 0) {
+    return jsonResponse(400, { error: "after must be the nextCursor of a previous page", after });
+  }
+  const page = matching.slice(start, start + limit);
+  const hasMore = start + limit < matching.length;
+
+  return jsonResponse(200, {
+    files: await withIndexing(openai, page, records),
+    total: matching.length,
+    hasMore,
+    nextCursor: hasMore ? page[page.length - 1].fileId : null
+  });
+}
+
+async function getFile(openai, fileId) {
+  const record = await getFileRecord(fileId);
+  const file = await documents.fileApi(openai).retrieve(fileId);
+  const [view] = await withIndexing(openai, [toFile(file, record)], new Map([[fileId, record]]));
+  return jsonResponse(200, view);
+}
+
+// PATCH /api/files/{fileId} { tags, description, contractType }
+async function updateMetadata(openai, request, fileId, user) {
+  const changes = await request.json();
+  const error = validateMetadata(changes);
+  if (error) {
+    return jsonResponse(400, { error });
+  }
+
+  // Files uploaded before records were kept get one on their first change
+  const file = await documents.fileApi(openai).retrieve(fileId);
+  if (!await getFileRecord(fileId)) {
+    await recordFile(file, { ownerId: user.id });
+  }
+  const record = await updateFileRecord(fileId, pickMetadata(changes));
+  return jsonResponse(200, toFile(file, record));
+}
+
+// Removes the file from its collection's vector store, then deletes it
+async function deleteFile(openai, fileId, user) {
+  const record = await getFileRecord(fileId);
+  if (!canAccess(user, record)) {
+    return { fileId, status: "not_found" };
+  }
+
+  try {
+    const vectorStoreId = await collections.getFileVectorStoreId(openai, record);
+    if (vectorStoreId) {
+      await openai.beta.vectorStores.files.del(vectorStoreId, fileId);
+    }
+  } catch (vectorError) {
+    // Continue with file deletion anyway
+    logger.warn("Could not remove the file from its vector store", { fileId, error: vectorError });
+  }
+
+  let result;
+  try {
+    await documents.fileApi(openai).del(fileId);
+    logger.info("File deleted", { fileId });
+    result = { fileId, status: "deleted" };
+  } catch (error) {
+    if (!isNotFound(error)) {
+      logger.error("Could not delete the file", { fileId, error });
+      return { fileId, status: "failed", error: { code: "delete_failed", message: error.message } };
+    }
+    result = { fileId, status: "not_found" };
+  }
+  if (record) {
+    await removeFileRecord(fileId);
+  }
+  return result;
+}
+
+// DELETE /api/files/{fileId}, /api/files?fileId=..., /api/files?fileIds=a,b or
+// /api/files with a { fileIds } body; reports a result per file
+async function deleteFiles(openai, request, user) {
+  const url = new URL(request.url);
+  let fileIds = [
+    request.params.fileId,
+    url.searchParams.get("fileId"),
+    ...url.searchParams.getAll("fileIds").flatMap(value => value.split(","))
+  ];
+  const body = await request.text();
+  if (body) {
+    const { fileIds: bodyFileIds } = JSON.parse(body) || {};
+    if (!Array.isArray(bodyFileIds) || bodyFileIds.some(fileId => typeof fileId !== "string")) {
+      return jsonResponse(400, { error: "fileIds must be an array of file IDs" });
+    }
+    fileIds.push(...bodyFileIds);
+  }
+  fileIds = [...new Set(fileIds.filter(Boolean).map(fileId => fileId.trim()).filter(Boolean))];
+
+  if (fileIds.length === 0 || fileIds.length > MAX_DELETED_FILES) {
+    return jsonResponse(400, {
+      error: `Give 1 to ${MAX_DELETED_FILES} file IDs to delete`,
+      usage: "DELETE /api/files/{fileId} or DELETE /api/files with { \"fileIds\": [...] }"
+    });
+  }
+
+  const results = [];
+  for (const fileId of fileIds) {
+    results.push(await deleteFile(openai, fileId, user));
+  }
+
+  if (fileIds.length === 1) {
+    const [result] = results;
+    if (result.status === "not_found") {
+      return jsonResponse(404, { error: "File not found", fileId: result.fileId });
+    }
+    if (result.status === "failed") {
+      return jsonResponse(500, { error: "Files management failed", message: result.error.message });
+    }
+    return jsonResponse(200, { message: "File deleted successfully", fileId: result.fileId, files: results });
+  }
+
+  return jsonResponse(200, {
+    files: results,
+    deleted: results.filter(result => result.status === "deleted").length,
+    notFound: results.filter(result => result.status === "not_found").length,
+    failed: results.filter(result => result.status === "failed").length
+  });
+}
+
+// Files management endpoint
+//   GET    /api/files               list, with filters, sorting and cursor pagination
+//   GET    /api/files/{fileId}      one file with its metadata and indexing state
+//   PATCH  /api/files/{fileId}      update the metadata
+//   DELETE /api/files[/{fileId}]    delete one or more files
+async function handleFilesRequest(request, { user }) {
+  const { fileId } = request.params;
+
+  try {
+    const openai = await initAzureOpenAI();
+
+    if (request.method === "DELETE") {
+      return await deleteFiles(openai, request, user);
+    }
+    if (!fileId) {
+      if (request.method === "GET") {
+        return await listFiles(openai, request, user);
+      }
+      return jsonResponse(405, { error: `${request.method} requires a file ID` });
+    }
+
+    // Files of other users are reported as missing
+    if (!canAccess(user, await getFileRecord(fileId))) {
+      return jsonResponse(404, { error: "File not found", fileId });
+    }
+    if (request.method === "GET") {
+      return await getFile(openai, fileId);
+    }
+    if (request.method === "PATCH") {
+      return await updateMetadata(openai, request, fileId, user);
+    }
+    return jsonResponse(405, { error: `${request.method} is not supported on a file` });
+
+  } catch (error) {
+    if (isNotFound(error)) {
+      return jsonResponse(404, { error: "File not found", fileId });
+    }
+    if (error instanceof SyntaxError) {
+      return jsonResponse(400, { error: "Invalid JSON body", message: error.message });
+    }
+    logger.error("Files request failed", { fileId, error });
+    return serviceErrorResponse(error) || jsonResponse(500, {
+      error: "Files management failed",
+      message: error.message
+    });
+  }
+}
+
+const handleFiles = createHttpHandler({ methods: ["GET", "PATCH", "DELETE", "OPTIONS"] }, handleFilesRequest);
+
+app.http("files", {
+  route: "files/{fileId?}",
+  methods: ["GET", "PATCH", "DELETE", "OPTIONS"],
+  authLevel: "anonymous",
+  handler: handleFiles,
+});
+
+module.exports = { handleFiles };
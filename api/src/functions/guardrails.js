@@ -0,0 +1,57 @@
+const { app } = require("@azure/functions");
+const { createHttpHandler, jsonResponse } = require("../lib/http");
+const { isAuthEnabled } = require("../lib/auth");
+const guardrails = require("../lib/guardrails");
+const { createLogger } = require("../lib/logger");
+
+const logger = createLogger({ module: "guardrails" });
+
+// Users (comma-separated IDs) who may read the audit log of every user when authentication
+// is enabled; everyone else only reads the decisions about their own messages and files
+const AUDIT_ADMIN_USERS = (process.env.AUDIT_ADMIN_USERS || "").split(",").map(id => id.trim()).filter(Boolean);
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function canSeeAllUsers(user) {
+  return !isAuthEnabled() || AUDIT_ADMIN_USERS.includes(user.id);
+}
+
+// GET /api/guardrails?from=YYYY-MM-DD&to=YYYY-MM-DD&user=...   the settings of the guardrails
+//                                                              and their audit log, newest first
+async function handleGuardrailsRequest(request, { user }) {
+  const url = new URL(request.url);
+  const today = new Date().toISOString().slice(0, 10);
+  const from = url.searchParams.get("from") || today;
+  const to = url.searchParams.get("to") || (url.searchParams.get("from") ? from : today);
+
+  if (!DATE_PATTERN.test(from) || !DATE_PATTERN.test(to) || from > to) {
+    return jsonResponse(400, { error: "from and to must be dates (YYYY-MM-DD), from not after to" });
+  }
+
+  const requestedUser = url.searchParams.get("user");
+  if (requestedUser && requestedUser !== user.id && !canSeeAllUsers(user)) {
+    return jsonResponse(403, { error: "The audit log of other users is restricted to administrators" });
+  }
+
+  try {
+    const decisions = await guardrails.listDecisions({
+      from,
+      to,
+      ownerId: requestedUser || (canSeeAllUsers(user) ? undefined : user.id)
+    });
+    return jsonResponse(200, { from, to, settings: guardrails.describeGuardrails(), decisions });
+  } catch (error) {
+    logger.error("Guardrails audit report failed", { error });
+    return jsonResponse(500, { error: "Guardrails audit report failed", message: error.message });
+  }
+}
+
+const handleGuardrails = createHttpHandler({ methods: ["GET", "OPTIONS"] }, handleGuardrailsRequest);
+
+app.http("guardrails", {
+  methods: ["GET", "OPTIONS"],
+  authLevel: "anonymous",
+  handler: handleGuardrails,
+});
+
+module.exports = { handleGuardrails };
@@ -0,0 +1,42 @@
+const { app } = require("@azure/functions");
+const { createHttpHandler, jsonResponse } = require("../lib/http");
+const { checkConfig, describeConfig } = require("../lib/config");
+const { getCircuitState } = require("../lib/openai");
+
+// GET /api/health, open to every caller so probes need no credentials. Reports:
+//   configuration  the problems found in the settings, by setting name (never their values)
+//   openai         how Azure OpenAI is signed in to, and the state of the circuit breaker
+// The status is `ok`, `degraded` while the circuit is not closed (Azure OpenAI is failing,
+// answered with 200) or `unhealthy` while the configuration has errors (answered with 503).
+async function handleHealthRequest() {
+  const { errors, warnings } = checkConfig();
+  const circuit = getCircuitState();
+
+  const status = errors.length > 0 ? "unhealthy" : circuit !== "closed" ? "degraded" : "ok";
+  return jsonResponse(status === "unhealthy" ? 503 : 200, {
+    status,
+    checks: {
+      configuration: {
+        status: errors.length > 0 ? "error" : "ok",
+        errors,
+        warnings
+      },
+      openai: {
+        status: circuit === "closed" ? "ok" : "failing",
+        ...describeConfig(),
+        circuit
+      }
+    }
+  }, { "Cache-Control": "no-store" });
+}
+
+const handleHealth = createHttpHandler({ methods: ["GET", "OPTIONS"], public: true }, handleHealthRequest);
+
+app.http("health", {
+  methods: ["GET", "OPTIONS"],
+  authLevel: "anonymous",
+  route: "health",
+  handler: handleHealth,
+});
+
+module.exports = { handleHealth };
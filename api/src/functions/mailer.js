@@ -1,33 +1,117 @@
 require("dotenv/config");
-const nodemailer = require("nodemailer");
+const { app } = require("@azure/functions");
+const {
+  MailError,
+  senderAddress,
+  createTransport,
+  assertRecipientsAllowed,
+  renderTemplate,
+  htmlToText
+} = require("../lib/mail");
+const outbox = require("../lib/outbox");
+const { createLogger } = require("../lib/logger");
+
+const logger = createLogger({ module: "mailer" });
+
+// Sends emails through the outbox: each message is stored, then sent right away. Messages
+// that could not be sent are retried by the timer below (MAIL_OUTBOX_SCHEDULE, every minute
+// by default). With OPENAI_FUNCTION_CALLING_SKIP_SEND_EMAIL=true messages are only recorded.
 
 const {
-  EMAIL_SENDER_NAME,
-  EMAIL_SENDER_USERNAME,
-  EMAIL_SENDER_APP_PASSWORD
+  EMAIL_RECEIVER,
+  OPENAI_FUNCTION_CALLING_SKIP_SEND_EMAIL,
+  MAIL_OUTBOX_SCHEDULE = "0 */1 * * * *"
 } = process.env;
 
-const transporter = nodemailer.createTransport({
-  host: "smtp.office365.com",
-  secure: false,
-  port: 587,
-  auth: {
-    user: EMAIL_SENDER_USERNAME,
-    pass: EMAIL_SENDER_APP_PASSWORD
-  },
-  tls: {
-    ciphers: "SSLv3",
-    rejectUnauthorized: false,
+const MAX_ATTACHMENTS_SIZE = 10 * 1024 * 1024;
+
+let transport = null;
+
+function getTransport() {
+  if (!transport) {
+    transport = createTransport();
   }
-});
+  return transport;
+}
 
-exports.sendEmail = async function ({ to, subject, html }) {
-  const info = await transporter.sendMail({
-    from: `"${EMAIL_SENDER_NAME}" <${EMAIL_SENDER_USERNAME}>`,
-    to,
-    subject,
-    html,
+// Replaces the transport, e.g. with a fake in tests
+function setTransport(value) {
+  transport = value;
+}
+
+// Attachments are stored base64-encoded in the outbox until the email is sent, so they
+// survive retries
+function toAttachments(attachments = []) {
+  let size = 0;
+  const encoded = attachments.map(({ filename, content, contentType }) => {
+    if (!filename || content === undefined || content === null) {
+      throw new MailError("Attachments need a filename and content", "invalid_attachment");
+    }
+    const buffer = Buffer.isBuffer(content) || content instanceof Uint8Array ? Buffer.from(content) : Buffer.from(String(content));
+    size += buffer.length;
+    return { filename, contentType, content: buffer.toString("base64"), encoding: "base64" };
   });
+  if (size > MAX_ATTACHMENTS_SIZE) {
+    throw new MailError(`Attachments exceed ${MAX_ATTACHMENTS_SIZE} bytes`, "attachments_too_large");
+  }
+  return encoded;
+}
+
+// Sends an email to `to` (EMAIL_RECEIVER by default). The HTML body is `html` wrapped in the
+// message template, or the given `template` filled with `data`; `text` defaults to a
+// plain-text version of it. Resolves to the outbox entry's `{ id, status, messageId, ... }`,
+// where status is "sent", "pending" (will be retried), "sending" (the timer got to it
+// first), "failed" or "dry_run".
+exports.sendEmail = async function ({ to = EMAIL_RECEIVER, cc, bcc, subject, html, text, template, data, attachments }) {
+  const dryRun = OPENAI_FUNCTION_CALLING_SKIP_SEND_EMAIL === "true";
+  // Dry runs work without a configured recipient, but a given one must still be allowed
+  const recipients = to || !dryRun ? assertRecipientsAllowed([to]) : [];
+  for (const copies of [cc, bcc].filter(Boolean)) {
+    assertRecipientsAllowed([copies]);
+  }
 
-  return info;
-}
\ No newline at end of file
+  const sender = senderAddress();
+  const body = template
+    ? await renderTemplate(template, { subject, senderName: sender.name, ...data })
+    : await renderTemplate("message", { subject, senderName: sender.name, body: html });
+
+  const message = {
+    from: sender,
+    to: recipients,
+    ...(cc && { cc }),
+    ...(bcc && { bcc }),
+    subject,
+    html: body,
+    text: text || htmlToText(template ? body : html),
+    attachments: toAttachments(attachments)
+  };
+
+  if (dryRun) {
+    const entry = await outbox.enqueue(message, { status: "dry_run" });
+    logger.info("Dry run, email recorded without sending it", { emailId: entry.id });
+    return toResult(entry);
+  }
+
+  const entry = await outbox.enqueue(message);
+  return toResult(await outbox.deliver(entry.id, getTransport()));
+};
+
+function toResult({ id, status, attempts, messageId, nextAttemptAt, lastError }) {
+  return { id, status, attempts, messageId, nextAttemptAt, lastError };
+}
+
+exports.processOutbox = function () {
+  return outbox.processOutbox(getTransport());
+};
+
+exports.setTransport = setTransport;
+
+app.timer("mailOutbox", {
+  schedule: MAIL_OUTBOX_SCHEDULE,
+  handler: async () => {
+    const results = await exports.processOutbox();
+    if (results.attempted > 0) {
+      logger.info("Outbox processed", results);
+    }
+  }
+});
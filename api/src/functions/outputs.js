@@ -0,0 +1,87 @@
+const { app } = require("@azure/functions");
+const { createHttpHandler, jsonResponse, serviceErrorResponse } = require("../lib/http");
+const { initAzureOpenAI, isNotFound } = require("../lib/openai");
+const { canAccess } = require("../lib/auth");
+const outputs = require("../lib/outputs");
+const { createLogger } = require("../lib/logger");
+
+const logger = createLogger({ module: "outputs" });
+
+// Only files the model created can be downloaded; Azure OpenAI refuses the content of uploads
+const OUTPUT_PURPOSE = "assistants_output";
+
+// `filename` is an ASCII fallback for older clients; names with other characters are also
+// given as UTF-8 in `filename*` (RFC 6266, RFC 5987)
+function contentDisposition(type, fileName) {
+  const fallback = fileName.normalize("NFKD").replace(/\p{M}/gu, "").replace(/[^\x20-\x7e]|["\\]/g, "_");
+  if (fallback === fileName) {
+    return `${type}; filename="${fileName}"`;
+  }
+  const encoded = encodeURIComponent(fileName).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+function notFound(fileId) {
+  return jsonResponse(404, { error: "Output file not found", fileId });
+}
+
+// GET /api/outputs/{fileId}   the content of a file created by code_interpreter, with its
+//                             content type. Images are shown inline, other files (and images
+//                             with `?download=true`) are downloaded.
+async function handleOutputsRequest(request, { user }) {
+  const { fileId } = request.params;
+
+  try {
+    if (!canAccess(user, await outputs.getOutput(fileId))) {
+      return notFound(fileId);
+    }
+
+    const openai = await initAzureOpenAI();
+    let file;
+    try {
+      file = await openai.files.retrieve(fileId);
+    } catch (error) {
+      if (isNotFound(error)) {
+        return notFound(fileId);
+      }
+      throw error;
+    }
+    if (file.purpose !== OUTPUT_PURPOSE) {
+      return notFound(fileId);
+    }
+
+    const fileName = outputs.outputFileName(file.filename) || fileId;
+    const contentType = outputs.contentTypeOf(fileName);
+    const download = new URL(request.url).searchParams.get("download") === "true" || !outputs.isInline(contentType);
+    const content = Buffer.from(await (await openai.files.content(fileId)).arrayBuffer());
+    logger.info("Output file served", { fileId, contentType, bytes: content.length });
+
+    return {
+      status: 200,
+      headers: {
+        "Content-Type": contentType,
+        "Content-Length": String(content.length),
+        "Content-Disposition": contentDisposition(download ? "attachment" : "inline", fileName),
+        "X-Content-Type-Options": "nosniff",
+        // The content of a file never changes
+        "Cache-Control": "private, max-age=86400"
+      },
+      body: content
+    };
+
+  } catch (error) {
+    logger.error("Output request failed", { fileId, error });
+    return serviceErrorResponse(error) || jsonResponse(500, { error: "Could not get the output file", message: error.message });
+  }
+}
+
+const handleOutputs = createHttpHandler({ methods: ["GET", "OPTIONS"], assistantsOnly: true }, handleOutputsRequest);
+
+app.http("outputs", {
+  route: "outputs/{fileId}",
+  methods: ["GET", "OPTIONS"],
+  authLevel: "anonymous",
+  handler: handleOutputs,
+});
+
+module.exports = { handleOutputs };
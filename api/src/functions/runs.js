@@ -0,0 +1,55 @@
+const { app } = require("@azure/functions");
+const { createHttpHandler, jsonResponse, serviceErrorResponse } = require("../lib/http");
+const { initAzureOpenAI, isNotFound } = require("../lib/openai");
+const { canAccess } = require("../lib/auth");
+const threads = require("../lib/threads");
+const runs = require("../lib/runs");
+const { createLogger } = require("../lib/logger");
+
+const logger = createLogger({ module: "runs" });
+
+function notFound(threadId) {
+  return jsonResponse(404, { error: "Thread not found", threadId });
+}
+
+// POST /api/runs/{threadId}/cancel cancels the active run of the thread, e.g. when the user
+// stops an answer. Add `?wait=true` to answer once the run has ended.
+async function handleCancelRunRequest(request, { user }) {
+  const { threadId } = request.params;
+  try {
+    // Threads of other users are reported as missing, like in /api/threads
+    if (!canAccess(user, await threads.getThread(threadId))) {
+      return notFound(threadId);
+    }
+
+    const openai = await initAzureOpenAI();
+    const activeRun = await runs.findActiveRun(openai, threadId);
+    if (!activeRun) {
+      return jsonResponse(404, { error: "No active run on this thread", threadId });
+    }
+
+    let run = await runs.cancelRun(openai, threadId, activeRun.id);
+    if (new URL(request.url).searchParams.get("wait") === "true") {
+      run = await runs.waitForRunEnd(openai, threadId, run);
+    }
+    return jsonResponse(200, { threadId, runId: run.id, status: run.status });
+
+  } catch (error) {
+    if (isNotFound(error)) {
+      return notFound(threadId);
+    }
+    logger.error("Cancelling the run failed", { threadId, error });
+    return serviceErrorResponse(error) || jsonResponse(500, { error: "Cancelling the run failed", message: error.message });
+  }
+}
+
+const handleCancelRun = createHttpHandler({ methods: ["POST", "OPTIONS"], assistantsOnly: true }, handleCancelRunRequest);
+
+app.http("cancelRun", {
+  route: "runs/{threadId}/cancel",
+  methods: ["POST", "OPTIONS"],
+  authLevel: "anonymous",
+  handler: handleCancelRun,
+});
+
+module.exports = { handleCancelRun };
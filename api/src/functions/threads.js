@@ -0,0 +1,200 @@
+const { app } = require("@azure/functions");
+const { createHttpHandler, jsonResponse, serviceErrorResponse } = require("../lib/http");
+const { initAzureOpenAI, isNotFound } = require("../lib/openai");
+const { canAccess, isAuthEnabled } = require("../lib/auth");
+const threads = require("../lib/threads");
+const { threadApi } = require("../lib/conversations");
+const { maskOutput } = require("../lib/guardrails");
+const { createLogger } = require("../lib/logger");
+
+const logger = createLogger({ module: "threads" });
+
+const MAX_PAGE_SIZE = 100;
+
+function notFound(threadId) {
+  return jsonResponse(404, { error: "Thread not found", threadId });
+}
+
+function pageSize(value, fallback) {
+  const size = parseInt(value, 10);
+  return Number.isNaN(size) ? fallback : Math.min(Math.max(size, 1), MAX_PAGE_SIZE);
+}
+
+function validateChanges({ title, tags }) {
+  if (title !== undefined && typeof title !== "string") {
+    return "title must be a string";
+  }
+  if (tags !== undefined && (!Array.isArray(tags) || tags.some(tag => typeof tag !== "string"))) {
+    return "tags must be an array of strings";
+  }
+  return null;
+}
+
+// Answers are shown again with the personal data the output guardrails mask as they stream
+function maskAnswer(message, content) {
+  return message.role === "assistant" ? maskOutput(content) : content;
+}
+
+function toMessage(message) {
+  return {
+    id: message.id,
+    role: message.role,
+    createdAt: new Date(message.created_at * 1000).toISOString(),
+    content: maskAnswer(message, message.content
+      .filter(part => part.type === "text")
+      .map(part => part.text.value)
+      .join("\n")),
+    fileIds: (message.attachments || []).map(attachment => attachment.file_id),
+    // Images made by code_interpreter, served by /api/outputs
+    imageFileIds: message.content
+      .filter(part => part.type === "image_file")
+      .map(part => part.image_file.file_id),
+    runId: message.run_id || null
+  };
+}
+
+async function listThreads(request, user) {
+  const url = new URL(request.url);
+  const limit = pageSize(url.searchParams.get("limit"), 20);
+  const after = url.searchParams.get("after");
+  const all = await threads.listThreads({
+    tag: url.searchParams.get("tag"),
+    ownerId: isAuthEnabled() ? user.id : undefined
+  });
+
+  const start = after ? all.findIndex(thread => thread.id === after) + 1 : 0;
+  if (after && start === 0) {
+    return jsonResponse(400, { error: "after must be the nextCursor of a previous page", after });
+  }
+  const page = all.slice(start, start + limit);
+  const hasMore = start + limit < all.length;
+
+  return jsonResponse(200, {
+    threads: page,
+    total: all.length,
+    hasMore,
+    nextCursor: hasMore ? page[page.length - 1].id : null
+  });
+}
+
+async function createThread(openai, request, user) {
+  const body = await request.text();
+  // `null` is valid JSON but no object
+  const changes = (body ? JSON.parse(body) : null) || {};
+  const error = validateChanges(changes);
+  if (error) {
+    return jsonResponse(400, { error });
+  }
+
+  const thread = await threadApi(openai).create();
+  logger.info("Thread created", { threadId: thread.id });
+  const record = await threads.recordThread(thread, {
+    title: changes.title || "",
+    tags: changes.tags || [],
+    ownerId: user.id
+  });
+  return jsonResponse(201, record);
+}
+
+async function getThread(openai, request, threadId, user) {
+  const url = new URL(request.url);
+  const order = url.searchParams.get("order") === "desc" ? "desc" : "asc";
+  const params = { limit: pageSize(url.searchParams.get("limit"), 20), order };
+  if (url.searchParams.get("after")) {
+    params.after = url.searchParams.get("after");
+  }
+
+  const thread = await threadApi(openai).retrieve(threadId);
+  const page = await threadApi(openai).messages.list(threadId, params);
+  const metadata = await threads.getThread(threadId) || await threads.recordThread(thread, { ownerId: user.id });
+  const messages = page.data.map(toMessage);
+  const hasMore = Boolean(page.body?.has_more);
+
+  return jsonResponse(200, {
+    thread: metadata,
+    messages,
+    hasMore,
+    nextCursor: hasMore ? messages[messages.length - 1].id : null
+  });
+}
+
+async function updateThread(openai, request, threadId, user) {
+  const { title, tags } = (await request.json()) || {};
+  const error = validateChanges({ title, tags });
+  if (error) {
+    return jsonResponse(400, { error });
+  }
+
+  const thread = await threadApi(openai).retrieve(threadId);
+  if (!await threads.getThread(threadId)) {
+    await threads.recordThread(thread, { ownerId: user.id });
+  }
+  const record = await threads.updateThread(threadId, {
+    ...(title !== undefined && { title }),
+    ...(tags !== undefined && { tags })
+  });
+  return jsonResponse(200, record);
+}
+
+async function deleteThread(openai, threadId) {
+  await threadApi(openai).del(threadId);
+  await threads.removeThread(threadId);
+  logger.info("Thread deleted", { threadId });
+  return jsonResponse(200, { message: "Thread deleted successfully", threadId });
+}
+
+async function handleThreadsRequest(request, { user }) {
+  const { threadId } = request.params;
+
+  try {
+    if (!threadId) {
+      if (request.method === "GET") {
+        return await listThreads(request, user);
+      }
+      if (request.method === "POST") {
+        return await createThread(await initAzureOpenAI(), request, user);
+      }
+      return jsonResponse(405, { error: `${request.method} requires a thread ID` });
+    }
+
+    // Threads of other users are reported as missing, so their IDs cannot be probed
+    if (!canAccess(user, await threads.getThread(threadId))) {
+      return notFound(threadId);
+    }
+
+    const openai = await initAzureOpenAI();
+    if (request.method === "GET") {
+      return await getThread(openai, request, threadId, user);
+    }
+    if (request.method === "PATCH") {
+      return await updateThread(openai, request, threadId, user);
+    }
+    if (request.method === "DELETE") {
+      return await deleteThread(openai, threadId);
+    }
+    return jsonResponse(405, { error: `${request.method} is not supported on a thread` });
+
+  } catch (error) {
+    if (isNotFound(error)) {
+      logger.info("Thread not found, forgetting it", { threadId });
+      await threads.removeThread(threadId);
+      return notFound(threadId);
+    }
+    if (error instanceof SyntaxError) {
+      return jsonResponse(400, { error: "Invalid JSON body", message: error.message });
+    }
+    logger.error("Threads request failed", { threadId, error });
+    return serviceErrorResponse(error) || jsonResponse(500, { error: "Threads request failed", message: error.message });
+  }
+}
+
+const handleThreads = createHttpHandler({ methods: ["GET", "POST", "PATCH", "DELETE", "OPTIONS"] }, handleThreadsRequest);
+
+app.http("threads", {
+  route: "threads/{threadId?}",
+  methods: ["GET", "POST", "PATCH", "DELETE", "OPTIONS"],
+  authLevel: "anonymous",
+  handler: handleThreads,
+});
+
+module.exports = { handleThreads };
@@ -0,0 +1,309 @@
+require("dotenv/config");
+
+const { app } = require("@azure/functions");
+const { toFile } = require("openai");
+const { createHttpHandler, jsonResponse, serviceErrorResponse } = require("../lib/http");
+const { initAzureOpenAI, isNotFound, isChatMode } = require("../lib/openai");
+const { validateMetadata, recordFile, findFileByHash, updateFileRecord, removeFileRecord } = require("../lib/files");
+const { UPLOAD_LIMITS, UploadError, sanitizeFileName, validateFile, isSearchable, sha256 } = require("../lib/uploads");
+const indexing = require("../lib/indexing");
+const documents = require("../lib/documents");
+const guardrails = require("../lib/guardrails");
+const { describeServiceError } = require("../lib/resilience");
+const collections = require("../lib/collections");
+const { createLogger } = require("../lib/logger");
+
+const logger = createLogger({ module: "upload" });
+
+// An earlier upload of the same content by the same owner, if Azure OpenAI still has it.
+// Resolves with the file and its local record.
+async function findDuplicate(openai, hash, ownerId) {
+  const record = await findFileByHash(hash, ownerId);
+  if (!record) {
+    return null;
+  }
+  try {
+    return { file: await documents.fileApi(openai).retrieve(record.id), record };
+  } catch (error) {
+    if (!isNotFound(error)) {
+      throw error;
+    }
+    logger.info("Forgetting deleted file", { fileId: record.id });
+    await removeFileRecord(record.id);
+    return null;
+  }
+}
+
+// Validates, screens, deduplicates and uploads one file; returns its per-file result.
+// New files are added to the collection's vector store afterwards, all at once. Files the
+// guardrails block are rejected, files they flag are uploaded with the flags recorded.
+async function uploadFile(openai, file, { user, collectionId, metadata }) {
+  const fileName = sanitizeFileName(file.name);
+  const content = Buffer.from(await file.arrayBuffer());
+  const result = { fileName, fileSize: content.length };
+
+  let mimeType;
+  try {
+    ({ mimeType } = validateFile({ fileName, mimeType: file.type, content }));
+  } catch (error) {
+    if (!(error instanceof UploadError)) {
+      throw error;
+    }
+    logger.info("File rejected", { fileName, fileSize: content.length, code: error.code });
+    return { ...result, status: "rejected", error: { code: error.code, message: error.message } };
+  }
+
+  const screening = await guardrails.checkUpload(fileName, content, { ownerId: user.id });
+  if (screening.decisions.length > 0) {
+    result.guardrails = screening.decisions;
+  }
+  if (screening.blocked) {
+    logger.info("File blocked by the guardrails", { fileName, check: screening.blocked.check });
+    return { ...result, status: "rejected", error: { code: "guardrail_blocked", message: screening.blocked.reason } };
+  }
+
+  const hash = sha256(content);
+  try {
+    const duplicate = await findDuplicate(openai, hash, user.id);
+    if (duplicate) {
+      logger.info("Duplicate upload", { fileName, fileId: duplicate.file.id });
+      return {
+        ...result,
+        fileId: duplicate.file.id,
+        fileName: duplicate.file.filename || fileName,
+        sha256: hash,
+        collectionId: duplicate.record.collectionId || null,
+        status: "duplicate"
+      };
+    }
+
+    const uploadedFile = await documents.fileApi(openai).create({
+      file: await toFile(content, fileName, { type: file.type || mimeType }),
+      purpose: "assistants"
+    });
+
+    logger.info("File uploaded", { fileName, fileId: uploadedFile.id, fileSize: content.length });
+    await recordFile(uploadedFile, { ownerId: user.id, sha256: hash, collectionId, metadata, guardrailFlags: screening.flags });
+
+    return {
+      ...result,
+      fileId: uploadedFile.id,
+      fileName: uploadedFile.filename || fileName,
+      fileSize: uploadedFile.bytes || content.length,
+      sha256: hash,
+      collectionId,
+      status: "uploaded"
+    };
+  } catch (error) {
+    logger.error("Upload failed", { fileName, error });
+    const failure = describeServiceError(error);
+    return {
+      ...result,
+      sha256: hash,
+      status: "failed",
+      error: failure ? { code: failure.code, message: failure.message } : { code: "upload_failed", message: error.message }
+    };
+  }
+}
+
+// Duplicates uploaded to another collection than theirs move to it, as with
+// POST /api/collections/{id}/files: they leave their vector store here and are added to the
+// collection's with the new files. A file that cannot leave its store stays where it is.
+async function moveDuplicates(openai, results, collectionId) {
+  for (const result of results.filter(result => result.status === "duplicate" && result.collectionId !== collectionId)) {
+    try {
+      const sourceVectorStoreId = await collections.getFileVectorStoreId(openai, { collectionId: result.collectionId });
+      if (sourceVectorStoreId) {
+        await openai.beta.vectorStores.files.del(sourceVectorStoreId, result.fileId);
+      }
+    } catch (error) {
+      if (!isNotFound(error)) {
+        logger.warn("Could not move the duplicate to the collection", { fileId: result.fileId, collectionId, error });
+        continue;
+      }
+    }
+    await updateFileRecord(result.fileId, { collectionId });
+    result.movedFrom = result.collectionId;
+    result.collectionId = collectionId;
+  }
+}
+
+// Adds the new and moved files to the collection's vector store in one batch and reports each
+// accepted file's indexing state. Other duplicates are reported in the collection they belong to.
+// With `?wait=true`, waits until the files are indexed or `timeout` seconds have passed.
+// Data files only code_interpreter reads are not indexed. In chat mode, every new file is
+// indexed locally before the response, see indexLocally().
+async function indexUploads(openai, results, { collection, searchParams }) {
+  if (isChatMode()) {
+    return indexLocally(openai, results);
+  }
+  const accepted = results.filter(result => result.fileId && isSearchable(result.fileName));
+  results
+    .filter(result => result.fileId && !isSearchable(result.fileName))
+    .forEach(result => { result.indexing = indexing.NOT_INDEXED; });
+  if (accepted.length === 0) {
+    return;
+  }
+
+  const vectorStoreId = collection.vectorStoreId;
+  if (!vectorStoreId) {
+    logger.warn("No vector store found for the collection");
+    accepted.forEach(result => { result.indexing = indexing.NOT_INDEXED; });
+    return;
+  }
+
+  const newFileIds = accepted.filter(result => result.status === "uploaded" || "movedFrom" in result).map(result => result.fileId);
+  if (newFileIds.length > 0) {
+    try {
+      await indexing.indexFiles(openai, vectorStoreId, newFileIds);
+      logger.info("Files added to the vector store", { vectorStoreId, fileIds: newFileIds });
+    } catch (vectorError) {
+      logger.error("Adding the files to the vector store failed", { vectorStoreId, error: vectorError });
+      // Continue anyway, the files are still uploaded
+    }
+  }
+
+  // Files are polled in the vector store they are in
+  const byVectorStore = new Map();
+  for (const result of accepted) {
+    const storeId = result.status === "duplicate"
+      ? await collections.getFileVectorStoreId(openai, { collectionId: result.collectionId })
+      : vectorStoreId;
+    byVectorStore.set(storeId, [...(byVectorStore.get(storeId) || []), result]);
+  }
+
+  for (const [storeId, storeResults] of byVectorStore) {
+    if (!storeId) {
+      storeResults.forEach(result => { result.indexing = indexing.NOT_INDEXED; });
+    } else if (searchParams.get("wait") === "true") {
+      const { states, timedOut } = await indexing.waitForIndexing(openai, storeId, storeResults.map(result => result.fileId), {
+        timeoutSeconds: searchParams.get("timeout")
+      });
+      storeResults.forEach(result => { result.indexing = { ...states.get(result.fileId), timedOut }; });
+    } else {
+      for (const result of storeResults) {
+        result.indexing = await indexing.getIndexingState(openai, storeId, result.fileId);
+      }
+    }
+  }
+}
+
+// Extracts, chunks and indexes the new documents in the local store (see lib/documents.js)
+// and reports the indexing state of every accepted file
+async function indexLocally(openai, results) {
+  for (const result of results.filter(result => result.fileId)) {
+    result.indexing = result.status === "uploaded"
+      ? await documents.indexDocument(openai, result.fileId)
+      : await documents.getIndexingState(result.fileId);
+  }
+}
+
+// The response status when no file made it: 503 when Azure OpenAI is unavailable, 413/415
+// when every file was refused for the same reason
+function failureStatus(results) {
+  const codes = new Set(results.map(result => result.error.code));
+  if (codes.has("service_unavailable") || codes.has("service_busy")) {
+    return 503;
+  }
+  if (results.some(result => result.status === "failed")) {
+    return 500;
+  }
+  if (codes.size === 1 && codes.has("file_too_large")) {
+    return 413;
+  }
+  if (codes.size === 1 && codes.has("unsupported_type")) {
+    return 415;
+  }
+  return 400;
+}
+
+// Upload endpoint for file management. Accepts one or more `file` parts and reports a result
+// per file: uploaded, duplicate (same content uploaded before, existing ID returned, with
+// `movedFrom` when it moved from another collection),
+// rejected (validation) or failed (Azure OpenAI error), with the file's indexing state.
+async function handleUploadRequest(request, { user }) {
+  try {
+    // Get FormData from request
+    const formData = await request.formData();
+    const files = formData.getAll('file').filter(file => typeof file !== "string");
+
+    if (files.length === 0) {
+      return jsonResponse(400, { error: "No file provided" });
+    }
+    if (UPLOAD_LIMITS.maxFiles && files.length > UPLOAD_LIMITS.maxFiles) {
+      return jsonResponse(400, { error: `At most ${UPLOAD_LIMITS.maxFiles} files can be uploaded at once` });
+    }
+
+    const openai = await initAzureOpenAI();
+
+    // Files go to the collection named by the `collection` field or query parameter
+    const { searchParams } = new URL(request.url);
+    const collectionRef = formData.get('collection') || searchParams.get("collection");
+    const collection = await collections.resolveCollection(openai, collectionRef, user);
+    if (!collection) {
+      return jsonResponse(404, { error: "Collection not found", collectionId: collectionRef });
+    }
+    const collectionId = collection.isDefault ? null : collection.id;
+
+    // Optional metadata applied to every new file: tags (repeated or comma-separated),
+    // description and contractType
+    const metadata = {
+      ...(formData.has('tags') && {
+        tags: formData.getAll('tags').flatMap(value => value.split(",")).map(tag => tag.trim()).filter(Boolean)
+      }),
+      ...(formData.has('description') && { description: formData.get('description') }),
+      ...(formData.has('contractType') && { contractType: formData.get('contractType') })
+    };
+    const metadataError = validateMetadata(metadata);
+    if (metadataError) {
+      return jsonResponse(400, { error: metadataError });
+    }
+
+    const results = [];
+    for (const file of files) {
+      results.push(await uploadFile(openai, file, { user, collectionId, metadata }));
+    }
+
+    await moveDuplicates(openai, results, collectionId);
+    await indexUploads(openai, results, { collection, searchParams });
+
+    const accepted = results.filter(result => result.status === "uploaded" || result.status === "duplicate");
+    const body = {
+      // Single-file requests keep the fields of the original response at the top level
+      ...(results.length === 1 && results[0]),
+      files: results,
+      uploaded: results.filter(result => result.status === "uploaded").length,
+      duplicates: results.filter(result => result.status === "duplicate").length,
+      rejected: results.filter(result => result.status === "rejected").length,
+      failed: results.filter(result => result.status === "failed").length
+    };
+    logger.info("Upload complete", { uploaded: body.uploaded, duplicates: body.duplicates, rejected: body.rejected, failed: body.failed });
+
+    if (accepted.length === 0) {
+      const [first] = results;
+      return jsonResponse(failureStatus(results), {
+        ...body,
+        error: first.status === "failed" ? "Upload failed" : "File rejected",
+        message: first.error.message
+      });
+    }
+    return jsonResponse(200, body);
+
+  } catch (error) {
+    logger.error("Upload request failed", { error });
+    return serviceErrorResponse(error) || jsonResponse(500, {
+      error: "Upload failed",
+      message: error.message
+    });
+  }
+}
+
+const handleUpload = createHttpHandler({ methods: ["POST", "OPTIONS"], rateLimit: true }, handleUploadRequest);
+
+app.http("upload", {
+  methods: ["POST", "OPTIONS"],
+  authLevel: "anonymous",
+  handler: handleUpload,
+});
+
+module.exports = { handleUpload };
@@ -0,0 +1,88 @@
+const { app } = require("@azure/functions");
+const { createHttpHandler, jsonResponse } = require("../lib/http");
+const { isAuthEnabled } = require("../lib/auth");
+const limits = require("../lib/limits");
+const { createLogger } = require("../lib/logger");
+
+const logger = createLogger({ module: "usage" });
+
+// Users (comma-separated IDs) who may see the usage of every client when authentication
+// is enabled; everyone else only sees their own
+const USAGE_ADMIN_USERS = (process.env.USAGE_ADMIN_USERS || "").split(",").map(id => id.trim()).filter(Boolean);
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const COUNTERS = ["requests", "runs", "promptTokens", "completionTokens", "totalTokens", "estimatedCost"];
+
+function canSeeAllClients(user) {
+  return !isAuthEnabled() || USAGE_ADMIN_USERS.includes(user.id);
+}
+
+// Sums the daily records of each client over the period
+function summarize(records) {
+  const clients = new Map();
+  for (const { client, date, ...counters } of records) {
+    if (!clients.has(client)) {
+      clients.set(client, { client, ...Object.fromEntries(COUNTERS.map(name => [name, 0])), daily: [] });
+    }
+    const summary = clients.get(client);
+    for (const name of COUNTERS) {
+      summary[name] += counters[name];
+    }
+    summary.daily.push({ date, ...counters });
+  }
+  return [...clients.values()].map(summary => ({
+    ...summary,
+    estimatedCost: Math.round(summary.estimatedCost * 1e6) / 1e6
+  }));
+}
+
+// GET /api/usage?from=YYYY-MM-DD&to=YYYY-MM-DD&client=...
+async function handleUsageRequest(request, { user, client }) {
+  const url = new URL(request.url);
+  const today = new Date().toISOString().slice(0, 10);
+  const from = url.searchParams.get("from") || today;
+  const to = url.searchParams.get("to") || (url.searchParams.get("from") ? from : today);
+
+  if (!DATE_PATTERN.test(from) || !DATE_PATTERN.test(to) || from > to) {
+    return jsonResponse(400, { error: "from and to must be dates (YYYY-MM-DD), from not after to" });
+  }
+
+  const requestedClient = url.searchParams.get("client");
+  if (requestedClient && requestedClient !== client && !canSeeAllClients(user)) {
+    return jsonResponse(403, { error: "Usage of other clients is restricted to administrators" });
+  }
+
+  try {
+    const records = await limits.listUsage({
+      from,
+      to,
+      client: requestedClient || (canSeeAllClients(user) ? undefined : client)
+    });
+    const { totalTokens } = await limits.getUsage(client);
+
+    return jsonResponse(200, {
+      from,
+      to,
+      client,
+      limits: limits.LIMITS,
+      remainingTokensToday: limits.LIMITS.dailyTokenBudget
+        ? Math.max(limits.LIMITS.dailyTokenBudget - totalTokens, 0)
+        : null,
+      clients: summarize(records)
+    });
+  } catch (error) {
+    logger.error("Usage report failed", { error });
+    return jsonResponse(500, { error: "Usage report failed", message: error.message });
+  }
+}
+
+const handleUsage = createHttpHandler({ methods: ["GET", "OPTIONS"] }, handleUsageRequest);
+
+app.http("usage", {
+  methods: ["GET", "OPTIONS"],
+  authLevel: "anonymous",
+  handler: handleUsage,
+});
+
+module.exports = { handleUsage };
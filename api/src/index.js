@@ -0,0 +1,9 @@
+require("dotenv/config");
+
+const { app } = require("@azure/functions");
+const { reportConfig } = require("./lib/config");
+
+// Runs before the function modules register, see "main" in package.json
+app.setup({ enableHttpStream: true });
+
+reportConfig();
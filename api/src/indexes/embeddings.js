@@ -0,0 +1,71 @@
+const { getStore } = require("../lib/store");
+
+// Ranks chunks by the cosine similarity of their embeddings to the question's, computed with
+// the EMBEDDINGS_MODEL deployment (or model of the OpenAI-compatible API). Finds passages
+// that say the same thing in other words, at the cost of a model call per question and per
+// batch of chunks.
+
+const { EMBEDDINGS_MODEL } = process.env;
+
+// Chunks embedded per request
+const BATCH_SIZE = 16;
+
+function indexStore() {
+  return getStore("search-embeddings");
+}
+
+async function embed(openai, inputs) {
+  if (!EMBEDDINGS_MODEL) {
+    throw new Error("EMBEDDINGS_MODEL is not set");
+  }
+  const vectors = [];
+  for (let start = 0; start < inputs.length; start += BATCH_SIZE) {
+    const { data } = await openai.embeddings.create({ model: EMBEDDINGS_MODEL, input: inputs.slice(start, start + BATCH_SIZE) });
+    vectors.push(...[...data].sort((a, b) => a.index - b.index).map(({ embedding }) => embedding));
+  }
+  return vectors;
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+exports.name = "embeddings";
+
+exports.add = async function (documentId, chunks, { openai }) {
+  const vectors = await embed(openai, chunks.map(({ text }) => text));
+  await indexStore().put(documentId, {
+    documentId,
+    model: EMBEDDINGS_MODEL,
+    chunks: chunks.map(({ index, text }, position) => ({ index, text, vector: vectors[position] }))
+  });
+};
+
+exports.remove = async function (documentId) {
+  await indexStore().remove(documentId);
+};
+
+exports.search = async function (query, { documentIds, limit }, { openai }) {
+  const entries = await indexStore().list(entry => documentIds.includes(entry.documentId));
+  if (entries.length === 0) {
+    return [];
+  }
+  const [queryVector] = await embed(openai, [query]);
+  return entries
+    .flatMap(({ documentId, chunks }) => chunks.map(({ index, text, vector }) => ({
+      documentId,
+      index,
+      text,
+      score: cosine(queryVector, vector)
+    })))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
@@ -0,0 +1,47 @@
+// Search index registry: where chat mode keeps the chunks of uploaded documents and looks for
+// the passages a question is about (see lib/documents.js).
+// An index module exports its `name` and three async functions:
+//   add(documentId, chunks, context)              stores the chunks `{ index, text }` of a document
+//   remove(documentId)                            forgets them
+//   search(query, { documentIds, limit }, context)
+//                                                 resolves with the best `limit` chunks of those
+//                                                 documents, best first: `{ documentId, index, text, score }`
+// `context.openai` is the client, for indexes that call a model. SEARCH_INDEX picks the index
+// in use: keyword (default) or embeddings.
+const indexes = new Map();
+
+function registerIndex(index) {
+  if (!index?.name || ["add", "remove", "search"].some(name => typeof index[name] !== "function")) {
+    throw new Error("A search index needs a name and add, remove and search functions");
+  }
+  if (indexes.has(index.name)) {
+    throw new Error(`Search index "${index.name}" is already registered`);
+  }
+  indexes.set(index.name, index);
+}
+
+function unregisterIndex(name) {
+  return indexes.delete(name);
+}
+
+function getIndex(name) {
+  const index = indexes.get(name);
+  if (!index) {
+    throw new Error(`No search index named "${name}" is registered`);
+  }
+  return index;
+}
+
+function listIndexes() {
+  return [...indexes.keys()];
+}
+
+registerIndex(require("./keyword"));
+registerIndex(require("./embeddings"));
+
+module.exports = {
+  registerIndex,
+  unregisterIndex,
+  getIndex,
+  listIndexes
+};
@@ -0,0 +1,81 @@
+const { getStore } = require("../lib/store");
+
+// Ranks chunks by the words they share with the question (BM25), without calling a model, so
+// it works offline. Words are compared lowercased and without accents; very common English
+// words are left out.
+
+const K1 = 1.2;
+const B = 0.75;
+
+const STOP_WORDS = new Set([
+  "a", "an", "and", "are", "as", "at", "be", "by", "do", "does", "for", "from", "has", "have", "how",
+  "i", "in", "is", "it", "its", "my", "of", "on", "or", "our", "that", "the", "their", "there", "this",
+  "to", "was", "we", "what", "when", "where", "which", "who", "why", "will", "with", "you", "your"
+]);
+
+function indexStore() {
+  return getStore("search-keyword");
+}
+
+function tokenize(text) {
+  return (text.toLowerCase().normalize("NFKD").replace(/\p{M}/gu, "").match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(word => !STOP_WORDS.has(word));
+}
+
+// Words are looked up as own keys only, so "constructor" or "valueOf" are words like any other
+function countTerms(words) {
+  const counts = new Map();
+  for (const word of words) {
+    counts.set(word, (counts.get(word) || 0) + 1);
+  }
+  return Object.fromEntries(counts);
+}
+
+function termCount(terms, term) {
+  return Object.hasOwn(terms, term) ? terms[term] : 0;
+}
+
+exports.name = "keyword";
+
+exports.add = async function (documentId, chunks) {
+  await indexStore().put(documentId, {
+    documentId,
+    chunks: chunks.map(({ index, text }) => {
+      const words = tokenize(text);
+      return { index, text, length: words.length, terms: countTerms(words) };
+    })
+  });
+};
+
+exports.remove = async function (documentId) {
+  await indexStore().remove(documentId);
+};
+
+exports.search = async function (query, { documentIds, limit }) {
+  const queryTerms = [...new Set(tokenize(query))];
+  const entries = await indexStore().list(entry => documentIds.includes(entry.documentId));
+  const chunks = entries.flatMap(({ documentId, chunks }) => chunks.map(chunk => ({ documentId, ...chunk })));
+  if (queryTerms.length === 0 || chunks.length === 0) {
+    return [];
+  }
+
+  const averageLength = chunks.reduce((sum, chunk) => sum + chunk.length, 0) / chunks.length || 1;
+  const idf = new Map(queryTerms.map(term => {
+    const frequency = chunks.filter(chunk => termCount(chunk.terms, term) > 0).length;
+    return [term, Math.log(1 + (chunks.length - frequency + 0.5) / (frequency + 0.5))];
+  }));
+
+  return chunks
+    .map(({ documentId, index, text, length, terms }) => ({
+      documentId,
+      index,
+      text,
+      score: queryTerms.reduce((score, term) => {
+        const count = termCount(terms, term);
+        return score + idf.get(term) * count * (K1 + 1) / (count + K1 * (1 - B + B * length / averageLength));
+      }, 0)
+    }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
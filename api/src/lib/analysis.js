@@ -0,0 +1,226 @@
+const Ajv = require("ajv");
+const { createLogger } = require("./logger");
+
+// Structured analysis of documents, see /api/analyze and src/analyses.
+//
+// The run gets the instructions of the analysis and file_search over the documents, plus a
+// `submit_analysis` function whose parameters are the result fields. What the model submits
+// is checked field by field against the schema, and every citation must name one of the
+// analyzed documents. Failing fields go back to the model as the function's output, so it can
+// correct them, up to ANALYZE_MAX_ATTEMPTS submissions (default 3). Fields still failing
+// after that are null in the result and reported with their errors, so the valid ones can
+// be used.
+
+const {
+  ANALYZE_MAX_ATTEMPTS = "3"
+} = process.env;
+
+const ANALYSIS = Object.freeze({
+  maxAttempts: Math.max(1, Number(ANALYZE_MAX_ATTEMPTS))
+});
+
+const SUBMIT_FUNCTION = "submit_analysis";
+
+const ajv = new Ajv({ allErrors: true });
+const fieldValidators = new WeakMap();
+
+const logger = createLogger({ module: "analysis" });
+
+class AnalysisError extends Error {
+  constructor(message, code, { threadId = null, runId = null } = {}) {
+    super(message);
+    this.name = "AnalysisError";
+    this.code = code;
+    this.threadId = threadId;
+    this.runId = runId;
+  }
+}
+
+function getFieldValidators(analysis) {
+  if (!fieldValidators.has(analysis)) {
+    fieldValidators.set(analysis, Object.fromEntries(
+      Object.entries(analysis.fields).map(([field, schema]) => [field, ajv.compile(schema)])
+    ));
+  }
+  return fieldValidators.get(analysis);
+}
+
+// The function the model submits its result with, in the format of run `tools`
+function submitTool(analysis) {
+  return {
+    type: "function",
+    function: {
+      name: SUBMIT_FUNCTION,
+      description: `Submits the result of the ${analysis.title}. Call it once every field is filled in.`,
+      parameters: {
+        type: "object",
+        properties: analysis.fields,
+        required: Object.keys(analysis.fields),
+        additionalProperties: false
+      }
+    }
+  };
+}
+
+// Adds the fileId of the cited document to each citation in `value`, reporting citations of
+// documents that were not analyzed in `errors`
+function linkCitations(value, path, documents, errors) {
+  if (Array.isArray(value)) {
+    return value.map((item, index) => linkCitations(item, `${path}/${index}`, documents, errors));
+  }
+  if (!value || typeof value !== "object") {
+    return value;
+  }
+  const linked = Object.fromEntries(Object.entries(value).map(([key, item]) =>
+    [key, key === "citation" ? item : linkCitations(item, `${path}/${key}`, documents, errors)]));
+  if (value.citation) {
+    const fileId = documents.get(value.citation.fileName.trim().toLowerCase());
+    if (fileId) {
+      linked.citation = { ...value.citation, fileId };
+    } else {
+      errors.push({ path: `${path}/citation/fileName`, message: "must be the file name of one of the analyzed documents" });
+    }
+  }
+  return linked;
+}
+
+// Checks submitted `data` field by field against the analysis. Returns `{ result, errors }`:
+// `result` has every field, null when it failed, and `errors` lists `{ field, path, message }`.
+function checkResult(analysis, data, files) {
+  const submitted = data && typeof data === "object" && !Array.isArray(data) ? data : {};
+  const documents = new Map(files.map(({ fileId, fileName }) => [fileName.trim().toLowerCase(), fileId]));
+  const result = {};
+  const errors = [];
+
+  for (const [field, validate] of Object.entries(getFieldValidators(analysis))) {
+    result[field] = null;
+    if (!(field in submitted)) {
+      errors.push({ field, path: `/${field}`, message: "is missing" });
+      continue;
+    }
+    if (!validate(submitted[field])) {
+      errors.push(...validate.errors.map(({ instancePath, message }) => ({ field, path: `/${field}${instancePath}`, message })));
+      continue;
+    }
+    const citationErrors = [];
+    const value = linkCitations(submitted[field], `/${field}`, documents, citationErrors);
+    if (citationErrors.length > 0) {
+      errors.push(...citationErrors.map(error => ({ field, ...error })));
+    } else {
+      result[field] = value;
+    }
+  }
+  for (const field of Object.keys(submitted).filter(key => !(key in analysis.fields))) {
+    errors.push({ field, path: `/${field}`, message: "is not a field of this analysis" });
+  }
+  return { result, errors };
+}
+
+function parseArguments(value) {
+  try {
+    return JSON.parse(value || "{}");
+  } catch {
+    return null;
+  }
+}
+
+// Outputs for the tool calls of a required action. Records each submission in `state`.
+function answerToolCalls(analysis, files, toolCalls, state, maxAttempts) {
+  return toolCalls.map(({ id, function: fn }) => {
+    if (fn.name !== SUBMIT_FUNCTION) {
+      return { tool_call_id: id, output: JSON.stringify({ error: `Only ${SUBMIT_FUNCTION} can be called` }) };
+    }
+    if (state.finished) {
+      return { tool_call_id: id, output: JSON.stringify({ accepted: false, message: "The analysis was already submitted" }) };
+    }
+
+    state.attempts++;
+    const data = parseArguments(fn.arguments);
+    state.outcome = checkResult(analysis, data, files);
+    const { errors } = state.outcome;
+    state.finished = errors.length === 0 || state.attempts >= maxAttempts;
+    logger.info("Analysis submitted", { threadId: state.threadId, runId: state.runId, attempt: state.attempts, errors: errors.length });
+
+    if (errors.length === 0) {
+      return { tool_call_id: id, output: JSON.stringify({ accepted: true }) };
+    }
+    return {
+      tool_call_id: id,
+      output: JSON.stringify({
+        accepted: false,
+        errors: errors.map(({ path, message }) => `${path} ${message}`),
+        message: state.finished
+          ? "No attempts left: stop without calling submit_analysis again"
+          : `Call ${SUBMIT_FUNCTION} again with these fields corrected${data === null ? " (the arguments were not valid JSON)" : ""}`
+      })
+    };
+  });
+}
+
+// Runs `analysis` over `files` (`[{ fileId, fileName }]`) on a new thread of `assistant`.
+// Resolves with `{ threadId, runId, valid, attempts, result, errors, usage }`, rejects with an
+// AnalysisError when the run fails or ends without a submission.
+async function runAnalysis(openai, { analysis, files, assistant, maxAttempts = ANALYSIS.maxAttempts }) {
+  const thread = await openai.beta.threads.create();
+  const state = { threadId: thread.id, runId: null, attempts: 0, outcome: null, finished: false, usage: null };
+
+  await openai.beta.threads.messages.create(thread.id, {
+    role: "user",
+    content: `Run the ${analysis.title} of these documents: ${files.map(({ fileName }) => fileName).join(", ")}.`,
+    attachments: files.map(({ fileId }) => ({ file_id: fileId, tools: [{ type: "file_search" }] }))
+  });
+
+  let stream = openai.beta.threads.runs.stream(thread.id, {
+    assistant_id: assistant.id,
+    instructions: Array.isArray(analysis.instructions) ? analysis.instructions.join("\n") : analysis.instructions,
+    tools: [{ type: "file_search" }, submitTool(analysis)]
+  });
+
+  while (stream) {
+    let continuation = null;
+    for await (const { event, data } of stream) {
+      if (event.startsWith("thread.run.") && !event.startsWith("thread.run.step.")) {
+        state.runId = data.id;
+      }
+
+      if (event === "thread.run.requires_action") {
+        if (state.finished) {
+          // The model keeps calling after the last submission
+          await openai.beta.threads.runs.cancel(thread.id, data.id);
+          break;
+        }
+        const toolCalls = data.required_action?.submit_tool_outputs?.tool_calls || [];
+        continuation = openai.beta.threads.runs.submitToolOutputsStream(thread.id, data.id, {
+          tool_outputs: answerToolCalls(analysis, files, toolCalls, state, maxAttempts)
+        });
+      }
+      else if (event === "thread.run.completed" && data.usage) {
+        state.usage = {
+          promptTokens: data.usage.prompt_tokens,
+          completionTokens: data.usage.completion_tokens,
+          totalTokens: data.usage.total_tokens
+        };
+      }
+      else if (event === "thread.run.failed" && !state.outcome) {
+        throw new AnalysisError(data.last_error?.message || "The analysis run failed", data.last_error?.code || "run_failed", state);
+      }
+    }
+    stream = continuation;
+  }
+
+  if (!state.outcome) {
+    throw new AnalysisError("The analysis run ended without submitting a result", "no_result", state);
+  }
+  const { result, errors } = state.outcome;
+  return {
+    threadId: state.threadId,
+    runId: state.runId,
+    valid: errors.length === 0,
+    attempts: state.attempts,
+    result,
+    errors,
+    usage: state.usage
+  };
+}
+
+module.exports = { ANALYSIS, SUBMIT_FUNCTION, AnalysisError, submitTool, checkResult, runAnalysis };
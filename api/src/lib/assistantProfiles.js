@@ -0,0 +1,333 @@
+const fs = require("node:fs");
+const path = require("node:path");
+const { isDeepStrictEqual } = require("node:util");
+const Ajv = require("ajv");
+const tools = require("../tools");
+const { getStore } = require("./store");
+const { getAssistant, clearAssistantCache, isNotFound } = require("./openai");
+const { createLogger } = require("./logger");
+
+// Assistant definitions kept as code.
+//
+// Each profile is a JSON file in src/assistants (or ASSISTANT_PROFILES_DIR), named after the
+// profile: `default.json` is the assistant used when a request names no profile. A profile
+// sets the assistant's name, description, instructions (a string or an array of lines),
+// model deployment (AZURE_DEPLOYMENT_NAME when left out), temperature, topP and tools. Tools
+// are `file_search`, `code_interpreter` or names from the tool registry, whose schemas are
+// taken from src/tools; `fileSearch.maxNumResults` tunes file_search.
+//
+// `version` is raised with every change to the file. Syncing writes it to the assistant's
+// metadata, and refuses to replace a newer version with an older one unless forced.
+//
+// The vector store of the default collection is recorded in the default assistant's metadata
+// as `vectorStoreId`, not attached to it: a store on the assistant would be searched by every
+// run, also in conversations of named collections, so threads attach the store of their
+// collection instead. Syncing moves a store still attached to an assistant.
+//
+// The assistant of a profile is ASSISTANT_ID for the default profile and
+// ASSISTANT_ID_<PROFILE> (e.g. ASSISTANT_ID_CONTRACTS) for the others. Assistants created by
+// a sync are recorded locally and used when no setting names one.
+
+const {
+  ASSISTANT_PROFILES_DIR = path.join(__dirname, "../assistants"),
+  AZURE_DEPLOYMENT_NAME
+} = process.env;
+
+const DEFAULT_PROFILE = "default";
+const PROFILE_NAME = /^[a-z0-9][a-z0-9-]*$/;
+const BUILT_IN_TOOLS = ["file_search", "code_interpreter"];
+
+const PROFILE_SCHEMA = {
+  type: "object",
+  properties: {
+    version: { type: "integer", minimum: 1 },
+    name: { type: "string", minLength: 1, maxLength: 256 },
+    description: { type: "string", maxLength: 512 },
+    model: { type: "string", minLength: 1 },
+    instructions: {
+      anyOf: [{ type: "string" }, { type: "array", items: { type: "string" } }]
+    },
+    tools: { type: "array", items: { type: "string" }, uniqueItems: true },
+    fileSearch: {
+      type: "object",
+      properties: {
+        maxNumResults: { type: "integer", minimum: 1, maximum: 50 }
+      },
+      additionalProperties: false
+    },
+    temperature: { type: "number", minimum: 0, maximum: 2 },
+    topP: { type: "number", minimum: 0, maximum: 1 }
+  },
+  required: ["version", "name", "instructions"],
+  additionalProperties: false
+};
+
+const validateProfile = new Ajv({ allErrors: true }).compile(PROFILE_SCHEMA);
+
+const logger = createLogger({ module: "assistantProfiles" });
+
+class ProfileError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = "ProfileError";
+    this.code = code;
+  }
+}
+
+let profiles = null;
+
+function profileStore() {
+  return getStore("assistants");
+}
+
+function readProfile(file) {
+  const name = path.basename(file, ".json");
+  let definition;
+  try {
+    definition = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new ProfileError(`${path.basename(file)} is not valid JSON: ${error.message}`, "invalid_profile");
+  }
+  if (!validateProfile(definition)) {
+    const details = validateProfile.errors.map(({ instancePath, message }) => `${instancePath || "/"} ${message}`);
+    throw new ProfileError(`${path.basename(file)} is not a valid profile: ${details.join(", ")}`, "invalid_profile");
+  }
+  const unknownTools = (definition.tools || []).filter(tool => !BUILT_IN_TOOLS.includes(tool) && !tools.getTool(tool));
+  if (unknownTools.length > 0) {
+    throw new ProfileError(`${path.basename(file)} uses unknown tools: ${unknownTools.join(", ")}`, "invalid_profile");
+  }
+  return { profile: name, ...definition };
+}
+
+// Every profile by name; read once, invalid files throw a ProfileError
+function loadProfiles() {
+  if (!profiles) {
+    const files = fs.existsSync(ASSISTANT_PROFILES_DIR) ? fs.readdirSync(ASSISTANT_PROFILES_DIR) : [];
+    profiles = new Map(files
+      .filter(file => file.endsWith(".json") && PROFILE_NAME.test(path.basename(file, ".json")))
+      .sort()
+      .map(file => {
+        const profile = readProfile(path.join(ASSISTANT_PROFILES_DIR, file));
+        return [profile.profile, profile];
+      }));
+  }
+  return profiles;
+}
+
+function listProfiles() {
+  return [...loadProfiles().values()];
+}
+
+function getProfile(name) {
+  return loadProfiles().get(name) || null;
+}
+
+function toTool(name, profile) {
+  if (name === "file_search") {
+    const maxNumResults = profile.fileSearch?.maxNumResults;
+    return { type: "file_search", ...(maxNumResults && { file_search: { max_num_results: maxNumResults } }) };
+  }
+  if (name === "code_interpreter") {
+    return { type: "code_interpreter" };
+  }
+  return { type: "function", function: tools.getTool(name).definition };
+}
+
+// The `assistants.create`/`assistants.update` parameters the profile asks for. Settings the
+// profile leaves out are left as they are on the assistant.
+function toAssistantParams(profile) {
+  const model = profile.model || AZURE_DEPLOYMENT_NAME;
+  if (!model) {
+    throw new ProfileError(`The "${profile.profile}" profile sets no model and AZURE_DEPLOYMENT_NAME is not set`, "invalid_profile");
+  }
+  return {
+    name: profile.name,
+    ...(profile.description !== undefined && { description: profile.description }),
+    model,
+    instructions: Array.isArray(profile.instructions) ? profile.instructions.join("\n") : profile.instructions,
+    tools: (profile.tools || []).map(name => toTool(name, profile)),
+    ...(profile.temperature !== undefined && { temperature: profile.temperature }),
+    ...(profile.topP !== undefined && { top_p: profile.topP }),
+    metadata: { profile: profile.profile, definitionVersion: String(profile.version) }
+  };
+}
+
+// The ID of the profile's assistant, or null when it has none yet
+async function getAssistantId(name = DEFAULT_PROFILE) {
+  const setting = name === DEFAULT_PROFILE ? "ASSISTANT_ID" : `ASSISTANT_ID_${name.toUpperCase().replace(/-/g, "_")}`;
+  return process.env[setting] || (await profileStore().get(name))?.assistantId || null;
+}
+
+// The profile's assistant (cached, see getAssistant), or null when the profile is unknown
+// or has no assistant yet
+async function resolveAssistant(openai, name = DEFAULT_PROFILE) {
+  if (name !== DEFAULT_PROFILE && !getProfile(name)) {
+    return null;
+  }
+  return getAssistant(openai, await getAssistantId(name));
+}
+
+// `current` reduced to what `desired` sets, so values the service fills in (defaults,
+// ranking options, strict flags, ...) are not reported as changes
+function pick(current, desired) {
+  if (Array.isArray(desired)) {
+    return Array.isArray(current) ? current.map((item, index) => pick(item, desired[index])) : current;
+  }
+  if (desired && typeof desired === "object") {
+    if (!current || typeof current !== "object") {
+      return current;
+    }
+    return Object.fromEntries(Object.keys(desired).map(key => [key, pick(current[key], desired[key])]));
+  }
+  return current;
+}
+
+function toolKey(tool) {
+  return tool.type === "function" ? tool.function.name : tool.type;
+}
+
+// Changes from the assistant to the desired parameters, as `{ field, from, to }`. Tools are
+// compared one by one as `tools.<name>`; `from` is null for new tools and `to` for removed ones.
+function diffAssistant(current, desired) {
+  const changes = [];
+  for (const field of ["name", "description", "model", "instructions", "temperature", "top_p"]) {
+    if (field in desired && !isDeepStrictEqual(current[field] ?? null, desired[field])) {
+      changes.push({ field, from: current[field] ?? null, to: desired[field] });
+    }
+  }
+
+  const currentTools = new Map((current.tools || []).map(tool => [toolKey(tool), tool]));
+  const desiredTools = new Map(desired.tools.map(tool => [toolKey(tool), tool]));
+  for (const [key, tool] of desiredTools) {
+    const existing = currentTools.has(key) ? pick(currentTools.get(key), tool) : null;
+    if (!isDeepStrictEqual(existing, tool)) {
+      changes.push({ field: `tools.${key}`, from: existing, to: tool });
+    }
+  }
+  for (const [key, tool] of currentTools) {
+    if (!desiredTools.has(key)) {
+      changes.push({ field: `tools.${key}`, from: tool, to: null });
+    }
+  }
+
+  const attached = current.tool_resources?.file_search?.vector_store_ids || [];
+  if (attached.length > 0) {
+    changes.push({ field: "tool_resources.file_search", from: attached, to: [] });
+  }
+
+  const currentVersion = current.metadata?.definitionVersion ?? null;
+  if (currentVersion !== desired.metadata.definitionVersion) {
+    changes.push({ field: "metadata.definitionVersion", from: currentVersion, to: desired.metadata.definitionVersion });
+  }
+  return changes;
+}
+
+async function inspect(openai, name) {
+  const profile = getProfile(name);
+  if (!profile) {
+    throw new ProfileError(`No assistant profile named "${name}"`, "profile_not_found");
+  }
+  const desired = toAssistantParams(profile);
+  const assistantId = await getAssistantId(name);
+
+  let current = null;
+  if (assistantId) {
+    try {
+      current = await openai.beta.assistants.retrieve(assistantId);
+    } catch (error) {
+      if (!isNotFound(error)) {
+        throw error;
+      }
+    }
+  }
+
+  const changes = diffAssistant(current || {}, desired);
+  const currentVersion = current?.metadata?.definitionVersion ? Number(current.metadata.definitionVersion) : null;
+  const plan = {
+    profile: name,
+    assistantId: current?.id || null,
+    action: !current ? "create" : changes.length > 0 ? "update" : "none",
+    version: { current: currentVersion, desired: profile.version },
+    changes
+  };
+  return { profile, desired, current, plan };
+}
+
+// What a sync of the profile would change, without changing anything
+async function planSync(openai, name) {
+  return (await inspect(openai, name)).plan;
+}
+
+// A new assistant of the default profile that searches files gets the default collection's
+// vector store. The others need none: threads attach the store of their collection.
+async function initialMetadata(openai, profile, desired) {
+  if (profile.profile !== DEFAULT_PROFILE || !desired.tools.some(tool => tool.type === "file_search")) {
+    return {};
+  }
+  const vectorStore = await openai.beta.vectorStores.create({ name: `${profile.name} documents` });
+  return { vectorStoreId: vectorStore.id };
+}
+
+// An assistant's store moved from its tool resources to the metadata of the default profile's
+// assistant; the other profiles only shared that store
+function detachVectorStore(profile, current) {
+  const [vectorStoreId] = current.tool_resources?.file_search?.vector_store_ids || [];
+  if (!vectorStoreId) {
+    return { metadata: {} };
+  }
+  return {
+    tool_resources: { file_search: { vector_store_ids: [] } },
+    metadata: profile.profile === DEFAULT_PROFILE ? { vectorStoreId } : {}
+  };
+}
+
+// Creates or updates the profile's assistant to match its definition. Resolves with the plan
+// and `applied`. An assistant holding a newer definition version is only replaced with `force`.
+async function applySync(openai, name, { force = false } = {}) {
+  const { profile, desired, current, plan } = await inspect(openai, name);
+  if (plan.action === "none") {
+    return { ...plan, applied: false };
+  }
+  if (!force && plan.version.current !== null && plan.version.current > plan.version.desired) {
+    throw new ProfileError(
+      `The assistant has version ${plan.version.current} of the "${name}" profile, newer than version ${plan.version.desired} here`,
+      "version_conflict"
+    );
+  }
+
+  let assistant;
+  if (current) {
+    const detached = detachVectorStore(profile, current);
+    assistant = await openai.beta.assistants.update(current.id, {
+      ...desired,
+      ...detached,
+      metadata: { ...current.metadata, ...desired.metadata, ...detached.metadata }
+    });
+  } else {
+    const metadata = await initialMetadata(openai, profile, desired);
+    assistant = await openai.beta.assistants.create({ ...desired, metadata: { ...desired.metadata, ...metadata } });
+  }
+
+  await profileStore().put(name, {
+    profile: name,
+    assistantId: assistant.id,
+    version: profile.version,
+    syncedAt: new Date().toISOString()
+  });
+  clearAssistantCache(assistant.id);
+  logger.info("Assistant synced", { profile: name, assistantId: assistant.id, action: plan.action, version: profile.version, changes: plan.changes.map(({ field }) => field) });
+  return { ...plan, assistantId: assistant.id, applied: true };
+}
+
+module.exports = {
+  DEFAULT_PROFILE,
+  ProfileError,
+  listProfiles,
+  getProfile,
+  toAssistantParams,
+  getAssistantId,
+  resolveAssistant,
+  diffAssistant,
+  planSync,
+  applySync
+};
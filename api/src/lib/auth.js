@@ -0,0 +1,193 @@
+const crypto = require("node:crypto");
+const fs = require("node:fs");
+const { createLocalJWKSet, createRemoteJWKSet, jwtVerify } = require("jose");
+const { createLogger } = require("./logger");
+
+// Pluggable request authentication.
+//
+// AUTH_PROVIDERS lists the providers to try, in order (comma-separated):
+//   apikey  static keys from AUTH_API_KEYS ("userId:key,otherUser:otherKey"), sent as
+//           `X-API-Key: <key>` or `Authorization: ApiKey <key>`
+//   jwt     `Authorization: Bearer <token>`, verified against AUTH_JWKS_URI (remote JWKS)
+//           or AUTH_JWKS (a JSON Web Key Set, inline or as a file path), with optional
+//           AUTH_ISSUER and AUTH_AUDIENCE checks; the user ID is read from AUTH_USER_CLAIM
+// Custom providers can be added with registerAuthProvider(). A user's ID is the ID the
+// provider gives, prefixed with the provider's name ("apikey:alice", "jwt:<sub>"), so users of
+// different providers never share an ID; admin settings such as ASSISTANT_ADMIN_USERS list
+// these prefixed IDs. Providers are only created when AUTH_PROVIDERS enables them.
+//
+// Without AUTH_PROVIDERS authentication is disabled: every caller is the same anonymous
+// user, which keeps local development working but must not be used in production.
+
+const logger = createLogger({ module: "auth" });
+
+const {
+  AUTH_PROVIDERS = "",
+  AUTH_API_KEYS = "",
+  AUTH_JWKS_URI,
+  AUTH_JWKS,
+  AUTH_ISSUER,
+  AUTH_AUDIENCE,
+  AUTH_USER_CLAIM = "sub"
+} = process.env;
+
+const ANONYMOUS_USER = Object.freeze({ id: "anonymous", name: "Anonymous", provider: "none" });
+
+class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = "AuthError";
+    this.status = status;
+  }
+}
+
+const providers = new Map();
+
+// Created on first use, so the settings of a provider that is not enabled are never read
+const BUILT_IN_PROVIDERS = {
+  apikey: () => createApiKeyProvider(),
+  jwt: () => createJwtProvider()
+};
+
+function registerAuthProvider(name, provider) {
+  if (typeof provider?.authenticate !== "function") {
+    throw new Error(`Auth provider "${name}" needs an authenticate(request) function`);
+  }
+  providers.set(name, provider);
+}
+
+function getProvider(name) {
+  if (!providers.has(name) && Object.hasOwn(BUILT_IN_PROVIDERS, name)) {
+    providers.set(name, BUILT_IN_PROVIDERS[name]());
+  }
+  return providers.get(name);
+}
+
+function enabledProviders() {
+  return AUTH_PROVIDERS.split(",").map(name => name.trim()).filter(Boolean);
+}
+
+function isAuthEnabled() {
+  return enabledProviders().length > 0;
+}
+
+function hash(value) {
+  return crypto.createHash("sha256").update(value).digest();
+}
+
+function createApiKeyProvider(config = AUTH_API_KEYS) {
+  const keys = config.split(",").filter(Boolean).map((entry) => {
+    const separator = entry.indexOf(":");
+    if (separator === -1) {
+      throw new Error("AUTH_API_KEYS entries must look like userId:key");
+    }
+    return { userId: entry.slice(0, separator).trim(), hash: hash(entry.slice(separator + 1).trim()) };
+  });
+
+  return {
+    async authenticate(request) {
+      const authorization = request.headers.get("authorization") || "";
+      const key = request.headers.get("x-api-key")
+        || (authorization.startsWith("ApiKey ") ? authorization.slice(7).trim() : null);
+      if (!key) {
+        return null;
+      }
+
+      // Compare digests in constant time so response timing does not leak key prefixes
+      const candidate = hash(key);
+      const match = keys.find(entry => crypto.timingSafeEqual(entry.hash, candidate));
+      if (!match) {
+        throw new AuthError("Invalid API key");
+      }
+      return { id: match.userId, name: match.userId, provider: "apikey" };
+    }
+  };
+}
+
+function loadKeySet() {
+  if (AUTH_JWKS_URI) {
+    return createRemoteJWKSet(new URL(AUTH_JWKS_URI));
+  }
+  if (AUTH_JWKS) {
+    const json = AUTH_JWKS.trim().startsWith("{") ? AUTH_JWKS : fs.readFileSync(AUTH_JWKS, "utf8");
+    return createLocalJWKSet(JSON.parse(json));
+  }
+  throw new Error("The jwt auth provider needs AUTH_JWKS_URI or AUTH_JWKS");
+}
+
+function createJwtProvider({ keySet, issuer = AUTH_ISSUER, audience = AUTH_AUDIENCE, userClaim = AUTH_USER_CLAIM } = {}) {
+  let keys = keySet;
+
+  return {
+    async authenticate(request) {
+      const authorization = request.headers.get("authorization") || "";
+      if (!authorization.startsWith("Bearer ")) {
+        return null;
+      }
+
+      keys = keys || loadKeySet();
+      try {
+        const { payload } = await jwtVerify(authorization.slice(7).trim(), keys, {
+          ...(issuer && { issuer }),
+          ...(audience && { audience })
+        });
+        if (!payload[userClaim]) {
+          throw new AuthError(`Token has no "${userClaim}" claim`);
+        }
+        return {
+          id: String(payload[userClaim]),
+          name: payload.name || payload.preferred_username || String(payload[userClaim]),
+          provider: "jwt"
+        };
+      } catch (error) {
+        if (error instanceof AuthError) {
+          throw error;
+        }
+        throw new AuthError(`Invalid bearer token: ${error.message}`);
+      }
+    }
+  };
+}
+
+// Resolves the calling user, or throws an AuthError
+async function authenticate(request) {
+  const names = enabledProviders();
+  if (names.length === 0) {
+    return ANONYMOUS_USER;
+  }
+
+  for (const name of names) {
+    const provider = getProvider(name);
+    if (!provider) {
+      throw new Error(`Unknown auth provider "${name}" in AUTH_PROVIDERS`);
+    }
+    const user = await provider.authenticate(request);
+    if (user) {
+      return { ...user, id: `${name}:${user.id}` };
+    }
+  }
+  throw new AuthError("Authentication required");
+}
+
+// Whether `user` may use a locally recorded resource (thread, file, ...)
+function canAccess(user, record) {
+  if (!isAuthEnabled()) {
+    return true;
+  }
+  return Boolean(record) && record.ownerId === user.id;
+}
+
+if (!isAuthEnabled()) {
+  logger.warn("AUTH_PROVIDERS is not set: the API accepts anonymous requests");
+}
+
+module.exports = {
+  AuthError,
+  ANONYMOUS_USER,
+  registerAuthProvider,
+  createApiKeyProvider,
+  createJwtProvider,
+  isAuthEnabled,
+  authenticate,
+  canAccess
+};
@@ -0,0 +1,361 @@
+const crypto = require("node:crypto");
+const { getStore } = require("./store");
+const { createLogger } = require("./logger");
+
+// Batch jobs: the same questions asked about each of a set of documents or collections.
+//
+// A job is a matrix of cells, one per target (a file or a collection) and question. Cells are
+// answered BATCH_CONCURRENCY (default 3) at a time, each on its own thread, and stored as soon
+// as they end:
+//   pending    waiting to be asked
+//   running    being answered
+//   completed  answered, with the answer and its citations
+//   failed     the run failed, see `error`
+// The job itself is `queued`, `running`, `completed` (every cell ended, some may have failed),
+// `failed` (stopped by an error that concerns the whole job, such as the token budget) or
+// `cancelled`.
+//
+// One worker at a time runs a job, under a lease it renews as cells end. The worker creating a
+// job starts it right away; the timer in functions/batches.js picks up queued jobs and jobs
+// whose worker stopped before its lease ran out (BATCH_LEASE_SECONDS, default 300), asking
+// their unfinished cells again. Resuming a job asks its failed cells again.
+
+const {
+  BATCH_CONCURRENCY = "3",
+  BATCH_LEASE_SECONDS = "300"
+} = process.env;
+
+const BATCHES = Object.freeze({
+  concurrency: Math.max(1, Number(BATCH_CONCURRENCY)),
+  leaseSeconds: Number(BATCH_LEASE_SECONDS)
+});
+
+const MAX_QUESTIONS = 50;
+const MAX_TARGETS = 100;
+const QUESTION_LENGTH = 2000;
+const NAME_LENGTH = 200;
+
+// Identifies this worker in the leases it holds
+const WORKER_ID = crypto.randomUUID();
+
+const logger = createLogger({ module: "batches" });
+
+// Jobs this worker is running, by ID
+const running = new Map();
+let mutations = Promise.resolve();
+
+function batchStore() {
+  return getStore("batches");
+}
+
+function validateBatch({ name, questions }) {
+  if (name !== undefined && (typeof name !== "string" || name.length > NAME_LENGTH)) {
+    return `name must be a string of at most ${NAME_LENGTH} characters`;
+  }
+  if (!Array.isArray(questions) || questions.length === 0 || questions.length > MAX_QUESTIONS
+    || questions.some(question => typeof question !== "string" || !question.trim() || question.length > QUESTION_LENGTH)) {
+    return `questions must list 1 to ${MAX_QUESTIONS} non-empty questions of up to ${QUESTION_LENGTH} characters`;
+  }
+  return null;
+}
+
+// `targets` are `{ type: "file", fileId, name }` or `{ type: "collection", collectionId, name }`
+function createBatch({ name, questions, targets, profile = null }, { ownerId, client }) {
+  const id = crypto.randomUUID();
+  const now = new Date().toISOString();
+  const cleanQuestions = questions.map(question => question.trim());
+  return batchStore().put(id, {
+    id,
+    name: name?.trim() || `${cleanQuestions.length} questions about ${targets.length} documents`,
+    ownerId,
+    client,
+    profile,
+    questions: cleanQuestions,
+    targets,
+    status: "queued",
+    error: null,
+    lease: null,
+    createdAt: now,
+    updatedAt: now,
+    finishedAt: null,
+    cells: targets.flatMap((target, targetIndex) => cleanQuestions.map((question, questionIndex) => ({
+      target: targetIndex,
+      question: questionIndex,
+      status: "pending",
+      attempts: 0,
+      answer: null,
+      citations: [],
+      threadId: null,
+      runId: null,
+      error: null,
+      finishedAt: null
+    })))
+  });
+}
+
+function getBatch(id) {
+  return batchStore().get(id);
+}
+
+function listBatches(filter) {
+  return batchStore().list(filter);
+}
+
+function countCells(job) {
+  const counts = { total: job.cells.length, pending: 0, running: 0, completed: 0, failed: 0 };
+  for (const { status } of job.cells) {
+    counts[status]++;
+  }
+  return counts;
+}
+
+// The job without its cells, with their counts as `progress`
+function summarize({ cells, ownerId, client, lease, ...job }) {
+  return { ...job, questionCount: job.questions.length, targetCount: job.targets.length, progress: countCells({ cells }) };
+}
+
+function leaseExpired(job, now = Date.now()) {
+  return !job.lease || Date.parse(job.lease.until) <= now;
+}
+
+function leaseUntil(now = Date.now()) {
+  return new Date(now + BATCHES.leaseSeconds * 1000).toISOString();
+}
+
+async function updateBatch(id, changes) {
+  return batchStore().update(id, { ...changes, updatedAt: new Date().toISOString() });
+}
+
+// Changes a job with the changes `change(job)` returns, or resolves with null when `change`
+// returns null. Runs one change at a time, so cells ending together keep each other's results.
+function mutateBatch(id, change) {
+  const result = mutations.then(async () => {
+    const job = await getBatch(id);
+    const changes = job && change(job);
+    return changes ? updateBatch(id, changes) : null;
+  });
+  mutations = result.catch(() => {});
+  return result;
+}
+
+// Takes the lease of a queued job, or of a running one whose worker stopped; its unfinished
+// cells are asked again. Resolves with the job, or null when it is not for this worker to run.
+function claimBatch(id) {
+  return mutateBatch(id, (job) => {
+    if (!["queued", "running"].includes(job.status) || (!leaseExpired(job) && job.lease.owner !== WORKER_ID)) {
+      return null;
+    }
+    if (job.status === "running") {
+      logger.info("Taking over a batch job", { batchId: id, previousWorker: job.lease?.owner });
+    }
+    return {
+      status: "running",
+      lease: { owner: WORKER_ID, until: leaseUntil() },
+      cells: job.cells.map(cell => cell.status === "running" ? { ...cell, status: "pending" } : cell)
+    };
+  });
+}
+
+function updateCell(id, index, changes) {
+  return mutateBatch(id, (job) => ({
+    lease: { owner: WORKER_ID, until: leaseUntil() },
+    cells: job.cells.map((cell, cellIndex) => cellIndex === index ? { ...cell, ...changes } : cell)
+  }));
+}
+
+// Answers the pending cells of the job with `answer(job, cell)`, which resolves with
+// `{ answer, citations, threadId, runId }` or rejects. An error with `stopsBatch` set fails the
+// whole job. Resolves with the job once no cell is left or the job was cancelled.
+async function runBatch(id, answer, { concurrency = BATCHES.concurrency } = {}) {
+  let job = await claimBatch(id);
+  if (!job) {
+    return getBatch(id);
+  }
+  logger.info("Batch job started", { batchId: id, cells: job.cells.length, pending: countCells(job).pending, concurrency });
+
+  const queue = job.cells.map((cell, index) => cell.status === "pending" ? index : -1).filter(index => index >= 0);
+  let stopError = null;
+
+  async function work() {
+    while (queue.length > 0 && !stopError) {
+      // A deleted job stops like a cancelled one
+      const current = await getBatch(id);
+      if (!current || current.status !== "running") {
+        return;
+      }
+      const index = queue.shift();
+      const cell = current.cells[index];
+      await updateCell(id, index, { status: "running", attempts: cell.attempts + 1 });
+      try {
+        const result = await answer(current, cell);
+        await updateCell(id, index, {
+          status: "completed",
+          answer: result.answer,
+          citations: result.citations,
+          threadId: result.threadId,
+          runId: result.runId,
+          error: null,
+          finishedAt: new Date().toISOString()
+        });
+      } catch (error) {
+        if (error.stopsBatch) {
+          stopError = error;
+          await updateCell(id, index, { status: "pending" });
+          return;
+        }
+        logger.warn("Batch question failed", { batchId: id, target: cell.target, question: cell.question, error });
+        await updateCell(id, index, {
+          status: "failed",
+          threadId: error.threadId || null,
+          runId: error.runId || null,
+          error: error.message,
+          finishedAt: new Date().toISOString()
+        });
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, work));
+
+  // A cancelled job keeps its status
+  job = await mutateBatch(id, (current) => ({
+    lease: null,
+    ...(stopError && { status: "failed", error: stopError.message }),
+    ...(!stopError && current.status === "running" && { status: "completed", finishedAt: new Date().toISOString() })
+  }));
+  if (!job) {
+    logger.info("Batch job deleted while running", { batchId: id });
+    return null;
+  }
+  logger.info("Batch job ended", { batchId: id, status: job.status, ...countCells(job) });
+  return job;
+}
+
+// Runs the job in the background of this worker, unless it runs here already
+function startBatch(id, answer, options) {
+  if (!running.has(id)) {
+    running.set(id, runBatch(id, answer, options)
+      .catch(error => logger.error("Batch job failed", { batchId: id, error }))
+      .finally(() => running.delete(id)));
+  }
+  return running.get(id);
+}
+
+// Resolves once the jobs running in this worker have stopped
+async function settleBatches() {
+  while (running.size > 0) {
+    await Promise.all(running.values());
+  }
+}
+
+// Starts the queued jobs and those whose worker stopped; resolves with how many were started
+async function processBatches(answer, options) {
+  const jobs = await listBatches(job => job.status === "queued" || (job.status === "running" && leaseExpired(job)));
+  const started = jobs.filter(job => !running.has(job.id));
+  for (const job of started) {
+    startBatch(job.id, answer, options);
+  }
+  return { started: started.length };
+}
+
+// Queues the failed and unfinished cells of an ended job again. Resolves with the job, or
+// null when it is still running.
+function resumeBatch(id) {
+  return mutateBatch(id, (job) => {
+    if ((job.status === "running" && !leaseExpired(job)) || running.has(id)) {
+      return null;
+    }
+    return {
+      status: "queued",
+      error: null,
+      finishedAt: null,
+      cells: job.cells.map(cell => ["failed", "running"].includes(cell.status) ? { ...cell, status: "pending", error: null } : cell)
+    };
+  });
+}
+
+// Stops a queued or running job; the questions being answered still finish. Resolves with
+// null when the job had already ended.
+function cancelBatch(id) {
+  return mutateBatch(id, (job) => ["queued", "running"].includes(job.status)
+    ? { status: "cancelled", finishedAt: new Date().toISOString() }
+    : null);
+}
+
+function removeBatch(id) {
+  return batchStore().remove(id);
+}
+
+function toCellView(job, cell) {
+  return {
+    question: job.questions[cell.question],
+    status: cell.status,
+    answer: cell.answer,
+    citations: cell.citations,
+    threadId: cell.threadId,
+    error: cell.error
+  };
+}
+
+// The answers as a matrix: a row per target, an answer per question
+function toMatrix(job) {
+  const width = job.questions.length;
+  return {
+    id: job.id,
+    name: job.name,
+    status: job.status,
+    questions: job.questions,
+    rows: job.targets.map((target, targetIndex) => ({
+      target,
+      answers: job.cells.slice(targetIndex * width, (targetIndex + 1) * width).map(cell => toCellView(job, cell))
+    }))
+  };
+}
+
+// Quotes a CSV field, and keeps spreadsheets from reading it as a formula
+function csvField(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatCitations(citations) {
+  return citations.map(({ label, fileName, quote }) =>
+    [label, fileName, quote && `"${quote}"`].filter(Boolean).join(" ")).join("\n");
+}
+
+// The matrix as CSV: a row per target, with the answer and the citations of each question in
+// two columns. Unanswered questions show their status, failed ones their error.
+function toCsv(job) {
+  const { questions, rows } = toMatrix(job);
+  const header = ["Target", ...questions.flatMap(question => [question, `${question} (citations)`])];
+  const lines = rows.map(({ target, answers }) => [
+    target.name,
+    ...answers.flatMap(({ status, answer, citations, error }) => status === "completed"
+      ? [answer, formatCitations(citations)]
+      : [status === "failed" ? `[failed] ${error}` : `[${status}]`, ""])
+  ]);
+  return [header, ...lines].map(line => line.map(csvField).join(",")).join("\r\n") + "\r\n";
+}
+
+module.exports = {
+  BATCHES,
+  MAX_QUESTIONS,
+  MAX_TARGETS,
+  validateBatch,
+  createBatch,
+  getBatch,
+  listBatches,
+  summarize,
+  runBatch,
+  startBatch,
+  settleBatches,
+  processBatches,
+  resumeBatch,
+  cancelBatch,
+  removeBatch,
+  toMatrix,
+  toCsv
+};
@@ -0,0 +1,314 @@
+const tools = require("../tools");
+const { DEFAULT_PROFILE, ProfileError, getProfile } = require("./assistantProfiles");
+const { canAccess } = require("./auth");
+const { localThreads } = require("./conversations");
+const { searchDocuments } = require("./documents");
+const { createEvent } = require("./events");
+const { listFileRecords } = require("./files");
+const { DEFAULT_COLLECTION_ID } = require("./collections");
+const { createLogger } = require("./logger");
+
+// Answers of chat mode (BACKEND_MODE=chat): chat completions in place of assistant runs.
+//
+// The profile of the conversation gives the instructions, the function tools and the
+// sampling settings, as it does for the assistants. When it has file_search (or a message
+// has attachments), the passages of the documents in scope that best match the message are
+// found with the local search (see documents.js) and sent as numbered sources; the model
+// cites them as "[1]", which is turned into the "【…†source】" markers and file_citation
+// annotations of file_search, so citations and stored answers look the same in both modes.
+//
+// Settings:
+//   CHAT_MODEL               model to call, before the profile's and AZURE_DEPLOYMENT_NAME
+//   CHAT_HISTORY_MESSAGES    earlier messages of the conversation sent along (default 20)
+
+const {
+  CHAT_MODEL,
+  AZURE_DEPLOYMENT_NAME,
+  CHAT_HISTORY_MESSAGES = "20"
+} = process.env;
+
+const HISTORY_MESSAGES = Math.max(Number(CHAT_HISTORY_MESSAGES), 0);
+
+// Upper bound on chained rounds of function calls within one answer
+const MAX_TOOL_ROUNDS = 10;
+
+// Characters of a passage kept as the quote of its citation
+const QUOTE_LENGTH = 300;
+
+const SOURCES_INSTRUCTIONS = "Excerpts of the user's documents found for this message follow, numbered. "
+  + "Answer from them when they are relevant, and cite each excerpt you use with its number in square brackets, such as [1].";
+
+// "[2]" or "[1, 3]"; an unfinished one is held back until the next delta completes it
+const SOURCE_REFERENCE = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+const PARTIAL_REFERENCE = /\[[\d,\s]{0,16}$/;
+
+const logger = createLogger({ module: "chat" });
+
+// What a chat completion needs from the profile: model, instructions, function tools,
+// sampling settings, and whether documents are searched. Conversations without a profile
+// file search documents and use no tools.
+function chatProfile(name = DEFAULT_PROFILE) {
+  const profile = getProfile(name);
+  const model = CHAT_MODEL || profile?.model || AZURE_DEPLOYMENT_NAME;
+  if (!model) {
+    throw new ProfileError(`No model is set for the "${name}" profile: set CHAT_MODEL`, "invalid_profile");
+  }
+  const toolNames = profile?.tools || ["file_search"];
+  const functionTools = toolNames.filter(toolName => tools.getTool(toolName));
+  return {
+    model,
+    instructions: profile ? [profile.instructions].flat().join("\n") : "",
+    tools: functionTools.map(toolName => ({ type: "function", function: tools.getTool(toolName).definition })),
+    searchesDocuments: toolNames.includes("file_search"),
+    ...(profile?.temperature !== undefined && { temperature: profile.temperature }),
+    ...(profile?.topP !== undefined && { top_p: profile.topP })
+  };
+}
+
+// The passages that best match `query` among the attached files and the documents the user
+// can access in the conversation's collection (the default one when it has none)
+async function findPassages(openai, query, { fileIds = [], collectionId = null, user }) {
+  const searched = collectionId === DEFAULT_COLLECTION_ID ? null : collectionId;
+  const records = await listFileRecords(record => canAccess(user, record) && (record.collectionId || null) === searched);
+  const scope = [...new Set([...fileIds, ...records.map(record => record.id)])];
+  const passages = await searchDocuments(openai, query, { fileIds: scope });
+  logger.debug("Passages found", { documents: scope.length, passages: passages.length });
+  return passages;
+}
+
+function messageText(message) {
+  return message.content
+    .filter(part => part.type === "text")
+    .map(part => part.text.value.replace(/\s*【[^】]*】/g, ""))
+    .join("\n");
+}
+
+// The last CHAT_HISTORY_MESSAGES messages of the conversation, oldest first, as chat messages
+async function loadHistory(threadId) {
+  if (HISTORY_MESSAGES === 0) {
+    return [];
+  }
+  const { data } = await localThreads.messages.list(threadId, { limit: HISTORY_MESSAGES, order: "desc" });
+  return data.reverse().map(message => ({ role: message.role, content: messageText(message) }));
+}
+
+function sourcesMessage(passages) {
+  const sources = passages.map(({ fileName, text }, index) => `[${index + 1}] ${fileName}\n${text}`);
+  return { role: "system", content: [SOURCES_INSTRUCTIONS, ...sources].join("\n\n") };
+}
+
+// The messages of a chat completion: instructions, history, the sources found and the
+// user's message
+function buildMessages({ instructions = [], history = [], passages = [], text }) {
+  const system = instructions.filter(Boolean).join("\n\n");
+  return [
+    ...(system ? [{ role: "system", content: system }] : []),
+    ...history,
+    ...(passages.length > 0 ? [sourcesMessage(passages)] : []),
+    { role: "user", content: text }
+  ];
+}
+
+// Turns the model's "[n]" references to `passages` into file_search markers, delta by delta.
+// `push` and `flush` return the text to show and the annotations of the markers in it.
+function createSourceMarkers(passages) {
+  let pending = "";
+
+  function convert(text) {
+    const annotations = [];
+    const value = text.replace(SOURCE_REFERENCE, (reference, numbers) => {
+      const indexes = numbers.split(",").map(number => Number(number.trim()) - 1);
+      if (indexes.some(index => !passages[index])) {
+        return reference;
+      }
+      return indexes.map(index => {
+        const marker = `【${index}†source】`;
+        annotations.push({
+          type: "file_citation",
+          text: marker,
+          file_citation: { file_id: passages[index].fileId, quote: passages[index].text.slice(0, QUOTE_LENGTH) }
+        });
+        return marker;
+      }).join("");
+    });
+    return { value, annotations };
+  }
+
+  return {
+    push(delta) {
+      const text = pending + delta;
+      const partial = passages.length > 0 ? text.match(PARTIAL_REFERENCE) : null;
+      pending = partial ? partial[0] : "";
+      return convert(partial ? text.slice(0, partial.index) : text);
+    },
+    flush() {
+      const text = pending;
+      pending = "";
+      return convert(text);
+    }
+  };
+}
+
+// Text and citation events for a piece of the answer, recording it in `answer`
+async function* textEvents(piece, answer, state) {
+  answer.value += piece.value;
+  answer.annotations.push(...piece.annotations);
+  const { value, citations } = await state.citations.process(piece.value, piece.annotations);
+  for (const citation of citations) {
+    yield createEvent("citation", citation);
+  }
+  if (value) {
+    yield createEvent("text", { value, messageId: state.runId });
+  }
+}
+
+// Streams one chat completion. Resolves with why it finished and the tool calls it asked
+// for, put together from their deltas.
+async function* streamCompletion(openai, params, state, markers, answer, usage) {
+  const stream = await openai.chat.completions.create({
+    ...params,
+    stream: true,
+    stream_options: { include_usage: true }
+  });
+
+  const toolCalls = [];
+  let finishReason = null;
+  for await (const chunk of stream) {
+    state.eventCount++;
+    if (!state.runId) {
+      state.runId = chunk.id;
+      state.status = "in_progress";
+      yield createEvent("status", { status: state.status, runId: state.runId });
+    }
+    if (chunk.usage) {
+      usage.promptTokens += chunk.usage.prompt_tokens || 0;
+      usage.completionTokens += chunk.usage.completion_tokens || 0;
+      usage.totalTokens += chunk.usage.total_tokens || 0;
+    }
+    const [choice] = chunk.choices || [];
+    if (!choice) {
+      continue;
+    }
+    if (choice.delta?.content) {
+      yield* textEvents(markers.push(choice.delta.content), answer, state);
+    }
+    for (const delta of choice.delta?.tool_calls || []) {
+      const toolCall = toolCalls[delta.index] ||= { id: "", type: "function", function: { name: "", arguments: "" } };
+      toolCall.id = delta.id || toolCall.id;
+      toolCall.function.name += delta.function?.name || "";
+      toolCall.function.arguments += delta.function?.arguments || "";
+    }
+    finishReason = choice.finish_reason || finishReason;
+  }
+  yield* textEvents(markers.flush(), answer, state);
+  return { finishReason, toolCalls: toolCalls.filter(Boolean) };
+}
+
+// Answers with chat completions, following rounds of function calls, and stores the answer
+// in the conversation. Events are those of an assistant run; `state.runId` is the ID of the
+// first completion. Once the guardrails set `state.status` to blocked, the answer ends with
+// the completion being read and only its usage is reported.
+async function* streamChat(openai, { model, tools: functionTools = [], temperature, top_p, messages, passages = [] }, state) {
+  const params = {
+    model,
+    ...(functionTools.length > 0 && { tools: functionTools }),
+    ...(temperature !== undefined && { temperature }),
+    ...(top_p !== undefined && { top_p })
+  };
+  const conversation = [...messages];
+  const markers = createSourceMarkers(passages);
+  const answer = { value: "", annotations: [] };
+  const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+
+  for (let round = 0; ; round++) {
+    const { finishReason, toolCalls } = yield* streamCompletion(openai, { ...params, messages: conversation }, state, markers, answer, usage);
+
+    // The guardrails blocked the answer while it streamed: no tools run and nothing is kept
+    if (state.status === "blocked") {
+      break;
+    }
+
+    if (finishReason === "tool_calls" && toolCalls.length > 0) {
+      if (round + 1 > MAX_TOOL_ROUNDS) {
+        logger.warn("Too many rounds of function calls, stopping the answer", { runId: state.runId, limit: MAX_TOOL_ROUNDS });
+        state.status = "cancelled";
+        yield createEvent("error", {
+          message: `Too many consecutive function calls (limit is ${MAX_TOOL_ROUNDS})`,
+          code: "too_many_tool_rounds"
+        });
+        break;
+      }
+      state.status = "requires_action";
+      yield createEvent("status", { status: state.status, runId: state.runId });
+      yield* runTools(toolCalls, conversation, state, round + 1);
+      state.status = "in_progress";
+      continue;
+    }
+
+    if (finishReason === "content_filter") {
+      logger.warn("Answer filtered", { threadId: state.threadId, runId: state.runId });
+      state.status = "failed";
+      yield createEvent("error", { message: "The answer was stopped by the content filter", code: "content_filter" });
+    } else if (finishReason === "length") {
+      logger.info("Answer cut short", { threadId: state.threadId, runId: state.runId });
+      state.status = "incomplete";
+      yield createEvent("status", { status: state.status, runId: state.runId });
+    } else {
+      state.status = "completed";
+    }
+    break;
+  }
+
+  if (answer.value && state.status !== "blocked") {
+    await localThreads.messages.create(state.threadId, {
+      role: "assistant",
+      content: [{ type: "text", text: { value: answer.value, annotations: answer.annotations } }]
+    }, state.runId);
+  }
+  if (usage.totalTokens > 0) {
+    yield createEvent("usage", usage);
+  }
+}
+
+// Runs the tool calls of a round and adds them and their outputs to the conversation
+async function* runTools(toolCalls, conversation, state, round) {
+  logger.info("Running tool calls", { runId: state.runId, round, tools: toolCalls.map(tc => tc.function.name) });
+
+  for (const toolCall of toolCalls) {
+    yield createEvent("tool_call", {
+      id: toolCall.id,
+      name: toolCall.function.name,
+      status: "in_progress",
+      arguments: toolCall.function.arguments
+    });
+  }
+
+  const toolOutputs = await tools.executeToolCalls(toolCalls, {
+    threadId: state.threadId,
+    runId: state.runId
+  });
+
+  for (const [index, { tool_call_id, output }] of toolOutputs.entries()) {
+    yield createEvent("tool_call", {
+      id: tool_call_id,
+      name: toolCalls[index].function.name,
+      status: "completed",
+      output
+    });
+  }
+
+  conversation.push(
+    { role: "assistant", content: null, tool_calls: toolCalls },
+    ...toolOutputs.map(({ tool_call_id, output }) => ({ role: "tool", tool_call_id, content: output }))
+  );
+}
+
+module.exports = {
+  MAX_TOOL_ROUNDS,
+  chatProfile,
+  findPassages,
+  loadHistory,
+  buildMessages,
+  createSourceMarkers,
+  streamChat
+};
@@ -0,0 +1,73 @@
+// Turns file_search annotations into numbered citations.
+//
+// The model marks grounded statements with markers such as "【4:0†source】", and the
+// message deltas carry matching `file_citation` annotations. Each distinct marker gets
+// the next citation number; the marker is replaced by "[n]" in the streamed text and a
+// citation event with the source file is sent before the text that refers to it.
+// In chat mode, the passages the local search finds are cited with the same markers (see
+// chat.js).
+
+const { fileApi } = require("./documents");
+const { createLogger } = require("./logger");
+
+const logger = createLogger({ module: "citations" });
+
+function createCitationTracker(openai) {
+  const citations = new Map();
+  const fileNames = new Map();
+
+  // Same lookup as the /api/files listing: the file object's `filename`
+  async function getFileName(fileId) {
+    if (!fileNames.has(fileId)) {
+      fileNames.set(fileId, fileApi(openai).retrieve(fileId)
+        .then((file) => file.filename)
+        .catch((error) => {
+          logger.warn("Could not look up a cited file", { fileId, error });
+          return null;
+        }));
+    }
+    return fileNames.get(fileId);
+  }
+
+  // Returns the text with markers replaced, and the citations seen for the first time
+  async function process(value = "", annotations = []) {
+    const added = [];
+
+    for (const annotation of annotations) {
+      if (annotation.type !== "file_citation" || !annotation.text) {
+        continue;
+      }
+
+      let citation = citations.get(annotation.text);
+      if (!citation) {
+        const fileId = annotation.file_citation?.file_id || null;
+        citation = {
+          index: citations.size + 1,
+          marker: annotation.text,
+          fileId,
+          fileName: fileId ? await getFileName(fileId) : null,
+          quote: annotation.file_citation?.quote || null
+        };
+        citation.label = `[${citation.index}]`;
+        citations.set(annotation.text, citation);
+        added.push(citation);
+      }
+    }
+
+    let text = value;
+    for (const citation of citations.values()) {
+      text = text.split(citation.marker).join(citation.label);
+    }
+
+    return { value: text, citations: added };
+  }
+
+  return {
+    process,
+    get citations() {
+      return [...citations.values()];
+    }
+  };
+}
+
+module.exports = { createCitationTracker };
@@ -0,0 +1,105 @@
+const crypto = require("node:crypto");
+const { getStore } = require("./store");
+const { isChatMode } = require("./openai");
+const { canAccess, isAuthEnabled } = require("./auth");
+const { getAssistantVectorStoreId } = require("./indexing");
+
+// Named document collections, each backed by its own vector store.
+//
+// The vector store recorded with the default assistant is the "default" collection: files
+// uploaded without a collection go there, as before. A conversation searches the documents of
+// its collection only, the default collection's when it asks for none.
+//
+// File records point to their collection with `collectionId` (null for the default one).
+// In chat mode collections have no vector store: the local search looks in the documents
+// of the conversation's collection (see lib/chat.js).
+
+const DEFAULT_COLLECTION_ID = "default";
+const NAME_LENGTH = 64;
+
+function collectionStore() {
+  return getStore("collections");
+}
+
+function validateCollection({ name, description }) {
+  if (typeof name !== "string" || !name.trim() || name.length > NAME_LENGTH) {
+    return `name must be a non-empty string of at most ${NAME_LENGTH} characters`;
+  }
+  if (name.trim().toLowerCase() === DEFAULT_COLLECTION_ID) {
+    return `"${DEFAULT_COLLECTION_ID}" is reserved for the assistant's collection`;
+  }
+  if (description !== undefined && typeof description !== "string") {
+    return "description must be a string";
+  }
+  return null;
+}
+
+async function getDefaultCollection(openai) {
+  return {
+    id: DEFAULT_COLLECTION_ID,
+    name: "Default",
+    description: "Documents available to every conversation",
+    vectorStoreId: await getAssistantVectorStoreId(openai),
+    isDefault: true
+  };
+}
+
+async function listCollections(user) {
+  const collections = await collectionStore().list(collection =>
+    !isAuthEnabled() || collection.ownerId === user.id);
+  return collections.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+async function findCollectionByName(name, user) {
+  const key = name.trim().toLowerCase();
+  return (await listCollections(user)).find(collection => collection.name.toLowerCase() === key) || null;
+}
+
+async function createCollection(openai, { name, description = "" }, user) {
+  const vectorStore = isChatMode() ? null : await openai.beta.vectorStores.create({ name: name.trim() });
+  const id = vectorStore?.id || `coll_${crypto.randomUUID().replace(/-/g, "")}`;
+  return collectionStore().put(id, {
+    id,
+    name: name.trim(),
+    description,
+    vectorStoreId: vectorStore?.id || null,
+    ownerId: user.id,
+    createdAt: new Date().toISOString(),
+    isDefault: false
+  });
+}
+
+// The collection a request refers to, by ID or name; the default collection when none is
+// given. Null when it does not exist or belongs to another user.
+async function resolveCollection(openai, idOrName, user) {
+  if (!idOrName || idOrName === DEFAULT_COLLECTION_ID) {
+    return getDefaultCollection(openai);
+  }
+  const collection = await collectionStore().get(idOrName) || await findCollectionByName(idOrName, user);
+  return collection && canAccess(user, collection) ? collection : null;
+}
+
+// The vector store a file is indexed in, from its local record
+async function getFileVectorStoreId(openai, fileRecord) {
+  if (fileRecord?.collectionId) {
+    const collection = await collectionStore().get(fileRecord.collectionId);
+    return collection?.vectorStoreId || null;
+  }
+  return getAssistantVectorStoreId(openai);
+}
+
+function removeCollection(collectionId) {
+  return collectionStore().remove(collectionId);
+}
+
+module.exports = {
+  DEFAULT_COLLECTION_ID,
+  validateCollection,
+  getDefaultCollection,
+  listCollections,
+  findCollectionByName,
+  createCollection,
+  resolveCollection,
+  getFileVectorStoreId,
+  removeCollection
+};
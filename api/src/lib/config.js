@@ -0,0 +1,206 @@
+const Ajv = require("ajv");
+const { createLogger } = require("./logger");
+
+// The settings of the API, checked against a schema when the app starts.
+//
+// Azure OpenAI is called at AZURE_OPENAI_ENDPOINT with OPENAI_API_VERSION, both required.
+// AZURE_OPENAI_AUTH chooses how the API signs in:
+//   key    with AZURE_OPENAI_API_KEY
+//   entra  with a Microsoft Entra ID token from DefaultAzureCredential: the managed identity
+//          of the Function App (AZURE_CLIENT_ID picks a user-assigned one) or, locally, the
+//          Azure CLI or Azure Developer CLI sign-in. The identity needs an OpenAI role on the
+//          resource, such as Cognitive Services OpenAI User.
+// The default is key when AZURE_OPENAI_API_KEY is set, entra otherwise.
+//
+// BACKEND_MODE chooses the API that answers: assistants (default) for the Assistants API, or
+// chat for chat completions with local documents and history (see lib/chat.js). In chat
+// mode, CHAT_BASE_URL may point to another OpenAI-compatible API instead, such as a model
+// served locally, with CHAT_API_KEY when it needs one; Azure OpenAI is then not required.
+//
+// The other settings are optional, but must be well formed when set: numbers are whole
+// numbers, choices one of their values. Empty settings count as not set.
+//
+// Problems are logged at startup and reported by /api/health. While there are errors, calls
+// to Azure OpenAI fail with a ConfigError naming them, rather than deep inside a request.
+
+const AUTH_MODES = ["key", "entra"];
+const BACKEND_MODES = ["assistants", "chat"];
+
+// Required to reach Azure OpenAI
+const AZURE_SETTINGS = ["AZURE_OPENAI_ENDPOINT", "OPENAI_API_VERSION"];
+
+// Settings read as whole numbers by the modules in src/lib
+const NUMBER_SETTINGS = [
+  "ANALYZE_MAX_ATTEMPTS",
+  "ASSISTANT_CACHE_TTL_SECONDS",
+  "BATCH_CONCURRENCY",
+  "BATCH_LEASE_SECONDS",
+  "CHAT_HISTORY_MESSAGES",
+  "DAILY_TOKEN_BUDGET",
+  "DOCUMENT_CHUNK_OVERLAP",
+  "DOCUMENT_CHUNK_SIZE",
+  "GUARDRAIL_INJECTION_THRESHOLD",
+  "INDEXING_MAX_WAIT_SECONDS",
+  "INDEXING_POLL_INTERVAL_MS",
+  "MAIL_MAX_ATTEMPTS",
+  "MAIL_OUTBOX_RETENTION_DAYS",
+  "MAIL_RETRY_BASE_SECONDS",
+  "MAIL_RETRY_MAX_SECONDS",
+  "MAIL_SMTP_PORT",
+  "OPENAI_CIRCUIT_FAILURE_THRESHOLD",
+  "OPENAI_CIRCUIT_RESET_SECONDS",
+  "OPENAI_MAX_RETRIES",
+  "OPENAI_RETRY_BASE_MS",
+  "OPENAI_RETRY_MAX_MS",
+  "RATE_LIMIT_CONCURRENT_RUNS",
+  "RATE_LIMIT_REQUESTS_PER_MINUTE",
+  "RUN_CANCEL_TIMEOUT_SECONDS",
+  "RUN_POLL_INTERVAL_MS",
+  "SEARCH_TOP_K",
+  "TRUSTED_PROXY_COUNT",
+  "UPLOAD_MAX_FILE_SIZE",
+  "UPLOAD_MAX_FILES"
+];
+
+function choice(values) {
+  return { type: "string", enum: values, description: `one of ${values.join(", ")}` };
+}
+
+// Each `description` completes "<SETTING> must be ..." in error messages
+const SETTINGS_SCHEMA = {
+  type: "object",
+  properties: {
+    AZURE_OPENAI_ENDPOINT: { type: "string", pattern: "^https?://[^\\s/]+", description: "the URL of the Azure OpenAI resource" },
+    OPENAI_API_VERSION: { type: "string", pattern: "^\\d{4}-\\d{2}-\\d{2}(-preview)?$", description: "an API version such as 2024-05-01-preview" },
+    AZURE_OPENAI_AUTH: choice(AUTH_MODES),
+    ASSISTANT_ID: { type: "string", pattern: "^asst_\\w+$", description: "an assistant ID (asst_...)" },
+    ACTIVE_RUN_POLICY: choice(["reject", "cancel"]),
+    BACKEND_MODE: choice(BACKEND_MODES),
+    CHAT_BASE_URL: { type: "string", pattern: "^https?://[^\\s/]+", description: "the URL of an OpenAI-compatible API" },
+    GUARDRAIL_PII_INPUT: choice(["off", "mask", "block"]),
+    GUARDRAIL_PII_OUTPUT: choice(["off", "mask", "block"]),
+    GUARDRAIL_INJECTION_ACTION: choice(["off", "flag", "block"]),
+    LOG_LEVEL: choice(["debug", "info", "warn", "error"]),
+    MAIL_TRANSPORT: choice(["smtp", "file", "console"]),
+    ...Object.fromEntries(NUMBER_SETTINGS.map(name => [name, { type: "string", pattern: "^\\d+$", description: "a whole number" }]))
+  }
+};
+
+const validateSettings = new Ajv({ allErrors: true }).compile(SETTINGS_SCHEMA);
+
+const logger = createLogger({ module: "config" });
+
+class ConfigError extends Error {
+  constructor(errors) {
+    super(`The configuration is invalid: ${errors.map(({ message }) => message).join("; ")}`);
+    this.name = "ConfigError";
+    this.code = "invalid_config";
+    this.errors = errors;
+  }
+}
+
+function setSettings(env) {
+  return Object.fromEntries(Object.entries(env).filter(([, value]) => value !== undefined && value !== ""));
+}
+
+function authMode(settings) {
+  return settings.AZURE_OPENAI_AUTH || (settings.AZURE_OPENAI_API_KEY ? "key" : "entra");
+}
+
+function backendMode(settings) {
+  return settings.BACKEND_MODE || "assistants";
+}
+
+// Whether chat completions go to CHAT_BASE_URL rather than Azure OpenAI
+function usesCompatibleApi(settings) {
+  return backendMode(settings) === "chat" && Boolean(settings.CHAT_BASE_URL);
+}
+
+// `{ errors, warnings }`, each a list of `{ setting, message }`. Messages name settings, never
+// their values.
+function checkConfig(env = process.env) {
+  const settings = setSettings(env);
+  const errors = [];
+  const warnings = [];
+
+  if (!usesCompatibleApi(settings)) {
+    for (const setting of AZURE_SETTINGS.filter(name => !settings[name])) {
+      errors.push({ setting, message: `${setting} is required` });
+    }
+  }
+  if (!validateSettings(settings)) {
+    for (const { instancePath } of validateSettings.errors) {
+      const setting = instancePath.slice(1);
+      errors.push({ setting, message: `${setting} must be ${SETTINGS_SCHEMA.properties[setting].description}` });
+    }
+  }
+  if (!usesCompatibleApi(settings) && authMode(settings) === "key" && !settings.AZURE_OPENAI_API_KEY) {
+    errors.push({ setting: "AZURE_OPENAI_API_KEY", message: "AZURE_OPENAI_API_KEY is required when AZURE_OPENAI_AUTH is key" });
+  }
+
+  if (backendMode(settings) === "chat") {
+    if (!settings.CHAT_MODEL && !settings.AZURE_DEPLOYMENT_NAME) {
+      warnings.push({ setting: "CHAT_MODEL", message: "CHAT_MODEL is not set: profiles without a model cannot answer" });
+    }
+    return { errors, warnings };
+  }
+  if (!settings.ASSISTANT_ID) {
+    warnings.push({ setting: "ASSISTANT_ID", message: "ASSISTANT_ID is not set: the default profile has an assistant only once it is synced" });
+  }
+  if (!settings.AZURE_DEPLOYMENT_NAME) {
+    warnings.push({ setting: "AZURE_DEPLOYMENT_NAME", message: "AZURE_DEPLOYMENT_NAME is not set: profiles without a model cannot be synced" });
+  }
+  return { errors, warnings };
+}
+
+// How to reach Azure OpenAI: `{ endpoint, apiVersion, auth, apiKey }`, `apiKey` only with
+// key auth. With CHAT_BASE_URL in chat mode, `{ endpoint, auth: "compatible", apiKey }`.
+// Throws a ConfigError while the configuration has errors.
+function getOpenAIConfig(env = process.env) {
+  const { errors } = checkConfig(env);
+  if (errors.length > 0) {
+    throw new ConfigError(errors);
+  }
+  const settings = setSettings(env);
+  if (usesCompatibleApi(settings)) {
+    return { endpoint: settings.CHAT_BASE_URL, auth: "compatible", apiKey: settings.CHAT_API_KEY || null };
+  }
+  const auth = authMode(settings);
+  return {
+    endpoint: settings.AZURE_OPENAI_ENDPOINT,
+    apiVersion: settings.OPENAI_API_VERSION,
+    auth,
+    ...(auth === "key" && { apiKey: settings.AZURE_OPENAI_API_KEY })
+  };
+}
+
+// What can be shown about the configuration without exposing secrets
+function describeConfig(env = process.env) {
+  const settings = setSettings(env);
+  if (usesCompatibleApi(settings)) {
+    return { backend: "chat", auth: "compatible", apiVersion: null, deployment: settings.CHAT_MODEL || null };
+  }
+  return {
+    backend: backendMode(settings),
+    auth: authMode(settings),
+    apiVersion: settings.OPENAI_API_VERSION || null,
+    deployment: (backendMode(settings) === "chat" && settings.CHAT_MODEL) || settings.AZURE_DEPLOYMENT_NAME || null
+  };
+}
+
+// Logs the problems found in the configuration, once when the app starts
+function reportConfig(env = process.env) {
+  const { errors, warnings } = checkConfig(env);
+  if (errors.length > 0) {
+    logger.error("The configuration is invalid", { errors: errors.map(({ message }) => message) });
+  }
+  for (const { setting, message } of warnings) {
+    logger.warn(message, { setting });
+  }
+  if (errors.length === 0) {
+    logger.info("Configuration checked", { ...describeConfig(env), warnings: warnings.length });
+  }
+  return { errors, warnings };
+}
+
+module.exports = { AUTH_MODES, BACKEND_MODES, ConfigError, checkConfig, getOpenAIConfig, describeConfig, reportConfig };
@@ -0,0 +1,275 @@
+const PDFDocument = require("pdfkit");
+const { createCitationTracker } = require("./citations");
+const { getFileRecord } = require("./files");
+const { fileApi } = require("./documents");
+const { threadApi } = require("./conversations");
+const { escapeHtml } = require("./mail");
+const { maskOutput } = require("./guardrails");
+const { createLogger } = require("./logger");
+
+// Renders a whole conversation thread as Markdown, standalone HTML or PDF.
+//
+// Citations are numbered across the conversation, like they are while answers stream, and
+// listed with their file names at the end. Files attached to the questions are listed at
+// the top. Answers are masked like the output guardrails mask them as they stream.
+
+const logger = createLogger({ module: "conversationExport" });
+
+const PAGE_SIZE = 100;
+
+const FORMATS = {
+  markdown: { extension: "md", contentType: "text/markdown; charset=utf-8" },
+  html: { extension: "html", contentType: "text/html; charset=utf-8" },
+  pdf: { extension: "pdf", contentType: "application/pdf" }
+};
+
+async function getFileName(openai, fileId) {
+  const record = await getFileRecord(fileId);
+  if (record?.fileName) {
+    return record.fileName;
+  }
+  try {
+    return (await fileApi(openai).retrieve(fileId)).filename;
+  } catch (error) {
+    logger.warn("Could not look up an attached file", { fileId, error });
+    return null;
+  }
+}
+
+// Reads every message of the thread, oldest first, with citations and attached files
+async function loadConversation(openai, threadId, record = {}) {
+  const messages = [];
+  let after;
+  do {
+    const page = await threadApi(openai).messages.list(threadId, { order: "asc", limit: PAGE_SIZE, ...(after && { after }) });
+    messages.push(...page.data);
+    after = page.body?.has_more && page.data.length > 0 ? page.data[page.data.length - 1].id : null;
+  } while (after);
+
+  const tracker = createCitationTracker(openai);
+  const files = new Map();
+  const entries = [];
+
+  for (const message of messages) {
+    const attachments = [];
+    for (const { file_id: fileId } of message.attachments || []) {
+      if (!files.has(fileId)) {
+        files.set(fileId, { fileId, fileName: await getFileName(openai, fileId) });
+      }
+      attachments.push(files.get(fileId));
+    }
+
+    const parts = [];
+    const markers = new Set();
+    for (const part of message.content) {
+      if (part.type !== "text") {
+        continue;
+      }
+      const annotations = part.text.annotations || [];
+      annotations.forEach(annotation => markers.add(annotation.text));
+      parts.push((await tracker.process(part.text.value, annotations)).value);
+    }
+
+    entries.push({
+      id: message.id,
+      role: message.role,
+      createdAt: new Date(message.created_at * 1000).toISOString(),
+      content: message.role === "assistant" ? maskOutput(parts.join("\n\n")) : parts.join("\n\n"),
+      citations: tracker.citations.filter(citation => markers.has(citation.marker)),
+      attachments
+    });
+  }
+
+  return {
+    threadId,
+    title: record.title || "Conversation",
+    createdAt: record.createdAt || null,
+    exportedAt: new Date().toISOString(),
+    messages: entries,
+    citations: tracker.citations,
+    files: [...files.values()]
+  };
+}
+
+function speaker(message) {
+  return message.role === "user" ? "Question" : "Answer";
+}
+
+function fileLabel({ fileId, fileName }) {
+  return fileName ? `${fileName} (${fileId})` : fileId;
+}
+
+function citationLabel(citation) {
+  return citation.fileName || citation.fileId || "Unknown source";
+}
+
+function attachedLine(message) {
+  return message.attachments.length > 0
+    ? `Attached: ${message.attachments.map(file => file.fileName || file.fileId).join(", ")}`
+    : null;
+}
+
+function sourcesLine(message) {
+  return message.citations.length > 0
+    ? `Sources: ${message.citations.map(citation => `${citation.label} ${citationLabel(citation)}`).join(", ")}`
+    : null;
+}
+
+function renderMarkdown(conversation) {
+  const lines = [
+    `# ${conversation.title}`,
+    "",
+    `Thread \`${conversation.threadId}\`, exported ${conversation.exportedAt}`,
+    ""
+  ];
+
+  if (conversation.files.length > 0) {
+    lines.push("## Attached files", "", ...conversation.files.map(file => `- ${fileLabel(file)}`), "");
+  }
+
+  lines.push("## Conversation", "");
+  for (const message of conversation.messages) {
+    lines.push(`### ${speaker(message)} · ${message.createdAt}`, "", message.content, "");
+    for (const line of [attachedLine(message), sourcesLine(message)].filter(Boolean)) {
+      lines.push(`_${line}_`, "");
+    }
+  }
+
+  if (conversation.citations.length > 0) {
+    lines.push("## Citations", "");
+    for (const citation of conversation.citations) {
+      lines.push(`${citation.index}. ${citationLabel(citation)}${citation.quote ? ` — "${citation.quote}"` : ""}`);
+    }
+    lines.push("");
+  }
+
+  return lines.join("\n");
+}
+
+// The conversation as an HTML fragment, without styles, e.g. for an email body
+function renderHtmlBody(conversation) {
+  const html = [
+    `<h1>${escapeHtml(conversation.title)}</h1>`,
+    `<p class="meta">Thread <code>${escapeHtml(conversation.threadId)}</code>, exported ${escapeHtml(conversation.exportedAt)}</p>`
+  ];
+
+  if (conversation.files.length > 0) {
+    html.push("<h2>Attached files</h2>", `<ul>${conversation.files.map(file => `<li>${escapeHtml(fileLabel(file))}</li>`).join("")}</ul>`);
+  }
+
+  html.push("<h2>Conversation</h2>");
+  for (const message of conversation.messages) {
+    html.push(
+      `<div class="message message--${message.role === "user" ? "user" : "assistant"}">`,
+      `<h3>${speaker(message)} <time datetime="${message.createdAt}">${message.createdAt}</time></h3>`,
+      `<p style="white-space:pre-wrap">${escapeHtml(message.content)}</p>`,
+      ...[attachedLine(message), sourcesLine(message)].filter(Boolean).map(line => `<p class="meta">${escapeHtml(line)}</p>`),
+      "</div>"
+    );
+  }
+
+  if (conversation.citations.length > 0) {
+    html.push("<h2>Citations</h2>", "<ol>");
+    for (const citation of conversation.citations) {
+      html.push(`<li>${escapeHtml(citationLabel(citation))}${citation.quote ? ` — <q>${escapeHtml(citation.quote)}</q>` : ""}</li>`);
+    }
+    html.push("</ol>");
+  }
+
+  return html.join("\n");
+}
+
+function renderHtml(conversation) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(conversation.title)}</title>
+<style>
+body { max-width: 800px; margin: 2rem auto; padding: 0 1rem; font-family: "Segoe UI", Arial, sans-serif; color: #1f1f1f; line-height: 1.5; }
+.meta { color: #6b6b6b; font-size: 0.875rem; }
+.message { margin: 1rem 0; padding: 0.75rem 1rem; border-radius: 8px; background: #f5f5f5; }
+.message--user { background: #e8f0fe; }
+.message h3 { margin: 0 0 0.5rem; font-size: 1rem; }
+.message time { color: #6b6b6b; font-weight: normal; font-size: 0.875rem; }
+</style>
+</head>
+<body>
+${renderHtmlBody(conversation)}
+</body>
+</html>
+`;
+}
+
+// The standard PDF fonts only cover Windows-1252; other characters become "?"
+const WIN_ANSI_EXTRA = "€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ";
+
+function toWinAnsi(text) {
+  return String(text).replace(/[^\n\t\x20-\x7e\xa0-\xff]/g, character => WIN_ANSI_EXTRA.includes(character) ? character : "?");
+}
+
+function renderPdf(conversation) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ margin: 50, info: { Title: toWinAnsi(conversation.title) } });
+    const chunks = [];
+    doc.on("data", chunk => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const heading = (text, size) => doc.moveDown(0.5).font("Helvetica-Bold").fontSize(size).fillColor("#1f1f1f").text(toWinAnsi(text));
+    const meta = text => doc.font("Helvetica").fontSize(9).fillColor("#6b6b6b").text(toWinAnsi(text));
+    const body = text => doc.font("Helvetica").fontSize(11).fillColor("#1f1f1f").text(toWinAnsi(text));
+
+    heading(conversation.title, 18);
+    meta(`Thread ${conversation.threadId}, exported ${conversation.exportedAt}`);
+
+    if (conversation.files.length > 0) {
+      heading("Attached files", 14);
+      conversation.files.forEach(file => body(`• ${fileLabel(file)}`));
+    }
+
+    heading("Conversation", 14);
+    for (const message of conversation.messages) {
+      heading(speaker(message), 12);
+      meta(message.createdAt);
+      body(message.content);
+      [attachedLine(message), sourcesLine(message)].filter(Boolean).forEach(meta);
+    }
+
+    if (conversation.citations.length > 0) {
+      heading("Citations", 14);
+      for (const citation of conversation.citations) {
+        body(`${citation.index}. ${citationLabel(citation)}${citation.quote ? ` — "${citation.quote}"` : ""}`);
+      }
+    }
+
+    doc.end();
+  });
+}
+
+const RENDERERS = {
+  markdown: renderMarkdown,
+  html: renderHtml,
+  pdf: renderPdf
+};
+
+// Renders the conversation in the given format as `{ content, contentType, fileName }`
+async function renderConversation(conversation, format) {
+  const { extension, contentType } = FORMATS[format];
+  const slug = conversation.title.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 60) || "conversation";
+  return {
+    content: await RENDERERS[format](conversation),
+    contentType,
+    fileName: `${slug}.${extension}`
+  };
+}
+
+module.exports = {
+  FORMATS,
+  loadConversation,
+  renderMarkdown,
+  renderHtmlBody,
+  renderHtml,
+  renderPdf,
+  renderConversation
+};
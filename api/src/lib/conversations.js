@@ -0,0 +1,104 @@
+const crypto = require("node:crypto");
+const { getStore } = require("./store");
+const { isChatMode } = require("./openai");
+
+// Conversation history of chat mode, kept locally in the "conversations" store in place of
+// Assistants threads. Threads and their messages have the shape the Assistants API gives
+// them (text parts with annotations, attachments, `run_id`), so the endpoints and exports
+// read both the same way. Titles, tags and owners stay in lib/threads.js.
+
+class ConversationNotFoundError extends Error {
+  constructor(threadId) {
+    super(`No thread found with id '${threadId}'.`);
+    this.name = "ConversationNotFoundError";
+    this.code = "not_found";
+    this.status = 404;
+  }
+}
+
+function conversationStore() {
+  return getStore("conversations");
+}
+
+async function getConversation(threadId) {
+  const conversation = await conversationStore().get(threadId);
+  if (!conversation) {
+    throw new ConversationNotFoundError(threadId);
+  }
+  return conversation;
+}
+
+function toThread({ messages, ...thread }) {
+  return { ...thread };
+}
+
+function toContent(content) {
+  return typeof content === "string" ? [{ type: "text", text: { value: content, annotations: [] } }] : content;
+}
+
+// The subset of the threads API of the Azure OpenAI client the endpoints use. Missing
+// threads reject with a ConversationNotFoundError, which has status 404 as the client's
+// errors do.
+const localThreads = {
+  async create({ metadata = {} } = {}) {
+    const id = `thread_${crypto.randomUUID().replace(/-/g, "")}`;
+    const conversation = await conversationStore().put(id, {
+      id,
+      object: "thread",
+      created_at: Math.floor(Date.now() / 1000),
+      metadata,
+      messages: []
+    });
+    return toThread(conversation);
+  },
+
+  async retrieve(threadId) {
+    return toThread(await getConversation(threadId));
+  },
+
+  async del(threadId) {
+    if (!await conversationStore().remove(threadId)) {
+      throw new ConversationNotFoundError(threadId);
+    }
+    return { id: threadId, object: "thread.deleted", deleted: true };
+  },
+
+  messages: {
+    // `content` is a string or text parts; `runId` marks the answers
+    async create(threadId, { role, content, attachments = [] }, runId = null) {
+      const conversation = await getConversation(threadId);
+      const message = {
+        id: `msg_${crypto.randomUUID().replace(/-/g, "")}`,
+        object: "thread.message",
+        thread_id: threadId,
+        role,
+        created_at: Math.floor(Date.now() / 1000),
+        content: toContent(content),
+        attachments: attachments.map(({ file_id }) => ({ file_id })),
+        run_id: runId
+      };
+      await conversationStore().update(threadId, { messages: [...conversation.messages, message] });
+      return message;
+    },
+
+    // A page of messages, like the client's: `{ data, body: { has_more } }`
+    async list(threadId, { limit = 20, order = "desc", after } = {}) {
+      const { messages } = await getConversation(threadId);
+      const ordered = order === "asc" ? messages : [...messages].reverse();
+      const start = after ? ordered.findIndex(message => message.id === after) + 1 : 0;
+      const data = ordered.slice(start, start + limit);
+      return { data, body: { has_more: start + limit < ordered.length } };
+    }
+  }
+};
+
+// The threads API of the mode the API runs in: Azure OpenAI's, or the local store's in chat mode
+function threadApi(openai) {
+  return isChatMode() ? localThreads : openai.beta.threads;
+}
+
+module.exports = {
+  ConversationNotFoundError,
+  localThreads,
+  threadApi
+};
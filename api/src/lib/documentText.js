@@ -0,0 +1,248 @@
+const path = require("node:path");
+const zlib = require("node:zlib");
+
+// Plain text of uploaded documents, for the checks that read them before Azure OpenAI does
+// and for the local document store of chat mode (see documents.js).
+//
+// Text formats are decoded as UTF-8 (HTML without its tags). Office Open XML documents
+// (.docx, .pptx, .xlsx) are ZIP archives whose XML parts hold the text. From PDF files, the
+// strings shown by the text operators of the page content streams are read, which covers
+// documents written by office suites and PDF libraries, but not scanned pages or fonts with
+// custom encodings. Other formats (.doc) have no text here: `extractText` resolves with null.
+
+const TEXT_EXTENSIONS = [".txt", ".md", ".json", ".tex", ".csv"];
+
+// Upper bound on what the compressed parts of one document may inflate to, so a small
+// archive crafted to expand enormously cannot fill the worker's memory. A document past it
+// has no text here.
+const MAX_INFLATED_BYTES = 64 * 1024 * 1024;
+
+// The XML parts of each Office format that hold its text, in document order
+const OFFICE_PARTS = {
+  ".docx": name => name === "word/document.xml" || /^word\/(header|footer|footnotes|endnotes)\d*\.xml$/.test(name),
+  ".pptx": name => /^ppt\/(slides\/slide|notesSlides\/notesSlide)\d+\.xml$/.test(name),
+  ".xlsx": name => name === "xl/sharedStrings.xml" || /^xl\/worksheets\/sheet\d+\.xml$/.test(name)
+};
+
+const XML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: " " };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (entity, name) => {
+    if (name[0] === "#") {
+      const code = name[1].toLowerCase() === "x" ? parseInt(name.slice(2), 16) : Number(name.slice(1));
+      return Number.isFinite(code) && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+    }
+    return XML_ENTITIES[name.toLowerCase()] ?? entity;
+  });
+}
+
+function normalizeText(text) {
+  return text
+    .replace(/[ \t\f\v]+/g, " ")
+    .replace(/ *\n */g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+function htmlText(html) {
+  return decodeEntities(html
+    .replace(/<(script|style)\b[\s\S]*?<\/\1>/gi, " ")
+    .replace(/<\/(p|div|li|tr|h[1-6])>|<br\s*\/?>/gi, "\n")
+    .replace(/<[^>]*>/g, " "));
+}
+
+// Paragraphs, rows and slide text boxes end lines, table cells and tabs are spaced
+function xmlText(xml) {
+  return decodeEntities(xml
+    .replace(/<\/(w:p|a:p|row)>/g, "\n")
+    .replace(/<(w:tab|w:br)\b[^>]*\/>|<\/(w:tc|c)>/g, " ")
+    .replace(/<[^>]*>/g, ""));
+}
+
+// The entries of a ZIP archive whose name `accept`s, as `{ name, content }`, read from its
+// central directory. Only stored and deflated entries can be read, as in every Office
+// document; other entries are never inflated.
+function readZip(buffer, accept) {
+  const endOffset = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  if (endOffset < 0) {
+    return [];
+  }
+  const count = buffer.readUInt16LE(endOffset + 10);
+  let offset = buffer.readUInt32LE(endOffset + 16);
+  const entries = [];
+  let budget = MAX_INFLATED_BYTES;
+  for (let index = 0; index < count && buffer.readUInt32LE(offset) === 0x02014b50; index++) {
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString("utf8", offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+    if (!accept(name)) {
+      continue;
+    }
+
+    const dataOffset = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataOffset, dataOffset + compressedSize);
+    if (method === 0) {
+      entries.push({ name, content: data });
+    } else if (method === 8) {
+      const content = zlib.inflateRawSync(data, { maxOutputLength: Math.max(budget, 1) });
+      budget -= content.length;
+      entries.push({ name, content });
+    }
+  }
+  return entries;
+}
+
+function officeText(content, isPart) {
+  return readZip(content, isPart)
+    .sort((a, b) => a.name.localeCompare(b.name, "en", { numeric: true }))
+    .map(({ content: xml }) => xmlText(xml.toString("utf8")))
+    .join("\n");
+}
+
+const PDF_ESCAPES = { n: "\n", r: "\r", t: "\t", b: "\b", f: "\f" };
+
+// A literal PDF string from just after its "(" to its matching ")", with its escapes
+function readPdfString(source, start) {
+  let text = "";
+  let depth = 1;
+  let index = start;
+  while (index < source.length) {
+    const char = source[index++];
+    if (char === "\\") {
+      const next = source[index++];
+      const octal = /^[0-7]{1,3}/.exec(source.slice(index - 1, index + 2));
+      if (octal) {
+        text += String.fromCharCode(parseInt(octal[0], 8));
+        index += octal[0].length - 1;
+      } else if (next === "\r" || next === "\n") {
+        index += next === "\r" && source[index] === "\n" ? 1 : 0;
+      } else {
+        text += PDF_ESCAPES[next] ?? next;
+      }
+    } else if (char === "(") {
+      depth++;
+      text += char;
+    } else if (char === ")") {
+      if (--depth === 0) {
+        break;
+      }
+      text += char;
+    } else {
+      text += char;
+    }
+  }
+  return { text, end: index };
+}
+
+function hexString(hex) {
+  const digits = hex.replace(/\s+/g, "");
+  return Buffer.from(digits.length % 2 ? `${digits}0` : digits, "hex").toString("latin1");
+}
+
+// The text shown by one content stream: the strings of Tj, TJ, ' and " operators. Wide gaps
+// in TJ arrays become spaces, and line moves new lines.
+function contentStreamText(source) {
+  const tokens = /\(|<(?!<)([\da-fA-F\s]*)>|(-?\d*\.?\d+)|(?<!\w)(T\*|Td|TD|Tj|TJ|ET)(?![\w*])|(['"])|\[|\]/g;
+  let text = "";
+  let strings = [];
+  let inArray = false;
+  let match;
+  while ((match = tokens.exec(source))) {
+    const [token, hex, number, operator, quote] = match;
+    if (token === "(") {
+      const { text: value, end } = readPdfString(source, tokens.lastIndex);
+      strings.push(value);
+      tokens.lastIndex = end;
+    } else if (hex !== undefined) {
+      strings.push(hexString(hex));
+    } else if (number !== undefined) {
+      if (inArray && Number(number) < -200) {
+        strings.push(" ");
+      }
+    } else if (token === "[") {
+      inArray = true;
+    } else if (token === "]") {
+      inArray = false;
+    } else if (operator === "Tj" || operator === "TJ") {
+      text += strings.join("");
+      strings = [];
+    } else if (quote || operator) {
+      text += `\n${quote ? strings.join("") : ""}`;
+      strings = [];
+    }
+  }
+  return text;
+}
+
+function pdfText(content) {
+  const source = content.toString("latin1");
+  const streams = /<<((?:(?!>>)[\s\S])*)>>\s*stream\r?\n/g;
+  const pages = [];
+  let budget = MAX_INFLATED_BYTES;
+  let match;
+  while ((match = streams.exec(source))) {
+    const start = streams.lastIndex;
+    const end = source.indexOf("endstream", start);
+    if (end < 0) {
+      break;
+    }
+    const dictionary = match[1];
+    streams.lastIndex = end;
+    // Images, fonts and the like are not page content
+    if (/\/(Subtype|Type)\s*\/(Image|XObject|XRef|ObjStm|FontFile|Metadata)\b|\/Length1\b/.test(dictionary)) {
+      continue;
+    }
+    let data = content.subarray(start, end);
+    if (/\/FlateDecode\b/.test(dictionary)) {
+      try {
+        data = zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH, maxOutputLength: Math.max(budget, 1) });
+      } catch (error) {
+        if (error.code === "ERR_BUFFER_TOO_LARGE") {
+          throw error;
+        }
+        continue;
+      }
+      budget -= data.length;
+    } else if (/\/Filter\b/.test(dictionary)) {
+      continue;
+    }
+    const text = contentStreamText(data.toString("latin1"));
+    if (text.trim()) {
+      pages.push(text);
+    }
+  }
+  return pages.join("\n");
+}
+
+// Resolves with the text of the document, or null when its format cannot be read here
+async function extractText(fileName, content) {
+  const extension = path.extname(fileName || "").toLowerCase();
+  let text = null;
+  try {
+    if (TEXT_EXTENSIONS.includes(extension)) {
+      text = content.toString("utf8");
+    } else if (extension === ".html") {
+      text = htmlText(content.toString("utf8"));
+    } else if (OFFICE_PARTS[extension]) {
+      text = officeText(content, OFFICE_PARTS[extension]);
+    } else if (extension === ".pdf") {
+      text = pdfText(content);
+    }
+  } catch {
+    // A damaged document has no text to offer
+    return null;
+  }
+  return text === null ? null : normalizeText(text);
+}
+
+function canExtractText(fileName) {
+  const extension = path.extname(fileName || "").toLowerCase();
+  return TEXT_EXTENSIONS.includes(extension) || extension === ".html" || Boolean(OFFICE_PARTS[extension]) || extension === ".pdf";
+}
+
+module.exports = { extractText, canExtractText };
@@ -0,0 +1,208 @@
+const crypto = require("node:crypto");
+const fs = require("node:fs/promises");
+const path = require("node:path");
+const { getStore, getDataDir } = require("./store");
+const { extractText } = require("./documentText");
+const { isChatMode } = require("./openai");
+const searchIndexes = require("../indexes");
+const { createLogger } = require("./logger");
+
+// Local document store of chat mode, in place of Azure OpenAI files and vector stores.
+//
+// Uploaded files are kept under DATA_DIR/documents, described in the "documents" store the
+// way Azure OpenAI describes files (`{ id, filename, bytes, created_at, ... }`), so the
+// endpoints list and delete them the same way; who owns them and their metadata stay in
+// lib/files.js. Once uploaded, a document's text is extracted (see documentText.js), cut into
+// overlapping chunks and added to the search index (see src/indexes). Its indexing state is
+// reported as by the vector stores: completed, or failed with `lastError`.
+//
+// Settings:
+//   DOCUMENT_CHUNK_SIZE      characters per chunk (default 1000)
+//   DOCUMENT_CHUNK_OVERLAP   characters a chunk repeats from the previous one (default 200)
+//   SEARCH_INDEX             keyword (default), embeddings or another registered index
+//   SEARCH_TOP_K             passages found per question (default 5)
+
+const {
+  DOCUMENT_CHUNK_SIZE = "1000",
+  DOCUMENT_CHUNK_OVERLAP = "200",
+  SEARCH_INDEX = "keyword",
+  SEARCH_TOP_K = "5"
+} = process.env;
+
+const chunkSize = Math.max(Number(DOCUMENT_CHUNK_SIZE), 100);
+
+const DOCUMENTS = Object.freeze({
+  chunkSize,
+  chunkOverlap: Math.min(Number(DOCUMENT_CHUNK_OVERLAP), Math.floor(chunkSize / 2)),
+  searchIndex: SEARCH_INDEX,
+  topK: Math.max(Number(SEARCH_TOP_K), 1)
+});
+
+// Where a chunk may end, best first
+const SEPARATORS = ["\n\n", "\n", ". ", " "];
+
+const NOT_INDEXED = Object.freeze({ status: "not_indexed", lastError: null });
+
+const logger = createLogger({ module: "documents" });
+
+class DocumentNotFoundError extends Error {
+  constructor(fileId) {
+    super(`No file found with id '${fileId}'.`);
+    this.name = "DocumentNotFoundError";
+    this.code = "not_found";
+    this.status = 404;
+  }
+}
+
+function documentStore() {
+  return getStore("documents");
+}
+
+function contentPath(fileId) {
+  return path.join(getDataDir(), "documents", fileId);
+}
+
+function searchIndex() {
+  return searchIndexes.getIndex(DOCUMENTS.searchIndex);
+}
+
+function toFile({ indexing, chunks, ...file }) {
+  return { ...file };
+}
+
+// Cuts `text` into chunks of at most `size` characters, ending at a paragraph, a line, a
+// sentence or a word where one is found in their second half. Each chunk starts with the
+// words of the last `overlap` characters of the one before, so passages are found whole.
+function chunkText(text, { size = DOCUMENTS.chunkSize, overlap = DOCUMENTS.chunkOverlap } = {}) {
+  const chunks = [];
+  let start = 0;
+  while (start < text.length) {
+    let end = Math.min(start + size, text.length);
+    if (end < text.length) {
+      const window = text.slice(start + Math.floor(size / 2), end);
+      const separator = SEPARATORS.find(candidate => window.includes(candidate));
+      if (separator) {
+        end = start + Math.floor(size / 2) + window.lastIndexOf(separator) + separator.length;
+      }
+    }
+    const chunk = text.slice(start, end).trim();
+    if (chunk) {
+      chunks.push({ index: chunks.length, text: chunk });
+    }
+    if (end >= text.length) {
+      break;
+    }
+    const overlapStart = text.slice(end - overlap, end).search(/\s\S/);
+    start = overlap > 0 && overlapStart >= 0 ? end - overlap + overlapStart + 1 : end;
+  }
+  return chunks;
+}
+
+// The subset of the files API of the Azure OpenAI client the endpoints use, over the local
+// store. Missing files reject with a DocumentNotFoundError, which has status 404 as the
+// client's errors do.
+const localFiles = {
+  async create({ file, purpose = "assistants" }) {
+    const content = Buffer.from(await file.arrayBuffer());
+    const id = `file-${crypto.randomUUID()}`;
+    await fs.mkdir(path.dirname(contentPath(id)), { recursive: true });
+    await fs.writeFile(contentPath(id), content);
+    const document = await documentStore().put(id, {
+      id,
+      object: "file",
+      filename: file.name,
+      bytes: content.length,
+      purpose,
+      created_at: Math.floor(Date.now() / 1000),
+      status: "processed",
+      indexing: NOT_INDEXED,
+      chunks: 0
+    });
+    return toFile(document);
+  },
+
+  async retrieve(fileId) {
+    const document = await documentStore().get(fileId);
+    if (!document) {
+      throw new DocumentNotFoundError(fileId);
+    }
+    return toFile(document);
+  },
+
+  async *list({ purpose } = {}) {
+    for (const document of await documentStore().list(document => !purpose || document.purpose === purpose)) {
+      yield toFile(document);
+    }
+  },
+
+  async del(fileId) {
+    if (!await documentStore().get(fileId)) {
+      throw new DocumentNotFoundError(fileId);
+    }
+    await searchIndex().remove(fileId);
+    await fs.rm(contentPath(fileId), { force: true });
+    await documentStore().remove(fileId);
+    return { id: fileId, object: "file", deleted: true };
+  }
+};
+
+// The files API of the mode the API runs in: Azure OpenAI's, or the local store's in chat mode
+function fileApi(openai) {
+  return isChatMode() ? localFiles : openai.files;
+}
+
+// Extracts, chunks and indexes an uploaded document. Resolves with its indexing state; a
+// document without text, or that the index refuses, fails to index but stays uploaded.
+async function indexDocument(openai, fileId) {
+  const document = await documentStore().get(fileId);
+  if (!document) {
+    throw new DocumentNotFoundError(fileId);
+  }
+
+  let indexing;
+  let chunks = [];
+  try {
+    const text = await extractText(document.filename, await fs.readFile(contentPath(fileId)));
+    chunks = text ? chunkText(text) : [];
+    if (chunks.length === 0) {
+      indexing = { status: "failed", lastError: { code: "no_text", message: "No text could be read from the document" } };
+    } else {
+      await searchIndex().add(fileId, chunks, { openai });
+      indexing = { status: "completed", lastError: null };
+    }
+  } catch (error) {
+    logger.error("Indexing the document failed", { fileId, index: DOCUMENTS.searchIndex, error });
+    indexing = { status: "failed", lastError: { code: "indexing_failed", message: error.message } };
+  }
+
+  logger.info("Document indexed", { fileId, index: DOCUMENTS.searchIndex, status: indexing.status, chunks: chunks.length });
+  await documentStore().update(fileId, { indexing, chunks: indexing.status === "completed" ? chunks.length : 0 });
+  return indexing;
+}
+
+async function getIndexingState(fileId) {
+  return (await documentStore().get(fileId))?.indexing || NOT_INDEXED;
+}
+
+// The passages of the documents `fileIds` that best match `query`, best first, each with its
+// `fileId`, `fileName`, chunk `index`, `text` and `score`
+async function searchDocuments(openai, query, { fileIds, limit = DOCUMENTS.topK }) {
+  const documents = await documentStore().list(document => fileIds.includes(document.id) && document.indexing.status === "completed");
+  if (documents.length === 0) {
+    return [];
+  }
+  const fileNames = new Map(documents.map(document => [document.id, document.filename]));
+  const passages = await searchIndex().search(query, { documentIds: [...fileNames.keys()], limit }, { openai });
+  return passages.map(({ documentId, index, text, score }) => ({ fileId: documentId, fileName: fileNames.get(documentId), index, text, score }));
+}
+
+module.exports = {
+  DOCUMENTS,
+  DocumentNotFoundError,
+  chunkText,
+  localFiles,
+  fileApi,
+  indexDocument,
+  getIndexingState,
+  searchDocuments
+};
@@ -0,0 +1,102 @@
+// Streaming protocol for /api/assistant.
+//
+// The run is described as a sequence of typed events `{ type, data }`:
+//   thread     { threadId }                       thread the run belongs to (first, unless the
+//                                                 guardrails block the message)
+//   status     { status, runId }                  run lifecycle: created, queued, in_progress, requires_action, ...
+//   text       { value, messageId }               text delta of the assistant answer
+//   tool_call  { id, name, status, arguments?, output? }
+//   citation   { index, marker, fileId, fileName, quote }
+//   code       { toolCallId, value }              code written by code_interpreter, as deltas
+//   log        { toolCallId, value }              what that code printed
+//   image      { fileId, fileName, contentType, messageId, url }
+//                                                 image created by code_interpreter, served at `url`
+//   file       { fileId, fileName, contentType, messageId, url, path }
+//                                                 other file created by code_interpreter; `path` is
+//                                                 the sandbox link replaced by `url` in the text
+//   guardrail  { stage, check, action, reason, findings?, fileId?, fileName? }
+//                                                 a decision of the guardrails: personal data
+//                                                 masked, a flagged attachment, a block (followed
+//                                                 by an error with code "guardrail_blocked")
+//   usage      { promptTokens, completionTokens, totalTokens }
+//   error      { message, code, retryAfter? }     retryAfter (seconds) when Azure OpenAI is busy or unavailable
+//   done       { threadId, runId, status }        always last; status "blocked" when the guardrails
+//                                                 stopped the message or the answer
+//
+// In chat mode (BACKEND_MODE=chat) the events are the same; `runId` is the ID of the first
+// chat completion of the answer.
+//
+// By default the events are sent as Server-Sent Events. Clients that still expect the
+// legacy plain text stream ("@status" lines mixed with text) can ask for it with
+// `Accept: text/plain` or `?format=text`.
+
+const EVENT_TYPES = ["thread", "status", "text", "tool_call", "citation", "code", "log", "image", "file", "guardrail", "usage", "error", "done"];
+
+const FORMATS = {
+  sse: "text/event-stream",
+  text: "text/plain"
+};
+
+function createEvent(type, data = {}) {
+  if (!EVENT_TYPES.includes(type)) {
+    throw new Error(`Unknown stream event type "${type}"`);
+  }
+  return { type, data };
+}
+
+function negotiateFormat(request) {
+  const format = new URL(request.url).searchParams.get("format");
+  if (format && FORMATS[format]) {
+    return format;
+  }
+
+  const accept = request.headers.get("accept") || "";
+  if (accept.includes(FORMATS.text) && !accept.includes(FORMATS.sse)) {
+    return "text";
+  }
+  return "sse";
+}
+
+function encodeSSE(event, id) {
+  // JSON.stringify never emits raw newlines, so every payload fits on one `data:` line
+  return `id: ${id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`;
+}
+
+// Legacy encoding: control messages are prefixed with "@", text is sent as is
+function encodeText(event) {
+  const { type, data } = event;
+  switch (type) {
+    case "thread":
+      return `@thread:${data.threadId}`;
+    case "status":
+      return `@${data.status}`;
+    case "text":
+      return data.value;
+    case "error":
+      return `Error: ${data.message}`;
+    default:
+      return null;
+  }
+}
+
+async function* encodeEvents(events, format) {
+  let id = 0;
+  for await (const event of events) {
+    if (format === "text") {
+      const value = encodeText(event);
+      if (value) {
+        yield value;
+      }
+    } else {
+      yield encodeSSE(event, ++id);
+    }
+  }
+}
+
+module.exports = {
+  EVENT_TYPES,
+  FORMATS,
+  createEvent,
+  negotiateFormat,
+  encodeEvents
+};
@@ -0,0 +1,97 @@
+const { getStore } = require("./store");
+
+// Local records of uploaded files. Azure OpenAI keeps the files themselves, but has no
+// notion of who uploaded them, so the owner is recorded here at upload time, along with
+// the SHA-256 of the content to detect re-uploads of the same document and the collection
+// the file belongs to. Users can describe files with metadata: tags, a description and the
+// contract type. Files the upload guardrails flagged keep the flags (see lib/guardrails.js).
+
+const MAX_TAGS = 20;
+const TAG_LENGTH = 40;
+const DESCRIPTION_LENGTH = 1000;
+const CONTRACT_TYPE_LENGTH = 64;
+
+function fileStore() {
+  return getStore("files");
+}
+
+function validateMetadata({ tags, description, contractType }) {
+  if (tags !== undefined && (!Array.isArray(tags) || tags.length > MAX_TAGS
+    || tags.some(tag => typeof tag !== "string" || !tag.trim() || tag.length > TAG_LENGTH))) {
+    return `tags must be an array of at most ${MAX_TAGS} non-empty strings of up to ${TAG_LENGTH} characters`;
+  }
+  if (description !== undefined && (typeof description !== "string" || description.length > DESCRIPTION_LENGTH)) {
+    return `description must be a string of at most ${DESCRIPTION_LENGTH} characters`;
+  }
+  if (contractType !== undefined && contractType !== null
+    && (typeof contractType !== "string" || contractType.length > CONTRACT_TYPE_LENGTH)) {
+    return `contractType must be a string of at most ${CONTRACT_TYPE_LENGTH} characters`;
+  }
+  return null;
+}
+
+// Only the metadata fields present in `changes`, normalized
+function pickMetadata({ tags, description, contractType }) {
+  return {
+    ...(tags !== undefined && { tags: [...new Set(tags.map(tag => tag.trim()))] }),
+    ...(description !== undefined && { description }),
+    ...(contractType !== undefined && { contractType: contractType?.trim() || null })
+  };
+}
+
+function getMetadata(record) {
+  return {
+    tags: record?.tags || [],
+    description: record?.description || "",
+    contractType: record?.contractType || null
+  };
+}
+
+function recordFile(file, { ownerId, sha256 = null, collectionId = null, metadata = {}, guardrailFlags = [] }) {
+  return fileStore().put(file.id, {
+    ...getMetadata(pickMetadata(metadata)),
+    id: file.id,
+    fileName: file.filename,
+    fileSize: file.bytes,
+    ownerId,
+    sha256,
+    collectionId,
+    ...(guardrailFlags.length > 0 && {
+      guardrailFlags: guardrailFlags.map(({ check, findings, reason }) => ({ check, findings, reason }))
+    }),
+    uploadedAt: new Date((file.created_at || Date.now() / 1000) * 1000).toISOString()
+  });
+}
+
+function getFileRecord(fileId) {
+  return fileStore().get(fileId);
+}
+
+async function findFileByHash(sha256, ownerId) {
+  const [record] = await fileStore().list(file => file.sha256 === sha256 && file.ownerId === ownerId);
+  return record || null;
+}
+
+function listFileRecords(filter) {
+  return fileStore().list(filter);
+}
+
+function updateFileRecord(fileId, changes) {
+  return fileStore().update(fileId, changes);
+}
+
+function removeFileRecord(fileId) {
+  return fileStore().remove(fileId);
+}
+
+module.exports = {
+  validateMetadata,
+  pickMetadata,
+  getMetadata,
+  recordFile,
+  getFileRecord,
+  findFileByHash,
+  listFileRecords,
+  updateFileRecord,
+  removeFileRecord
+};
@@ -0,0 +1,351 @@
+const crypto = require("node:crypto");
+const { getStore } = require("./store");
+const { PII_TYPES, detectPii, maskPii, summarizeFindings, describeFindings } = require("./pii");
+const { DEFAULT_THRESHOLD, detectInjection } = require("./injection");
+const { extractText } = require("./documentText");
+const policies = require("../policies");
+const { createLogger } = require("./logger");
+
+// Guardrails on what goes to the model and what comes back.
+//
+// Checks run at these stages:
+//   input       a user message, before it is added to the thread
+//   output      the answer, in segments as it streams
+//   upload      the text of an uploaded document, before it reaches Azure OpenAI
+//   attachment  a document flagged at upload, when it is attached to a message
+// Personal data (see pii.js) is looked for in messages and answers, prompt injection (see
+// injection.js) in uploads, and the policies of src/policies at the stages they name.
+//
+// Each check that finds something makes a decision `{ stage, check, action, reason, findings? }`
+// with one of these actions:
+//   mask   the personal data is replaced with placeholders such as "[EMAIL]"
+//   block  the message is refused, the answer stopped or the upload rejected
+//   flag   it goes through, reported
+// Decisions are sent to the client as `guardrail` events (uploads list them in their result)
+// and written to the audit log, with counts of what was found but never the data itself.
+//
+// Settings:
+//   GUARDRAIL_PII_INPUT, GUARDRAIL_PII_OUTPUT  off, mask (default) or block
+//   GUARDRAIL_PII_TYPES                        comma-separated types to look for (default all)
+//   GUARDRAIL_PII_TERMS                        comma-separated dictionary of the `term` type
+//   GUARDRAIL_INJECTION_ACTION                 off, flag (default) or block
+//   GUARDRAIL_INJECTION_THRESHOLD              score from which a document is suspicious (default 3)
+
+const PII_ACTIONS = ["off", "mask", "block"];
+const INJECTION_ACTIONS = ["off", "flag", "block"];
+
+const {
+  GUARDRAIL_PII_INPUT = "mask",
+  GUARDRAIL_PII_OUTPUT = "mask",
+  GUARDRAIL_PII_TYPES = PII_TYPES.join(","),
+  GUARDRAIL_PII_TERMS = "",
+  GUARDRAIL_INJECTION_ACTION = "flag",
+  GUARDRAIL_INJECTION_THRESHOLD = String(DEFAULT_THRESHOLD)
+} = process.env;
+
+function list(value) {
+  return value.split(",").map(item => item.trim()).filter(Boolean);
+}
+
+const GUARDRAILS = Object.freeze({
+  piiInput: PII_ACTIONS.includes(GUARDRAIL_PII_INPUT) ? GUARDRAIL_PII_INPUT : "mask",
+  piiOutput: PII_ACTIONS.includes(GUARDRAIL_PII_OUTPUT) ? GUARDRAIL_PII_OUTPUT : "mask",
+  piiTypes: list(GUARDRAIL_PII_TYPES).filter(type => PII_TYPES.includes(type)),
+  piiTerms: list(GUARDRAIL_PII_TERMS),
+  injectionAction: INJECTION_ACTIONS.includes(GUARDRAIL_INJECTION_ACTION) ? GUARDRAIL_INJECTION_ACTION : "flag",
+  injectionThreshold: Number(GUARDRAIL_INJECTION_THRESHOLD)
+});
+
+// Answers are checked in segments ending at a space. Where personal data may start among
+// the last characters, the text from there is held back until more arrives, so data split
+// across deltas is seen whole.
+const OUTPUT_HOLD_BACK = 64;
+
+const STAGE_SUBJECTS = { input: "The message", output: "The answer", upload: "The document" };
+
+const logger = createLogger({ module: "guardrails" });
+
+class GuardrailError extends Error {
+  constructor(message, decisions = []) {
+    super(message);
+    this.name = "GuardrailError";
+    this.code = "guardrail_blocked";
+    this.decisions = decisions;
+  }
+}
+
+function auditStore() {
+  return getStore("guardrails");
+}
+
+// What can be shown about the settings: the dictionary of terms can hold names, so only its
+// size is given
+function describeGuardrails() {
+  return {
+    ...GUARDRAILS,
+    piiTerms: GUARDRAILS.piiTerms.length,
+    policies: policies.listPolicies()
+  };
+}
+
+// Writes the decisions to the audit log and resolves with them
+async function recordDecisions(decisions, { ownerId, threadId = null }) {
+  for (const decision of decisions) {
+    const id = crypto.randomUUID();
+    await auditStore().put(id, {
+      id,
+      ...decision,
+      ownerId,
+      threadId,
+      createdAt: new Date().toISOString()
+    });
+    logger.info("Guardrail decision", {
+      stage: decision.stage,
+      check: decision.check,
+      action: decision.action,
+      findings: decision.findings,
+      threadId,
+      fileId: decision.fileId
+    });
+  }
+  return decisions;
+}
+
+// The audit log entries of `ownerId` (everyone's when not given), newest first, created
+// between the `from` and `to` dates (YYYY-MM-DD, both included)
+async function listDecisions({ ownerId, from, to } = {}) {
+  const entries = await auditStore().list(entry => {
+    const date = entry.createdAt.slice(0, 10);
+    return (ownerId === undefined || entry.ownerId === ownerId) && (!from || date >= from) && (!to || date <= to);
+  });
+  return entries.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function blockingDecision(decisions) {
+  return decisions.find(decision => decision.action === "block") || null;
+}
+
+// Policy decisions for `text`. A policy that fails is logged and skipped, so a broken hook
+// does not take the assistant down.
+async function policyDecisions(stage, text, context) {
+  const decisions = [];
+  for (const policy of policies.getPolicies(stage)) {
+    let result;
+    try {
+      result = await policy.check(text, { stage, ...context });
+    } catch (error) {
+      logger.error("Policy failed", { policy: policy.name, stage, error });
+      continue;
+    }
+    if (result && policies.ACTIONS.includes(result.action)) {
+      decisions.push({
+        stage,
+        check: policy.name,
+        action: result.action,
+        reason: result.reason || `${STAGE_SUBJECTS[stage]} does not meet the ${policy.name} policy`
+      });
+    }
+  }
+  return decisions;
+}
+
+function piiDecision(stage, action, summary) {
+  const found = describeFindings(summary);
+  return {
+    stage,
+    check: "pii",
+    action,
+    findings: summary,
+    reason: action === "mask"
+      ? `Personal data was masked: ${found}`
+      : `${STAGE_SUBJECTS[stage]} contains personal data: ${found}`
+  };
+}
+
+// Personal data and policy checks of a message or an answer segment. Resolves with the text
+// to use, masked when asked, and the decisions, not yet recorded. The policies check
+// `policyText` instead when given, such as the whole answer so far for a segment.
+async function checkText(stage, text, piiAction, context, policyText = text) {
+  const findings = piiAction === "off" ? [] : detectPii(text, { types: GUARDRAILS.piiTypes, terms: GUARDRAILS.piiTerms });
+  const decisions = findings.length > 0 ? [piiDecision(stage, piiAction, summarizeFindings(findings))] : [];
+  decisions.push(...await policyDecisions(stage, policyText, context));
+  return { text: piiAction === "mask" ? maskPii(text, findings) : text, decisions };
+}
+
+// Checks a user message before it goes to the thread. Resolves with `{ text, decisions, blocked }`:
+// the message to send, with personal data masked, the recorded decisions and the one refusing
+// it, or null.
+async function checkInput(message, { ownerId, threadId = null }) {
+  const { text, decisions } = await checkText("input", message, GUARDRAILS.piiInput, { ownerId, threadId });
+  await recordDecisions(decisions, { ownerId, threadId });
+  return { text, decisions, blocked: blockingDecision(decisions) };
+}
+
+// Checks the text of an uploaded document for prompt injection and against the upload
+// policies. Formats whose text cannot be read here pass. Resolves with
+// `{ decisions, blocked, flags }`, `flags` being the decisions to keep with the file.
+// The decisions are recorded with the file name, the file has no ID yet.
+async function checkUpload(fileName, content, { ownerId }) {
+  const text = await extractText(fileName, content);
+  if (!text) {
+    return { decisions: [], blocked: null, flags: [] };
+  }
+
+  const decisions = [];
+  if (GUARDRAILS.injectionAction !== "off") {
+    const { score, suspicious, findings } = detectInjection(text, { threshold: GUARDRAILS.injectionThreshold });
+    if (suspicious) {
+      decisions.push({
+        stage: "upload",
+        check: "prompt_injection",
+        action: GUARDRAILS.injectionAction,
+        score,
+        findings,
+        reason: "The document contains text that looks like instructions to the assistant"
+      });
+    }
+  }
+  decisions.push(...await policyDecisions("upload", text, { ownerId, fileName }));
+
+  await recordDecisions(decisions.map(decision => ({ ...decision, fileName })), { ownerId });
+  return {
+    decisions,
+    blocked: blockingDecision(decisions),
+    flags: decisions.filter(decision => decision.action === "flag")
+  };
+}
+
+// Reports the documents among `records` that were flagged at upload, when they are attached
+// to a message. Resolves with the recorded decisions.
+async function checkAttachments(records, { ownerId, threadId = null }) {
+  const decisions = records
+    .filter(record => record?.guardrailFlags?.length > 0)
+    .flatMap(record => record.guardrailFlags.map(({ check, findings, reason }) => ({
+      stage: "attachment",
+      check,
+      action: "flag",
+      ...(findings && { findings }),
+      fileId: record.id,
+      fileName: record.fileName,
+      reason
+    })));
+  return recordDecisions(decisions, { ownerId, threadId });
+}
+
+// `text` with the personal data the output guardrails look for masked, for answers shown
+// again from the thread
+function maskOutput(text) {
+  if (GUARDRAILS.piiOutput === "off") {
+    return text;
+  }
+  return maskPii(text, detectPii(text, { types: GUARDRAILS.piiTypes, terms: GUARDRAILS.piiTerms }));
+}
+
+// Where the end of `text` may be the beginning of a dictionary term, or -1
+function termStart(text) {
+  const lowerText = text.toLowerCase();
+  for (let index = 0; index < lowerText.length; index++) {
+    const rest = lowerText.slice(index);
+    if (GUARDRAILS.piiTerms.some(term => term.toLowerCase().startsWith(rest))) {
+      return index;
+    }
+  }
+  return -1;
+}
+
+function mergeFindings(counts, summary) {
+  for (const { type, count } of summary) {
+    counts.set(type, (counts.get(type) || 0) + count);
+  }
+}
+
+// Checks an answer as it streams. `push(value)` takes a text delta and `flush()` ends the
+// answer; both resolve with `{ text, decisions, blocked }` as `checkInput`, `text` being what
+// can be shown now.
+// Masking is reported once per answer, when it ends; blocks and policy flags right away.
+// Policies check the whole answer so far, so a term split across segments is still found.
+function createOutputGuard({ ownerId, threadId = null }) {
+  const context = { ownerId, threadId };
+  let buffer = "";
+  let answer = "";
+  let masked = new Map();
+  const flagged = new Set();
+
+  async function release(final) {
+    let cut = buffer.length;
+    if (!final) {
+      // The last word may go on in the next delta. Personal data starts with a digit, "+",
+      // "(" or a word with "@", so the text is also held back from the first of these among
+      // the last characters, or from where a dictionary term may be starting.
+      const windowStart = Math.max(0, buffer.length - OUTPUT_HOLD_BACK);
+      const risky = [buffer.slice(windowStart).search(/[\d@+(]/), termStart(buffer.slice(windowStart))]
+        .filter(index => index >= 0);
+      if (risky.length > 0) {
+        cut = windowStart + Math.min(...risky);
+      }
+      while (cut > 0 && !/\s/.test(buffer[cut - 1])) {
+        cut--;
+      }
+      // Never cut through personal data
+      for (const { start, end } of detectPii(buffer, { types: GUARDRAILS.piiTypes, terms: GUARDRAILS.piiTerms })) {
+        if (start < cut && end > cut) {
+          cut = start;
+        }
+      }
+    }
+    const segment = buffer.slice(0, cut);
+    buffer = buffer.slice(cut);
+    if (!segment) {
+      return { text: "", decisions: [] };
+    }
+
+    answer += segment;
+    const { text, decisions } = await checkText("output", segment, GUARDRAILS.piiOutput, context, answer);
+    const reported = [];
+    for (const decision of decisions) {
+      if (decision.check === "pii" && decision.action === "mask") {
+        mergeFindings(masked, decision.findings);
+      } else if (decision.action !== "flag" || !flagged.has(decision.check)) {
+        flagged.add(decision.check);
+        reported.push(decision);
+      }
+    }
+    await recordDecisions(reported, context);
+    return { text, decisions: reported };
+  }
+
+  function withBlocked(result) {
+    return { ...result, blocked: blockingDecision(result.decisions) };
+  }
+
+  return {
+    async push(value) {
+      buffer += value;
+      return withBlocked(await release(false));
+    },
+
+    async flush() {
+      const result = await release(true);
+      if (masked.size > 0) {
+        const summary = [...masked].map(([type, count]) => ({ type, count }));
+        masked = new Map();
+        result.decisions.push(...await recordDecisions([piiDecision("output", "mask", summary)], context));
+      }
+      return withBlocked(result);
+    }
+  };
+}
+
+module.exports = {
+  GUARDRAILS,
+  PII_ACTIONS,
+  INJECTION_ACTIONS,
+  GuardrailError,
+  describeGuardrails,
+  checkInput,
+  checkUpload,
+  checkAttachments,
+  createOutputGuard,
+  maskOutput,
+  listDecisions
+};
@@ -0,0 +1,178 @@
+const crypto = require("node:crypto");
+const { ANONYMOUS_USER, authenticate, AuthError } = require("./auth");
+const limits = require("./limits");
+const { createLogger, runWithContext } = require("./logger");
+const { describeServiceError } = require("./resilience");
+const { isChatMode } = require("./openai");
+
+// Shared plumbing for the HTTP functions: CORS, preflight requests, authentication, rate limits
+// and correlation IDs.
+//
+// Every request gets a correlation ID, taken from its X-Correlation-ID header when it is a
+// plausible one or generated otherwise. It is returned in the X-Correlation-ID response header
+// and added to every log line written while the request is served.
+//
+// CORS_ALLOWED_ORIGINS is a comma-separated allowlist of browser origins ("*" allows
+// any origin). It defaults to the local web app dev servers.
+
+const {
+  CORS_ALLOWED_ORIGINS = "http://localhost:4280,http://localhost:5173"
+} = process.env;
+
+const allowedOrigins = CORS_ALLOWED_ORIGINS.split(",").map(origin => origin.trim().replace(/\/+$/, "")).filter(Boolean);
+
+const DEFAULT_ALLOWED_HEADERS = ["Content-Type", "Authorization", "X-API-Key", "X-Correlation-ID"];
+const EXPOSED_HEADERS = ["X-Correlation-ID", "Retry-After"];
+const CORRELATION_ID = /^[\w.:-]{1,128}$/;
+
+const logger = createLogger({ module: "http" });
+
+function isOriginAllowed(origin) {
+  return allowedOrigins.includes("*") || allowedOrigins.includes(origin);
+}
+
+function getCorsHeaders(request, { methods, headers = [] }) {
+  const corsHeaders = {
+    "Access-Control-Allow-Methods": [...methods].join(", "),
+    "Access-Control-Allow-Headers": [...DEFAULT_ALLOWED_HEADERS, ...headers].join(", "),
+    "Access-Control-Expose-Headers": EXPOSED_HEADERS.join(", "),
+    "Access-Control-Max-Age": "86400",
+    "Vary": "Origin"
+  };
+
+  const origin = request.headers.get("origin");
+  if (allowedOrigins.includes("*")) {
+    corsHeaders["Access-Control-Allow-Origin"] = "*";
+  } else if (origin && isOriginAllowed(origin)) {
+    corsHeaders["Access-Control-Allow-Origin"] = origin;
+  }
+  return corsHeaders;
+}
+
+function jsonResponse(status, body, headers = {}) {
+  return {
+    status,
+    headers: {
+      ...headers,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(body)
+  };
+}
+
+function rateLimitResponse(error, headers = {}) {
+  return jsonResponse(429, { error: error.message, limit: error.limit, retryAfter: error.retryAfter }, {
+    ...headers,
+    "Retry-After": String(error.retryAfter)
+  });
+}
+
+// 503 with a Retry-After header when an Azure OpenAI call failed because the service is busy
+// or unhealthy, null for other errors
+function serviceErrorResponse(error) {
+  const failure = describeServiceError(error);
+  if (!failure) {
+    return null;
+  }
+  return jsonResponse(503, { error: failure.message, code: failure.code, retryAfter: failure.retryAfter }, {
+    ...(failure.retryAfter && { "Retry-After": String(failure.retryAfter) })
+  });
+}
+
+function getCorrelationId(request) {
+  const header = request.headers.get("x-correlation-id");
+  return header && CORRELATION_ID.test(header) ? header : crypto.randomUUID();
+}
+
+// Wraps a function handler: answers preflight requests, authenticates the caller and adds
+// the CORS and correlation headers to every response, including the 500 (or 503) that
+// answers an error the handler did not catch. The handler gets
+// `{ user, client, context, correlationId }` as second argument, `client` being the key
+// limits and usage are tracked under.
+// `options.headers` lists extra request headers the endpoint accepts from browsers,
+// `options.rateLimit` counts requests against the client's per-minute limit, and
+// `options.public` serves every caller as the anonymous user, without authentication, and
+// `options.assistantsOnly` answers 501 in chat mode, for endpoints the Assistants API backs.
+function createHttpHandler(options, handler) {
+  return (request, context) => {
+    const correlationId = getCorrelationId(request);
+    const logContext = { correlationId, ...(context?.invocationId && { invocationId: context.invocationId }) };
+    return runWithContext(logContext, () => handleRequest(options, handler, request, context, correlationId));
+  };
+}
+
+async function handleRequest(options, handler, request, context, correlationId) {
+  const corsHeaders = { ...getCorsHeaders(request, options), "X-Correlation-ID": correlationId };
+
+  // Handle OPTIONS preflight request
+  if (request.method === "OPTIONS") {
+    const origin = request.headers.get("origin");
+    return {
+      status: origin && !isOriginAllowed(origin) ? 403 : 200,
+      headers: corsHeaders,
+      body: ""
+    };
+  }
+
+  if (options.assistantsOnly && isChatMode()) {
+    return jsonResponse(501, {
+      error: "Not available in chat mode",
+      message: "This endpoint needs the Assistants API; set BACKEND_MODE to assistants to use it."
+    }, corsHeaders);
+  }
+
+  let user;
+  try {
+    user = options.public ? ANONYMOUS_USER : await authenticate(request);
+  } catch (error) {
+    if (!(error instanceof AuthError)) {
+      throw error;
+    }
+    logger.info("Request not authenticated", { method: request.method, path: new URL(request.url).pathname, reason: error.message });
+    return jsonResponse(error.status, { error: error.message }, {
+      ...corsHeaders,
+      ...(error.status === 401 && { "WWW-Authenticate": 'Bearer, ApiKey' })
+    });
+  }
+
+  const client = limits.clientKey(request, user);
+  if (options.rateLimit) {
+    try {
+      limits.checkRequestRate(client);
+    } catch (error) {
+      logger.info("Request rate limited", { client, reason: error.message });
+      return rateLimitResponse(error, corsHeaders);
+    }
+  }
+
+  const started = Date.now();
+  let response;
+  try {
+    if (options.rateLimit) {
+      limits.recordRequest(client);
+    }
+    response = await runWithContext({ userId: user.id }, () => handler(request, { user, client, context, correlationId }));
+  } catch (error) {
+    logger.error("Request failed", { method: request.method, path: new URL(request.url).pathname, error });
+    response = serviceErrorResponse(error) || jsonResponse(500, { error: "Request failed", message: error.message });
+  }
+  logger.info("Request handled", {
+    method: request.method,
+    path: new URL(request.url).pathname,
+    status: response.status || 200,
+    durationMs: Date.now() - started
+  });
+  return {
+    ...response,
+    headers: { ...corsHeaders, ...response.headers }
+  };
+}
+
+module.exports = {
+  getCorsHeaders,
+  isOriginAllowed,
+  jsonResponse,
+  rateLimitResponse,
+  serviceErrorResponse,
+  createHttpHandler
+};
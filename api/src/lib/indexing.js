@@ -0,0 +1,98 @@
+const { isNotFound, isChatMode } = require("./openai");
+const { resolveAssistant } = require("./assistantProfiles");
+
+// Ingestion of uploaded files into the assistant's vector store.
+//
+// A file is only searchable once the vector store has finished indexing it, which happens
+// asynchronously after it is added. Each file's state is reported as
+// `{ status, lastError }`, status being one of:
+//   in_progress, completed, failed, cancelled   as reported by the vector store
+//   not_indexed                                 the file is not in the vector store
+//
+// INDEXING_POLL_INTERVAL_MS sets how often the state is checked while waiting (default 1 s),
+// and INDEXING_MAX_WAIT_SECONDS caps how long a request may wait for it (default 120 s).
+
+const {
+  INDEXING_POLL_INTERVAL_MS = "1000",
+  INDEXING_MAX_WAIT_SECONDS = "120"
+} = process.env;
+
+const POLL_INTERVAL_MS = Number(INDEXING_POLL_INTERVAL_MS);
+const MAX_WAIT_SECONDS = Number(INDEXING_MAX_WAIT_SECONDS);
+
+const NOT_INDEXED = Object.freeze({ status: "not_indexed", lastError: null });
+
+// The vector store of the default collection, recorded in the default assistant's metadata
+// (attached to it on an assistant not synced since, see assistantProfiles.js). Chat mode has
+// no vector stores: documents are indexed locally, see documents.js
+async function getAssistantVectorStoreId(openai) {
+  if (isChatMode()) {
+    return null;
+  }
+  const assistant = await resolveAssistant(openai);
+  return assistant?.metadata?.vectorStoreId || assistant?.tool_resources?.file_search?.vector_store_ids?.[0] || null;
+}
+
+function toIndexingState(vectorStoreFile) {
+  const error = vectorStoreFile.last_error;
+  return {
+    status: vectorStoreFile.status,
+    lastError: error ? { code: error.code, message: error.message } : null
+  };
+}
+
+// Adds the files to the vector store as one batch; indexing goes on in the background
+function indexFiles(openai, vectorStoreId, fileIds) {
+  return openai.beta.vectorStores.fileBatches.create(vectorStoreId, { file_ids: fileIds });
+}
+
+async function getIndexingState(openai, vectorStoreId, fileId) {
+  try {
+    return toIndexingState(await openai.beta.vectorStores.files.retrieve(vectorStoreId, fileId));
+  } catch (error) {
+    if (isNotFound(error)) {
+      return NOT_INDEXED;
+    }
+    throw error;
+  }
+}
+
+function waitTimeout(seconds) {
+  const value = Number(seconds);
+  return Number.isFinite(value) && value > 0 ? Math.min(value, MAX_WAIT_SECONDS) : MAX_WAIT_SECONDS;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Polls the files until none is in progress anymore, or until `timeoutSeconds` have passed.
+// Resolves with the last known state of each file and whether the wait timed out.
+async function waitForIndexing(openai, vectorStoreId, fileIds, { timeoutSeconds } = {}) {
+  const deadline = Date.now() + waitTimeout(timeoutSeconds) * 1000;
+  const states = new Map();
+
+  for (;;) {
+    const pending = fileIds.filter(fileId => !states.has(fileId) || states.get(fileId).status === "in_progress");
+    for (const fileId of pending) {
+      states.set(fileId, await getIndexingState(openai, vectorStoreId, fileId));
+    }
+
+    const inProgress = fileIds.some(fileId => states.get(fileId).status === "in_progress");
+    if (!inProgress) {
+      return { states, timedOut: false };
+    }
+    if (Date.now() + POLL_INTERVAL_MS > deadline) {
+      return { states, timedOut: true };
+    }
+    await sleep(POLL_INTERVAL_MS);
+  }
+}
+
+module.exports = {
+  NOT_INDEXED,
+  getAssistantVectorStoreId,
+  indexFiles,
+  getIndexingState,
+  waitForIndexing
+};
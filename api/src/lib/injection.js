@@ -0,0 +1,74 @@
+// Heuristic detection of prompt injection: text in a document written to take over the model
+// that reads it rather than to inform the reader.
+//
+// Each pattern below is a known trait of such text with a weight. The score of a text is the
+// sum of the weights of the patterns it matches (each counts once, however often it occurs),
+// and a text scoring at least the threshold is suspicious. No single weak trait, such as
+// "act as" or a mention of the system prompt, is enough on its own.
+
+const PATTERNS = [
+  {
+    name: "ignore_instructions",
+    weight: 3,
+    pattern: /\b(ignore|disregard|forget|override|bypass)\s+(all\s+|any\s+|the\s+|your\s+)*(previous|prior|above|earlier|preceding|original|system)\s+(instructions?|prompts?|rules|directions|guidelines)/i
+  },
+  {
+    name: "reveal_prompt",
+    weight: 3,
+    pattern: /\b(reveal|print|show|repeat|output|leak|disclose)\s+(me\s+)?(your|the)\s+(system\s+prompt|initial\s+prompt|hidden\s+instructions|instructions)/i
+  },
+  {
+    name: "role_override",
+    weight: 2,
+    pattern: /\b(you\s+are\s+now|from\s+now\s+on,?\s+you|your\s+new\s+(role|task|instructions)\s+(is|are))\b/i
+  },
+  {
+    name: "new_instructions",
+    weight: 2,
+    pattern: /\b(new|updated|real|actual)\s+instructions\s*:/i
+  },
+  {
+    name: "conceal_from_user",
+    weight: 2,
+    pattern: /\b(do\s+not|don't|never)\s+(tell|inform|mention\s+(this\s+)?to|reveal\s+(this\s+)?to)\s+the\s+user\b/i
+  },
+  {
+    name: "chat_markup",
+    weight: 2,
+    pattern: /<\|im_(start|end)\|>|\[\/?INST\]|<\/?(system|assistant)>|^#{2,}\s*(system|instructions?)\b|^(system|assistant)\s*:/im
+  },
+  {
+    name: "tool_invocation",
+    weight: 1,
+    pattern: /\b(call|invoke|use|run)\s+the\s+\w+\s+(tool|function)\b|\bsend\s+(an?\s+)?email\s+to\b/i
+  },
+  {
+    name: "persona",
+    weight: 1,
+    pattern: /\b(act\s+as\s+(an?\s+)?|pretend\s+(to\s+be|you\s+are)|jailbreak|developer\s+mode|DAN\b)/i
+  },
+  {
+    name: "system_prompt",
+    weight: 1,
+    pattern: /\bsystem\s+prompt\b/i
+  }
+];
+
+const DEFAULT_THRESHOLD = 3;
+
+// `{ score, suspicious, findings }` for `text`, `findings` listing the patterns matched as
+// `{ type, count }`
+function detectInjection(text, { threshold = DEFAULT_THRESHOLD } = {}) {
+  const findings = [];
+  let score = 0;
+  for (const { name, weight, pattern } of PATTERNS) {
+    const count = text.match(new RegExp(pattern.source, `${pattern.flags}g`))?.length || 0;
+    if (count > 0) {
+      findings.push({ type: name, count });
+      score += weight;
+    }
+  }
+  return { score, suspicious: score >= threshold, findings };
+}
+
+module.exports = { DEFAULT_THRESHOLD, detectInjection };
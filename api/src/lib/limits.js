@@ -0,0 +1,245 @@
+const { getStore } = require("./store");
+const { createLogger } = require("./logger");
+
+// Rate limits and token budgets per client.
+//
+// A client is the authenticated user, or the caller's IP address when authentication is
+// disabled. The address is read from X-Forwarded-For, where the caller can write anything
+// before the hops the proxies append: TRUSTED_PROXY_COUNT (default 1, the Functions front
+// end) is how many of those hops to trust, counted from the end; 0 ignores the header.
+// Limits are configured with (0 disables a limit):
+//   RATE_LIMIT_REQUESTS_PER_MINUTE  requests to rate limited endpoints per minute (default 60)
+//   RATE_LIMIT_CONCURRENT_RUNS      assistant runs streaming at the same time (default 2)
+//   DAILY_TOKEN_BUDGET              tokens a client may use per UTC day (default 0)
+//   TOKEN_PRICE_PROMPT_PER_1K,
+//   TOKEN_PRICE_COMPLETION_PER_1K   prices used to estimate the cost in usage reports
+//
+// Request rates and running runs are counted in memory, per Functions worker. Token usage,
+// taken from the `usage` of completed runs, is persisted per client and day. Requests are
+// added to it every few seconds rather than one write each.
+
+const {
+  RATE_LIMIT_REQUESTS_PER_MINUTE = "60",
+  RATE_LIMIT_CONCURRENT_RUNS = "2",
+  DAILY_TOKEN_BUDGET = "0",
+  TOKEN_PRICE_PROMPT_PER_1K = "0",
+  TOKEN_PRICE_COMPLETION_PER_1K = "0",
+  TRUSTED_PROXY_COUNT = "1"
+} = process.env;
+
+const TRUSTED_PROXIES = Number(TRUSTED_PROXY_COUNT);
+
+const LIMITS = Object.freeze({
+  requestsPerMinute: Number(RATE_LIMIT_REQUESTS_PER_MINUTE),
+  concurrentRuns: Number(RATE_LIMIT_CONCURRENT_RUNS),
+  dailyTokenBudget: Number(DAILY_TOKEN_BUDGET)
+});
+
+const PRICES = Object.freeze({
+  promptPer1K: Number(TOKEN_PRICE_PROMPT_PER_1K),
+  completionPer1K: Number(TOKEN_PRICE_COMPLETION_PER_1K)
+});
+
+const WINDOW_MS = 60 * 1000;
+const REQUESTS_FLUSH_MS = 5 * 1000;
+
+// There is no way to know when a running run ends, so callers are asked to retry shortly
+const RUN_RETRY_AFTER_SECONDS = 5;
+
+class RateLimitError extends Error {
+  constructor(message, { limit, retryAfter }) {
+    super(message);
+    this.name = "RateLimitError";
+    this.status = 429;
+    this.limit = limit;
+    this.retryAfter = retryAfter;
+  }
+}
+
+const logger = createLogger({ module: "limits" });
+
+const requestWindows = new Map();
+const runningRuns = new Map();
+let windowsPrunedAt = 0;
+
+function usageStore() {
+  return getStore("usage");
+}
+
+function today(now = new Date()) {
+  return now.toISOString().slice(0, 10);
+}
+
+function secondsUntilTomorrow(now = new Date()) {
+  const tomorrow = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.ceil((tomorrow - now.getTime()) / 1000);
+}
+
+// The key limits and usage are tracked under
+function clientKey(request, user) {
+  if (user && user.provider !== "none") {
+    return `user:${user.id}`;
+  }
+  // The address the outermost trusted proxy saw, which the caller cannot choose
+  const hops = (request.headers.get("x-forwarded-for") || "").split(",").map(hop => hop.trim()).filter(Boolean);
+  const forwarded = TRUSTED_PROXIES > 0 ? hops[Math.max(hops.length - TRUSTED_PROXIES, 0)] || "" : "";
+  // Azure appends the client port to IPv4 addresses ("203.0.113.7:51234")
+  const ip = forwarded.replace(/^(\d+\.\d+\.\d+\.\d+):\d+$/, "$1") || request.headers.get("x-client-ip");
+  return `ip:${ip || "unknown"}`;
+}
+
+// Forgets the windows that ended, at most once a window, so clients seen once are not kept
+function pruneWindows(now) {
+  if (now - windowsPrunedAt < WINDOW_MS) {
+    return;
+  }
+  windowsPrunedAt = now;
+  for (const [client, window] of requestWindows) {
+    if (now - window.start >= WINDOW_MS) {
+      requestWindows.delete(client);
+    }
+  }
+}
+
+// Counts a request in the client's current one-minute window, or throws when it is full
+function checkRequestRate(client, now = Date.now()) {
+  if (!LIMITS.requestsPerMinute) {
+    return;
+  }
+  pruneWindows(now);
+  let window = requestWindows.get(client);
+  if (!window || now - window.start >= WINDOW_MS) {
+    window = { start: now, count: 0 };
+    requestWindows.set(client, window);
+  }
+  if (window.count >= LIMITS.requestsPerMinute) {
+    throw new RateLimitError(`Rate limit exceeded: ${LIMITS.requestsPerMinute} requests per minute`, {
+      limit: "requests_per_minute",
+      retryAfter: Math.ceil((window.start + WINDOW_MS - now) / 1000)
+    });
+  }
+  window.count++;
+}
+
+// Reserves a run slot for the client; the returned function frees it (once)
+function acquireRun(client) {
+  const running = runningRuns.get(client) || 0;
+  if (LIMITS.concurrentRuns && running >= LIMITS.concurrentRuns) {
+    throw new RateLimitError(`Too many concurrent runs: at most ${LIMITS.concurrentRuns} at a time`, {
+      limit: "concurrent_runs",
+      retryAfter: RUN_RETRY_AFTER_SECONDS
+    });
+  }
+  runningRuns.set(client, running + 1);
+
+  let released = false;
+  return () => {
+    if (!released) {
+      released = true;
+      const remaining = (runningRuns.get(client) || 1) - 1;
+      if (remaining > 0) {
+        runningRuns.set(client, remaining);
+      } else {
+        runningRuns.delete(client);
+      }
+    }
+  };
+}
+
+function emptyUsage(client, date) {
+  return { client, date, requests: 0, runs: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+}
+
+// Usage counters are read-modify-write, so updates go through one queue
+let pendingUpdate = Promise.resolve();
+
+function addUsage(client, counters, date = today()) {
+  const update = pendingUpdate.then(async () => {
+    const id = `${date}:${client}`;
+    const usage = (await usageStore().get(id)) || emptyUsage(client, date);
+    for (const [name, value] of Object.entries(counters)) {
+      usage[name] += value || 0;
+    }
+    return usageStore().put(id, usage);
+  });
+  pendingUpdate = update.catch(() => {});
+  return update;
+}
+
+// Requests not written yet, by usage record ID
+const unsavedRequests = new Map();
+let flushTimer = null;
+
+function flushRequests() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  const unsaved = [...unsavedRequests.values()];
+  unsavedRequests.clear();
+  return Promise.all(unsaved.map(({ client, date, requests }) => addUsage(client, { requests }, date)));
+}
+
+function recordRequest(client) {
+  const date = today();
+  const id = `${date}:${client}`;
+  const unsaved = unsavedRequests.get(id) || { client, date, requests: 0 };
+  unsaved.requests++;
+  unsavedRequests.set(id, unsaved);
+  if (!flushTimer) {
+    flushTimer = setTimeout(() => {
+      flushRequests().catch(error => logger.error("Recording the requests failed", { error }));
+    }, REQUESTS_FLUSH_MS);
+    flushTimer.unref();
+  }
+}
+
+function recordRun(client, { promptTokens, completionTokens, totalTokens }) {
+  return addUsage(client, { runs: 1, promptTokens, completionTokens, totalTokens });
+}
+
+async function getUsage(client, date = today()) {
+  await flushRequests();
+  return (await usageStore().get(`${date}:${client}`)) || emptyUsage(client, date);
+}
+
+// Throws when the client has used up today's token budget
+async function checkTokenBudget(client) {
+  if (!LIMITS.dailyTokenBudget) {
+    return;
+  }
+  // Requests not written yet do not count towards the budget
+  const { totalTokens } = (await usageStore().get(`${today()}:${client}`)) || emptyUsage(client, today());
+  if (totalTokens >= LIMITS.dailyTokenBudget) {
+    throw new RateLimitError(`Daily token budget of ${LIMITS.dailyTokenBudget} tokens exhausted`, {
+      limit: "daily_tokens",
+      retryAfter: secondsUntilTomorrow()
+    });
+  }
+}
+
+function estimateCost({ promptTokens, completionTokens }) {
+  const cost = (promptTokens * PRICES.promptPer1K + completionTokens * PRICES.completionPer1K) / 1000;
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+// Usage records between two dates (inclusive, YYYY-MM-DD), optionally for one client
+async function listUsage({ from = today(), to = from, client } = {}) {
+  await flushRequests();
+  const records = await usageStore().list(usage =>
+    usage.date >= from && usage.date <= to && (!client || usage.client === client));
+  return records
+    .map(usage => ({ ...usage, estimatedCost: estimateCost(usage) }))
+    .sort((a, b) => a.date.localeCompare(b.date) || a.client.localeCompare(b.client));
+}
+
+module.exports = {
+  LIMITS,
+  RateLimitError,
+  clientKey,
+  checkRequestRate,
+  acquireRun,
+  recordRequest,
+  recordRun,
+  getUsage,
+  checkTokenBudget,
+  listUsage
+};
@@ -0,0 +1,144 @@
+const { AsyncLocalStorage } = require("node:async_hooks");
+
+// Leveled, structured JSON logger.
+//
+// Each line is one JSON object: `{ timestamp, level, message, correlationId, ...fields }`.
+// The correlation ID and other request fields come from the context set with
+// `runWithContext()` by the HTTP handler, so every line logged while serving a request carries
+// them, including lines logged from a response stream (see `bindIterable()`).
+//
+// LOG_LEVEL sets the lowest level written: debug, info (default), warn or error.
+// Values are redacted before they are written:
+//   - fields whose name looks like a secret (key, password, token, authorization, ...)
+//   - strings that look like API keys or bearer tokens
+//   - email addresses and message contents (fields such as message, content, text, html,
+//     arguments or output), unless LOG_INCLUDE_CONTENT=true, e.g. to debug locally
+
+const {
+  LOG_LEVEL = "info",
+  LOG_INCLUDE_CONTENT
+} = process.env;
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const CONSOLE_METHODS = { debug: "log", info: "log", warn: "warn", error: "error" };
+const MIN_LEVEL = LEVELS[LOG_LEVEL] ?? LEVELS.info;
+const INCLUDE_CONTENT = LOG_INCLUDE_CONTENT === "true";
+
+const SECRET_FIELD = /(^|[_-])(api[_-]?key|key|secret|password|token|authorization|credentials?)$/i;
+const SECRET_CAMEL_FIELD = /[a-z](Key|Secret|Password|Token)$/;
+const CONTENT_FIELDS = new Set(["message", "content", "text", "html", "body", "value", "arguments", "output", "quote", "subject", "question", "answer"]);
+const EMAIL = /[\w.+-]+@[\w-]+(\.[\w-]+)+/g;
+const SECRET_VALUES = [
+  /\b(Bearer|ApiKey)\s+[\w.~+/=-]+/gi,
+  /\bsk-[\w-]{16,}/g,
+  /\b[a-f0-9]{32,}\b/gi,
+  /\beyJ[\w-]+\.[\w-]+\.[\w-]+/g
+];
+const MAX_DEPTH = 5;
+
+const storage = new AsyncLocalStorage();
+
+function redactString(value) {
+  let text = SECRET_VALUES.reduce((result, pattern) => result.replace(pattern, "[REDACTED]"), value);
+  if (!INCLUDE_CONTENT) {
+    text = text.replace(EMAIL, "[email]");
+  }
+  return text;
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: redactString(String(error.message)),
+    ...(error.code !== undefined && { code: error.code }),
+    ...(error.status !== undefined && { status: error.status }),
+    ...(error.stack && { stack: redactString(error.stack) })
+  };
+}
+
+// A copy of `value` that is safe to write to the logs
+function redact(value, key = "", depth = 0) {
+  if (value === null || value === undefined || typeof value === "number" || typeof value === "boolean") {
+    return value;
+  }
+  if (key && (SECRET_FIELD.test(key) || SECRET_CAMEL_FIELD.test(key))) {
+    return "[REDACTED]";
+  }
+  if (value instanceof Error) {
+    return serializeError(value);
+  }
+  if (typeof value === "string") {
+    if (!INCLUDE_CONTENT && CONTENT_FIELDS.has(key)) {
+      return `[${value.length} characters]`;
+    }
+    return redactString(value);
+  }
+  if (depth >= MAX_DEPTH) {
+    return "[…]";
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, key, depth + 1));
+  }
+  if (typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, redact(item, name, depth + 1)]));
+  }
+  return String(value);
+}
+
+function write(level, bindings, message, fields) {
+  if (LEVELS[level] < MIN_LEVEL) {
+    return;
+  }
+  const details = fields instanceof Error ? { error: fields } : fields;
+  const line = {
+    timestamp: new Date().toISOString(),
+    level,
+    message: redactString(String(message)),
+    ...storage.getStore(),
+    ...redact({ ...bindings, ...details })
+  };
+  console[CONSOLE_METHODS[level]](JSON.stringify(line));
+}
+
+// A logger whose lines all carry `bindings`, e.g. `{ module: "upload" }`
+function createLogger(bindings = {}) {
+  return {
+    debug: (message, fields) => write("debug", bindings, message, fields),
+    info: (message, fields) => write("info", bindings, message, fields),
+    warn: (message, fields) => write("warn", bindings, message, fields),
+    error: (message, fields) => write("error", bindings, message, fields),
+    child: (more) => createLogger({ ...bindings, ...more })
+  };
+}
+
+// Runs `fn` with `context` (e.g. `{ correlationId }`) added to every line logged meanwhile
+function runWithContext(context, fn) {
+  return storage.run({ ...storage.getStore(), ...context }, fn);
+}
+
+function getContext() {
+  return storage.getStore() || {};
+}
+
+// Streamed responses are read by the host after the handler returned, outside its context:
+// this iterates `iterable` within the current context instead
+function bindIterable(iterable) {
+  const context = storage.getStore();
+  const iterator = iterable[Symbol.asyncIterator]();
+  return {
+    [Symbol.asyncIterator]() {
+      return this;
+    },
+    next: (value) => storage.run(context, () => iterator.next(value)),
+    return: (value) => storage.run(context, () => iterator.return ? iterator.return(value) : Promise.resolve({ done: true, value })),
+    throw: (error) => storage.run(context, () => iterator.throw ? iterator.throw(error) : Promise.reject(error))
+  };
+}
+
+module.exports = {
+  createLogger,
+  runWithContext,
+  getContext,
+  bindIterable,
+  redact
+};
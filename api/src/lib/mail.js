@@ -0,0 +1,211 @@
+const fs = require("node:fs/promises");
+const path = require("node:path");
+const nodemailer = require("nodemailer");
+const { createLogger } = require("./logger");
+
+// Mail transports, templates and the recipient allowlist used by the mailer.
+//
+// MAIL_TRANSPORT selects where messages go:
+//   smtp     an SMTP server (MAIL_SMTP_HOST, default smtp.office365.com, and MAIL_SMTP_PORT,
+//            default 587), signed in with EMAIL_SENDER_USERNAME and EMAIL_SENDER_APP_PASSWORD.
+//            Port 465 uses implicit TLS, other ports must upgrade with STARTTLS; either way
+//            at least TLS 1.2 with a valid server certificate is required.
+//   file     writes each message as an .eml file to MAIL_FILE_DIR (default: DATA_DIR/mail)
+//   console  logs each message instead of sending it: its ID and counts, and its subject and
+//            text at debug level (redacted unless LOG_INCLUDE_CONTENT=true)
+// The default is smtp when sender credentials are set, console otherwise.
+//
+// Recipients must match MAIL_ALLOWED_RECIPIENTS, a comma-separated list of addresses and
+// `@domain` entries (`*` allows everyone). It defaults to EMAIL_RECEIVER alone, so the
+// assistant cannot write to arbitrary addresses.
+
+const logger = createLogger({ module: "mail" });
+
+const {
+  MAIL_TRANSPORT,
+  MAIL_SMTP_HOST = "smtp.office365.com",
+  MAIL_SMTP_PORT = "587",
+  MAIL_SMTP_SECURE,
+  MAIL_FILE_DIR,
+  MAIL_ALLOWED_RECIPIENTS,
+  EMAIL_RECEIVER,
+  EMAIL_SENDER_NAME = "Azure OpenAI Assistant",
+  EMAIL_SENDER_USERNAME,
+  EMAIL_SENDER_APP_PASSWORD
+} = process.env;
+
+const TEMPLATES_DIR = path.join(__dirname, "../templates/email");
+const ADDRESS_PATTERN = /^[^\s@<>,;"]+@[^\s@<>,;"]+\.[^\s@<>,;"]+$/;
+
+class MailError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = "MailError";
+    this.code = code;
+  }
+}
+
+function senderAddress() {
+  return { name: EMAIL_SENDER_NAME, address: EMAIL_SENDER_USERNAME || "assistant@localhost" };
+}
+
+function createSmtpTransport() {
+  const port = Number(MAIL_SMTP_PORT);
+  return nodemailer.createTransport({
+    host: MAIL_SMTP_HOST,
+    port,
+    secure: MAIL_SMTP_SECURE ? MAIL_SMTP_SECURE === "true" : port === 465,
+    requireTLS: true,
+    auth: {
+      user: EMAIL_SENDER_USERNAME,
+      pass: EMAIL_SENDER_APP_PASSWORD
+    },
+    tls: {
+      minVersion: "TLSv1.2",
+      servername: MAIL_SMTP_HOST
+    }
+  });
+}
+
+function createFileTransport() {
+  const directory = MAIL_FILE_DIR || path.join(process.env.DATA_DIR || path.join(__dirname, "../../data"), "mail");
+  const composer = nodemailer.createTransport({ streamTransport: true, buffer: true });
+  return {
+    name: "file",
+    async sendMail(message) {
+      const info = await composer.sendMail(message);
+      const file = path.join(directory, `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, "")}.eml`);
+      await fs.mkdir(directory, { recursive: true });
+      await fs.writeFile(file, info.message);
+      logger.info("Email written", { file });
+      return { messageId: info.messageId, file };
+    }
+  };
+}
+
+function createConsoleTransport() {
+  const composer = nodemailer.createTransport({ jsonTransport: true });
+  return {
+    name: "console",
+    async sendMail(message) {
+      const info = await composer.sendMail(message);
+      const { to = [], subject, text, attachments = [] } = JSON.parse(info.message);
+      // Addresses and contents go through the logger's redaction like any other field
+      logger.info("Email logged instead of sent", { messageId: info.messageId, recipients: to.length, attachments: attachments.length });
+      logger.debug("Logged email content", { messageId: info.messageId, subject, text });
+      return { messageId: info.messageId };
+    }
+  };
+}
+
+const TRANSPORTS = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+function createTransport(name = MAIL_TRANSPORT || (EMAIL_SENDER_USERNAME ? "smtp" : "console")) {
+  const create = TRANSPORTS[name];
+  if (!create) {
+    throw new MailError(`Unknown mail transport "${name}", use one of ${Object.keys(TRANSPORTS).join(", ")}`, "invalid_transport");
+  }
+  return create();
+}
+
+function allowedRecipients() {
+  return (MAIL_ALLOWED_RECIPIENTS ?? EMAIL_RECEIVER ?? "")
+    .split(",")
+    .map(entry => entry.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// The bare address of "Name <address>" or "address"
+function parseAddress(recipient) {
+  const value = String(recipient).trim();
+  const address = (value.match(/<([^>]+)>$/)?.[1] || value).trim().toLowerCase();
+  if (!ADDRESS_PATTERN.test(address)) {
+    throw new MailError(`"${value}" is not a valid email address`, "invalid_recipient");
+  }
+  return address;
+}
+
+function isRecipientAllowed(recipient) {
+  const address = parseAddress(recipient);
+  const domain = address.slice(address.lastIndexOf("@"));
+  return allowedRecipients().some(entry =>
+    entry === "*" || entry === address || entry === domain || entry === `*${domain}`);
+}
+
+// Throws unless every recipient is a valid, allowed address
+function assertRecipientsAllowed(recipients) {
+  const all = recipients.flatMap(value => Array.isArray(value) ? value : String(value ?? "").split(","))
+    .map(value => String(value).trim())
+    .filter(Boolean);
+  if (all.length === 0) {
+    throw new MailError("The email has no recipient; set EMAIL_RECEIVER or give one", "no_recipient");
+  }
+  const denied = all.filter(recipient => !isRecipientAllowed(recipient));
+  if (denied.length > 0) {
+    throw new MailError(`Not allowed to send emails to ${denied.join(", ")}`, "recipient_not_allowed");
+  }
+  return all;
+}
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Fills a template from src/templates/email: `{{name}}` is HTML-escaped, `{{{name}}}` is
+// inserted as is
+async function renderTemplate(name, data = {}) {
+  if (!/^[\w-]+$/.test(name)) {
+    throw new MailError(`Invalid template name "${name}"`, "invalid_template");
+  }
+  let template;
+  try {
+    template = await fs.readFile(path.join(TEMPLATES_DIR, `${name}.html`), "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      throw new MailError(`No email template named "${name}"`, "invalid_template");
+    }
+    throw error;
+  }
+  // One pass, so braces in the values themselves are left as they are
+  return template.replace(/\{\{\{\s*(\w+)\s*\}\}\}|\{\{\s*(\w+)\s*\}\}/g,
+    (_, raw, escaped) => (raw ? String(data[raw] ?? "") : escapeHtml(data[escaped])));
+}
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: "\"", "#39": "'", nbsp: " " };
+
+// Plain-text alternative of an HTML body, for clients that do not show HTML
+function htmlToText(html) {
+  return String(html)
+    .replace(/<(style|script|head)[^>]*>[\s\S]*?<\/\1>/gi, "")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<li[^>]*>/gi, "\n- ")
+    .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (_, href, label) => label.trim() === href ? href : `${label} (${href})`)
+    .replace(/<\/(p|div|h[1-6]|tr|table|ul|ol|blockquote|pre)>/gi, "\n\n")
+    .replace(/<\/t[dh]>/gi, "\t")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (_, entity) => ENTITIES[entity])
+    .replace(/[ \t]+\n/g, "\n")
+    .replace(/\n[ \t]+/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+module.exports = {
+  MailError,
+  senderAddress,
+  createTransport,
+  isRecipientAllowed,
+  assertRecipientsAllowed,
+  escapeHtml,
+  renderTemplate,
+  htmlToText
+};
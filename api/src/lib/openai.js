@@ -0,0 +1,159 @@
+require("dotenv/config");
+
+const { default: OpenAI, AzureOpenAI } = require("openai");
+const { DefaultAzureCredential, getBearerTokenProvider } = require("@azure/identity");
+const { getOpenAIConfig } = require("./config");
+const { createLogger } = require("./logger");
+const { createCircuitBreaker, createResilientFetch } = require("./resilience");
+
+const logger = createLogger({ module: "openai" });
+
+const {
+  ASSISTANT_ID,
+  ASSISTANT_CACHE_TTL_SECONDS = "300",
+  BACKEND_MODE = "assistants"
+} = process.env;
+
+// Scope of the Entra ID tokens accepted by Azure OpenAI
+const AZURE_OPENAI_SCOPE = "https://cognitiveservices.azure.com/.default";
+
+// One client is shared by every request of the worker. It signs in as set up in
+// lib/config.js, and its calls are retried and guarded by a circuit breaker, see
+// lib/resilience.js. Tests (or a local stand-in) replace it with setClientFactory() to run
+// without calling the live service, and the Entra ID token provider with setTokenProvider().
+let clientFactory = null;
+let client = null;
+let tokenProvider = null;
+const breaker = createCircuitBreaker();
+
+// Assistants are read once per ASSISTANT_CACHE_TTL_SECONDS (default 5 minutes), together
+// with the vector store they search, rather than on every request
+const ASSISTANT_CACHE_TTL_MS = Number(ASSISTANT_CACHE_TTL_SECONDS) * 1000;
+const cachedAssistants = new Map();
+
+function setClientFactory(factory) {
+  clientFactory = factory;
+  client = null;
+  clearAssistantCache();
+}
+
+// `provider` resolves with an access token for Azure OpenAI; null goes back to
+// DefaultAzureCredential
+function setTokenProvider(provider) {
+  tokenProvider = provider;
+  client = null;
+}
+
+function getTokenProvider() {
+  if (!tokenProvider) {
+    tokenProvider = getBearerTokenProvider(new DefaultAzureCredential(), AZURE_OPENAI_SCOPE);
+  }
+  return tokenProvider;
+}
+
+// Node's fetch, which only sends a streamed body (the SDK streams file uploads) with
+// `duplex: "half"`
+function nodeFetch(url, init = {}) {
+  return fetch(url, typeof init.body?.pipe === "function" ? { ...init, duplex: "half" } : init);
+}
+
+// A client for `config` (see getOpenAIConfig) sending its requests with `fetch`
+function createAzureOpenAI(config, { fetch = nodeFetch } = {}) {
+  return new AzureOpenAI({
+    endpoint: config.endpoint,
+    apiVersion: config.apiVersion,
+    // apiKey is null with Entra ID, as the SDK would otherwise read AZURE_OPENAI_API_KEY
+    ...(config.auth === "entra" ? { apiKey: null, azureADTokenProvider: getTokenProvider() } : { apiKey: config.apiKey }),
+    maxRetries: 0,
+    fetch: createResilientFetch(fetch, { breaker })
+  });
+}
+
+// A client for the OpenAI-compatible API of `config` (see getOpenAIConfig), used for chat
+// completions and embeddings only
+function createCompatibleOpenAI(config, { fetch = nodeFetch } = {}) {
+  return new OpenAI({
+    baseURL: config.endpoint,
+    // Local servers usually take any key, but the SDK requires one
+    apiKey: config.apiKey || "unused",
+    maxRetries: 0,
+    fetch: createResilientFetch(fetch, { breaker })
+  });
+}
+
+// Whether BACKEND_MODE is chat: answers come from chat completions over local documents and
+// history (see lib/chat.js) rather than from the Assistants API
+function isChatMode() {
+  return BACKEND_MODE === "chat";
+}
+
+// closed, open or half_open, see createCircuitBreaker()
+function getCircuitState() {
+  return breaker.state;
+}
+
+async function initAzureOpenAI() {
+  if (clientFactory) {
+    return clientFactory();
+  }
+  if (client) {
+    return client;
+  }
+
+  try {
+    const config = getOpenAIConfig();
+    client = config.auth === "compatible" ? createCompatibleOpenAI(config) : createAzureOpenAI(config);
+    logger.debug("OpenAI client created", { endpoint: config.endpoint, apiVersion: config.apiVersion, auth: config.auth });
+    return client;
+
+  } catch (error) {
+    logger.error("Creating the Azure OpenAI client failed", { error });
+    throw error;
+  }
+}
+
+// The assistant (ASSISTANT_ID by default), or null when there is none. Failed lookups are
+// not cached.
+async function getAssistant(openai, assistantId = ASSISTANT_ID) {
+  if (!assistantId) {
+    return null;
+  }
+  const cached = cachedAssistants.get(assistantId);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.assistant;
+  }
+  const assistant = openai.beta.assistants.retrieve(assistantId);
+  cachedAssistants.set(assistantId, { assistant, expiresAt: Date.now() + ASSISTANT_CACHE_TTL_MS });
+  assistant.catch(() => {
+    if (cachedAssistants.get(assistantId)?.assistant === assistant) {
+      cachedAssistants.delete(assistantId);
+    }
+  });
+  return assistant;
+}
+
+// Forgets one cached assistant, e.g. after it was updated, or all of them
+function clearAssistantCache(assistantId) {
+  if (assistantId) {
+    cachedAssistants.delete(assistantId);
+  } else {
+    cachedAssistants.clear();
+  }
+}
+
+function isNotFound(error) {
+  return error?.status === 404;
+}
+
+module.exports = {
+  initAzureOpenAI,
+  createAzureOpenAI,
+  createCompatibleOpenAI,
+  isChatMode,
+  setClientFactory,
+  setTokenProvider,
+  getCircuitState,
+  getAssistant,
+  clearAssistantCache,
+  isNotFound
+};
@@ -0,0 +1,175 @@
+const crypto = require("node:crypto");
+const { getStore } = require("./store");
+const { createLogger } = require("./logger");
+
+// Persisted queue of outgoing emails.
+//
+// Every message is stored before it is sent. A failed attempt is retried with exponential
+// backoff (MAIL_RETRY_BASE_SECONDS, default 30, doubled on each attempt up to
+// MAIL_RETRY_MAX_SECONDS, default 1 hour) until MAIL_MAX_ATTEMPTS (default 5) have failed.
+// Messages stay in the store afterwards with their final status:
+//   pending   waiting for its next attempt at `nextAttemptAt`
+//   sending   an attempt is under way until `claimedUntil`; a claim that expires (the worker
+//             stopped mid-attempt) makes the message due again
+//   sent      delivered, with the transport's `messageId`
+//   failed    gave up after the last attempt, see `lastError`
+//   dry_run   recorded only, sending emails is disabled
+// Once a message is sent, given up or recorded as a dry run, only the names and sizes of its
+// attachments are kept. Such messages are removed after MAIL_OUTBOX_RETENTION_DAYS
+// (default 30).
+
+const logger = createLogger({ module: "outbox" });
+
+const {
+  MAIL_MAX_ATTEMPTS = "5",
+  MAIL_RETRY_BASE_SECONDS = "30",
+  MAIL_RETRY_MAX_SECONDS = "3600",
+  MAIL_OUTBOX_RETENTION_DAYS = "30"
+} = process.env;
+
+const RETRY = Object.freeze({
+  maxAttempts: Number(MAIL_MAX_ATTEMPTS),
+  baseSeconds: Number(MAIL_RETRY_BASE_SECONDS),
+  maxSeconds: Number(MAIL_RETRY_MAX_SECONDS)
+});
+
+// Longest an attempt may take before another one can claim the message
+const CLAIM_SECONDS = 5 * 60;
+
+const FINAL_STATUSES = ["sent", "failed", "dry_run"];
+
+const RETENTION_MS = Number(MAIL_OUTBOX_RETENTION_DAYS) * 24 * 60 * 60 * 1000;
+
+function outboxStore() {
+  return getStore("outbox");
+}
+
+// Seconds to wait after the given number of failed attempts, with up to 20% jitter so
+// messages that failed together are not retried together
+function backoffSeconds(attempts) {
+  const delay = Math.min(RETRY.baseSeconds * 2 ** (attempts - 1), RETRY.maxSeconds);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+// The message with its attachments reduced to their names and sizes
+function withoutContent(message) {
+  return {
+    ...message,
+    attachments: (message.attachments || []).map(({ filename, contentType, content, size }) => ({
+      filename,
+      contentType,
+      size: content === undefined ? size : Buffer.byteLength(content, "base64")
+    }))
+  };
+}
+
+function enqueue(message, { status = "pending", now = new Date() } = {}) {
+  const id = crypto.randomUUID();
+  return outboxStore().put(id, {
+    id,
+    status,
+    attempts: 0,
+    createdAt: now.toISOString(),
+    nextAttemptAt: status === "pending" ? now.toISOString() : null,
+    claimedUntil: null,
+    lastError: null,
+    messageId: null,
+    message: FINAL_STATUSES.includes(status) ? withoutContent(message) : message
+  });
+}
+
+function isClaimable(entry, now) {
+  return entry.status === "pending" || (entry.status === "sending" && Date.parse(entry.claimedUntil) <= now.getTime());
+}
+
+// Makes one delivery attempt and records its outcome. The message is claimed first, so an
+// attempt started elsewhere (the timer while the request sends it) does not send it again;
+// resolves with the entry as it is when it cannot be claimed, null when it is gone.
+async function deliver(id, transport, now = new Date()) {
+  const claimed = await outboxStore().update(id, entry => isClaimable(entry, now) && {
+    status: "sending",
+    claimedUntil: new Date(now.getTime() + CLAIM_SECONDS * 1000).toISOString()
+  });
+  if (!claimed) {
+    return outboxStore().get(id);
+  }
+
+  const attempts = claimed.attempts + 1;
+  try {
+    const info = await transport.sendMail(claimed.message);
+    logger.info("Email sent", { emailId: id, messageId: info.messageId, attempts });
+    return outboxStore().update(id, {
+      status: "sent",
+      attempts,
+      nextAttemptAt: null,
+      claimedUntil: null,
+      lastError: null,
+      messageId: info.messageId,
+      sentAt: new Date().toISOString(),
+      message: withoutContent(claimed.message)
+    });
+  } catch (error) {
+    const giveUp = attempts >= RETRY.maxAttempts;
+    logger.warn("Email attempt failed", { emailId: id, attempts, maxAttempts: RETRY.maxAttempts, error });
+    return outboxStore().update(id, {
+      status: giveUp ? "failed" : "pending",
+      attempts,
+      nextAttemptAt: giveUp ? null : new Date(now.getTime() + backoffSeconds(attempts) * 1000).toISOString(),
+      claimedUntil: null,
+      lastError: error.message,
+      ...(giveUp && { message: withoutContent(claimed.message) })
+    });
+  }
+}
+
+// Removes the messages that ended longer than the retention period ago
+async function pruneOutbox(now = new Date()) {
+  const expired = await outboxStore().list(entry => FINAL_STATUSES.includes(entry.status)
+    && Date.parse(entry.createdAt) <= now.getTime() - RETENTION_MS);
+  for (const entry of expired) {
+    await outboxStore().remove(entry.id);
+  }
+  return expired.length;
+}
+
+// Retries every pending message that is due, and those whose attempt stopped midway, then
+// prunes the old ones
+async function processOutbox(transport, now = new Date()) {
+  const due = await outboxStore().list(entry =>
+    (entry.status === "pending" && Date.parse(entry.nextAttemptAt) <= now.getTime()) || (entry.status === "sending" && isClaimable(entry, now)));
+  const results = { attempted: 0, sent: 0, pending: 0, failed: 0 };
+  for (const entry of due) {
+    const result = await deliver(entry.id, transport, now);
+    // Removed, or claimed by another attempt, in the meantime
+    if (!result || !(result.status in results)) {
+      continue;
+    }
+    results.attempted += 1;
+    results[result.status] += 1;
+  }
+  const pruned = await pruneOutbox(now);
+  if (pruned > 0) {
+    logger.info("Old emails removed from the outbox", { count: pruned });
+  }
+  return results;
+}
+
+function getOutboxEntry(id) {
+  return outboxStore().get(id);
+}
+
+async function listOutbox({ status } = {}) {
+  const entries = await outboxStore().list(entry => !status || entry.status === status);
+  return entries.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+module.exports = {
+  RETRY,
+  backoffSeconds,
+  enqueue,
+  deliver,
+  pruneOutbox,
+  processOutbox,
+  getOutboxEntry,
+  listOutbox
+};
@@ -0,0 +1,139 @@
+const path = require("node:path");
+const { getStore } = require("./store");
+const { createLogger } = require("./logger");
+
+// Files created by code_interpreter: charts, spreadsheets and the like.
+//
+// The model shows images in its messages as `image_file` parts and links other files with
+// `file_path` annotations, whose text is a sandbox path such as "sandbox:/mnt/data/chart.csv".
+// Each file seen in a run is recorded here with the user it was made for, so
+// /api/outputs/{fileId} only hands it to them, and gets an `image` or `file` event whose `url`
+// points there. Sandbox paths in the answer are replaced with that URL.
+
+// Content types of the files code_interpreter commonly writes. Images are shown inline, the
+// other types are always downloaded.
+const CONTENT_TYPES = {
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".csv": "text/csv",
+  ".txt": "text/plain",
+  ".json": "application/json",
+  ".pdf": "application/pdf",
+  ".xlsx": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  ".xls": "application/vnd.ms-excel",
+  ".docx": "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  ".pptx": "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+  ".zip": "application/zip"
+};
+const INLINE_TYPES = ["image/png", "image/jpeg", "image/gif", "image/webp"];
+const DEFAULT_CONTENT_TYPE = "application/octet-stream";
+
+const logger = createLogger({ module: "outputs" });
+
+function outputStore() {
+  return getStore("outputs");
+}
+
+function outputUrl(fileId) {
+  return `/api/outputs/${encodeURIComponent(fileId)}`;
+}
+
+// The file name without the sandbox directory ("/mnt/data/chart.png" is "chart.png")
+function outputFileName(name) {
+  return path.posix.basename(String(name || "")) || null;
+}
+
+function contentTypeOf(fileName) {
+  return CONTENT_TYPES[path.extname(fileName || "").toLowerCase()] || DEFAULT_CONTENT_TYPE;
+}
+
+function isInline(contentType) {
+  return INLINE_TYPES.includes(contentType);
+}
+
+function getOutput(fileId) {
+  return outputStore().get(fileId);
+}
+
+// Tracks the files created during the runs of one request, in the order they show up.
+// `ownerId` and `threadId` are recorded with each.
+function createOutputTracker(openai, { ownerId, threadId = null }) {
+  const outputs = new Map();
+  const paths = new Map();
+
+  async function record(fileId, kind, messageId, sandboxPath = null) {
+    let fileName = outputFileName(sandboxPath);
+    try {
+      fileName = outputFileName((await openai.files.retrieve(fileId)).filename) || fileName;
+    } catch (error) {
+      logger.warn("Could not look up a generated file", { fileId, error });
+    }
+    const output = { fileId, fileName, contentType: contentTypeOf(fileName), messageId, url: outputUrl(fileId) };
+    outputs.set(fileId, output);
+    await outputStore().put(fileId, {
+      id: fileId,
+      kind,
+      fileName,
+      ownerId,
+      threadId,
+      createdAt: new Date().toISOString()
+    });
+    logger.info("Generated file", { fileId, kind, fileName, threadId });
+    return output;
+  }
+
+  // Resolves with the event data for an image shown in a message, or null when it was seen
+  async function image(fileId, messageId = null) {
+    return outputs.has(fileId) ? null : record(fileId, "image", messageId);
+  }
+
+  // Resolves with the event data of the files linked by `file_path` annotations seen for the
+  // first time
+  async function files(annotations = [], messageId = null) {
+    const added = [];
+    for (const annotation of annotations) {
+      const fileId = annotation.type === "file_path" && annotation.file_path?.file_id;
+      if (!fileId) {
+        continue;
+      }
+      if (annotation.text) {
+        paths.set(annotation.text, outputUrl(fileId));
+      }
+      if (!outputs.has(fileId)) {
+        added.push({ ...(await record(fileId, "file", messageId, annotation.text)), path: annotation.text || null });
+      }
+    }
+    return added;
+  }
+
+  // The text with the sandbox paths of known files replaced by their download URL
+  function replacePaths(value = "") {
+    let text = value;
+    for (const [sandboxPath, url] of paths) {
+      text = text.split(sandboxPath).join(url);
+    }
+    return text;
+  }
+
+  return {
+    image,
+    files,
+    replacePaths,
+    get outputs() {
+      return [...outputs.values()];
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_CONTENT_TYPE,
+  outputUrl,
+  outputFileName,
+  contentTypeOf,
+  isInline,
+  getOutput,
+  createOutputTracker
+};
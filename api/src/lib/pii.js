@@ -0,0 +1,164 @@
+// Detection and masking of personal data in text.
+//
+// Each type is found with a pattern, and where numbers carry a checksum (card numbers, IBANs)
+// or a shape that dates and amounts share (phone numbers), a check of the candidate:
+//   email        email addresses
+//   phone        phone numbers, international ("+44 20 7946 0958"), with an area code in
+//                brackets or national with a trunk prefix ("020 7946 0958")
+//   credit_card  card numbers passing the Luhn check
+//   iban         IBANs passing the ISO 7064 check
+//   ssn          US social security numbers (123-45-6789)
+//   ip_address   IPv4 addresses, other than numbered sections ("Clause 12.3.4.5")
+//   term         words and names from a dictionary, such as client or employee names
+// A match is masked with the placeholder of its type, such as "[EMAIL]".
+
+const PII_TYPES = ["email", "phone", "credit_card", "iban", "ssn", "ip_address", "term"];
+
+const LABELS = {
+  email: "email address",
+  phone: "phone number",
+  credit_card: "card number",
+  iban: "IBAN",
+  ssn: "social security number",
+  ip_address: "IP address",
+  term: "listed term"
+};
+
+const PLACEHOLDERS = {
+  email: "[EMAIL]",
+  phone: "[PHONE]",
+  credit_card: "[CARD_NUMBER]",
+  iban: "[IBAN]",
+  ssn: "[SSN]",
+  ip_address: "[IP_ADDRESS]",
+  term: "[REDACTED]"
+};
+
+function luhn(digits) {
+  let sum = 0;
+  for (let index = 0; index < digits.length; index++) {
+    let digit = Number(digits[digits.length - 1 - index]);
+    if (index % 2 === 1) {
+      digit *= 2;
+      digit -= digit > 9 ? 9 : 0;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+function ibanChecksum(iban) {
+  const rearranged = `${iban.slice(4)}${iban.slice(0, 4)}`;
+  let remainder = 0;
+  for (const char of rearranged) {
+    const value = /\d/.test(char) ? char : String(char.charCodeAt(0) - 55);
+    for (const digit of value) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+  return remainder === 1;
+}
+
+// What precedes an amount ("EUR", "amount of") or a numbered section ("Clause", "§")
+const AMOUNT_BEFORE = /(?:[$€£¥]|\b(?:USD|EUR|GBP|CHF|JPY|amount|total|sum|price|fee|cost|balance|value)(?: of)?)\s*$/i;
+const SECTION_BEFORE = /(?:\b(?:clause|section|article|paragraph|item|chapter)|§)\s*$/i;
+
+// Types are checked in this order; a match overlapping an earlier one is dropped, so a card
+// number is not also reported as a phone number
+const DETECTORS = [
+  { type: "email", pattern: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g },
+  {
+    type: "iban",
+    pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/g,
+    check: match => ibanChecksum(match.replace(/ /g, ""))
+  },
+  {
+    type: "credit_card",
+    pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+    check: match => luhn(match.replace(/\D/g, ""))
+  },
+  { type: "ssn", pattern: /\b(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}\b/g },
+  {
+    type: "ip_address",
+    pattern: /(?<![\w.])(?:\d{1,3}\.){3}\d{1,3}(?!\.?\w)/g,
+    check: (match, before) => match.split(".").every(octet => Number(octet) <= 255) && !SECTION_BEFORE.test(before)
+  },
+  {
+    // Amounts, dates and references have the same characters: a number is a phone number
+    // only with an international prefix, an area code in brackets or a trunk prefix and at
+    // least three groups, and never right after a currency or an amount word
+    type: "phone",
+    pattern: /(?<![\w+])(?:\+\d{1,3}[ .-]?)?(?:\(\d{1,4}\)[ .-]?)?\d{2,4}(?:[ .-]\d{2,4}){1,4}(?!\w)/g,
+    check: (match, before) => {
+      const digits = match.replace(/\D/g, "");
+      return digits.length >= 9 && digits.length <= 15
+        && (/^[+(]/.test(match) || (/^0/.test(match) && match.split(/[ .-]/).length >= 3))
+        && !AMOUNT_BEFORE.test(before);
+    }
+  }
+];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function termPattern(terms) {
+  const words = terms.map(term => term.trim()).filter(Boolean).sort((a, b) => b.length - a.length);
+  return words.length > 0 ? new RegExp(`(?<!\\w)(?:${words.map(escapeRegExp).join("|")})(?!\\w)`, "gi") : null;
+}
+
+// The personal data in `text`, as `{ type, start, end }` in text order. `types` restricts
+// the types looked for, and `terms` is the dictionary of the `term` type.
+function detectPii(text, { types = PII_TYPES, terms = [] } = {}) {
+  const detectors = [...DETECTORS];
+  const pattern = termPattern(terms);
+  if (pattern) {
+    detectors.unshift({ type: "term", pattern });
+  }
+
+  const findings = [];
+  for (const { type, pattern: detector, check } of detectors) {
+    if (!types.includes(type)) {
+      continue;
+    }
+    for (const match of text.matchAll(detector)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if ((!check || check(match[0], text.slice(Math.max(0, start - 20), start))) && !findings.some(finding => start < finding.end && end > finding.start)) {
+        findings.push({ type, start, end });
+      }
+    }
+  }
+  return findings.sort((a, b) => a.start - b.start);
+}
+
+function maskPii(text, findings) {
+  let masked = "";
+  let last = 0;
+  for (const { type, start, end } of findings) {
+    masked += text.slice(last, start) + PLACEHOLDERS[type];
+    last = end;
+  }
+  return masked + text.slice(last);
+}
+
+// How many of each type were found, as `[{ type, count }]`: what is reported and audited,
+// never the data itself
+function summarizeFindings(findings) {
+  const counts = new Map();
+  for (const { type } of findings) {
+    counts.set(type, (counts.get(type) || 0) + 1);
+  }
+  return [...counts].map(([type, count]) => ({ type, count }));
+}
+
+// "2 email addresses and 1 phone number"
+function describeFindings(summary) {
+  const parts = summary.map(({ type, count }) => {
+    const label = LABELS[type] || type;
+    return `${count} ${count === 1 ? label : `${label}${label.endsWith("s") ? "es" : "s"}`}`;
+  });
+  return parts.length > 1 ? `${parts.slice(0, -1).join(", ")} and ${parts.at(-1)}` : parts[0] || "";
+}
+
+module.exports = { PII_TYPES, detectPii, maskPii, summarizeFindings, describeFindings };
@@ -0,0 +1,193 @@
+const { setTimeout: sleep } = require("node:timers/promises");
+const { APIError } = require("openai");
+const { createLogger } = require("./logger");
+
+// Retries and circuit breaking for the calls to Azure OpenAI.
+//
+// The client's fetch is wrapped (the SDK's own retries are turned off), so every API call,
+// including the start of streamed runs, goes through `createResilientFetch()`:
+//   - 408, 409, 429 and 5xx responses and network errors are retried up to OPENAI_MAX_RETRIES
+//     times (default 3), after an exponential backoff from OPENAI_RETRY_BASE_MS (default 500)
+//     with ±20% jitter, capped at OPENAI_RETRY_MAX_MS (default 20000). A `retry-after(-ms)`
+//     header sets the delay instead; when it asks for longer than the cap, the response is
+//     returned as it is. Requests with a streamed body (file uploads) cannot be replayed and
+//     are not retried.
+//   - After OPENAI_CIRCUIT_FAILURE_THRESHOLD (default 5) calls in a row failed with a 5xx
+//     response or a network error, the circuit opens: calls fail right away for
+//     OPENAI_CIRCUIT_RESET_SECONDS (default 30). Then one trial call is let through, which
+//     closes the circuit when it succeeds and opens it again when it fails.
+// The circuit is per Functions worker.
+
+const {
+  OPENAI_MAX_RETRIES = "3",
+  OPENAI_RETRY_BASE_MS = "500",
+  OPENAI_RETRY_MAX_MS = "20000",
+  OPENAI_CIRCUIT_FAILURE_THRESHOLD = "5",
+  OPENAI_CIRCUIT_RESET_SECONDS = "30"
+} = process.env;
+
+const RETRY = Object.freeze({
+  maxRetries: Number(OPENAI_MAX_RETRIES),
+  baseMs: Number(OPENAI_RETRY_BASE_MS),
+  maxMs: Number(OPENAI_RETRY_MAX_MS)
+});
+
+const CIRCUIT = Object.freeze({
+  failureThreshold: Number(OPENAI_CIRCUIT_FAILURE_THRESHOLD),
+  resetSeconds: Number(OPENAI_CIRCUIT_RESET_SECONDS)
+});
+
+const RETRYABLE_STATUSES = [408, 409, 429, 500, 502, 503, 504];
+
+const logger = createLogger({ module: "resilience" });
+
+class CircuitOpenError extends Error {
+  constructor(retryAfter) {
+    super("Azure OpenAI is unavailable after repeated failures, try again later");
+    this.name = "CircuitOpenError";
+    this.code = "circuit_open";
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Delay before retry number `attempt` (1 for the first retry), in milliseconds
+function backoffMs(attempt, { baseMs = RETRY.baseMs, maxMs = RETRY.maxMs } = {}) {
+  const delay = Math.min(maxMs, baseMs * 2 ** (attempt - 1));
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+// The delay a response asks for, in milliseconds, or null
+function retryAfterMs(headers, now = Date.now()) {
+  const milliseconds = Number(headers.get("retry-after-ms"));
+  if (headers.get("retry-after-ms") && Number.isFinite(milliseconds)) {
+    return Math.max(0, milliseconds);
+  }
+  const value = headers.get("retry-after");
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+function canReplay(body) {
+  return body === undefined || body === null || typeof body === "string" || body instanceof Uint8Array;
+}
+
+// States: closed (calls go through), open (calls fail fast until `openUntil`) and half_open
+// (one trial call is going on). `now` can be replaced to test the timing.
+function createCircuitBreaker({ failureThreshold = CIRCUIT.failureThreshold, resetSeconds = CIRCUIT.resetSeconds, now = Date.now } = {}) {
+  let state = "closed";
+  let failures = 0;
+  let openUntil = 0;
+
+  return {
+    // Throws CircuitOpenError when the call may not go through
+    before() {
+      if (state === "closed") {
+        return;
+      }
+      if (state === "open" && now() >= openUntil) {
+        state = "half_open";
+        return;
+      }
+      throw new CircuitOpenError(Math.max(1, Math.ceil((openUntil - now()) / 1000)));
+    },
+    success() {
+      if (state !== "closed") {
+        logger.info("Circuit closed, Azure OpenAI answers again");
+      }
+      state = "closed";
+      failures = 0;
+    },
+    failure() {
+      failures++;
+      if (state === "half_open" || (failureThreshold > 0 && failures >= failureThreshold)) {
+        if (state !== "open") {
+          logger.warn("Circuit opened after repeated failures", { failures, resetSeconds });
+        }
+        state = "open";
+        openUntil = now() + resetSeconds * 1000;
+      }
+    },
+    get state() {
+      return state === "open" && now() >= openUntil ? "half_open" : state;
+    }
+  };
+}
+
+// Wraps `fetch` with the retries and the circuit breaker described above
+function createResilientFetch(fetch, { breaker = createCircuitBreaker(), maxRetries = RETRY.maxRetries, baseMs = RETRY.baseMs, maxMs = RETRY.maxMs } = {}) {
+  return async function resilientFetch(url, init = {}) {
+    breaker.before();
+    const retries = canReplay(init.body) ? maxRetries : 0;
+
+    for (let attempt = 0; ; attempt++) {
+      let response;
+      try {
+        response = await fetch(url, init);
+      } catch (error) {
+        if (init.signal?.aborted || attempt >= retries) {
+          breaker.failure();
+          throw error;
+        }
+        const delay = backoffMs(attempt + 1, { baseMs, maxMs });
+        logger.warn("Azure OpenAI call failed, retrying", { attempt: attempt + 1, delayMs: delay, error });
+        await sleep(delay, undefined, { signal: init.signal });
+        continue;
+      }
+
+      const retryable = RETRYABLE_STATUSES.includes(response.status);
+      const requested = retryable ? retryAfterMs(response.headers) : null;
+      if (!retryable || attempt >= retries || (requested !== null && requested > maxMs)) {
+        if (response.status >= 500) {
+          breaker.failure();
+        } else {
+          breaker.success();
+        }
+        return response;
+      }
+
+      const delay = requested ?? backoffMs(attempt + 1, { baseMs, maxMs });
+      logger.warn("Azure OpenAI call failed, retrying", { attempt: attempt + 1, status: response.status, delayMs: delay });
+      // Read the response that is thrown away, so its connection is freed
+      await response.text().catch(() => {});
+      await sleep(delay, undefined, { signal: init.signal });
+    }
+  };
+}
+
+// What to tell the client when an Azure OpenAI call failed because the service is busy or
+// unhealthy: `{ code, message, retryAfter }`, or null for other errors
+function describeServiceError(error) {
+  const cause = error?.cause instanceof CircuitOpenError ? error.cause : error;
+  if (cause instanceof CircuitOpenError) {
+    return { code: "service_unavailable", message: cause.message, retryAfter: cause.retryAfter };
+  }
+  if (!(error instanceof APIError)) {
+    return null;
+  }
+  const retryAfter = error.headers ? Math.ceil((retryAfterMs(new Headers(error.headers)) ?? 0) / 1000) || null : null;
+  if (error.status === 429) {
+    return { code: "service_busy", message: "Azure OpenAI is busy, try again later", retryAfter };
+  }
+  if (error.status === undefined || error.status >= 500) {
+    return { code: "service_unavailable", message: "Azure OpenAI is unavailable, try again later", retryAfter };
+  }
+  return null;
+}
+
+module.exports = {
+  RETRY,
+  CIRCUIT,
+  CircuitOpenError,
+  backoffMs,
+  retryAfterMs,
+  createCircuitBreaker,
+  createResilientFetch,
+  describeServiceError
+};
@@ -0,0 +1,90 @@
+// Active Assistants runs of a thread.
+//
+// A thread accepts no new message while one of its runs is active. What /api/assistant does
+// then is set with ACTIVE_RUN_POLICY:
+//   reject   answer 409 Conflict, the client may cancel the run and retry (default)
+//   cancel   cancel the active run, wait up to RUN_CANCEL_TIMEOUT_SECONDS (default 10) for it
+//            to end, then start the new run
+// The Assistants API is the source of truth, so runs started by another worker are seen too.
+
+const { createLogger } = require("./logger");
+
+const {
+  ACTIVE_RUN_POLICY = "reject",
+  RUN_CANCEL_TIMEOUT_SECONDS = "10",
+  RUN_POLL_INTERVAL_MS = "500"
+} = process.env;
+
+const RUNS = Object.freeze({
+  activeRunPolicy: ACTIVE_RUN_POLICY === "cancel" ? "cancel" : "reject",
+  cancelTimeoutSeconds: Number(RUN_CANCEL_TIMEOUT_SECONDS),
+  pollIntervalMs: Number(RUN_POLL_INTERVAL_MS)
+});
+
+const logger = createLogger({ module: "runs" });
+
+const ACTIVE_STATUSES = ["queued", "in_progress", "requires_action", "cancelling"];
+
+function isActive(run) {
+  return ACTIVE_STATUSES.includes(run?.status);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// The thread's active run, or null. Only the latest run of a thread can be active.
+async function findActiveRun(openai, threadId) {
+  for await (const run of openai.beta.threads.runs.list(threadId, { limit: 1, order: "desc" })) {
+    return isActive(run) ? run : null;
+  }
+  return null;
+}
+
+// Asks for the run to be cancelled. A run that ended in the meantime is returned as it is.
+async function cancelRun(openai, threadId, runId) {
+  try {
+    const run = await openai.beta.threads.runs.cancel(threadId, runId);
+    logger.info("Run cancelled", { threadId, runId, status: run.status });
+    return run;
+  } catch (error) {
+    // The service refuses to cancel runs that are not active anymore
+    if (error?.status === 400) {
+      return openai.beta.threads.runs.retrieve(threadId, runId);
+    }
+    throw error;
+  }
+}
+
+// Polls the run until it is not active anymore; resolves with its last known state
+async function waitForRunEnd(openai, threadId, run, { timeoutSeconds = RUNS.cancelTimeoutSeconds } = {}) {
+  const deadline = Date.now() + timeoutSeconds * 1000;
+  let current = run;
+  while (isActive(current) && Date.now() + RUNS.pollIntervalMs <= deadline) {
+    await sleep(RUNS.pollIntervalMs);
+    current = await openai.beta.threads.runs.retrieve(threadId, run.id);
+  }
+  return current;
+}
+
+// Makes room for a new run on the thread according to ACTIVE_RUN_POLICY. Resolves with the
+// run still in the way, or null when the thread is free.
+async function clearActiveRun(openai, threadId) {
+  const run = await findActiveRun(openai, threadId);
+  if (!run || RUNS.activeRunPolicy !== "cancel") {
+    return run;
+  }
+
+  logger.info("Cancelling the active run before the next message", { threadId, runId: run.id });
+  const ended = await waitForRunEnd(openai, threadId, await cancelRun(openai, threadId, run.id));
+  return isActive(ended) ? ended : null;
+}
+
+module.exports = {
+  RUNS,
+  isActive,
+  findActiveRun,
+  cancelRun,
+  waitForRunEnd,
+  clearActiveRun
+};
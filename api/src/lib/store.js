@@ -0,0 +1,104 @@
+const fs = require("node:fs/promises");
+const path = require("node:path");
+
+// Small JSON file store for local metadata (thread titles, tags, ...).
+// Each named store is one file under DATA_DIR (default: api/data), kept in memory
+// once loaded and rewritten atomically on every change.
+
+const stores = new Map();
+
+function getDataDir() {
+  return process.env.DATA_DIR || path.join(__dirname, "../../data");
+}
+
+function createStore(name) {
+  const file = path.join(getDataDir(), `${name}.json`);
+  let records = null;
+  let loading = null;
+  let pending = Promise.resolve();
+
+  // Read once, however many calls arrive while the file is being read. Records are kept
+  // without a prototype, so IDs such as "constructor" are just keys.
+  async function read() {
+    try {
+      records = Object.assign(Object.create(null), JSON.parse(await fs.readFile(file, "utf8")));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        loading = null;
+        throw error;
+      }
+      records = Object.create(null);
+    }
+    return records;
+  }
+
+  function load() {
+    loading ||= read();
+    return loading;
+  }
+
+  // Writes are chained so concurrent updates never interleave on disk. A failed write
+  // rejects its caller but does not stop the writes after it.
+  function save() {
+    const write = pending.then(async () => {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      const temp = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(temp, JSON.stringify(records, null, 2));
+      await fs.rename(temp, file);
+    });
+    pending = write.catch(() => {});
+    return write;
+  }
+
+  return {
+    async get(id) {
+      return (await load())[id] || null;
+    },
+
+    async list(filter = () => true) {
+      return Object.values(await load()).filter(filter);
+    },
+
+    async put(id, record) {
+      (await load())[id] = record;
+      await save();
+      return record;
+    },
+
+    // Merges `changes` into an existing record; returns null when there is none. `changes`
+    // may be a function of the current record, applied with no other change in between,
+    // that returns null to leave the record as it is (and update() then resolves with null).
+    async update(id, changes) {
+      const all = await load();
+      if (!all[id]) {
+        return null;
+      }
+      const merged = typeof changes === "function" ? changes(all[id]) : changes;
+      if (!merged) {
+        return null;
+      }
+      all[id] = { ...all[id], ...merged };
+      await save();
+      return all[id];
+    },
+
+    async remove(id) {
+      const all = await load();
+      if (!all[id]) {
+        return false;
+      }
+      delete all[id];
+      await save();
+      return true;
+    }
+  };
+}
+
+function getStore(name) {
+  if (!stores.has(name)) {
+    stores.set(name, createStore(name));
+  }
+  return stores.get(name);
+}
+
+module.exports = { getStore, getDataDir };
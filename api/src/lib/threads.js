@@ -0,0 +1,68 @@
+const { getStore } = require("./store");
+
+// Local metadata for Assistants threads. The threads and their messages live in
+// Azure OpenAI, which has no API to list threads, so titles, tags and timestamps
+// are kept here to build the conversation history.
+
+const TITLE_LENGTH = 60;
+
+function threadStore() {
+  return getStore("threads");
+}
+
+function titleFromMessage(message = "") {
+  const text = message.replace(/\s+/g, " ").trim();
+  return text.length > TITLE_LENGTH ? `${text.slice(0, TITLE_LENGTH - 1)}…` : text;
+}
+
+async function recordThread(thread, { title = "", tags = [], ownerId } = {}) {
+  const now = new Date().toISOString();
+  return threadStore().put(thread.id, {
+    id: thread.id,
+    ownerId,
+    title,
+    tags,
+    createdAt: thread.created_at ? new Date(thread.created_at * 1000).toISOString() : now,
+    updatedAt: now
+  });
+}
+
+// Marks a thread as used by a new message, recording it first if it was created elsewhere
+async function touchThread(thread, message, ownerId) {
+  const existing = await threadStore().get(thread.id);
+  if (!existing) {
+    return recordThread(thread, { title: titleFromMessage(message), ownerId });
+  }
+  return threadStore().update(thread.id, {
+    title: existing.title || titleFromMessage(message),
+    updatedAt: new Date().toISOString()
+  });
+}
+
+function getThread(threadId) {
+  return threadStore().get(threadId);
+}
+
+async function listThreads({ tag, ownerId } = {}) {
+  const threads = await threadStore().list((thread) =>
+    (!tag || thread.tags.includes(tag)) && (!ownerId || thread.ownerId === ownerId));
+  return threads.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+function updateThread(threadId, changes) {
+  return threadStore().update(threadId, { ...changes, updatedAt: new Date().toISOString() });
+}
+
+function removeThread(threadId) {
+  return threadStore().remove(threadId);
+}
+
+module.exports = {
+  titleFromMessage,
+  recordThread,
+  touchThread,
+  getThread,
+  listThreads,
+  updateThread,
+  removeThread
+};
@@ -0,0 +1,140 @@
+const crypto = require("node:crypto");
+const path = require("node:path");
+
+// Validation of uploaded documents before they reach Azure OpenAI.
+//
+// Only types the file_search tool can index, or code_interpreter can read (spreadsheets and
+// CSV data, which are not indexed), are accepted. The allowlist can be narrowed
+// with UPLOAD_ALLOWED_EXTENSIONS (comma-separated, e.g. ".pdf,.docx,.txt"), and sizes are
+// bounded by UPLOAD_MAX_FILE_SIZE (bytes, default 20 MB) and UPLOAD_MAX_FILES per request.
+// The declared MIME type must match the extension, and the content must look like it:
+// binary formats are recognized by their magic bytes, text formats must be valid UTF-8.
+
+const PDF = [0x25, 0x50, 0x44, 0x46, 0x2d]; // %PDF-
+const ZIP = [0x50, 0x4b, 0x03, 0x04]; // PK.. (Office Open XML documents)
+const OLE = [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]; // Legacy Office documents
+
+const BOTH_TOOLS = ["file_search", "code_interpreter"];
+const CODE_ONLY = ["code_interpreter"];
+
+// Supported extensions, with their MIME types, expected signature (`null` for text formats)
+// and the tools a message can attach them for
+const FILE_TYPES = {
+  ".pdf": { mimeTypes: ["application/pdf"], signature: PDF, tools: BOTH_TOOLS },
+  ".docx": { mimeTypes: ["application/vnd.openxmlformats-officedocument.wordprocessingml.document"], signature: ZIP, tools: BOTH_TOOLS },
+  ".pptx": { mimeTypes: ["application/vnd.openxmlformats-officedocument.presentationml.presentation"], signature: ZIP, tools: BOTH_TOOLS },
+  ".doc": { mimeTypes: ["application/msword"], signature: OLE, tools: BOTH_TOOLS },
+  ".txt": { mimeTypes: ["text/plain"], signature: null, tools: BOTH_TOOLS },
+  ".md": { mimeTypes: ["text/markdown", "text/x-markdown", "text/plain"], signature: null, tools: BOTH_TOOLS },
+  ".html": { mimeTypes: ["text/html"], signature: null, tools: BOTH_TOOLS },
+  ".json": { mimeTypes: ["application/json"], signature: null, tools: BOTH_TOOLS },
+  ".tex": { mimeTypes: ["text/x-tex", "application/x-tex"], signature: null, tools: BOTH_TOOLS },
+  ".csv": { mimeTypes: ["text/csv", "application/vnd.ms-excel", "text/plain"], signature: null, tools: CODE_ONLY },
+  ".xlsx": { mimeTypes: ["application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"], signature: ZIP, tools: CODE_ONLY }
+};
+
+// Sent by browsers and tools that do not know the type; the extension and content decide then
+const GENERIC_MIME_TYPES = ["", "application/octet-stream"];
+
+const {
+  UPLOAD_ALLOWED_EXTENSIONS = Object.keys(FILE_TYPES).join(","),
+  UPLOAD_MAX_FILE_SIZE = String(20 * 1024 * 1024),
+  UPLOAD_MAX_FILES = "10"
+} = process.env;
+
+const allowedExtensions = UPLOAD_ALLOWED_EXTENSIONS.split(",")
+  .map(extension => extension.trim().toLowerCase())
+  .filter(Boolean)
+  .map(extension => extension.startsWith(".") ? extension : `.${extension}`)
+  .filter(extension => FILE_TYPES[extension]);
+
+const UPLOAD_LIMITS = Object.freeze({
+  allowedExtensions,
+  maxFileSize: Number(UPLOAD_MAX_FILE_SIZE),
+  maxFiles: Number(UPLOAD_MAX_FILES)
+});
+
+class UploadError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = "UploadError";
+    this.code = code;
+  }
+}
+
+// Keeps the base name only, without control characters, so a client cannot smuggle paths
+function sanitizeFileName(name = "") {
+  const base = path.basename(String(name).replace(/\\/g, "/"));
+  return base.replace(/[\u0000-\u001f\u007f]/g, "").trim().slice(0, 255) || "uploaded-file";
+}
+
+function startsWith(content, signature) {
+  return content.length >= signature.length && signature.every((byte, index) => content[index] === byte);
+}
+
+function isText(content) {
+  if (content.includes(0)) {
+    return false;
+  }
+  try {
+    new TextDecoder("utf-8", { fatal: true }).decode(content);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Throws an UploadError when the file is not acceptable. `content` is the file's Buffer.
+function validateFile({ fileName, mimeType = "", content }) {
+  const extension = path.extname(fileName).toLowerCase();
+  const type = FILE_TYPES[extension];
+  if (!type || !allowedExtensions.includes(extension)) {
+    throw new UploadError(
+      `Unsupported file type "${extension || fileName}". Allowed: ${allowedExtensions.join(", ")}`,
+      "unsupported_type"
+    );
+  }
+
+  const declared = mimeType.split(";")[0].trim().toLowerCase();
+  if (!GENERIC_MIME_TYPES.includes(declared) && !type.mimeTypes.includes(declared)) {
+    throw new UploadError(`MIME type ${declared} does not match ${extension}`, "unsupported_type");
+  }
+
+  if (content.length === 0) {
+    throw new UploadError("File is empty", "empty_file");
+  }
+  if (UPLOAD_LIMITS.maxFileSize && content.length > UPLOAD_LIMITS.maxFileSize) {
+    throw new UploadError(`File is larger than ${UPLOAD_LIMITS.maxFileSize} bytes`, "file_too_large");
+  }
+
+  const looksRight = type.signature ? startsWith(content, type.signature) : isText(content);
+  if (!looksRight) {
+    throw new UploadError(`File content is not a valid ${extension} document`, "content_mismatch");
+  }
+  return { extension, mimeType: type.mimeTypes[0] };
+}
+
+// The tools a file can be attached for, by its name. Files of other types, uploaded some other
+// way, are offered to both.
+function attachmentTools(fileName) {
+  return FILE_TYPES[path.extname(fileName || "").toLowerCase()]?.tools || BOTH_TOOLS;
+}
+
+// Whether file_search can index the file
+function isSearchable(fileName) {
+  return attachmentTools(fileName).includes("file_search");
+}
+
+function sha256(content) {
+  return crypto.createHash("sha256").update(content).digest("hex");
+}
+
+module.exports = {
+  UPLOAD_LIMITS,
+  UploadError,
+  sanitizeFileName,
+  validateFile,
+  attachmentTools,
+  isSearchable,
+  sha256
+};
@@ -0,0 +1,18 @@
+// Blocks messages, answers and uploads that mention a term of GUARDRAIL_BLOCKED_TERMS
+// (comma-separated, case-insensitive), such as the code names of confidential projects.
+// Does nothing while the list is empty.
+
+const terms = (process.env.GUARDRAIL_BLOCKED_TERMS || "")
+  .split(",")
+  .map(term => term.trim().toLowerCase())
+  .filter(Boolean);
+
+exports.name = "blockedTerms";
+
+exports.stages = ["input", "output", "upload"];
+
+exports.check = async function (text) {
+  const lowerText = text.toLowerCase();
+  const term = terms.find(candidate => lowerText.includes(candidate));
+  return term ? { action: "block", reason: "It mentions a term that is not allowed" } : null;
+};
@@ -0,0 +1,47 @@
+// Policy registry: custom content checks the guardrails run next to PII and prompt injection
+// detection (see lib/guardrails.js).
+// A policy module exports its `name`, the `stages` it checks ("input" for user messages,
+// "output" for answers as they stream, each check getting the whole answer so far, "upload"
+// for the text of uploaded documents) and an async `check(text, context)` resolving with
+// null when the text passes, or with `{ action: "block" | "flag", reason }`. `context` has
+// the `stage`, the `ownerId` and, when known, the `threadId` or the `fileName`.
+const STAGES = ["input", "output", "upload"];
+const ACTIONS = ["block", "flag"];
+
+const policies = new Map();
+
+function registerPolicy(policy) {
+  if (!policy?.name || typeof policy.check !== "function") {
+    throw new Error("A policy needs a name and a check function");
+  }
+  if (!Array.isArray(policy.stages) || policy.stages.length === 0 || policy.stages.some(stage => !STAGES.includes(stage))) {
+    throw new Error(`Policy "${policy.name}" needs stages among ${STAGES.join(", ")}`);
+  }
+  if (policies.has(policy.name)) {
+    throw new Error(`Policy "${policy.name}" is already registered`);
+  }
+  policies.set(policy.name, policy);
+}
+
+function unregisterPolicy(name) {
+  return policies.delete(name);
+}
+
+// The names and stages of the registered policies
+function listPolicies() {
+  return [...policies.values()].map(({ name, stages }) => ({ name, stages }));
+}
+
+function getPolicies(stage) {
+  return [...policies.values()].filter(policy => policy.stages.includes(stage));
+}
+
+registerPolicy(require("./blockedTerms"));
+
+module.exports = {
+  ACTIONS,
+  registerPolicy,
+  unregisterPolicy,
+  listPolicies,
+  getPolicies
+};
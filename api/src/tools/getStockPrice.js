@@ -0,0 +1,20 @@
+exports.definition = {
+  name: "getStockPrice",
+  description: "Retrieve the latest closing price of a stock using its ticker symbol.",
+  parameters: {
+    type: "object",
+    properties: {
+      symbol: {
+        type: "string",
+        description: "The ticker symbol of the stock",
+      },
+    },
+    required: ["symbol"],
+    additionalProperties: false,
+  },
+};
+
+exports.handler = async function ({ symbol }) {
+  const price = Math.random() * 1000;
+  return `$${price.toFixed(2)}`;
+};
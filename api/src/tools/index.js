@@ -0,0 +1,115 @@
+const Ajv = require("ajv");
+const { createLogger } = require("../lib/logger");
+
+const logger = createLogger({ module: "tools" });
+
+// Tool registry: maps function names the assistant may call to handler modules.
+// A handler module exports a `definition` ({ name, description, parameters })
+// and an async `handler(args, context)` returning a string or a JSON-serializable value.
+const ajv = new Ajv({ allErrors: true, strict: false });
+const tools = new Map();
+
+function registerTool(toolModule) {
+  const { definition, handler } = toolModule;
+  if (!definition?.name || typeof handler !== "function") {
+    throw new Error("A tool needs a definition with a name and a handler function");
+  }
+  if (tools.has(definition.name)) {
+    throw new Error(`Tool "${definition.name}" is already registered`);
+  }
+
+  const parameters = definition.parameters || { type: "object", properties: {} };
+  tools.set(definition.name, {
+    definition: { ...definition, parameters },
+    handler,
+    validate: ajv.compile(parameters)
+  });
+}
+
+function unregisterTool(name) {
+  return tools.delete(name);
+}
+
+function getTool(name) {
+  return tools.get(name);
+}
+
+// Tool list in the format expected by `assistants.create`/`assistants.update`
+function getToolDefinitions() {
+  return [...tools.values()].map(({ definition }) => ({
+    type: "function",
+    function: definition
+  }));
+}
+
+function toolError(code, message, details) {
+  return JSON.stringify({ error: { code, message, ...(details && { details }) } });
+}
+
+async function executeToolCall(toolCall, context = {}) {
+  const { id, function: fn } = toolCall;
+  const tool = tools.get(fn.name);
+
+  if (!tool) {
+    logger.warn("Unknown tool called", { tool: fn.name });
+    return {
+      tool_call_id: id,
+      output: toolError("unknown_tool", `No tool named "${fn.name}" is registered`)
+    };
+  }
+
+  let args;
+  try {
+    args = fn.arguments ? JSON.parse(fn.arguments) : {};
+  } catch (error) {
+    return {
+      tool_call_id: id,
+      output: toolError("invalid_arguments", `Arguments are not valid JSON: ${error.message}`)
+    };
+  }
+
+  if (!tool.validate(args)) {
+    const details = tool.validate.errors.map(({ instancePath, message }) => ({
+      path: instancePath || "/",
+      message
+    }));
+    logger.warn("Invalid tool arguments", { tool: fn.name, errors: details });
+    return {
+      tool_call_id: id,
+      output: toolError("invalid_arguments", `Arguments for "${fn.name}" do not match its schema`, details)
+    };
+  }
+
+  try {
+    const startedAt = Date.now();
+    const result = await tool.handler(args, context);
+    logger.info("Tool called", { tool: fn.name, durationMs: Date.now() - startedAt });
+    return {
+      tool_call_id: id,
+      output: typeof result === "string" ? result : JSON.stringify(result ?? null)
+    };
+  } catch (error) {
+    logger.error("Tool failed", { tool: fn.name, error });
+    return {
+      tool_call_id: id,
+      output: toolError("tool_error", error.message)
+    };
+  }
+}
+
+// Tool calls of a single required action are independent, so run them side by side
+function executeToolCalls(toolCalls, context) {
+  return Promise.all(toolCalls.map((toolCall) => executeToolCall(toolCall, context)));
+}
+
+registerTool(require("./getStockPrice"));
+registerTool(require("./writeAndSendEmail"));
+
+module.exports = {
+  registerTool,
+  unregisterTool,
+  getTool,
+  getToolDefinitions,
+  executeToolCall,
+  executeToolCalls
+};
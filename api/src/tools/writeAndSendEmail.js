@@ -0,0 +1,45 @@
+const mailer = require("../functions/mailer");
+
+exports.definition = {
+  name: "writeAndSendEmail",
+  description: "Provides an email subject, and body content in plain text, and the same body in html",
+  parameters: {
+    type: "object",
+    properties: {
+      subject: {
+        type: "string",
+        description: "The subject of the email. Limit to maximum 50 characters",
+      },
+      html: {
+        type: "string",
+        description: "The body text of the email in html",
+      },
+      to: {
+        type: "string",
+        description: "The recipient's email address. Leave it out to send the email to the user",
+      },
+    },
+    required: ["subject", "html"],
+    additionalProperties: false,
+  },
+};
+
+exports.handler = async function ({ subject, html, to }) {
+  // Errors, like a recipient outside the allowlist, propagate to the registry, which
+  // reports them to the model
+  const result = await mailer.sendEmail({ ...(to && { to }), subject, html });
+
+  if (result.status === "dry_run") {
+    return "Fake email sent successfully!";
+  }
+  if (result.status === "sent") {
+    return result.messageId;
+  }
+  if (result.status === "sending") {
+    return "The email is being sent.";
+  }
+  if (result.status === "pending") {
+    return `The email could not be sent yet (${result.lastError}); it will be retried automatically.`;
+  }
+  throw new Error(`The email could not be sent: ${result.lastError}`);
+};
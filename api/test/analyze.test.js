@@ -0,0 +1,153 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { useFakeOpenAI, createRequest, readJson, textFile } = require("./support/helpers");
+
+process.env.ANALYZE_MAX_ATTEMPTS = "2";
+
+const { handleAnalyze } = require("../src/functions/analyze");
+const { handleUpload } = require("../src/functions/upload");
+
+async function upload(name, content) {
+  const formData = new FormData();
+  formData.append("file", textFile(content, name));
+  return readJson(await handleUpload(await createRequest({ method: "POST", url: "/api/upload", formData })));
+}
+
+function analyzeRequest(json) {
+  return createRequest({ method: "POST", url: "/api/analyze", json });
+}
+
+function citation(quote, fileName = "msa.txt") {
+  return { fileName, quote, page: null };
+}
+
+const ANALYSIS = {
+  parties: [
+    { name: "Contoso Ltd", role: "supplier", citation: citation("Contoso Ltd (the Supplier)") },
+    { name: "Fabrikam Inc", role: "customer", citation: citation("Fabrikam Inc (the Customer)") }
+  ],
+  effectiveDate: { date: "2024-01-01", citation: citation("effective as of 1 January 2024") },
+  terminationDate: null,
+  renewal: { automatic: true, term: "12 months", noticePeriod: "90 days", citation: citation("renews for successive 12-month terms") },
+  paymentObligations: [
+    { payer: "Fabrikam Inc", amount: "EUR 10,000", schedule: "monthly", description: "Service fees", citation: citation("EUR 10,000 per month") }
+  ],
+  liabilityCaps: [
+    { party: null, cap: "Fees paid in the previous 12 months", exclusions: "Fraud", citation: citation("shall not exceed the fees paid") }
+  ],
+  governingLaw: { jurisdiction: "England and Wales", citation: citation("governed by the laws of England and Wales") },
+  riskClauses: [
+    { clause: "7.2", severity: "high", reason: "Unilateral price changes", citation: citation("may change prices at any time") }
+  ]
+};
+
+describe("/api/analyze", () => {
+  let fake;
+
+  beforeEach(() => {
+    fake = useFakeOpenAI();
+  });
+
+  it("lists the analysis profiles", async () => {
+    const body = await readJson(await handleAnalyze(await createRequest({ url: "/api/analyze" })));
+
+    assert.equal(body.defaultProfile, "contract");
+    assert.deepEqual(body.profiles[0].fields, [
+      "parties", "effectiveDate", "terminationDate", "renewal", "paymentObligations", "liabilityCaps", "governingLaw", "riskClauses"
+    ]);
+  });
+
+  it("returns the validated fields, each citation linked to its document", async () => {
+    const { fileId } = await upload("msa.txt", "Master services agreement");
+    fake.queueRun({ toolCalls: [{ name: "submit_analysis", arguments: ANALYSIS }] }, { reply: "Submitted." });
+
+    const response = await handleAnalyze(await analyzeRequest({ fileIds: [fileId] }));
+    const body = await readJson(response);
+
+    assert.equal(response.status, 200);
+    assert.equal(body.profile, "contract");
+    assert.equal(body.valid, true);
+    assert.equal(body.attempts, 1);
+    assert.deepEqual(body.errors, []);
+    assert.equal(body.result.governingLaw.jurisdiction, "England and Wales");
+    assert.deepEqual(body.result.parties[0].citation, { fileName: "msa.txt", quote: "Contoso Ltd (the Supplier)", page: null, fileId });
+    assert.equal(body.result.terminationDate, null);
+    assert.deepEqual(body.usage, { promptTokens: 10, completionTokens: 5, totalTokens: 15 });
+    assert.deepEqual(JSON.parse(fake.submittedToolOutputs[0].output), { accepted: true });
+
+    // The run gets the analysis instructions, file_search and the submit function
+    const run = fake.runs.get(body.runId);
+    assert.match(run.instructions, /You review contracts/);
+    assert.deepEqual(run.tools.map(tool => tool.function?.name || tool.type), ["file_search", "submit_analysis"]);
+    const [message] = fake.threads.get(body.threadId).messages;
+    assert.deepEqual(message.attachments, [{ file_id: fileId, tools: [{ type: "file_search" }] }]);
+  });
+
+  it("sends failing fields back for correction", async () => {
+    const { fileId } = await upload("msa.txt", "Master services agreement");
+    const invalid = { ...ANALYSIS, effectiveDate: { date: "1 January 2024", citation: citation("effective as of 1 January 2024") } };
+    fake.queueRun(
+      { toolCalls: [{ name: "submit_analysis", arguments: invalid }] },
+      { toolCalls: [{ name: "submit_analysis", arguments: ANALYSIS }] },
+      { reply: "Submitted." }
+    );
+
+    const body = await readJson(await handleAnalyze(await analyzeRequest({ fileIds: [fileId] })));
+
+    assert.equal(body.valid, true);
+    assert.equal(body.attempts, 2);
+    const feedback = JSON.parse(fake.submittedToolOutputs[0].output);
+    assert.equal(feedback.accepted, false);
+    assert.deepEqual(feedback.errors, ['/effectiveDate/date must match pattern "^\\d{4}-\\d{2}-\\d{2}$"']);
+  });
+
+  it("reports the fields still failing after the last attempt", async () => {
+    const { fileId } = await upload("msa.txt", "Master services agreement");
+    const { governingLaw, riskClauses, ...partial } = ANALYSIS;
+    const wrongSource = { ...partial, riskClauses, liabilityCaps: [{ ...ANALYSIS.liabilityCaps[0], citation: citation("capped", "other.pdf") }] };
+    fake.queueRun(
+      { toolCalls: [{ name: "submit_analysis", arguments: wrongSource }] },
+      { toolCalls: [{ name: "submit_analysis", arguments: wrongSource }] },
+      { reply: "Done." }
+    );
+
+    const response = await handleAnalyze(await analyzeRequest({ fileIds: [fileId] }));
+    const body = await readJson(response);
+
+    assert.equal(response.status, 200);
+    assert.equal(body.valid, false);
+    assert.equal(body.attempts, 2);
+    assert.deepEqual(body.errors, [
+      { field: "liabilityCaps", path: "/liabilityCaps/0/citation/fileName", message: "must be the file name of one of the analyzed documents" },
+      { field: "governingLaw", path: "/governingLaw", message: "is missing" }
+    ]);
+    assert.equal(body.result.liabilityCaps, null);
+    assert.equal(body.result.governingLaw, null);
+    assert.equal(body.result.riskClauses[0].clause, "7.2");
+    assert.match(JSON.parse(fake.submittedToolOutputs[1].output).message, /No attempts left/);
+  });
+
+  it("fails when the run ends without a result", async () => {
+    const { fileId } = await upload("msa.txt", "Master services agreement");
+    fake.queueRun({ reply: "I could not find a contract." });
+
+    const response = await handleAnalyze(await analyzeRequest({ fileIds: [fileId] }));
+
+    assert.equal(response.status, 502);
+    assert.equal((await readJson(response)).code, "no_result");
+  });
+
+  it("checks the request", async () => {
+    assert.equal((await handleAnalyze(await analyzeRequest({ fileIds: [] }))).status, 400);
+    assert.equal((await handleAnalyze(await analyzeRequest({ fileIds: ["a", "a"] }))).status, 400);
+
+    const unknownProfile = await handleAnalyze(await analyzeRequest({ fileIds: ["file-1"], profile: "lease" }));
+    assert.equal(unknownProfile.status, 404);
+    assert.deepEqual(await readJson(unknownProfile), { error: "Analysis profile not found", profile: "lease" });
+
+    const missingFile = await handleAnalyze(await analyzeRequest({ fileIds: ["file-missing"] }));
+    assert.equal(missingFile.status, 404);
+    assert.deepEqual(await readJson(missingFile), { error: "File not found", fileIds: ["file-missing"] });
+    assert.equal(fake.callCount("runs.stream"), 0);
+  });
+});
@@ -0,0 +1,236 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { useFakeOpenAI, createRequest, readBody, readJson, readEvents } = require("./support/helpers");
+const { handleAssistant } = require("../src/functions/assistant");
+const tools = require("../src/tools");
+
+function ask(message, { headers = {}, url = "/api/assistant", fileIds } = {}) {
+  return createRequest({
+    method: "POST",
+    url,
+    headers: { accept: "text/event-stream", ...headers },
+    json: { message, ...(fileIds && { fileIds }) }
+  });
+}
+
+describe("POST /api/assistant", () => {
+  let fake;
+
+  beforeEach(() => {
+    fake = useFakeOpenAI();
+  });
+
+  it("answers CORS preflight requests", async () => {
+    const response = await handleAssistant(await createRequest({ method: "OPTIONS", url: "/api/assistant" }));
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers["Access-Control-Allow-Methods"], /POST/);
+    assert.match(response.headers["Access-Control-Allow-Headers"], /X-Thread-ID/);
+  });
+
+  it("rejects an empty message", async () => {
+    const response = await handleAssistant(await ask("  "));
+
+    assert.equal(response.status, 400);
+    assert.equal(fake.callCount("threads.create"), 0);
+  });
+
+  it("rejects a message that is not text and file IDs that are not a list of IDs", async () => {
+    for (const message of [42, ["Hello"], { text: "Hello" }]) {
+      assert.equal((await handleAssistant(await ask(message))).status, 400);
+    }
+    for (const fileIds of ["assistant-1", [42], [""], { 0: "assistant-1" }]) {
+      const response = await handleAssistant(await ask("Hello", { fileIds }));
+      assert.equal(response.status, 400);
+      assert.deepEqual(await readJson(response), { error: "fileIds must be an array of file IDs" });
+    }
+    assert.equal(fake.callCount("threads.create"), 0);
+  });
+
+  it("streams typed events in order", async () => {
+    fake.queueRun({ reply: ["Hello", " @world"], usage: { prompt_tokens: 3, completion_tokens: 2, total_tokens: 5 } });
+
+    const response = await handleAssistant(await ask("Hi"));
+    const events = await readEvents(response);
+
+    assert.match(response.headers["Content-Type"], /^text\/event-stream/);
+    assert.deepEqual(events.map(({ type }) => type), [
+      "thread", "status", "status", "status", "text", "text", "usage", "done"
+    ]);
+    assert.deepEqual(events.map(({ id }) => id), [1, 2, 3, 4, 5, 6, 7, 8]);
+    assert.deepEqual(events.filter(({ type }) => type === "status").map(({ data }) => data.status), [
+      "queued", "queued", "in_progress"
+    ]);
+    assert.equal(events.filter(({ type }) => type === "text").map(({ data }) => data.value).join(""), "Hello @world");
+    assert.deepEqual(events[6].data, { promptTokens: 3, completionTokens: 2, totalTokens: 5 });
+    assert.deepEqual(events[7].data, { threadId: events[0].data.threadId, runId: "run_1", status: "completed" });
+  });
+
+  it("attaches files to the message for file_search", async () => {
+    await readBody(await handleAssistant(await ask("Summarize", { fileIds: ["assistant-9"] })));
+
+    const [{ messages }] = fake.threads.values();
+    assert.deepEqual(messages[0].attachments, [{ file_id: "assistant-9", tools: [{ type: "file_search" }] }]);
+  });
+
+  it("keeps the legacy plain text stream when asked for it", async () => {
+    fake.queueRun({ reply: "Plain answer" });
+
+    const response = await handleAssistant(await ask("Hi", { headers: { accept: "text/plain" } }));
+    const body = await readBody(response);
+
+    assert.match(response.headers["Content-Type"], /^text\/plain/);
+    assert.equal(body, "@thread:thread_1@queued@queued@in_progressPlain answer");
+  });
+
+  it("accepts a plain text body", async () => {
+    const request = await createRequest({ method: "POST", url: "/api/assistant?format=text", body: "Hello there" });
+    const body = await readBody(await handleAssistant(request));
+
+    assert.match(body, /Hello from the fake assistant$/);
+    const [{ messages }] = fake.threads.values();
+    assert.equal(messages[0].content[0].text.value, "Hello there");
+  });
+
+  it("continues an existing thread", async () => {
+    const thread = await fake.beta.threads.create();
+
+    const events = await readEvents(await handleAssistant(await ask("Again", { headers: { "x-thread-id": thread.id } })));
+
+    assert.equal(events[0].data.threadId, thread.id);
+    assert.equal(fake.callCount("threads.create"), 1);
+  });
+
+  it("returns 404 for an unknown thread instead of starting a new one", async () => {
+    const response = await handleAssistant(await ask("Hi", { headers: { "x-thread-id": "thread_missing" } }));
+
+    assert.equal(response.status, 404);
+    assert.deepEqual(await readJson(response), { error: "Thread not found", threadId: "thread_missing" });
+    assert.equal(fake.callCount("threads.create"), 0);
+  });
+
+  it("returns 409 while a run is still active on the thread", async () => {
+    const thread = await fake.beta.threads.create();
+    const run = fake.startRun(thread.id);
+
+    const response = await handleAssistant(await ask("Again", { headers: { "x-thread-id": thread.id } }));
+
+    assert.equal(response.status, 409);
+    assert.deepEqual(await readJson(response), {
+      error: "A run is still active on this thread",
+      threadId: thread.id,
+      runId: run.id,
+      status: "in_progress"
+    });
+    assert.equal(fake.callCount("runs.cancel"), 0);
+  });
+
+  it("runs tool calls and streams the continuation", async () => {
+    fake.queueRun(
+      { toolCalls: [{ name: "getStockPrice", arguments: { symbol: "MSFT" } }, { name: "getStockPrice", arguments: { symbol: "AAPL" } }] },
+      { reply: "MSFT is up" }
+    );
+
+    const events = await readEvents(await handleAssistant(await ask("Stock prices?")));
+    const toolEvents = events.filter(({ type }) => type === "tool_call");
+
+    assert.deepEqual(toolEvents.map(({ data }) => [data.name, data.status]), [
+      ["getStockPrice", "in_progress"],
+      ["getStockPrice", "in_progress"],
+      ["getStockPrice", "completed"],
+      ["getStockPrice", "completed"]
+    ]);
+    assert.equal(fake.submittedToolOutputs.length, 2);
+    assert.match(fake.submittedToolOutputs[0].output, /^\$\d+\.\d{2}$/);
+    assert.equal(events.filter(({ type }) => type === "text").map(({ data }) => data.value).join(""), "MSFT is up");
+    assert.equal(events.at(-1).data.status, "completed");
+  });
+
+  it("follows chained rounds of required actions", async () => {
+    fake.queueRun(
+      { toolCalls: [{ name: "getStockPrice", arguments: { symbol: "MSFT" } }] },
+      { toolCalls: [{ name: "writeAndSendEmail", arguments: { subject: "MSFT", html: "<p>Up</p>" } }] },
+      { reply: "Sent" }
+    );
+
+    const events = await readEvents(await handleAssistant(await ask("Price and email")));
+
+    assert.equal(fake.callCount("runs.submitToolOutputsStream"), 2);
+    assert.equal(fake.submittedToolOutputs[1].output, "Fake email sent successfully!");
+    assert.equal(events.filter(({ type, data }) => type === "status" && data.status === "requires_action").length, 2);
+    assert.equal(events.at(-1).data.status, "completed");
+  });
+
+  it("reports unknown tools, invalid arguments and failing tools as structured errors", async () => {
+    tools.registerTool({
+      definition: { name: "explode", parameters: { type: "object", properties: {} } },
+      handler: async () => { throw new Error("Kaboom"); }
+    });
+    fake.queueRun(
+      {
+        toolCalls: [
+          { name: "doesNotExist", arguments: {} },
+          { name: "getStockPrice", arguments: { ticker: "MSFT" } },
+          { name: "explode", arguments: {} }
+        ]
+      },
+      { reply: "Sorry" }
+    );
+
+    try {
+      await readBody(await handleAssistant(await ask("Break things")));
+    } finally {
+      tools.unregisterTool("explode");
+    }
+
+    const errors = fake.submittedToolOutputs.map(({ output }) => JSON.parse(output).error);
+    assert.deepEqual(errors.map(({ code }) => code), ["unknown_tool", "invalid_arguments", "tool_error"]);
+    assert.equal(errors[2].message, "Kaboom");
+    assert.ok(errors[1].details.length > 0);
+  });
+
+  it("streams run failures as error events", async () => {
+    fake.queueRun({ error: { code: "rate_limit_exceeded", message: "Slow down" } });
+
+    const events = await readEvents(await handleAssistant(await ask("Hi")));
+    const error = events.find(({ type }) => type === "error");
+
+    assert.deepEqual(error.data, { message: "Slow down", code: "rate_limit_exceeded" });
+    assert.equal(events.at(-1).type, "done");
+    assert.equal(events.at(-1).data.status, "failed");
+  });
+
+  it("streams service errors as error events", async () => {
+    fake.failNext("assistants.retrieve", new Error("Service unavailable"));
+
+    const events = await readEvents(await handleAssistant(await ask("Hi")));
+
+    assert.deepEqual(events.map(({ type }) => type), ["error", "done"]);
+    assert.equal(events[0].data.message, "Service unavailable");
+  });
+
+  it("numbers file_search citations and names their source file", async () => {
+    const file = await fake.files.create({ file: new File(["terms"], "lease.pdf"), purpose: "assistants" });
+    const marker = "【4:0†source】";
+    fake.queueRun({
+      reply: ["The rent is due monthly", `${marker}.`],
+      annotations: [{ type: "file_citation", text: marker, file_citation: { file_id: file.id, quote: "rent is payable monthly" } }]
+    });
+
+    const events = await readEvents(await handleAssistant(await ask("When is rent due?")));
+    const citations = events.filter(({ type }) => type === "citation");
+    const text = events.filter(({ type }) => type === "text").map(({ data }) => data.value).join("");
+
+    assert.equal(citations.length, 1);
+    assert.deepEqual(citations[0].data, {
+      index: 1,
+      label: "[1]",
+      marker,
+      fileId: file.id,
+      fileName: "lease.pdf",
+      quote: "rent is payable monthly"
+    });
+    assert.equal(text, "The rent is due monthly[1].");
+    assert.ok(events.indexOf(citations[0]) < events.findLastIndex(({ type }) => type === "text"));
+  });
+});
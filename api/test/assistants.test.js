@@ -0,0 +1,129 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { useFakeOpenAI, createRequest, readEvents, readJson } = require("./support/helpers");
+
+process.env.AZURE_DEPLOYMENT_NAME = "gpt-test";
+
+const { handleAssistants } = require("../src/functions/assistants");
+const { handleAssistant } = require("../src/functions/assistant");
+const threads = require("../src/lib/threads");
+
+function assistantsRequest(profile, { action, method = "GET", query = "" } = {}) {
+  const path = ["/api/assistants", profile, action].filter(Boolean).join("/");
+  return createRequest({ method, url: `${path}${query}`, params: { profile, action } });
+}
+
+describe("/api/assistants", () => {
+  let fake;
+
+  beforeEach(() => {
+    fake = useFakeOpenAI();
+  });
+
+  it("lists the profiles", async () => {
+    const body = await readJson(await handleAssistants(await assistantsRequest()));
+
+    assert.equal(body.defaultProfile, "default");
+    assert.deepEqual(body.profiles.map(({ profile, version }) => [profile, version]), [["contracts", 1], ["default", 2]]);
+  });
+
+  it("shows the changes a sync would make, then applies them", async () => {
+    const preview = await readJson(await handleAssistants(await assistantsRequest("default")));
+
+    assert.equal(preview.definition.model, "gpt-test");
+    assert.deepEqual(preview.definition.tools.map(tool => tool.function?.name || tool.type), ["file_search", "code_interpreter", "getStockPrice", "writeAndSendEmail"]);
+    assert.equal(preview.sync.action, "update");
+    assert.deepEqual(preview.sync.changes.map(({ field }) => field), [
+      "name", "description", "instructions", "tools.file_search", "tools.code_interpreter", "tools.getStockPrice", "tools.writeAndSendEmail", "metadata.definitionVersion"
+    ]);
+    assert.deepEqual(preview.sync.changes.find(({ field }) => field === "tools.file_search"), {
+      field: "tools.file_search",
+      from: { type: "file_search" },
+      to: { type: "file_search", file_search: { max_num_results: 20 } }
+    });
+
+    const dryRun = await readJson(await handleAssistants(await assistantsRequest("default", { action: "sync", method: "POST", query: "?dryRun=true" })));
+    assert.equal(dryRun.applied, false);
+    assert.equal(fake.callCount("assistants.update"), 0);
+
+    const synced = await handleAssistants(await assistantsRequest("default", { action: "sync", method: "POST" }));
+    assert.equal(synced.status, 200);
+    assert.equal((await readJson(synced)).applied, true);
+    const assistant = fake.assistants.get("asst_test");
+    assert.equal(assistant.name, "Finance Assistant");
+    assert.deepEqual(assistant.metadata, { vectorStoreId: "vs_default", profile: "default", definitionVersion: "2" });
+    assert.deepEqual(assistant.tool_resources, {});
+
+    const after = await readJson(await handleAssistants(await assistantsRequest("default")));
+    assert.equal(after.sync.action, "none");
+    assert.deepEqual(after.sync.changes, []);
+  });
+
+  it("moves the vector store attached to an assistant to its metadata", async () => {
+    const assistant = fake.assistants.get("asst_test");
+    assistant.metadata = {};
+    assistant.tool_resources = { file_search: { vector_store_ids: ["vs_default"] } };
+
+    const preview = await readJson(await handleAssistants(await assistantsRequest("default")));
+    assert.deepEqual(preview.sync.changes.find(({ field }) => field === "tool_resources.file_search"), {
+      field: "tool_resources.file_search",
+      from: ["vs_default"],
+      to: []
+    });
+
+    await handleAssistants(await assistantsRequest("default", { action: "sync", method: "POST" }));
+    assert.equal(assistant.metadata.vectorStoreId, "vs_default");
+    assert.deepEqual(assistant.tool_resources.file_search.vector_store_ids, []);
+  });
+
+  it("refuses to replace a newer definition unless forced", async () => {
+    fake.assistants.get("asst_test").metadata = { definitionVersion: "5" };
+
+    const refused = await handleAssistants(await assistantsRequest("default", { action: "sync", method: "POST" }));
+    assert.equal(refused.status, 409);
+    assert.equal((await readJson(refused)).code, "version_conflict");
+
+    const forced = await handleAssistants(await assistantsRequest("default", { action: "sync", method: "POST", query: "?force=true" }));
+    assert.equal(forced.status, 200);
+    assert.equal(fake.assistants.get("asst_test").metadata.definitionVersion, "2");
+  });
+
+  it("creates the assistant of a new profile and answers with it", async () => {
+    const created = await handleAssistants(await assistantsRequest("contracts", { action: "sync", method: "POST" }));
+    const { assistantId, action } = await readJson(created);
+
+    assert.equal(created.status, 201);
+    assert.equal(action, "create");
+    const assistant = fake.assistants.get(assistantId);
+    assert.equal(assistant.name, "Contract Reviewer");
+    assert.equal(assistant.temperature, 0.2);
+    assert.deepEqual(assistant.tool_resources, {});
+
+    fake.queueRun({ reply: "Clause 4" }, { reply: "Clause 5" });
+    const events = await readEvents(await handleAssistant(await createRequest({
+      method: "POST",
+      url: "/api/assistant",
+      json: { message: "Renewal terms?", profile: "contracts" }
+    })));
+    const { threadId } = events[0].data;
+    assert.equal((await threads.getThread(threadId)).profile, "contracts");
+
+    // Later messages keep the thread's profile
+    await readEvents(await handleAssistant(await createRequest({
+      method: "POST",
+      url: "/api/assistant",
+      headers: { "x-thread-id": threadId },
+      json: { message: "And termination?" }
+    })));
+    const runs = [...fake.runs.values()].filter(run => run.thread_id === threadId);
+    assert.deepEqual(runs.map(run => run.assistant_id), [assistantId, assistantId]);
+  });
+
+  it("rejects unknown profiles", async () => {
+    assert.equal((await handleAssistants(await assistantsRequest("missing"))).status, 404);
+
+    const response = await handleAssistant(await createRequest({ method: "POST", url: "/api/assistant", json: { message: "Hi", profile: "missing" } }));
+    assert.equal(response.status, 404);
+    assert.deepEqual(await readJson(response), { error: "Assistant profile not found", profile: "missing" });
+  });
+});
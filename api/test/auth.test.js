@@ -0,0 +1,151 @@
+const { describe, it, before, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { generateKeyPair, SignJWT } = require("jose");
+
+// Authentication is configured from the environment when the modules load
+process.env.AUTH_PROVIDERS = "apikey,jwt";
+process.env.AUTH_API_KEYS = "alice:alice-key,bob:bob-key";
+process.env.AUTH_ISSUER = "https://login.example.com";
+process.env.AUTH_AUDIENCE = "contract-assistant";
+
+const { useFakeOpenAI, createRequest, readBody, readJson, textFile } = require("./support/helpers");
+const { registerAuthProvider, createJwtProvider, authenticate } = require("../src/lib/auth");
+const { handleAssistant } = require("../src/functions/assistant");
+const { handleThreads } = require("../src/functions/threads");
+const { handleUpload } = require("../src/functions/upload");
+const { handleFiles } = require("../src/functions/files");
+
+const asAlice = { "x-api-key": "alice-key" };
+const asBob = { authorization: "ApiKey bob-key" };
+
+async function upload(headers, name) {
+  const formData = new FormData();
+  formData.append("file", textFile("The parties agree...", name), name);
+  const response = await handleUpload(await createRequest({ method: "POST", url: "/api/upload", headers, formData }));
+  return readJson(response);
+}
+
+async function ask(headers, json) {
+  const response = await handleAssistant(await createRequest({ method: "POST", url: "/api/assistant", headers, json }));
+  return { response, body: await readBody(response) };
+}
+
+describe("authentication", () => {
+  let fake;
+  let privateKey;
+
+  before(async () => {
+    const keys = await generateKeyPair("RS256");
+    privateKey = keys.privateKey;
+    registerAuthProvider("jwt", createJwtProvider({ keySet: async () => keys.publicKey }));
+  });
+
+  beforeEach(() => {
+    fake = useFakeOpenAI();
+  });
+
+  function signToken(claims, { issuer = "https://login.example.com", audience = "contract-assistant" } = {}) {
+    return new SignJWT(claims)
+      .setProtectedHeader({ alg: "RS256" })
+      .setIssuer(issuer)
+      .setAudience(audience)
+      .setExpirationTime("5m")
+      .sign(privateKey);
+  }
+
+  it("rejects anonymous requests", async () => {
+    const response = await handleThreads(await createRequest({ url: "/api/threads" }));
+
+    assert.equal(response.status, 401);
+    assert.match(response.headers["WWW-Authenticate"], /Bearer/);
+  });
+
+  it("rejects unknown API keys", async () => {
+    const response = await handleThreads(await createRequest({ url: "/api/threads", headers: { "x-api-key": "nope" } }));
+
+    assert.equal(response.status, 401);
+    assert.equal((await readJson(response)).error, "Invalid API key");
+  });
+
+  it("accepts bearer tokens and checks their audience", async () => {
+    const valid = await signToken({ sub: "carol" });
+    const response = await handleThreads(await createRequest({ url: "/api/threads", headers: { authorization: `Bearer ${valid}` } }));
+    assert.equal(response.status, 200);
+
+    const wrongAudience = await signToken({ sub: "carol" }, { audience: "someone-else" });
+    const rejected = await handleThreads(await createRequest({ url: "/api/threads", headers: { authorization: `Bearer ${wrongAudience}` } }));
+    assert.equal(rejected.status, 401);
+  });
+
+  it("keeps the users of different providers apart", async () => {
+    const token = await signToken({ sub: "alice" });
+    const byToken = await authenticate(await createRequest({ url: "/api/threads", headers: { authorization: `Bearer ${token}` } }));
+    const byKey = await authenticate(await createRequest({ url: "/api/threads", headers: asAlice }));
+    assert.equal(byToken.id, "jwt:alice");
+    assert.equal(byKey.id, "apikey:alice");
+
+    await ask(asAlice, { message: "Review the ACME lease" });
+    const tokensList = await readJson(await handleThreads(await createRequest({ url: "/api/threads", headers: { authorization: `Bearer ${token}` } })));
+    assert.equal(tokensList.total, 0);
+  });
+
+  it("only creates the providers AUTH_PROVIDERS enables", () => {
+    const settings = { AUTH_PROVIDERS: process.env.AUTH_PROVIDERS, AUTH_API_KEYS: process.env.AUTH_API_KEYS };
+    const modulePath = require.resolve("../src/lib/auth");
+    const loaded = require.cache[modulePath];
+    try {
+      process.env.AUTH_PROVIDERS = "jwt";
+      process.env.AUTH_API_KEYS = "no-separator";
+      delete require.cache[modulePath];
+      assert.doesNotThrow(() => require("../src/lib/auth"));
+    } finally {
+      Object.assign(process.env, settings);
+      require.cache[modulePath] = loaded;
+    }
+  });
+
+  it("answers preflight requests without credentials and refuses unknown origins", async () => {
+    const allowed = await handleThreads(await createRequest({ method: "OPTIONS", url: "/api/threads", headers: { origin: "http://localhost:5173" } }));
+    assert.equal(allowed.status, 200);
+    assert.equal(allowed.headers["Access-Control-Allow-Origin"], "http://localhost:5173");
+
+    const refused = await handleThreads(await createRequest({ method: "OPTIONS", url: "/api/threads", headers: { origin: "https://evil.example.com" } }));
+    assert.equal(refused.status, 403);
+    assert.equal(refused.headers["Access-Control-Allow-Origin"], undefined);
+  });
+
+  it("keeps threads private to their owner", async () => {
+    await ask(asAlice, { message: "Review the ACME lease" });
+    const { threads } = await readJson(await handleThreads(await createRequest({ url: "/api/threads", headers: asAlice })));
+    assert.equal(threads.length, 1);
+    const threadId = threads[0].id;
+
+    const bobsList = await readJson(await handleThreads(await createRequest({ url: "/api/threads", headers: asBob })));
+    assert.equal(bobsList.total, 0);
+
+    const read = await handleThreads(await createRequest({ url: `/api/threads/${threadId}`, params: { threadId }, headers: asBob }));
+    assert.equal(read.status, 404);
+
+    const { response } = await ask({ ...asBob, "x-thread-id": threadId }, { message: "And now?" });
+    assert.equal(response.status, 404);
+    assert.equal(fake.callCount("messages.create"), 1);
+  });
+
+  it("keeps files private to their owner", async () => {
+    const { fileId } = await upload(asAlice, "lease.txt");
+    await upload(asBob, "nda.txt");
+
+    const bobsFiles = await readJson(await handleFiles(await createRequest({ url: "/api/files", headers: asBob })));
+    assert.deepEqual(bobsFiles.files.map(({ fileName }) => fileName), ["nda.txt"]);
+
+    const { response } = await ask(asBob, { message: "Summarize it", fileIds: [fileId] });
+    assert.equal(response.status, 403);
+
+    const deleted = await handleFiles(await createRequest({ method: "DELETE", url: `/api/files?fileId=${fileId}`, headers: asBob }));
+    assert.equal(deleted.status, 404);
+    assert.ok(fake.storedFiles.has(fileId));
+
+    const ownDelete = await handleFiles(await createRequest({ method: "DELETE", url: `/api/files?fileId=${fileId}`, headers: asAlice }));
+    assert.equal(ownDelete.status, 200);
+  });
+});
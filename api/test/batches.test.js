@@ -0,0 +1,220 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.BATCH_CONCURRENCY = "1";
+process.env.DAILY_TOKEN_BUDGET = "1000";
+
+const { useFakeOpenAI, createRequest, readBody, readJson, textFile } = require("./support/helpers");
+const { handleBatches, answerCell } = require("../src/functions/batches");
+const { handleCollections } = require("../src/functions/collections");
+const { handleUpload } = require("../src/functions/upload");
+const batches = require("../src/lib/batches");
+const threads = require("../src/lib/threads");
+const limits = require("../src/lib/limits");
+
+// Each test is its own client, with its own token budget
+function batchesRequest({ batchId, action, query = "", client = "203.0.113.1", ...options } = {}) {
+  const path = [batchId, action].filter(Boolean).map(encodeURIComponent).join("/");
+  return createRequest({
+    url: `/api/batches${path ? `/${path}` : ""}${query}`,
+    params: { ...(batchId && { batchId }), ...(action && { action }) },
+    headers: { "x-forwarded-for": client },
+    ...options
+  });
+}
+
+async function startJob(json, client) {
+  const response = await handleBatches(await batchesRequest({ method: "POST", json, client }));
+  assert.equal(response.status, 202);
+  return readJson(response);
+}
+
+async function getJob(batchId) {
+  return readJson(await handleBatches(await batchesRequest({ batchId })));
+}
+
+async function upload(name, content) {
+  const formData = new FormData();
+  formData.append("file", textFile(content, name));
+  return readJson(await handleUpload(await createRequest({ method: "POST", url: "/api/upload", formData })));
+}
+
+describe("/api/batches", () => {
+  let fake;
+
+  beforeEach(() => {
+    fake = useFakeOpenAI();
+  });
+
+  it("asks every question about every file and collection and returns the answers", async () => {
+    const { fileId } = await upload("lease.txt", "Rent is payable monthly");
+    const collection = await readJson(await handleCollections(await createRequest({
+      method: "POST", url: "/api/collections", json: { name: "Leases" }
+    })));
+    const marker = "【4:0†source】";
+    fake.queueRun(
+      {
+        reply: ["Monthly", `${marker}.`],
+        annotations: [{ type: "file_citation", text: marker, file_citation: { file_id: fileId, quote: "payable monthly" } }]
+      },
+      { reply: "The tenant." },
+      { reply: "Quarterly." },
+      { reply: "The landlord, =SUM(A1)" }
+    );
+
+    const started = await startJob({
+      name: "Lease review",
+      questions: ["When is rent due?", " Who pays for repairs? "],
+      fileIds: [fileId],
+      collections: ["Leases"]
+    }, "203.0.113.1");
+    assert.equal(started.status, "queued");
+    assert.deepEqual(started.progress, { total: 4, pending: 4, running: 0, completed: 0, failed: 0 });
+    await batches.settleBatches();
+
+    const job = await getJob(started.id);
+    assert.equal(job.status, "completed");
+    assert.deepEqual(job.questions, ["When is rent due?", "Who pays for repairs?"]);
+    assert.deepEqual(job.rows.map(({ target }) => target), [
+      { type: "file", fileId, name: "lease.txt" },
+      { type: "collection", collectionId: collection.id, name: "Leases" }
+    ]);
+    const [first] = job.rows[0].answers;
+    assert.equal(first.answer, "Monthly[1].");
+    assert.deepEqual(first.citations, [{ label: "[1]", fileId, fileName: "lease.txt", quote: "payable monthly" }]);
+    assert.deepEqual((await threads.getThread(first.threadId)).tags, ["batch"]);
+    assert.equal((await threads.getThread(job.rows[1].answers[0].threadId)).collectionId, collection.id);
+
+    const csv = await handleBatches(await batchesRequest({ batchId: job.id, action: "results", query: "?format=csv" }));
+    assert.equal(csv.headers["Content-Disposition"], 'attachment; filename="lease-review.csv"');
+    assert.deepEqual((await readBody(csv)).split("\r\n"), [
+      "Target,When is rent due?,When is rent due? (citations),Who pays for repairs?,Who pays for repairs? (citations)",
+      'lease.txt,Monthly[1].,"[1] lease.txt ""payable monthly""",The tenant.,',
+      `Leases,Quarterly.,,"The landlord, =SUM(A1)",`,
+      ""
+    ]);
+
+    const json = await handleBatches(await batchesRequest({ batchId: job.id, action: "results" }));
+    assert.equal(json.headers["Content-Disposition"], 'attachment; filename="lease-review.json"');
+    assert.equal(JSON.parse(await readBody(json)).rows[1].answers[1].answer, "The landlord, =SUM(A1)");
+    const unknown = await handleBatches(await batchesRequest({ batchId: job.id, action: "results", query: "?format=constructor" }));
+    assert.equal(unknown.status, 400);
+  });
+
+  it("records failed questions and asks them again when resumed", async () => {
+    const { fileId } = await upload("nda.txt", "Mutual NDA");
+    fake.queueRun({ reply: "Two years." }, { error: { code: "server_error", message: "Something went wrong" } });
+
+    const { id } = await startJob({ questions: ["How long does it last?", "Is it mutual?"], fileIds: [fileId] }, "203.0.113.2");
+    await batches.settleBatches();
+
+    let job = await getJob(id);
+    assert.equal(job.status, "completed");
+    assert.equal(job.name, "2 questions about 1 documents");
+    assert.deepEqual(job.progress, { total: 2, pending: 0, running: 0, completed: 1, failed: 1 });
+    assert.equal(job.rows[0].answers[1].error, "Something went wrong");
+
+    fake.queueRun({ reply: "Yes." });
+    const resumed = await handleBatches(await batchesRequest({ method: "POST", batchId: id, action: "resume" }));
+    assert.equal(resumed.status, 202);
+    await batches.settleBatches();
+
+    job = await getJob(id);
+    assert.equal(job.status, "completed");
+    assert.deepEqual(job.rows[0].answers.map(({ answer }) => answer), ["Two years.", "Yes."]);
+    assert.equal(fake.callCount("runs.stream"), 3);
+  });
+
+  it("stops the job when the token budget runs out", async () => {
+    const { fileId } = await upload("msa.txt", "Master services agreement");
+    const usage = { prompt_tokens: 400, completion_tokens: 100, total_tokens: 500 };
+    fake.queueRun({ reply: "One.", usage }, { reply: "Two.", usage }, { reply: "Three.", usage });
+
+    const { id } = await startJob({ questions: ["First?", "Second?", "Third?"], fileIds: [fileId] }, "203.0.113.3");
+    await batches.settleBatches();
+
+    const job = await getJob(id);
+    assert.equal(job.status, "failed");
+    assert.match(job.error, /Daily token budget of 1000 tokens exhausted/);
+    assert.deepEqual(job.progress, { total: 3, pending: 1, running: 0, completed: 2, failed: 0 });
+    assert.equal(fake.callCount("runs.stream"), 2);
+  });
+
+  it("cancels and deletes jobs", async () => {
+    const { fileId } = await upload("sow.txt", "Statement of work");
+    const { id } = await startJob({ questions: ["First?", "Second?", "Third?"], fileIds: [fileId] }, "203.0.113.4");
+
+    const cancelled = await handleBatches(await batchesRequest({ method: "POST", batchId: id, action: "cancel" }));
+    assert.equal(cancelled.status, 200);
+    await batches.settleBatches();
+
+    const job = await getJob(id);
+    assert.equal(job.status, "cancelled");
+    assert.ok(job.progress.pending >= 2);
+    assert.equal((await handleBatches(await batchesRequest({ method: "POST", batchId: id, action: "cancel" }))).status, 409);
+
+    assert.equal((await handleBatches(await batchesRequest({ method: "DELETE", batchId: id }))).status, 200);
+    assert.equal((await handleBatches(await batchesRequest({ batchId: id }))).status, 404);
+  });
+
+  it("picks up queued jobs on the timer", async () => {
+    const target = { type: "file", fileId: "file-1", name: "contract.pdf" };
+    const job = await batches.createBatch({ questions: ["Who signed?"], targets: [target] }, { ownerId: "anonymous", client: "ip:203.0.113.5" });
+    fake.queueRun({ reply: "Both parties." });
+
+    assert.deepEqual(await batches.processBatches(answerCell), { started: 1 });
+    await batches.settleBatches();
+
+    assert.equal((await batches.getBatch(job.id)).status, "completed");
+    assert.deepEqual(await batches.processBatches(answerCell), { started: 0 });
+  });
+
+  it("stops working on a job deleted while it runs", async () => {
+    const target = { type: "file", fileId: "file-1", name: "contract.pdf" };
+    const job = await batches.createBatch({ questions: ["Who signed?", "When?"], targets: [target] }, { ownerId: "anonymous", client: "ip:203.0.113.7" });
+    let asked = 0;
+
+    const ended = await batches.runBatch(job.id, async () => {
+      asked++;
+      await batches.removeBatch(job.id);
+      return { answer: "Both parties.", citations: [], threadId: null, runId: null };
+    });
+
+    assert.equal(ended, null);
+    assert.equal(asked, 1);
+  });
+
+  it("waits for one of the client's run slots before asking", async () => {
+    const client = "ip:203.0.113.8";
+    const target = { type: "file", fileId: "file-1", name: "contract.pdf" };
+    const job = await batches.createBatch({ questions: ["Who signed?"], targets: [target] }, { ownerId: "anonymous", client });
+    const held = Array.from({ length: limits.LIMITS.concurrentRuns }, () => limits.acquireRun(client));
+    fake.queueRun({ reply: "Both parties." });
+
+    const answered = answerCell(job, job.cells[0]);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(fake.callCount("runs.stream"), 0);
+    held.forEach(release => release());
+
+    assert.equal((await answered).answer, "Both parties.");
+    // The cell gave its slot back
+    assert.doesNotThrow(() => Array.from({ length: limits.LIMITS.concurrentRuns }, () => limits.acquireRun(client)).forEach(release => release()));
+  });
+
+  it("checks the request", async () => {
+    const post = async json => handleBatches(await batchesRequest({ method: "POST", json, client: "203.0.113.6" }));
+
+    assert.equal((await post({ questions: [], fileIds: ["file-1"] })).status, 400);
+    assert.equal((await post({ questions: ["Why?"] })).status, 400);
+    assert.equal((await post({ questions: ["Why?"], fileIds: "file-1" })).status, 400);
+
+    const missingFile = await post({ questions: ["Why?"], fileIds: ["file-missing"] });
+    assert.equal(missingFile.status, 404);
+    assert.deepEqual(await readJson(missingFile), { error: "File not found", fileIds: ["file-missing"] });
+    assert.equal((await post({ questions: ["Why?"], collections: ["Nowhere"] })).status, 404);
+    assert.equal((await post({ questions: ["Why?"], fileIds: ["file-1"], profile: "lease" })).status, 404);
+
+    assert.equal((await handleBatches(await batchesRequest({ batchId: "missing" }))).status, 404);
+    assert.equal(fake.callCount("runs.stream"), 0);
+  });
+});
@@ -0,0 +1,291 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.BACKEND_MODE = "chat";
+process.env.CHAT_MODEL = "local-model";
+process.env.EMBEDDINGS_MODEL = "local-embeddings";
+process.env.DOCUMENT_CHUNK_SIZE = "200";
+process.env.DOCUMENT_CHUNK_OVERLAP = "40";
+process.env.GUARDRAIL_BLOCKED_TERMS = "Project Falcon";
+
+const { createRequest, readBody, readJson, readEvents, textFile } = require("./support/helpers");
+const { docxFile, pdfFile } = require("./support/documents");
+const { DEFAULT_REPLY, startFakeChatServer } = require("./support/fakeChatServer");
+const { handleUpload } = require("../src/functions/upload");
+const { handleFiles } = require("../src/functions/files");
+const { handleAssistant } = require("../src/functions/assistant");
+const { handleThreads } = require("../src/functions/threads");
+const { handleAnalyze } = require("../src/functions/analyze");
+const { handleCancelRun } = require("../src/functions/runs");
+const { handleCollections } = require("../src/functions/collections");
+const { chunkText } = require("../src/lib/documents");
+const { createSourceMarkers } = require("../src/lib/chat");
+const { createCompatibleOpenAI } = require("../src/lib/openai");
+const searchIndexes = require("../src/indexes");
+
+const LEASE = "The lease starts on 1 March. The tenant pays the rent monthly. "
+  + "Either party may end the lease with a notice period of 90 days before termination.";
+const PAYROLL = "Salary is paid on the 25th of each month. Holiday pay follows the collective agreement.";
+
+async function upload(...files) {
+  const formData = new FormData();
+  for (const file of files) {
+    formData.append("file", file);
+  }
+  return readJson(await handleUpload(await createRequest({ method: "POST", url: "/api/upload", formData })));
+}
+
+async function ask(message, { threadId, collection } = {}) {
+  const request = await createRequest({
+    method: "POST",
+    url: "/api/assistant",
+    headers: threadId ? { "x-thread-id": threadId } : {},
+    json: { message, ...(collection && { collection }) }
+  });
+  return readEvents(await handleAssistant(request));
+}
+
+function eventsOf(events, type) {
+  return events.filter(event => event.type === type).map(event => event.data);
+}
+
+function answerText(events) {
+  return eventsOf(events, "text").map(({ value }) => value).join("");
+}
+
+describe("chat mode", () => {
+  let server;
+  const fileIds = {};
+
+  before(async () => {
+    server = await startFakeChatServer();
+    process.env.CHAT_BASE_URL = server.url;
+
+    const { files } = await upload(
+      textFile(LEASE, "lease.txt"),
+      docxFile(PAYROLL, "payroll.docx"),
+      await pdfFile("Invoices are due within 30 days of the invoice date.", "invoices.pdf")
+    );
+    for (const file of files) {
+      fileIds[file.fileName] = file.fileId;
+    }
+  });
+
+  after(() => server.close());
+
+  it("stores and indexes uploaded TXT, DOCX and PDF documents locally", async () => {
+    const { files } = await readJson(await handleFiles(await createRequest({ url: "/api/files" })));
+
+    assert.deepEqual(
+      files.map(({ fileName, indexing }) => [fileName, indexing.status]).sort(),
+      [["invoices.pdf", "completed"], ["lease.txt", "completed"], ["payroll.docx", "completed"]]
+    );
+    assert.match(fileIds["lease.txt"], /^file-/);
+  });
+
+  it("reports a document without text as failed to index", async () => {
+    const body = await upload(textFile("   ", "blank.txt"));
+
+    assert.equal(body.status, "uploaded");
+    assert.deepEqual(body.indexing, { status: "failed", lastError: { code: "no_text", message: "No text could be read from the document" } });
+  });
+
+  it("answers from the passages found and cites them", async () => {
+    server.queueReply({ reply: ["The notice period is 90 days [", "1]."] });
+
+    const events = await ask("What notice period does the lease require?");
+
+    const [request] = server.completionRequests().slice(-1);
+    assert.equal(request.model, "local-model");
+    assert.equal(request.stream, true);
+    const sources = request.messages.find(message => message.role === "system" && message.content.startsWith("Excerpts"));
+    assert.match(sources.content, /\[1\] lease\.txt\nThe lease starts on 1 March/);
+    assert.deepEqual(request.messages.at(-1), { role: "user", content: "What notice period does the lease require?" });
+
+    assert.equal(answerText(events), "The notice period is 90 days [1].");
+    const [citation] = eventsOf(events, "citation");
+    assert.equal(citation.fileId, fileIds["lease.txt"]);
+    assert.equal(citation.fileName, "lease.txt");
+    assert.match(citation.quote, /^The lease starts/);
+    assert.deepEqual(eventsOf(events, "usage"), [{ promptTokens: 10, completionTokens: 5, totalTokens: 15 }]);
+    assert.equal(eventsOf(events, "done")[0].status, "completed");
+  });
+
+  it("keeps the conversation locally and sends its history", async () => {
+    server.queueReply({ reply: "Rent is paid monthly [1]." }, { reply: "You asked about the rent." });
+    const first = await ask("When is the rent paid?");
+    const { threadId } = eventsOf(first, "thread")[0];
+
+    const second = await ask("What did I ask?", { threadId });
+
+    assert.equal(eventsOf(second, "thread")[0].threadId, threadId);
+    const [request] = server.completionRequests().slice(-1);
+    assert.deepEqual(
+      request.messages.filter(message => message.role !== "system"),
+      [
+        { role: "user", content: "When is the rent paid?" },
+        { role: "assistant", content: "Rent is paid monthly." },
+        { role: "user", content: "What did I ask?" }
+      ]
+    );
+
+    const { messages } = await readJson(await handleThreads(await createRequest({ url: `/api/threads/${threadId}`, params: { threadId } })));
+    assert.deepEqual(messages.map(({ role }) => role), ["user", "assistant", "user", "assistant"]);
+    assert.equal(messages[1].content, "Rent is paid monthly 【0†source】.");
+    assert.equal(messages[1].runId, eventsOf(first, "done")[0].runId);
+    assert.equal(messages[3].content, "You asked about the rent.");
+  });
+
+  it("searches only the conversation's collection", async () => {
+    const collection = await readJson(await handleCollections(await createRequest({ method: "POST", url: "/api/collections", json: { name: "Tenancy" } })));
+    const formData = new FormData();
+    formData.append("file", textFile("The tenancy notice period is 60 days.", "tenancy.txt"));
+    formData.append("collection", collection.id);
+    await handleUpload(await createRequest({ method: "POST", url: "/api/upload", formData }));
+
+    await ask("What notice period applies?", { collection: collection.id });
+
+    const [request] = server.completionRequests().slice(-1);
+    const sources = request.messages.find(message => message.role === "system" && message.content.startsWith("Excerpts"));
+    assert.match(sources.content, /\] tenancy\.txt\n/);
+    assert.doesNotMatch(sources.content, /\] lease\.txt\n/);
+  });
+
+  it("runs the functions the model calls and answers with their output", async () => {
+    server.queueReply(
+      { toolCalls: [{ name: "writeAndSendEmail", arguments: { subject: "Lease", html: "<p>Notice: 90 days</p>" } }] },
+      { reply: "The email is sent." }
+    );
+
+    const events = await ask("Email me the notice period");
+
+    assert.deepEqual(
+      eventsOf(events, "tool_call").map(({ name, status }) => [name, status]),
+      [["writeAndSendEmail", "in_progress"], ["writeAndSendEmail", "completed"]]
+    );
+    assert.deepEqual(eventsOf(events, "status").map(({ status }) => status), ["in_progress", "requires_action"]);
+    assert.equal(answerText(events), "The email is sent.");
+
+    const [request] = server.completionRequests().slice(-1);
+    assert.deepEqual(request.tools.map(tool => tool.function.name), ["getStockPrice", "writeAndSendEmail"]);
+    const [call, output] = request.messages.slice(-2);
+    assert.equal(call.tool_calls[0].function.name, "writeAndSendEmail");
+    assert.deepEqual(output, { role: "tool", tool_call_id: call.tool_calls[0].id, content: "Fake email sent successfully!" });
+    assert.deepEqual(eventsOf(events, "usage"), [{ promptTokens: 20, completionTokens: 10, totalTokens: 30 }]);
+  });
+
+  it("stops an answer the guardrails block, still reporting its usage", async () => {
+    server.queueReply({ reply: ["The plan for Project ", "Falcon is ", "to launch in May."] });
+
+    const events = await ask("What are we launching?");
+
+    assert.equal(answerText(events), "The plan for Project ");
+    assert.equal(eventsOf(events, "error")[0].code, "guardrail_blocked");
+    assert.deepEqual(eventsOf(events, "usage"), [{ promptTokens: 10, completionTokens: 5, totalTokens: 15 }]);
+    assert.equal(eventsOf(events, "done")[0].status, "blocked");
+
+    const { threadId } = eventsOf(events, "thread")[0];
+    const { messages } = await readJson(await handleThreads(await createRequest({ url: `/api/threads/${threadId}`, params: { threadId } })));
+    assert.deepEqual(messages.map(({ role }) => role), ["user"]);
+  });
+
+  it("answers without sources when no document matches", async () => {
+    const events = await ask("Hello there");
+
+    const [request] = server.completionRequests().slice(-1);
+    assert.ok(!request.messages.some(message => message.content?.startsWith("Excerpts")));
+    assert.equal(answerText(events), DEFAULT_REPLY);
+  });
+
+  it("removes deleted documents from the search", async () => {
+    const fileId = fileIds["invoices.pdf"];
+    const response = await handleFiles(await createRequest({ method: "DELETE", url: `/api/files/${fileId}`, params: { fileId } }));
+    assert.equal(response.status, 200);
+
+    await ask("When are invoices due?");
+
+    const [request] = server.completionRequests().slice(-1);
+    assert.ok(!request.messages.some(message => message.content?.includes("invoices.pdf")));
+    const missing = await handleFiles(await createRequest({ url: `/api/files/${fileId}`, params: { fileId } }));
+    assert.equal(missing.status, 404);
+  });
+
+  it("refuses the endpoints that need the Assistants API", async () => {
+    const analyze = await handleAnalyze(await createRequest({ method: "POST", url: "/api/analyze", json: {} }));
+    const cancel = await handleCancelRun(await createRequest({ method: "POST", url: "/api/threads/thread_1/runs/run_1/cancel" }));
+
+    assert.equal(analyze.status, 501);
+    assert.equal(cancel.status, 501);
+    assert.equal((await readJson(analyze)).error, "Not available in chat mode");
+    await readBody(cancel);
+  });
+});
+
+describe("chat mode search", () => {
+  it("cuts text into overlapping chunks at sentence ends", () => {
+    const text = "First sentence about the lease. ".repeat(10).trim();
+
+    const chunks = chunkText(text, { size: 100, overlap: 30 });
+
+    assert.ok(chunks.length > 1);
+    assert.ok(chunks.every(({ text: chunk }) => chunk.length <= 100));
+    assert.ok(chunks.slice(0, -1).every(({ text: chunk }) => chunk.endsWith(".")));
+    // The next chunk starts with the last words of the one before
+    const repeated = chunks[1].text.slice(0, chunks[1].text.indexOf(".") + 1);
+    assert.ok(chunks[0].text.endsWith(` ${repeated}`));
+    assert.deepEqual(chunks.map(({ index }) => index), chunks.map((_, index) => index));
+  });
+
+  it("ranks passages by the words they share with the question", async () => {
+    const keyword = searchIndexes.getIndex("keyword");
+    await keyword.add("doc-a", [{ index: 0, text: "The rent is due monthly." }, { index: 1, text: "Termination requires notice." }]);
+    await keyword.add("doc-b", [{ index: 0, text: "Holidays are paid." }]);
+
+    const results = await keyword.search("How much notice before termination?", { documentIds: ["doc-a", "doc-b"], limit: 5 });
+
+    assert.deepEqual(results.map(({ documentId, index }) => [documentId, index]), [["doc-a", 1]]);
+    await keyword.remove("doc-a");
+    assert.deepEqual(await keyword.search("termination", { documentIds: ["doc-a"], limit: 5 }), []);
+  });
+
+  it("ranks passages for questions with words that are also object properties", async () => {
+    const keyword = searchIndexes.getIndex("keyword");
+    await keyword.add("doc-c", [{ index: 0, text: "The constructor is liable up to the cap." }, { index: 1, text: "Holidays are paid." }]);
+
+    const results = await keyword.search("Who is the constructor and what is the liability cap? valueOf toString", { documentIds: ["doc-c"], limit: 5 });
+
+    assert.deepEqual(results.map(({ documentId, index }) => [documentId, index]), [["doc-c", 0]]);
+    assert.ok(Number.isFinite(results[0].score));
+  });
+
+  it("ranks passages by embedding similarity", async () => {
+    const server = await startFakeChatServer();
+    try {
+      const openai = createCompatibleOpenAI({ endpoint: server.url });
+      const embeddings = searchIndexes.getIndex("embeddings");
+      await embeddings.add("doc-c", [{ index: 0, text: "Invoice payment terms" }, { index: 1, text: "Salary and holiday pay" }], { openai });
+
+      const [best] = await embeddings.search("When is my salary paid?", { documentIds: ["doc-c"], limit: 1 }, { openai });
+
+      assert.equal(best.index, 1);
+      assert.equal(server.requests[0].body.model, "local-embeddings");
+    } finally {
+      await server.close();
+    }
+  });
+
+  it("turns references to sources into citation markers across deltas", () => {
+    const markers = createSourceMarkers([{ fileId: "file-1", text: "Passage one" }, { fileId: "file-2", text: "Passage two" }]);
+
+    const first = markers.push("See [");
+    const second = markers.push("2] and [1, 2]. Not [7]");
+    const last = markers.flush();
+
+    assert.equal(first.value + second.value + last.value, "See 【1†source】 and 【0†source】【1†source】. Not [7]");
+    assert.deepEqual(second.annotations.map(({ text, file_citation }) => [text, file_citation.file_id]), [
+      ["【1†source】", "file-2"],
+      ["【0†source】", "file-1"],
+      ["【1†source】", "file-2"]
+    ]);
+  });
+});
@@ -0,0 +1,177 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { useFakeOpenAI, createRequest, readBody, readEvents, readJson, textFile } = require("./support/helpers");
+const { handleCollections } = require("../src/functions/collections");
+const { handleUpload } = require("../src/functions/upload");
+const { handleFiles } = require("../src/functions/files");
+const { handleAssistant } = require("../src/functions/assistant");
+
+function collectionsRequest({ collectionId, action, query = "", ...options } = {}) {
+  const path = [collectionId, action].filter(Boolean).map(encodeURIComponent).join("/");
+  return createRequest({
+    url: `/api/collections${path ? `/${path}` : ""}${query}`,
+    params: { ...(collectionId && { collectionId }), ...(action && { action }) },
+    ...options
+  });
+}
+
+async function createCollection(name) {
+  const response = await handleCollections(await collectionsRequest({ method: "POST", json: { name } }));
+  assert.equal(response.status, 201);
+  return readJson(response);
+}
+
+async function upload(name, content, collection) {
+  const formData = new FormData();
+  formData.append("file", textFile(content, name));
+  if (collection) {
+    formData.append("collection", collection);
+  }
+  return readJson(await handleUpload(await createRequest({ method: "POST", url: "/api/upload", formData })));
+}
+
+// Local records outlive each test's fake client, so every test names its own collection
+describe("/api/collections", () => {
+  let fake;
+
+  beforeEach(() => {
+    fake = useFakeOpenAI();
+  });
+
+  it("creates collections backed by their own vector store", async () => {
+    const collection = await createCollection("ACME");
+
+    assert.ok(fake.vectorStores.has(collection.vectorStoreId));
+    const { collections } = await readJson(await handleCollections(await collectionsRequest()));
+    assert.deepEqual(collections.map(({ id, name }) => [id, name]), [["default", "Default"], [collection.id, "ACME"]]);
+
+    const duplicate = await handleCollections(await collectionsRequest({ method: "POST", json: { name: "acme" } }));
+    assert.equal(duplicate.status, 409);
+    const invalid = await handleCollections(await collectionsRequest({ method: "POST", json: { name: "" } }));
+    assert.equal(invalid.status, 400);
+  });
+
+  it("uploads into the collection given by name or ID", async () => {
+    const collection = await createCollection("Globex");
+
+    const uploaded = await upload("lease.txt", "Lease terms", "Globex");
+
+    assert.equal(uploaded.collectionId, collection.id);
+    assert.ok(fake.vectorStores.get(collection.vectorStoreId).files.has(uploaded.fileId));
+    assert.equal(fake.vectorStores.get("vs_default").files.size, 0);
+
+    const { files } = await readJson(await handleFiles(await createRequest({ url: "/api/files" })));
+    assert.equal(files[0].collectionId, collection.id);
+    assert.equal(files[0].indexing.status, "completed");
+
+    const formData = new FormData();
+    formData.append("file", textFile("NDA terms", "nda.txt"));
+    const unknown = await handleUpload(await createRequest({ method: "POST", url: "/api/upload?collection=nope", formData }));
+    assert.equal(unknown.status, 404);
+  });
+
+  it("moves files between collections", async () => {
+    const collection = await createCollection("Initech");
+    const { fileId } = await upload("lease.txt", "Lease terms");
+
+    const response = await handleCollections(await collectionsRequest({
+      method: "POST",
+      collectionId: collection.id,
+      action: "files",
+      json: { fileIds: [fileId, "assistant-99"] }
+    }));
+    const body = await readJson(response);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(body.files.map(({ status }) => status), ["moved", "not_found"]);
+    assert.equal(fake.vectorStores.get("vs_default").files.size, 0);
+    assert.ok(fake.vectorStores.get(collection.vectorStoreId).files.has(fileId));
+
+    const details = await readJson(await handleCollections(await collectionsRequest({ collectionId: collection.id })));
+    assert.deepEqual(details.files.map(file => file.fileId), [fileId]);
+  });
+
+  it("attaches the collection to the conversation thread", async () => {
+    const collection = await createCollection("Umbrella");
+
+    const response = await handleAssistant(await createRequest({
+      method: "POST",
+      url: "/api/assistant",
+      json: { message: "What is the notice period?", collection: collection.id }
+    }));
+    await readBody(response);
+
+    const [{ thread }] = fake.threads.values();
+    assert.deepEqual(thread.tool_resources.file_search.vector_store_ids, [collection.vectorStoreId]);
+
+    const unknown = await handleAssistant(await createRequest({
+      method: "POST",
+      url: "/api/assistant",
+      json: { message: "Hello", collection: "missing" }
+    }));
+    assert.equal(unknown.status, 404);
+  });
+
+  it("searches only the conversation's collection", async () => {
+    const collection = await createCollection("Initech");
+
+    const events = await readEvents(await handleAssistant(await createRequest({
+      method: "POST",
+      url: "/api/assistant",
+      json: { message: "Who signed the lease?", collection: collection.id }
+    })));
+    await readBody(await handleAssistant(await createRequest({ method: "POST", url: "/api/assistant", json: { message: "Who is the landlord?" } })));
+
+    // file_search reads the vector stores of both the assistant and the thread
+    const [inCollection, outside] = [...fake.threads.values()].map(({ thread }) => thread);
+    assert.equal(inCollection.id, events[0].data.threadId);
+    assert.deepEqual(fake.assistants.get("asst_test").tool_resources, {});
+    assert.deepEqual(inCollection.tool_resources.file_search.vector_store_ids, [collection.vectorStoreId]);
+    assert.deepEqual(outside.tool_resources.file_search.vector_store_ids, ["vs_default"]);
+  });
+
+  it("moves a file uploaded again to another collection there", async () => {
+    const collection = await createCollection("Soylent");
+    const { fileId } = await upload("nda.txt", "Mutual NDA terms");
+
+    const again = await upload("nda-copy.txt", "Mutual NDA terms", collection.id);
+
+    assert.equal(again.status, "duplicate");
+    assert.equal(again.fileId, fileId);
+    assert.equal(again.collectionId, collection.id);
+    assert.equal(again.movedFrom, null);
+    assert.equal(again.indexing.status, "completed");
+    assert.ok(!fake.vectorStores.get("vs_default").files.has(fileId));
+    assert.ok(fake.vectorStores.get(collection.vectorStoreId).files.has(fileId));
+    const details = await readJson(await handleCollections(await collectionsRequest({ collectionId: collection.id })));
+    assert.deepEqual(details.files.map(file => file.fileId), [fileId]);
+  });
+
+  it("deletes a collection and moves its files back to the default collection", async () => {
+    const collection = await createCollection("Hooli");
+    const { fileId } = await upload("lease.txt", "Lease terms", collection.id);
+
+    const response = await handleCollections(await collectionsRequest({ method: "DELETE", collectionId: collection.id }));
+
+    assert.equal(response.status, 200);
+    assert.ok(!fake.vectorStores.has(collection.vectorStoreId));
+    assert.ok(fake.vectorStores.get("vs_default").files.has(fileId));
+    const { collections } = await readJson(await handleCollections(await collectionsRequest()));
+    assert.ok(!collections.some(({ id }) => id === collection.id));
+  });
+
+  it("deletes the files of a collection when asked to", async () => {
+    const collection = await createCollection("Stark");
+    const { fileId } = await upload("lease.txt", "Lease terms", collection.id);
+
+    await handleCollections(await collectionsRequest({ method: "DELETE", collectionId: collection.id, query: "?deleteFiles=true" }));
+
+    assert.ok(!fake.storedFiles.has(fileId));
+  });
+
+  it("does not delete the default collection", async () => {
+    const response = await handleCollections(await collectionsRequest({ method: "DELETE", collectionId: "default" }));
+
+    assert.equal(response.status, 400);
+  });
+});
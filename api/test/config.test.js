@@ -0,0 +1,81 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+require("./support/helpers");
+
+const { checkConfig, getOpenAIConfig, ConfigError } = require("../src/lib/config");
+const { createAzureOpenAI, setTokenProvider } = require("../src/lib/openai");
+
+const VALID = {
+  AZURE_OPENAI_ENDPOINT: "https://fake.openai.azure.com",
+  OPENAI_API_VERSION: "2024-05-01-preview",
+  ASSISTANT_ID: "asst_test",
+  AZURE_DEPLOYMENT_NAME: "gpt-test"
+};
+
+describe("config", () => {
+  afterEach(() => {
+    setTokenProvider(null);
+  });
+
+  it("accepts a complete configuration and signs in with Entra ID without an API key", () => {
+    assert.deepEqual(checkConfig(VALID), { errors: [], warnings: [] });
+    assert.deepEqual(getOpenAIConfig(VALID), {
+      endpoint: "https://fake.openai.azure.com",
+      apiVersion: "2024-05-01-preview",
+      auth: "entra"
+    });
+    assert.equal(getOpenAIConfig({ ...VALID, AZURE_OPENAI_API_KEY: "secret" }).auth, "key");
+  });
+
+  it("names missing and malformed settings without their values", () => {
+    const { errors, warnings } = checkConfig({
+      OPENAI_API_VERSION: "latest",
+      AZURE_OPENAI_AUTH: "key",
+      AZURE_OPENAI_API_KEY: "",
+      OPENAI_MAX_RETRIES: "three",
+      LOG_LEVEL: "verbose"
+    });
+
+    assert.deepEqual(errors.map(({ setting }) => setting).sort(), [
+      "AZURE_OPENAI_API_KEY", "AZURE_OPENAI_ENDPOINT", "LOG_LEVEL", "OPENAI_API_VERSION", "OPENAI_MAX_RETRIES"
+    ]);
+    assert.ok(errors.some(({ message }) => message === "OPENAI_MAX_RETRIES must be a whole number"));
+    assert.ok(errors.some(({ message }) => message === "LOG_LEVEL must be one of debug, info, warn, error"));
+    assert.ok(errors.every(({ message }) => !/latest|three|verbose/.test(message)));
+    assert.deepEqual(warnings.map(({ setting }) => setting), ["ASSISTANT_ID", "AZURE_DEPLOYMENT_NAME"]);
+
+    assert.throws(() => getOpenAIConfig({ ...VALID, OPENAI_API_VERSION: "" }), (error) =>
+      error instanceof ConfigError && error.code === "invalid_config" && /OPENAI_API_VERSION is required/.test(error.message));
+  });
+
+  it("sends Entra ID tokens from the token provider", async () => {
+    const authorizations = [];
+    setTokenProvider(async () => `token-${authorizations.length + 1}`);
+    const client = createAzureOpenAI(getOpenAIConfig(VALID), {
+      fetch: async (url, init) => {
+        authorizations.push([new Headers(init.headers).get("authorization"), new Headers(init.headers).get("api-key")]);
+        return new Response(JSON.stringify({ id: "asst_test" }), { status: 200, headers: { "content-type": "application/json" } });
+      }
+    });
+
+    await client.beta.assistants.retrieve("asst_test");
+    await client.beta.assistants.retrieve("asst_test");
+
+    assert.deepEqual(authorizations, [["Bearer token-1", null], ["Bearer token-2", null]]);
+  });
+
+  it("sends the API key with key auth", async () => {
+    setTokenProvider(async () => assert.fail("no token is needed"));
+    let apiKey;
+    const client = createAzureOpenAI(getOpenAIConfig({ ...VALID, AZURE_OPENAI_API_KEY: "secret" }), {
+      fetch: async (url, init) => {
+        apiKey = new Headers(init.headers).get("api-key");
+        return new Response(JSON.stringify({ id: "asst_test" }), { status: 200, headers: { "content-type": "application/json" } });
+      }
+    });
+
+    await client.beta.assistants.retrieve("asst_test");
+
+    assert.equal(apiKey, "secret");
+  });
+});
@@ -0,0 +1,107 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { useFakeOpenAI, createRequest, readBody, readJson } = require("./support/helpers");
+
+process.env.EMAIL_RECEIVER = "legal@contoso.com";
+
+const { handleExport } = require("../src/functions/exportThread");
+const { handleAssistant } = require("../src/functions/assistant");
+const outbox = require("../src/lib/outbox");
+
+function exportRequest(threadId, { query = "", ...options } = {}) {
+  return createRequest({
+    url: `/api/threads/${threadId}/export${query}`,
+    params: { threadId },
+    ...options
+  });
+}
+
+describe("/api/threads/{threadId}/export", () => {
+  let fake;
+  let threadId;
+
+  // A conversation with an attached file and a cited answer
+  beforeEach(async () => {
+    fake = useFakeOpenAI();
+    const file = await fake.files.create({ file: new File(["terms"], "lease.pdf"), purpose: "assistants" });
+    const marker = "【4:0†source】";
+    fake.queueRun({
+      reply: ["The rent is due monthly", `${marker}.`],
+      annotations: [{ type: "file_citation", text: marker, file_citation: { file_id: file.id, quote: "rent is payable monthly" } }]
+    });
+
+    await readBody(await handleAssistant(await createRequest({
+      method: "POST",
+      url: "/api/assistant",
+      json: { message: "When is rent due?", fileIds: [file.id] }
+    })));
+    [threadId] = fake.threads.keys();
+  });
+
+  it("renders the conversation as Markdown", async () => {
+    const response = await handleExport(await exportRequest(threadId));
+    const markdown = await readBody(response);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers["Content-Type"], "text/markdown; charset=utf-8");
+    assert.equal(response.headers["Content-Disposition"], "attachment; filename=\"when-is-rent-due.md\"");
+    assert.match(markdown, /^# When is rent due\?/);
+    assert.match(markdown, /## Attached files\n\n- lease\.pdf \(assistant-\d+\)/);
+    assert.match(markdown, /### Question · \d{4}-\d{2}-\d{2}T[\d:.]+Z\n\nWhen is rent due\?/);
+    assert.match(markdown, /### Answer · .*\n\nThe rent is due monthly\[1\]\./);
+    assert.match(markdown, /_Sources: \[1\] lease\.pdf_/);
+    assert.match(markdown, /## Citations\n\n1\. lease\.pdf — "rent is payable monthly"/);
+  });
+
+  it("renders standalone HTML", async () => {
+    const response = await handleExport(await exportRequest(threadId, { query: "?format=html" }));
+    const html = await readBody(response);
+
+    assert.equal(response.headers["Content-Type"], "text/html; charset=utf-8");
+    assert.match(html, /^<!DOCTYPE html>/);
+    assert.match(html, /<title>When is rent due\?<\/title>/);
+    assert.match(html, /The rent is due monthly\[1\]\./);
+    assert.match(html, /<li>lease\.pdf — <q>rent is payable monthly<\/q><\/li>/);
+  });
+
+  it("renders a PDF", async () => {
+    const response = await handleExport(await exportRequest(threadId, { query: "?format=pdf" }));
+    const pdf = response.body;
+
+    assert.equal(response.headers["Content-Type"], "application/pdf");
+    assert.equal(pdf.subarray(0, 5).toString(), "%PDF-");
+  });
+
+  it("emails the rendering as an attachment", async () => {
+    const response = await handleExport(await exportRequest(threadId, { method: "POST", json: { format: "markdown" } }));
+    const body = await readJson(response);
+
+    assert.equal(response.status, 200);
+    assert.equal(body.email.status, "dry_run");
+    const { message } = await outbox.getOutboxEntry(body.email.id);
+    assert.deepEqual(message.to, ["legal@contoso.com"]);
+    assert.equal(message.subject, "When is rent due?");
+    assert.match(message.html, /The rent is due monthly\[1\]\./);
+    // Recorded emails keep the names and sizes of their attachments only
+    assert.equal(message.attachments[0].filename, "when-is-rent-due.md");
+    assert.ok(message.attachments[0].size > 0);
+    assert.equal(message.attachments[0].content, undefined);
+
+    const denied = await handleExport(await exportRequest(threadId, { method: "POST", json: { to: "someone@example.com" } }));
+    assert.equal(denied.status, 403);
+  });
+
+  it("emails a PDF when the body is null", async () => {
+    const response = await handleExport(await exportRequest(threadId, { method: "POST", json: null }));
+
+    assert.equal(response.status, 200);
+    assert.equal((await readJson(response)).format, "pdf");
+  });
+
+  it("rejects unknown formats and threads", async () => {
+    assert.equal((await handleExport(await exportRequest(threadId, { query: "?format=docx" }))).status, 400);
+    assert.equal((await handleExport(await exportRequest(threadId, { query: "?format=constructor" }))).status, 400);
+    assert.equal((await handleExport(await exportRequest(threadId, { method: "POST", json: { format: "toString" } }))).status, 400);
+    assert.equal((await handleExport(await exportRequest("thread_missing"))).status, 404);
+  });
+});
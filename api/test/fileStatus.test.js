@@ -0,0 +1,58 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.INDEXING_POLL_INTERVAL_MS = "10";
+
+const { useFakeOpenAI, createRequest, readJson, textFile } = require("./support/helpers");
+const { handleFileStatus } = require("../src/functions/fileStatus");
+
+function status(query) {
+  return createRequest({ url: `/api/files/status?${query}` });
+}
+
+describe("GET /api/files/status", () => {
+  let fake;
+
+  beforeEach(() => {
+    fake = useFakeOpenAI({ indexingStatus: "in_progress" });
+  });
+
+  async function addFile(name) {
+    const file = await fake.files.create({ file: textFile("content", name), purpose: "assistants" });
+    await fake.beta.vectorStores.files.create("vs_default", { file_id: file.id });
+    return file;
+  }
+
+  it("reports the indexing state of each file", async () => {
+    const pending = await addFile("a.txt");
+    const failed = await addFile("b.txt");
+    fake.setIndexingState("vs_default", failed.id, "failed", { code: "server_error", message: "Indexing failed" });
+
+    const response = await handleFileStatus(await status(`fileIds=${pending.id},${failed.id},assistant-99`));
+    const body = await readJson(response);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(body.files, [
+      { fileId: pending.id, status: "in_progress", lastError: null },
+      { fileId: failed.id, status: "failed", lastError: { code: "server_error", message: "Indexing failed" } },
+      { fileId: "assistant-99", status: "not_indexed", lastError: null }
+    ]);
+    assert.equal(body.completed, false);
+  });
+
+  it("waits until indexing ends", async () => {
+    const file = await addFile("a.txt");
+    setTimeout(() => fake.setIndexingState("vs_default", file.id, "completed"), 30);
+
+    const body = await readJson(await handleFileStatus(await status(`fileIds=${file.id}&wait=true&timeout=5`)));
+
+    assert.equal(body.completed, true);
+    assert.equal(body.timedOut, false);
+  });
+
+  it("requires file IDs", async () => {
+    const response = await handleFileStatus(await status(""));
+
+    assert.equal(response.status, 400);
+  });
+});
@@ -0,0 +1,203 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { useFakeOpenAI, createRequest, readJson, textFile } = require("./support/helpers");
+const { handleFiles } = require("../src/functions/files");
+const { recordFile, listFileRecords, removeFileRecord } = require("../src/lib/files");
+
+describe("/api/files", () => {
+  let fake;
+
+  beforeEach(async () => {
+    fake = useFakeOpenAI();
+    for (const record of await listFileRecords()) {
+      await removeFileRecord(record.id);
+    }
+  });
+
+  // Uploads the file and records it, as /api/upload does; `created_at` sets its upload time
+  async function addFile(name, { created_at } = {}) {
+    const file = await fake.files.create({ file: textFile("content", name), purpose: "assistants" });
+    await fake.beta.vectorStores.files.create("vs_default", { file_id: file.id });
+    if (created_at) {
+      fake.storedFiles.get(file.id).created_at = created_at;
+    }
+    await recordFile(file, { ownerId: "anonymous" });
+    return file;
+  }
+
+  it("answers CORS preflight requests", async () => {
+    const response = await handleFiles(await createRequest({ method: "OPTIONS", url: "/api/files" }));
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers["Access-Control-Allow-Methods"], /DELETE/);
+  });
+
+  it("lists the assistant files", async () => {
+    // Uploaded the same second, so they are listed by name
+    const created_at = Math.floor(Date.now() / 1000);
+    await addFile("a.txt", { created_at });
+    await addFile("b.txt", { created_at });
+
+    const response = await handleFiles(await createRequest({ url: "/api/files" }));
+    const body = await readJson(response);
+
+    assert.equal(response.status, 200);
+    assert.equal(body.total, 2);
+    assert.deepEqual(body.files.map(({ fileName }) => fileName), ["a.txt", "b.txt"]);
+    assert.ok(body.files.every(({ uploadedAt }) => !Number.isNaN(Date.parse(uploadedAt))));
+  });
+
+  it("shows the indexing state of each file", async () => {
+    const created_at = Math.floor(Date.now() / 1000);
+    const indexed = await addFile("a.txt", { created_at });
+    const failed = await addFile("b.txt", { created_at });
+    fake.setIndexingState("vs_default", failed.id, "failed", { code: "unsupported_file", message: "File is empty" });
+    const unindexed = await fake.files.create({ file: textFile("content", "c.txt"), purpose: "assistants" });
+    fake.storedFiles.get(unindexed.id).created_at = created_at;
+    await recordFile(unindexed, { ownerId: "anonymous" });
+
+    const { files } = await readJson(await handleFiles(await createRequest({ url: "/api/files" })));
+
+    assert.deepEqual(files.map(({ fileId, indexing }) => [fileId, indexing]), [
+      [indexed.id, { status: "completed", lastError: null }],
+      [failed.id, { status: "failed", lastError: { code: "unsupported_file", message: "File is empty" } }],
+      ["assistant-3", { status: "not_indexed", lastError: null }]
+    ]);
+  });
+
+  it("rejects a delete without file IDs", async () => {
+    const response = await handleFiles(await createRequest({ method: "DELETE", url: "/api/files" }));
+
+    assert.equal(response.status, 400);
+  });
+
+  it("rejects a delete whose body has no file IDs", async () => {
+    const response = await handleFiles(await createRequest({ method: "DELETE", url: "/api/files", body: "null" }));
+
+    assert.equal(response.status, 400);
+    assert.equal((await readJson(response)).error, "fileIds must be an array of file IDs");
+  });
+
+  it("reports unknown files as not found, whatever their ID format", async () => {
+    const response = await handleFiles(await createRequest({ method: "DELETE", url: "/api/files?fileId=file-abc123" }));
+
+    assert.equal(response.status, 404);
+    assert.equal((await readJson(response)).error, "File not found");
+  });
+
+  it("lists files with other ID formats", async () => {
+    const file = await addFile("a.txt");
+    const record = fake.storedFiles.get(file.id);
+    fake.storedFiles.delete(file.id);
+    fake.storedFiles.set("file-abc123", { ...record, id: "file-abc123" });
+    await fake.files.create({ file: textFile("output", "out.txt"), purpose: "fine-tune" });
+
+    const { files } = await readJson(await handleFiles(await createRequest({ url: "/api/files" })));
+
+    assert.deepEqual(files.map(({ fileId }) => fileId), ["file-abc123"]);
+  });
+
+  it("paginates with a cursor, sorts and filters by name", async () => {
+    for (const name of ["lease-b.txt", "nda.txt", "lease-a.txt", "lease-c.txt"]) {
+      await addFile(name);
+    }
+
+    const list = async (query) => readJson(await handleFiles(await createRequest({ url: `/api/files?${query}` })));
+    const first = await list("name=LEASE&sort=fileName&limit=2");
+    const second = await list(`name=LEASE&sort=fileName&limit=2&after=${first.nextCursor}`);
+
+    assert.deepEqual(first.files.map(({ fileName }) => fileName), ["lease-a.txt", "lease-b.txt"]);
+    assert.equal(first.total, 3);
+    assert.equal(first.hasMore, true);
+    assert.deepEqual(second.files.map(({ fileName }) => fileName), ["lease-c.txt"]);
+    assert.equal(second.hasMore, false);
+
+    const descending = await list("sort=fileName&order=desc&limit=1");
+    assert.equal(descending.files[0].fileName, "nda.txt");
+  });
+
+  it("rejects an unknown cursor", async () => {
+    await addFile("a.txt");
+
+    const response = await handleFiles(await createRequest({ url: "/api/files?after=assistant-99" }));
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(await readJson(response), { error: "after must be the nextCursor of a previous page", after: "assistant-99" });
+  });
+
+  it("filters by upload date range", async () => {
+    await addFile("old.txt", { created_at: Date.parse("2024-01-15T10:00:00Z") / 1000 });
+    await addFile("new.txt");
+
+    const list = async (query) => readJson(await handleFiles(await createRequest({ url: `/api/files?${query}` })));
+
+    assert.deepEqual((await list("from=2024-01-01&to=2024-01-15")).files.map(({ fileName }) => fileName), ["old.txt"]);
+    assert.deepEqual((await list("from=2024-02-01")).files.map(({ fileName }) => fileName), ["new.txt"]);
+    assert.equal((await handleFiles(await createRequest({ url: "/api/files?from=yesterday" }))).status, 400);
+  });
+
+  it("stores metadata and filters on it", async () => {
+    const lease = await addFile("lease.txt");
+    await addFile("nda.txt");
+
+    const response = await handleFiles(await createRequest({
+      method: "PATCH",
+      url: `/api/files/${lease.id}`,
+      params: { fileId: lease.id },
+      json: { tags: ["acme", "2024"], description: "Office lease", contractType: "lease" }
+    }));
+    assert.equal(response.status, 200);
+    assert.deepEqual((await readJson(response)).tags, ["acme", "2024"]);
+
+    const byTag = await readJson(await handleFiles(await createRequest({ url: "/api/files?tag=acme" })));
+    assert.deepEqual(byTag.files.map(({ fileName, description }) => [fileName, description]), [["lease.txt", "Office lease"]]);
+    const byType = await readJson(await handleFiles(await createRequest({ url: "/api/files?contractType=lease" })));
+    assert.equal(byType.total, 1);
+
+    const invalid = await handleFiles(await createRequest({
+      method: "PATCH",
+      url: `/api/files/${lease.id}`,
+      params: { fileId: lease.id },
+      json: { tags: "acme" }
+    }));
+    assert.equal(invalid.status, 400);
+  });
+
+  it("deletes several files at once and reports each result", async () => {
+    const a = await addFile("a.txt");
+    const b = await addFile("b.txt");
+
+    const response = await handleFiles(await createRequest({
+      method: "DELETE",
+      url: "/api/files",
+      body: JSON.stringify({ fileIds: [a.id, b.id, "assistant-99"] })
+    }));
+    const body = await readJson(response);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(body.files.map(({ status }) => status), ["deleted", "deleted", "not_found"]);
+    assert.equal(body.deleted, 2);
+    assert.equal(fake.storedFiles.size, 0);
+    assert.equal(fake.vectorStores.get("vs_default").files.size, 0);
+  });
+
+  it("deletes the file and removes it from the vector store", async () => {
+    const file = await addFile("a.txt");
+
+    const response = await handleFiles(await createRequest({ method: "DELETE", url: `/api/files?fileId=${file.id}` }));
+
+    assert.equal(response.status, 200);
+    assert.equal(fake.storedFiles.size, 0);
+    assert.equal(fake.vectorStores.get("vs_default").files.size, 0);
+  });
+
+  it("reports service errors as JSON", async () => {
+    const file = await addFile("a.txt");
+    fake.failNext("files.retrieve", new Error("Service unavailable"));
+
+    const response = await handleFiles(await createRequest({ url: `/api/files/${file.id}`, params: { fileId: file.id } }));
+
+    assert.equal(response.status, 500);
+    assert.deepEqual(await readJson(response), { error: "Files management failed", message: "Service unavailable" });
+  });
+});
@@ -0,0 +1,73 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+// Open the circuit on the first failure, without retries. Set before the helpers, which
+// load lib/resilience.js.
+process.env.OPENAI_MAX_RETRIES = "0";
+process.env.OPENAI_CIRCUIT_FAILURE_THRESHOLD = "1";
+process.env.AUTH_PROVIDERS = "apikey";
+process.env.AUTH_API_KEYS = "alice:alice-key";
+
+const { createRequest, readJson } = require("./support/helpers");
+
+const { handleHealth } = require("../src/functions/health");
+const { createAzureOpenAI } = require("../src/lib/openai");
+const { getOpenAIConfig } = require("../src/lib/config");
+
+function healthRequest() {
+  return createRequest({ url: "/api/health" });
+}
+
+describe("/api/health", () => {
+  const settings = { ...process.env };
+
+  afterEach(() => {
+    process.env.OPENAI_API_VERSION = settings.OPENAI_API_VERSION;
+    delete process.env.OPENAI_RETRY_MAX_MS;
+  });
+
+  it("reports the configuration without credentials or secrets", async () => {
+    const response = await handleHealth(await healthRequest());
+    const body = await readJson(response);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(body, {
+      status: "ok",
+      checks: {
+        configuration: {
+          status: "ok",
+          errors: [],
+          warnings: [{ setting: "AZURE_DEPLOYMENT_NAME", message: "AZURE_DEPLOYMENT_NAME is not set: profiles without a model cannot be synced" }]
+        },
+        openai: { status: "ok", backend: "assistants", auth: "key", apiVersion: "2024-05-01-preview", deployment: null, circuit: "closed" }
+      }
+    });
+    assert.doesNotMatch(JSON.stringify(body), /test-key|fake\.openai/);
+  });
+
+  it("is unhealthy while the configuration has errors", async () => {
+    process.env.OPENAI_API_VERSION = "";
+    process.env.OPENAI_RETRY_MAX_MS = "20s";
+
+    const response = await handleHealth(await healthRequest());
+    const { status, checks } = await readJson(response);
+
+    assert.equal(response.status, 503);
+    assert.equal(status, "unhealthy");
+    assert.deepEqual(checks.configuration.errors.map(({ setting }) => setting), ["OPENAI_API_VERSION", "OPENAI_RETRY_MAX_MS"]);
+  });
+
+  it("is degraded while Azure OpenAI keeps failing", async () => {
+    const client = createAzureOpenAI(getOpenAIConfig(), {
+      fetch: async () => new Response(JSON.stringify({ error: { message: "down" } }), { status: 500, headers: { "content-type": "application/json" } })
+    });
+    await assert.rejects(client.beta.assistants.retrieve("asst_test"));
+
+    const response = await handleHealth(await healthRequest());
+    const { status, checks } = await readJson(response);
+
+    assert.equal(response.status, 200);
+    assert.equal(status, "degraded");
+    assert.deepEqual([checks.openai.status, checks.openai.circuit], ["failing", "open"]);
+  });
+});
@@ -0,0 +1,120 @@
+const { describe, it, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+
+// Limits are read from the environment when the modules load
+process.env.RATE_LIMIT_REQUESTS_PER_MINUTE = "3";
+process.env.RATE_LIMIT_CONCURRENT_RUNS = "1";
+process.env.DAILY_TOKEN_BUDGET = "100";
+process.env.TOKEN_PRICE_PROMPT_PER_1K = "0.5";
+process.env.TOKEN_PRICE_COMPLETION_PER_1K = "1.5";
+
+const { useFakeOpenAI, createRequest, readBody, readJson } = require("./support/helpers");
+const { handleAssistant } = require("../src/functions/assistant");
+const { handleUsage } = require("../src/functions/usage");
+const { getStore } = require("../src/lib/store");
+
+// Each test is a different client, so their limits do not add up. The Functions front end
+// appends the caller's address to whatever the caller sent.
+function fromIp(ip, spoofed = "10.0.0.1") {
+  return { "x-forwarded-for": `${spoofed}, ${ip}:51234` };
+}
+
+function ask(ip, message = "Hello", spoofed) {
+  return createRequest({ method: "POST", url: "/api/assistant", headers: fromIp(ip, spoofed), json: { message } });
+}
+
+describe("rate limits and quotas", () => {
+  let fake;
+
+  beforeEach(() => {
+    fake = useFakeOpenAI();
+  });
+
+  it("limits requests per minute with a Retry-After header", async () => {
+    for (let i = 0; i < 3; i++) {
+      const response = await handleAssistant(await ask("203.0.113.1"));
+      assert.equal(response.status, undefined);
+      await readBody(response);
+    }
+
+    const limited = await handleAssistant(await ask("203.0.113.1"));
+    assert.equal(limited.status, 429);
+    assert.ok(Number(limited.headers["Retry-After"]) > 0);
+    assert.equal((await readJson(limited)).limit, "requests_per_minute");
+
+    const otherClient = await handleAssistant(await ask("203.0.113.2"));
+    assert.notEqual(otherClient.status, 429);
+    await readBody(otherClient);
+  });
+
+  it("limits concurrent runs until the running stream ends", async () => {
+    const running = await handleAssistant(await ask("203.0.113.3"));
+
+    const concurrent = await handleAssistant(await ask("203.0.113.3"));
+    assert.equal(concurrent.status, 429);
+    assert.equal((await readJson(concurrent)).limit, "concurrent_runs");
+
+    await readBody(running);
+    const next = await handleAssistant(await ask("203.0.113.3"));
+    assert.notEqual(next.status, 429);
+    await readBody(next);
+  });
+
+  it("enforces the daily token budget from the usage of completed runs", async () => {
+    fake.queueRun({ reply: "Done", usage: { prompt_tokens: 80, completion_tokens: 40, total_tokens: 120 } });
+    await readBody(await handleAssistant(await ask("203.0.113.4")));
+
+    const overBudget = await handleAssistant(await ask("203.0.113.4"));
+    assert.equal(overBudget.status, 429);
+    assert.equal((await readJson(overBudget)).limit, "daily_tokens");
+    assert.equal(fake.callCount("threads.create"), 1);
+  });
+
+  it("keeps the budget of a client that changes the leading forwarded address", async () => {
+    fake.queueRun({ reply: "Done", usage: { prompt_tokens: 80, completion_tokens: 40, total_tokens: 120 } });
+    await readBody(await handleAssistant(await ask("203.0.113.6", "Hello", "198.51.100.1")));
+
+    const spoofed = await handleAssistant(await ask("203.0.113.6", "Hello", "198.51.100.2"));
+    assert.equal(spoofed.status, 429);
+    assert.equal((await readJson(spoofed)).limit, "daily_tokens");
+  });
+
+  it("reports each client's consumption", async () => {
+    fake.queueRun({ reply: "Done", usage: { prompt_tokens: 10, completion_tokens: 2, total_tokens: 12 } });
+    await readBody(await handleAssistant(await ask("203.0.113.5")));
+
+    const response = await handleUsage(await createRequest({ url: "/api/usage", headers: fromIp("203.0.113.5") }));
+    const body = await readJson(response);
+
+    assert.equal(response.status, 200);
+    assert.equal(body.client, "ip:203.0.113.5");
+    assert.equal(body.remainingTokensToday, 88);
+    const usage = body.clients.find(({ client }) => client === "ip:203.0.113.5");
+    assert.equal(usage.requests, 1);
+    assert.equal(usage.runs, 1);
+    assert.equal(usage.totalTokens, 12);
+    assert.equal(usage.estimatedCost, 0.008);
+  });
+
+  it("writes the requests to the usage records once they are read, not once per request", async () => {
+    const put = mock.method(getStore("usage"), "put");
+    try {
+      assert.equal((await handleAssistant(await ask("203.0.113.8", " "))).status, 400);
+      assert.equal((await handleAssistant(await ask("203.0.113.8", " "))).status, 400);
+      assert.equal(put.mock.callCount(), 0);
+
+      const body = await readJson(await handleUsage(await createRequest({ url: "/api/usage", headers: fromIp("203.0.113.8") })));
+
+      assert.equal(body.clients.find(({ client }) => client === "ip:203.0.113.8").requests, 2);
+      assert.equal(put.mock.callCount(), 1);
+    } finally {
+      put.mock.restore();
+    }
+  });
+
+  it("validates the reporting period", async () => {
+    const response = await handleUsage(await createRequest({ url: "/api/usage?from=2024-02-01&to=2024-01-01" }));
+
+    assert.equal(response.status, 400);
+  });
+});
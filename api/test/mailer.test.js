@@ -0,0 +1,229 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+require("./support/helpers");
+
+process.env.OPENAI_FUNCTION_CALLING_SKIP_SEND_EMAIL = "false";
+process.env.EMAIL_RECEIVER = "legal@contoso.com";
+process.env.MAIL_ALLOWED_RECIPIENTS = "legal@contoso.com,@fabrikam.com";
+process.env.MAIL_MAX_ATTEMPTS = "3";
+process.env.MAIL_FILE_DIR = path.join(process.env.DATA_DIR, "mail");
+
+const mailer = require("../src/functions/mailer");
+const { createTransport, renderTemplate, htmlToText } = require("../src/lib/mail");
+const outbox = require("../src/lib/outbox");
+const writeAndSendEmail = require("../src/tools/writeAndSendEmail");
+
+// Records sent messages and fails as many times as asked
+function fakeTransport() {
+  const transport = {
+    sent: [],
+    failures: 0,
+    async sendMail(message) {
+      if (transport.failures > 0) {
+        transport.failures -= 1;
+        throw new Error("Connection timeout");
+      }
+      transport.sent.push(message);
+      return { messageId: `<${transport.sent.length}@test>` };
+    }
+  };
+  return transport;
+}
+
+describe("mailer", () => {
+  let transport;
+
+  beforeEach(() => {
+    transport = fakeTransport();
+    mailer.setTransport(transport);
+  });
+
+  it("sends the HTML body in the message template with a plain-text alternative", async () => {
+    const result = await mailer.sendEmail({
+      subject: "Renewal",
+      html: "<p>The lease renews on <b>1 May</b>.</p><ul><li>Notice: 90 days</li></ul>",
+      attachments: [{ filename: "summary.md", content: "# Summary", contentType: "text/markdown" }]
+    });
+
+    assert.equal(result.status, "sent");
+    assert.equal(result.messageId, "<1@test>");
+    const [message] = transport.sent;
+    assert.deepEqual(message.to, ["legal@contoso.com"]);
+    assert.match(message.html, /<title>Renewal<\/title>/);
+    assert.match(message.html, /<b>1 May<\/b>/);
+    assert.equal(message.text, "The lease renews on 1 May.\n\n- Notice: 90 days");
+    assert.deepEqual(message.attachments, [
+      { filename: "summary.md", contentType: "text/markdown", content: Buffer.from("# Summary").toString("base64"), encoding: "base64" }
+    ]);
+  });
+
+  it("only sends to allowed recipients", async () => {
+    await mailer.sendEmail({ to: "Ann <ann@fabrikam.com>", subject: "Hi", html: "<p>Hi</p>" });
+    assert.equal(transport.sent.length, 1);
+
+    await assert.rejects(
+      mailer.sendEmail({ to: "someone@example.com", subject: "Hi", html: "<p>Hi</p>" }),
+      { code: "recipient_not_allowed" }
+    );
+    await assert.rejects(
+      mailer.sendEmail({ cc: "spy@fabrikam.com.evil.io", subject: "Hi", html: "<p>Hi</p>" }),
+      { code: "recipient_not_allowed" }
+    );
+    await assert.rejects(mailer.sendEmail({ to: "not an address", subject: "Hi", html: "" }), { code: "invalid_recipient" });
+    assert.equal(transport.sent.length, 1);
+  });
+
+  it("keeps failed emails in the outbox and retries them with backoff", async () => {
+    transport.failures = 1;
+    const queued = await mailer.sendEmail({ subject: "Retry me", html: "<p>Body</p>" });
+
+    assert.equal(queued.status, "pending");
+    assert.equal(queued.attempts, 1);
+    assert.equal(queued.lastError, "Connection timeout");
+    const delay = Date.parse(queued.nextAttemptAt) - Date.now();
+    assert.ok(delay > 20 * 1000 && delay <= 36 * 1000, `unexpected delay ${delay}`);
+
+    // Not due yet
+    assert.deepEqual(await mailer.processOutbox(), { attempted: 0, sent: 0, pending: 0, failed: 0 });
+
+    const later = new Date(Date.now() + 60 * 1000);
+    assert.deepEqual(await outbox.processOutbox(transport, later), { attempted: 1, sent: 1, pending: 0, failed: 0 });
+    const entry = await outbox.getOutboxEntry(queued.id);
+    assert.equal(entry.status, "sent");
+    assert.equal(entry.attempts, 2);
+    assert.equal(transport.sent[0].subject, "Retry me");
+  });
+
+  it("keeps only the names and sizes of the attachments once sent", async () => {
+    const result = await mailer.sendEmail({
+      subject: "Report",
+      html: "<p>Attached</p>",
+      attachments: [{ filename: "report.md", content: "# Report", contentType: "text/markdown" }]
+    });
+
+    const { message } = await outbox.getOutboxEntry(result.id);
+    assert.deepEqual(message.attachments, [{ filename: "report.md", contentType: "text/markdown", size: 8 }]);
+  });
+
+  it("sends a message once when the timer runs during its first attempt", async () => {
+    let release;
+    const sending = new Promise(resolve => { release = resolve; });
+    const slow = fakeTransport();
+    const sendMail = slow.sendMail;
+    slow.sendMail = async message => {
+      await sending;
+      return sendMail(message);
+    };
+    mailer.setTransport(slow);
+
+    const result = mailer.sendEmail({ subject: "Once", html: "<p>Once</p>" });
+    await new Promise(resolve => setTimeout(resolve, 20));
+    const processed = await mailer.processOutbox();
+    release();
+
+    assert.equal((await result).status, "sent");
+    assert.deepEqual(processed, { attempted: 0, sent: 0, pending: 0, failed: 0 });
+    assert.equal(slow.sent.length, 1);
+  });
+
+  it("retries a message whose attempt stopped midway once its claim expires", async () => {
+    const entry = await outbox.enqueue({ to: ["legal@contoso.com"], subject: "Stuck", html: "", attachments: [] });
+    // The first attempt never ends, as when its worker stops
+    outbox.deliver(entry.id, { sendMail: () => new Promise(() => {}) });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal((await outbox.getOutboxEntry(entry.id)).status, "sending");
+
+    assert.equal((await outbox.processOutbox(transport)).attempted, 0);
+    const later = new Date(Date.now() + 10 * 60 * 1000);
+    assert.deepEqual(await outbox.processOutbox(transport, later), { attempted: 1, sent: 1, pending: 0, failed: 0 });
+  });
+
+  it("removes finished messages after the retention period", async () => {
+    const result = await mailer.sendEmail({ subject: "Old", html: "<p>Old</p>" });
+
+    await outbox.processOutbox(transport, new Date(Date.now() + 29 * 24 * 60 * 60 * 1000));
+    assert.ok(await outbox.getOutboxEntry(result.id));
+    await outbox.processOutbox(transport, new Date(Date.now() + 31 * 24 * 60 * 60 * 1000));
+    assert.equal(await outbox.getOutboxEntry(result.id), null);
+  });
+
+  it("gives up after the last attempt", async () => {
+    transport.failures = 3;
+    const queued = await mailer.sendEmail({ subject: "Never", html: "<p>Body</p>" });
+
+    const hour = 60 * 60 * 1000;
+    await outbox.processOutbox(transport, new Date(Date.now() + hour));
+    await outbox.processOutbox(transport, new Date(Date.now() + 2 * hour));
+
+    const entry = await outbox.getOutboxEntry(queued.id);
+    assert.equal(entry.status, "failed");
+    assert.equal(entry.attempts, 3);
+    assert.equal(entry.nextAttemptAt, null);
+  });
+
+  it("reports the outcome to the model from the email tool", async () => {
+    assert.equal(await writeAndSendEmail.handler({ subject: "Hi", html: "<p>Hi</p>" }), "<1@test>");
+
+    transport.failures = 1;
+    assert.match(await writeAndSendEmail.handler({ subject: "Hi", html: "<p>Hi</p>" }), /will be retried/);
+
+    await assert.rejects(
+      writeAndSendEmail.handler({ subject: "Hi", html: "<p>Hi</p>", to: "attacker@example.com" }),
+      /Not allowed to send emails to attacker@example.com/
+    );
+  });
+
+  it("writes messages to .eml files with the file transport", async () => {
+    const info = await createTransport("file").sendMail({
+      from: "assistant@contoso.com",
+      to: "legal@contoso.com",
+      subject: "Local",
+      html: "<p>Hello</p>",
+      text: "Hello"
+    });
+
+    const eml = fs.readFileSync(info.file, "utf8");
+    assert.equal(path.dirname(info.file), process.env.MAIL_FILE_DIR);
+    assert.match(eml, /Subject: Local/);
+    assert.match(eml, /multipart\/alternative/);
+  });
+
+  it("logs messages through the redacting logger with the console transport", async () => {
+    const lines = [];
+    const log = console.log;
+    console.log = line => lines.push(line);
+    try {
+      await createTransport("console").sendMail({
+        from: "assistant@contoso.com",
+        to: "legal@contoso.com",
+        subject: "Salary review",
+        text: "Ann earns 100k"
+      });
+    } finally {
+      console.log = log;
+    }
+
+    const [line] = lines.map(JSON.parse);
+    assert.equal(line.message, "Email logged instead of sent");
+    assert.equal(line.module, "mail");
+    assert.equal(line.recipients, 1);
+    assert.doesNotMatch(lines.join("\n"), /legal@contoso\.com|Salary review|100k/);
+  });
+
+  it("leaves placeholders inside the values of a template as they are", async () => {
+    const html = await renderTemplate("message", { subject: "{{body}}", body: "<p>Use {{name}} in Jinja</p>", senderName: "Ann {{{body}}}" });
+
+    assert.match(html, /<title>\{\{body\}\}<\/title>/);
+    assert.match(html, /<p>Use \{\{name\}\} in Jinja<\/p>/);
+    assert.match(html, /Sent by Ann \{\{\{body\}\}\}/);
+  });
+
+  it("converts HTML to text", () => {
+    assert.equal(
+      htmlToText("<style>p{}</style><h1>Title</h1><p>See <a href=\"https://contoso.com\">the site</a> &amp; more</p>"),
+      "Title\n\nSee the site (https://contoso.com) & more"
+    );
+  });
+});
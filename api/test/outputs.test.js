@@ -0,0 +1,158 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.AUTH_PROVIDERS = "apikey";
+process.env.AUTH_API_KEYS = "alice:alice-key,bob:bob-key";
+
+const { useFakeOpenAI, createRequest, readEvents, readJson, textFile } = require("./support/helpers");
+const { handleAssistant } = require("../src/functions/assistant");
+const { handleOutputs } = require("../src/functions/outputs");
+const { handleUpload } = require("../src/functions/upload");
+const { handleThreads } = require("../src/functions/threads");
+const { clearAssistantCache } = require("../src/lib/openai");
+
+const asAlice = { "x-api-key": "alice-key" };
+const asBob = { "x-api-key": "bob-key" };
+
+async function upload(file) {
+  const formData = new FormData();
+  formData.append("file", file);
+  return readJson(await handleUpload(await createRequest({ method: "POST", url: "/api/upload", headers: asAlice, formData })));
+}
+
+async function ask(json) {
+  return readEvents(await handleAssistant(await createRequest({ method: "POST", url: "/api/assistant", headers: asAlice, json })));
+}
+
+async function getOutput(fileId, headers = asAlice, query = "") {
+  return handleOutputs(await createRequest({ url: `/api/outputs/${fileId}${query}`, headers, params: { fileId } }));
+}
+
+function enableCodeInterpreter(fake) {
+  fake.assistants.get("asst_test").tools.push({ type: "code_interpreter" });
+  clearAssistantCache();
+}
+
+// Local records outlive each test's fake client, so its IDs keep counting across tests
+const ids = {};
+
+describe("code_interpreter outputs", () => {
+  let fake;
+
+  beforeEach(() => {
+    fake = useFakeOpenAI();
+    fake.ids = ids;
+    clearAssistantCache();
+  });
+
+  it("streams the code, its logs and the files it creates", async () => {
+    enableCodeInterpreter(fake);
+    const prices = await upload(textFile("date,close\n2024-05-01,394.94\n", "prices.csv", "text/csv"));
+    const chart = fake.addOutputFile("/mnt/data/chart.png", "PNG image");
+    const summary = fake.addOutputFile("/mnt/data/summary.xlsx", "PK spreadsheet");
+    const sandboxPath = "sandbox:/mnt/data/summary.xlsx";
+    fake.queueRun({
+      code: { input: ["import pandas as pd\n", "pd.read_csv('prices.csv')"], logs: "1 row", images: [chart] },
+      images: [chart],
+      reply: ["Here is the trend. Download [the summary]", `(${sandboxPath}).`],
+      annotations: [{ type: "file_path", text: sandboxPath, file_path: { file_id: summary } }]
+    });
+
+    const events = await ask({ message: "Chart the closing prices", fileIds: [prices.fileId] });
+    const ofType = type => events.filter(event => event.type === type).map(({ data }) => data);
+
+    // Data files go to code_interpreter only, they cannot be searched
+    assert.equal(prices.indexing.status, "not_indexed");
+    const [message] = fake.threads.get(events[0].data.threadId).messages;
+    assert.deepEqual(message.attachments, [{ file_id: prices.fileId, tools: [{ type: "code_interpreter" }] }]);
+
+    const code = ofType("code");
+    assert.equal(code.map(({ value }) => value).join(""), "import pandas as pd\npd.read_csv('prices.csv')");
+    assert.ok(code[0].toolCallId);
+    assert.ok(code.every(({ toolCallId }) => toolCallId === code[0].toolCallId));
+    assert.deepEqual(ofType("log"), [{ toolCallId: code[0].toolCallId, value: "1 row" }]);
+
+    // The chart is in the code output and in the answer, but announced once
+    assert.deepEqual(ofType("image"), [
+      { fileId: chart, fileName: "chart.png", contentType: "image/png", messageId: null, url: `/api/outputs/${chart}` }
+    ]);
+    const [file] = ofType("file");
+    assert.deepEqual(file, {
+      fileId: summary,
+      fileName: "summary.xlsx",
+      contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+      messageId: file.messageId,
+      url: `/api/outputs/${summary}`,
+      path: sandboxPath
+    });
+    assert.equal(ofType("text").map(({ value }) => value).join(""), `Here is the trend. Download [the summary](/api/outputs/${summary}).`);
+
+    const image = await getOutput(chart);
+    assert.equal(image.status, 200);
+    assert.equal(image.headers["Content-Type"], "image/png");
+    assert.equal(image.headers["Content-Disposition"], 'inline; filename="chart.png"');
+    assert.equal(image.headers["X-Content-Type-Options"], "nosniff");
+    assert.equal(image.body.toString(), "PNG image");
+    assert.equal((await getOutput(chart, asAlice, "?download=true")).headers["Content-Disposition"], 'attachment; filename="chart.png"');
+
+    const spreadsheet = await getOutput(summary);
+    assert.equal(spreadsheet.headers["Content-Type"], "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+    assert.equal(spreadsheet.headers["Content-Disposition"], 'attachment; filename="summary.xlsx"');
+
+    // The conversation history lists the images of each answer
+    const { messages } = await readJson(await handleThreads(await createRequest({
+      url: `/api/threads/${events[0].data.threadId}`, headers: asAlice, params: { threadId: events[0].data.threadId }
+    })));
+    assert.deepEqual(messages.find(({ role }) => role === "assistant").imageFileIds, [chart]);
+  });
+
+  it("attaches documents for file_search and, when the assistant has it, code_interpreter", async () => {
+    const contract = await upload(textFile("%PDF-1.7 ...", "contract.pdf", "application/pdf"));
+    const prices = await upload(textFile("date,close\n", "prices.csv", "text/csv"));
+
+    const [thread] = await ask({ message: "Summarize", fileIds: [contract.fileId] });
+    assert.deepEqual(fake.threads.get(thread.data.threadId).messages[0].attachments[0].tools, [{ type: "file_search" }]);
+
+    // Without code_interpreter nothing can read a CSV file
+    const events = await ask({ message: "Chart it", fileIds: [prices.fileId] });
+    assert.equal(events.find(({ type }) => type === "error").data.code, "unsupported_attachment");
+    assert.equal(fake.callCount("runs.stream"), 1);
+
+    enableCodeInterpreter(fake);
+    const [next] = await ask({ message: "Summarize", fileIds: [contract.fileId] });
+    assert.deepEqual(fake.threads.get(next.data.threadId).messages[0].attachments[0].tools, [
+      { type: "file_search" },
+      { type: "code_interpreter" }
+    ]);
+  });
+
+  it("serves generated files to their owner only", async () => {
+    enableCodeInterpreter(fake);
+    const chart = fake.addOutputFile("/mnt/data/chart.png", "PNG image");
+    fake.queueRun({ images: [chart], reply: "Done." });
+    await ask({ message: "Draw a chart" });
+
+    assert.equal((await getOutput(chart)).status, 200);
+    assert.equal((await getOutput(chart, asBob)).status, 404);
+
+    // Files that were never shown in an answer, and uploads, are not served
+    const unseen = fake.addOutputFile("/mnt/data/other.png", "PNG image");
+    assert.equal((await getOutput(unseen)).status, 404);
+    const { fileId } = await upload(textFile("Terms", "terms.txt"));
+    assert.equal((await getOutput(fileId)).status, 404);
+    assert.equal(fake.callCount("files.content"), 1);
+  });
+
+  it("names downloads with other characters in UTF-8 and with an ASCII fallback", async () => {
+    enableCodeInterpreter(fake);
+    const report = fake.addOutputFile("/mnt/data/Résumé \"final\" (2024).xlsx", "PK spreadsheet");
+    fake.queueRun({
+      reply: ["See ", "sandbox:/mnt/data/report.xlsx"],
+      annotations: [{ type: "file_path", text: "sandbox:/mnt/data/report.xlsx", file_path: { file_id: report } }]
+    });
+    await ask({ message: "Write the report" });
+
+    assert.equal((await getOutput(report)).headers["Content-Disposition"],
+      "attachment; filename=\"Resume _final_ (2024).xlsx\"; filename*=UTF-8''R%C3%A9sum%C3%A9%20%22final%22%20%282024%29.xlsx");
+  });
+});
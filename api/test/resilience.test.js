@@ -0,0 +1,149 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+const { InternalServerError, RateLimitError, AzureOpenAI, toFile } = require("openai");
+const { useFakeOpenAI, createRequest, readEvents, readJson } = require("./support/helpers");
+
+const { createCircuitBreaker, createResilientFetch, retryAfterMs } = require("../src/lib/resilience");
+const { createCompatibleOpenAI } = require("../src/lib/openai");
+const { handleAssistant } = require("../src/functions/assistant");
+const { handleFiles } = require("../src/functions/files");
+
+const FAST = { baseMs: 1, maxMs: 50 };
+
+// A fetch answering with `responses` in turn; each is [status, body, headers]
+function scriptedFetch(...responses) {
+  const calls = [];
+  const fetch = async (url, init) => {
+    calls.push({ url, init });
+    const [status, body = {}, headers = {}] = responses.shift();
+    return new Response(JSON.stringify(body), { status, headers: { "content-type": "application/json", ...headers } });
+  };
+  return { fetch, calls };
+}
+
+describe("resilience", () => {
+  let fake;
+
+  beforeEach(() => {
+    fake = useFakeOpenAI();
+  });
+
+  it("retries throttled and failing calls, honouring retry-after", async () => {
+    const { fetch, calls } = scriptedFetch([429, {}, { "retry-after-ms": "5" }], [503], [200, { ok: true }]);
+    const resilientFetch = createResilientFetch(fetch, { ...FAST, maxRetries: 3 });
+
+    const response = await resilientFetch("https://fake/assistants", { method: "GET" });
+
+    assert.equal(response.status, 200);
+    assert.equal(calls.length, 3);
+  });
+
+  it("gives up when retries run out, retry-after is too long or the body cannot be replayed", async () => {
+    const exhausted = scriptedFetch([503], [503]);
+    assert.equal((await createResilientFetch(exhausted.fetch, { ...FAST, maxRetries: 1 })("https://fake")).status, 503);
+    assert.equal(exhausted.calls.length, 2);
+
+    const tooLong = scriptedFetch([429, {}, { "retry-after": "60" }]);
+    assert.equal((await createResilientFetch(tooLong.fetch, FAST)("https://fake")).status, 429);
+    assert.equal(tooLong.calls.length, 1);
+
+    const upload = scriptedFetch([503]);
+    const body = new ReadableStream();
+    assert.equal((await createResilientFetch(upload.fetch, FAST)("https://fake/files", { method: "POST", body })).status, 503);
+    assert.equal(upload.calls.length, 1);
+
+    const badRequest = scriptedFetch([400]);
+    assert.equal((await createResilientFetch(badRequest.fetch, FAST)("https://fake")).status, 400);
+    assert.equal(badRequest.calls.length, 1);
+  });
+
+  it("reads retry-after in seconds, milliseconds or as a date", () => {
+    assert.equal(retryAfterMs(new Headers({ "retry-after": "2" })), 2000);
+    assert.equal(retryAfterMs(new Headers({ "retry-after-ms": "150", "retry-after": "2" })), 150);
+    assert.equal(retryAfterMs(new Headers({ "retry-after": new Date(Date.now() + 10000).toUTCString() })) > 8000, true);
+    assert.equal(retryAfterMs(new Headers()), null);
+  });
+
+  it("opens the circuit after repeated failures and closes it after a successful trial", async () => {
+    let now = 0;
+    const breaker = createCircuitBreaker({ failureThreshold: 2, resetSeconds: 30, now: () => now });
+    const { fetch, calls } = scriptedFetch([500], [500], [200]);
+    const resilientFetch = createResilientFetch(fetch, { ...FAST, maxRetries: 0, breaker });
+
+    await resilientFetch("https://fake");
+    await resilientFetch("https://fake");
+    assert.equal(breaker.state, "open");
+    await assert.rejects(resilientFetch("https://fake"), { name: "CircuitOpenError", retryAfter: 30 });
+    assert.equal(calls.length, 2);
+
+    now = 30000;
+    assert.equal(breaker.state, "half_open");
+    assert.equal((await resilientFetch("https://fake")).status, 200);
+    assert.equal(breaker.state, "closed");
+  });
+
+  it("plugs into the Azure OpenAI client", async () => {
+    const { fetch, calls } = scriptedFetch([429, {}, { "retry-after": "0" }], [200, { id: "asst_test", object: "assistant" }]);
+    const client = new AzureOpenAI({
+      apiKey: "test-key",
+      endpoint: "https://fake.openai.azure.com",
+      apiVersion: "2024-05-01-preview",
+      maxRetries: 0,
+      fetch: createResilientFetch(fetch, FAST)
+    });
+
+    const assistant = await client.beta.assistants.retrieve("asst_test");
+
+    assert.equal(assistant.id, "asst_test");
+    assert.equal(calls.length, 2);
+  });
+
+  it("streams file uploads through Node's fetch", async () => {
+    const received = [];
+    const server = http.createServer(async (request, response) => {
+      let body = "";
+      for await (const data of request) {
+        body += data;
+      }
+      received.push({ contentType: request.headers["content-type"], body });
+      response.writeHead(200, { "Content-Type": "application/json" });
+      response.end(JSON.stringify({ id: "file-1", object: "file", filename: "a.txt" }));
+    });
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    try {
+      const client = createCompatibleOpenAI({ endpoint: `http://127.0.0.1:${server.address().port}` });
+
+      const file = await client.files.create({ file: await toFile(Buffer.from("The parties agree"), "a.txt"), purpose: "assistants" });
+
+      assert.equal(file.id, "file-1");
+      assert.match(received[0].contentType, /^multipart\/form-data; boundary=/);
+      assert.match(received[0].body, /filename="a\.txt"[\s\S]*The parties agree/);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  it("reads the assistant once for several requests", async () => {
+    fake.queueRun({ reply: "One" }, { reply: "Two" });
+    for (const message of ["First", "Second"]) {
+      await readEvents(await handleAssistant(await createRequest({ method: "POST", url: "/api/assistant", json: { message } })));
+    }
+    await handleFiles(await createRequest({ url: "/api/files" }));
+
+    assert.equal(fake.callCount("assistants.retrieve"), 1);
+  });
+
+  it("answers 503 with Retry-After when the service is unavailable", async () => {
+    fake.failNext("files.retrieve", new RateLimitError(429, { message: "Too many requests" }, undefined, { "retry-after": "7" }));
+    const busy = await handleFiles(await createRequest({ url: "/api/files/assistant-1", params: { fileId: "assistant-1" } }));
+    assert.equal(busy.status, 503);
+    assert.equal(busy.headers["Retry-After"], "7");
+    assert.deepEqual(await readJson(busy), { error: "Azure OpenAI is busy, try again later", code: "service_busy", retryAfter: 7 });
+
+    fake.failNext("threads.create", new InternalServerError(500, { message: "Boom" }, undefined, {}));
+    const events = await readEvents(await handleAssistant(await createRequest({ method: "POST", url: "/api/assistant", json: { message: "Hi" } })));
+    const error = events.find(({ type }) => type === "error");
+    assert.equal(error.data.code, "service_unavailable");
+  });
+});
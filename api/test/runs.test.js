@@ -0,0 +1,93 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { useFakeOpenAI, createRequest, readEvents, readJson } = require("./support/helpers");
+
+process.env.ACTIVE_RUN_POLICY = "cancel";
+process.env.RUN_POLL_INTERVAL_MS = "10";
+
+const { handleCancelRun } = require("../src/functions/runs");
+const { handleAssistant } = require("../src/functions/assistant");
+
+function cancelRequest(threadId, query = "") {
+  return createRequest({ method: "POST", url: `/api/runs/${threadId}/cancel${query}`, params: { threadId } });
+}
+
+function ask(message, threadId) {
+  return createRequest({
+    method: "POST",
+    url: "/api/assistant",
+    headers: { accept: "text/event-stream", ...(threadId && { "x-thread-id": threadId }) },
+    json: { message }
+  });
+}
+
+async function waitFor(condition) {
+  for (let attempt = 0; attempt < 100 && !condition(); attempt++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  assert.ok(condition(), "condition not met in time");
+}
+
+describe("run cancellation", () => {
+  let fake;
+
+  beforeEach(() => {
+    fake = useFakeOpenAI();
+  });
+
+  it("cancels the active run of a thread", async () => {
+    const thread = await fake.beta.threads.create();
+    const run = fake.startRun(thread.id);
+
+    const response = await handleCancelRun(await cancelRequest(thread.id, "?wait=true"));
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(await readJson(response), { threadId: thread.id, runId: run.id, status: "cancelled" });
+    assert.equal(fake.runs.get(run.id).status, "cancelled");
+
+    const again = await handleCancelRun(await cancelRequest(thread.id));
+    assert.equal(again.status, 404);
+    assert.equal((await readJson(again)).error, "No active run on this thread");
+  });
+
+  it("returns 404 for unknown threads", async () => {
+    const response = await handleCancelRun(await cancelRequest("thread_missing"));
+
+    assert.equal(response.status, 404);
+    assert.equal((await readJson(response)).error, "Thread not found");
+  });
+
+  it("cancels the run when the client disconnects", async () => {
+    fake.queueRun({ reply: ["Once", " upon", " a time"] });
+    const response = await handleAssistant(await ask("Tell me a story"));
+
+    // Read until the run has started, then go away like a closed browser tab
+    let received = "";
+    for await (const chunk of response.body) {
+      received += chunk;
+      if (received.includes("\"status\":\"queued\"")) {
+        break;
+      }
+    }
+
+    await waitFor(() => fake.callCount("runs.cancel") === 1);
+    const [run] = fake.runs.values();
+    assert.equal(run.status, "cancelled");
+  });
+
+  it("does not cancel runs that finished", async () => {
+    await readEvents(await handleAssistant(await ask("Hi")));
+
+    assert.equal(fake.callCount("runs.cancel"), 0);
+  });
+
+  it("cancels an active run before the next message when configured to", async () => {
+    const thread = await fake.beta.threads.create();
+    const run = fake.startRun(thread.id);
+
+    const events = await readEvents(await handleAssistant(await ask("Never mind, answer this", thread.id)));
+
+    assert.equal(fake.runs.get(run.id).status, "cancelled");
+    assert.equal(events.at(-1).data.status, "completed");
+  });
+});
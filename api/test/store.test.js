@@ -0,0 +1,47 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs/promises");
+const path = require("node:path");
+
+require("./support/helpers");
+const { getStore, getDataDir } = require("../src/lib/store");
+
+describe("JSON store", () => {
+  it("keeps saving after a failed write", async () => {
+    const store = getStore("store-test");
+    const file = path.join(getDataDir(), "store-test.json");
+    await store.put("a", { id: "a" });
+
+    // A directory in place of the file makes the next rename fail
+    await fs.rm(file);
+    await fs.mkdir(path.join(file, "blocked"), { recursive: true });
+    await assert.rejects(store.put("b", { id: "b" }));
+
+    await fs.rm(file, { recursive: true });
+    await store.put("c", { id: "c" });
+
+    assert.deepEqual(Object.keys(JSON.parse(await fs.readFile(file, "utf8"))), ["a", "b", "c"]);
+  });
+
+  it("keeps every write made while the file is first read", async () => {
+    await fs.writeFile(path.join(getDataDir(), "store-race.json"), JSON.stringify({ old: { id: "old" } }));
+    const store = getStore("store-race");
+
+    await Promise.all([store.put("a", { id: "a" }), store.put("b", { id: "b" })]);
+
+    const saved = JSON.parse(await fs.readFile(path.join(getDataDir(), "store-race.json"), "utf8"));
+    assert.deepEqual(Object.keys(saved), ["old", "a", "b"]);
+  });
+
+  it("treats prototype names as plain keys", async () => {
+    const store = getStore("store-keys");
+
+    assert.equal(await store.get("constructor"), null);
+    assert.equal(await store.get("__proto__"), null);
+    assert.equal(await store.update("toString", { id: "toString" }), null);
+
+    await store.put("constructor", { id: "constructor" });
+    assert.deepEqual(await store.get("constructor"), { id: "constructor" });
+    assert.deepEqual(await store.list(), [{ id: "constructor" }]);
+  });
+});
@@ -0,0 +1,87 @@
+const zlib = require("node:zlib");
+const PDFDocument = require("pdfkit");
+
+// Real documents for the tests that read uploads: a PDF written by pdfkit and a DOCX
+// archive with one paragraph per line of text.
+
+function escapeXml(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+// A ZIP archive of deflated `{ name: content }` entries
+function zip(entries) {
+  const locals = [];
+  const directory = [];
+  let offset = 0;
+  for (const [name, content] of Object.entries(entries)) {
+    const nameBytes = Buffer.from(name);
+    const data = Buffer.from(content);
+    const compressed = zlib.deflateRawSync(data);
+    const crc = zlib.crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    locals.push(local, nameBytes, compressed);
+
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(20, 4);
+    entry.writeUInt16LE(20, 6);
+    entry.writeUInt16LE(8, 10);
+    entry.writeUInt32LE(crc, 16);
+    entry.writeUInt32LE(compressed.length, 20);
+    entry.writeUInt32LE(data.length, 24);
+    entry.writeUInt16LE(nameBytes.length, 28);
+    entry.writeUInt32LE(offset, 42);
+    directory.push(entry, nameBytes);
+
+    offset += local.length + nameBytes.length + compressed.length;
+  }
+
+  const directorySize = directory.reduce((size, part) => size + part.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(directory.length / 2, 8);
+  end.writeUInt16LE(directory.length / 2, 10);
+  end.writeUInt32LE(directorySize, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, ...directory, end]);
+}
+
+function docxContent(text) {
+  const paragraphs = text.split("\n").map(line => `<w:p><w:r><w:t xml:space="preserve">${escapeXml(line)}</w:t></w:r></w:p>`);
+  return zip({
+    "[Content_Types].xml": "<?xml version=\"1.0\"?><Types xmlns=\"http://schemas.openxmlformats.org/package/2006/content-types\"/>",
+    "word/document.xml": `<?xml version="1.0"?><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>${paragraphs.join("")}</w:body></w:document>`
+  });
+}
+
+function pdfContent(text) {
+  return new Promise((resolve, reject) => {
+    const document = new PDFDocument();
+    const chunks = [];
+    document.on("data", chunk => chunks.push(chunk));
+    document.on("end", () => resolve(Buffer.concat(chunks)));
+    document.on("error", reject);
+    for (const line of text.split("\n")) {
+      document.text(line);
+    }
+    document.end();
+  });
+}
+
+function docxFile(text, name = "document.docx") {
+  return new File([docxContent(text)], name, { type: "application/vnd.openxmlformats-officedocument.wordprocessingml.document" });
+}
+
+async function pdfFile(text, name = "document.pdf") {
+  return new File([await pdfContent(text)], name, { type: "application/pdf" });
+}
+
+module.exports = { zip, docxContent, pdfContent, docxFile, pdfFile };
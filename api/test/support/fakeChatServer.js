@@ -0,0 +1,105 @@
+const http = require("node:http");
+
+// Local OpenAI-compatible server for the chat mode tests, reached through the real client
+// with CHAT_BASE_URL: streamed /chat/completions and /embeddings.
+//
+// Completions follow scripts queued with `queueReply()`:
+//   { reply: "text" | ["chunk", ...], finishReason }   stream the answer (finish_reason "stop")
+//   { toolCalls: [{ name, arguments }] }              ask for function calls
+// and answer DEFAULT_REPLY when none is queued. Every request body is kept in `requests`.
+// Embeddings count the words of each input over a small vocabulary, so texts sharing words
+// are close.
+
+const DEFAULT_REPLY = "Hello from the local model";
+const VOCABULARY = ["lease", "rent", "notice", "termination", "payment", "invoice", "salary", "holiday"];
+
+function chunk(id, model, choice, extra = {}) {
+  return {
+    id,
+    object: "chat.completion.chunk",
+    created: Math.floor(Date.now() / 1000),
+    model,
+    choices: choice ? [{ index: 0, finish_reason: null, ...choice }] : [],
+    ...extra
+  };
+}
+
+function completionChunks(id, body, script) {
+  const chunks = [chunk(id, body.model, { delta: { role: "assistant", content: "" } })];
+  if (script.toolCalls) {
+    script.toolCalls.forEach(({ name, arguments: args }, index) => {
+      chunks.push(chunk(id, body.model, {
+        delta: { tool_calls: [{ index, id: `call_${id}_${index}`, type: "function", function: { name, arguments: "" } }] }
+      }));
+      chunks.push(chunk(id, body.model, { delta: { tool_calls: [{ index, function: { arguments: JSON.stringify(args) } }] } }));
+    });
+  } else {
+    for (const content of [script.reply ?? DEFAULT_REPLY].flat()) {
+      chunks.push(chunk(id, body.model, { delta: { content } }));
+    }
+  }
+  chunks.push(chunk(id, body.model, { delta: {}, finish_reason: script.toolCalls ? "tool_calls" : script.finishReason || "stop" }));
+  if (body.stream_options?.include_usage) {
+    chunks.push(chunk(id, body.model, null, { usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 } }));
+  }
+  return chunks;
+}
+
+function embedding(text) {
+  const words = text.toLowerCase().match(/[a-z]+/g) || [];
+  return VOCABULARY.map(term => words.filter(word => word.startsWith(term)).length);
+}
+
+async function startFakeChatServer() {
+  const scripts = [];
+  const requests = [];
+  let completions = 0;
+
+  const server = http.createServer(async (request, response) => {
+    let text = "";
+    for await (const data of request) {
+      text += data;
+    }
+    const body = text ? JSON.parse(text) : {};
+    requests.push({ path: request.url, body });
+
+    if (request.method === "POST" && request.url === "/chat/completions") {
+      const id = `chatcmpl-${++completions}`;
+      response.writeHead(200, { "Content-Type": "text/event-stream" });
+      for (const data of completionChunks(id, body, scripts.shift() || {})) {
+        response.write(`data: ${JSON.stringify(data)}\n\n`);
+      }
+      response.end("data: [DONE]\n\n");
+    } else if (request.method === "POST" && request.url === "/embeddings") {
+      const inputs = [body.input].flat();
+      response.writeHead(200, { "Content-Type": "application/json" });
+      response.end(JSON.stringify({
+        object: "list",
+        model: body.model,
+        data: inputs.map((input, index) => ({ object: "embedding", index, embedding: embedding(input) }))
+      }));
+    } else {
+      response.writeHead(404, { "Content-Type": "application/json" });
+      response.end(JSON.stringify({ error: { message: `No route for ${request.method} ${request.url}` } }));
+    }
+  });
+
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    queueReply(...queued) {
+      scripts.push(...queued);
+    },
+    completionRequests() {
+      return requests.filter(({ path }) => path === "/chat/completions").map(({ body }) => body);
+    },
+    close() {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+module.exports = { DEFAULT_REPLY, startFakeChatServer };
@@ -0,0 +1,458 @@
+const { BadRequestError, NotFoundError } = require("openai");
+
+// In-process stand-in for the parts of the AzureOpenAI client used by the API:
+// assistants, threads, messages, streamed runs (including requires_action), files and
+// vector stores. State lives in memory, so tests can inspect it after a request.
+//
+// Runs follow scripts queued with `queueRun()`:
+//   { reply: "text" | ["chunk", ...], annotations: [...], usage: {...} }   answer and complete
+//     with `code: { input: "code" | ["chunk", ...], logs, images: [fileId] }` code_interpreter
+//     runs first, and `images: [fileId]` shows images in the answer
+//   { toolCalls: [{ name, arguments }] }                                    stop with requires_action
+//   { error: { code, message } }                                            fail the run
+// A run that requires action continues with the next script once tool outputs are submitted.
+// A cancelled run stops streaming before its next text chunk and reports CANCELLED_USAGE.
+// Files added to vector stores get the `indexingStatus` given to the constructor
+// ("completed" by default) until changed with `setIndexingState()`.
+
+const DEFAULT_REPLY = "Hello from the fake assistant";
+const CANCELLED_USAGE = { prompt_tokens: 10, completion_tokens: 2, total_tokens: 12 };
+
+class FakeOpenAI {
+  constructor({ assistantId = "asst_test", vectorStoreId = "vs_default", indexingStatus = "completed" } = {}) {
+    this.indexingStatus = indexingStatus;
+    this.ids = {};
+    this.assistants = new Map();
+    this.threads = new Map();
+    this.runs = new Map();
+    this.storedFiles = new Map();
+    this.vectorStores = new Map();
+    this.runScripts = [];
+    this.failures = new Map();
+    this.calls = [];
+    this.submittedToolOutputs = [];
+
+    if (vectorStoreId) {
+      this.vectorStores.set(vectorStoreId, { id: vectorStoreId, name: "default", files: new Map() });
+    }
+    this.assistants.set(assistantId, {
+      id: assistantId,
+      object: "assistant",
+      name: "Test Assistant",
+      model: "gpt-test",
+      instructions: "You are a test assistant.",
+      tools: [{ type: "file_search" }],
+      metadata: vectorStoreId ? { vectorStoreId } : {},
+      tool_resources: {}
+    });
+
+    this.beta = {
+      assistants: {
+        create: this.method("assistants.create", (params) => {
+          const assistant = { id: this.nextId("asst"), object: "assistant", metadata: {}, tool_resources: {}, ...structuredClone(params) };
+          this.assistants.set(assistant.id, assistant);
+          return structuredClone(assistant);
+        }),
+        retrieve: this.method("assistants.retrieve", (id) => structuredClone(this.get(this.assistants, id, "assistant"))),
+        update: this.method("assistants.update", (id, params) =>
+          structuredClone(Object.assign(this.get(this.assistants, id, "assistant"), structuredClone(params))))
+      },
+      threads: {
+        create: this.method("threads.create", (params) => this.createThread(params)),
+        retrieve: this.method("threads.retrieve", (id) => this.get(this.threads, id, "thread").thread),
+        update: this.method("threads.update", (id, { tool_resources, metadata }) => {
+          const { thread } = this.get(this.threads, id, "thread");
+          Object.assign(thread, tool_resources && { tool_resources }, metadata && { metadata });
+          return thread;
+        }),
+        del: this.method("threads.del", (id) => {
+          this.get(this.threads, id, "thread");
+          this.threads.delete(id);
+          return { id, object: "thread.deleted", deleted: true };
+        }),
+        messages: {
+          create: this.method("messages.create", (threadId, params) => this.addMessage(threadId, params)),
+          list: this.method("messages.list", (threadId, params) => this.listMessages(threadId, params)),
+          del: this.method("messages.del", (threadId, messageId) => {
+            const thread = this.get(this.threads, threadId, "thread");
+            const index = thread.messages.findIndex((message) => message.id === messageId);
+            if (index === -1) {
+              const message = `No message found with id '${messageId}'.`;
+              throw new NotFoundError(404, { message }, message, {});
+            }
+            thread.messages.splice(index, 1);
+            return { id: messageId, object: "thread.message.deleted", deleted: true };
+          })
+        },
+        runs: {
+          stream: (threadId, params) => this.streamRun(threadId, params),
+          submitToolOutputsStream: (threadId, runId, params) => this.submitToolOutputs(threadId, runId, params),
+          list: (threadId) => this.list("runs.list", () => {
+            this.get(this.threads, threadId, "thread");
+            return [...this.runs.values()].filter((run) => run.thread_id === threadId).reverse().map((run) => ({ ...run }));
+          }),
+          retrieve: this.method("runs.retrieve", (threadId, runId) => ({ ...this.get(this.runs, runId, "run") })),
+          cancel: this.method("runs.cancel", (threadId, runId) => {
+            const run = this.get(this.runs, runId, "run");
+            if (!["queued", "in_progress", "requires_action"].includes(run.status)) {
+              const message = `Cannot cancel run with status '${run.status}'.`;
+              throw new BadRequestError(400, { message }, message, {});
+            }
+            run.status = "cancelled";
+            run.usage = CANCELLED_USAGE;
+            return { ...run };
+          })
+        }
+      },
+      vectorStores: {
+        create: this.method("vectorStores.create", ({ name } = {}) => {
+          const store = { id: this.nextId("vs"), name, files: new Map() };
+          this.vectorStores.set(store.id, store);
+          return this.toVectorStore(store);
+        }),
+        retrieve: this.method("vectorStores.retrieve", (id) => this.toVectorStore(this.get(this.vectorStores, id, "vector store"))),
+        del: this.method("vectorStores.del", (id) => {
+          this.get(this.vectorStores, id, "vector store");
+          this.vectorStores.delete(id);
+          return { id, object: "vector_store.deleted", deleted: true };
+        }),
+        files: {
+          create: this.method("vectorStores.files.create", (vectorStoreId, { file_id }) => ({ ...this.addToVectorStore(vectorStoreId, file_id) })),
+          retrieve: this.method("vectorStores.files.retrieve", (vectorStoreId, fileId) => {
+            const store = this.get(this.vectorStores, vectorStoreId, "vector store");
+            return { ...this.get(store.files, fileId, "vector store file") };
+          }),
+          list: (vectorStoreId) => this.list("vectorStores.files.list", () => {
+            const store = this.get(this.vectorStores, vectorStoreId, "vector store");
+            return [...store.files.values()].map((entry) => ({ ...entry }));
+          }),
+          del: this.method("vectorStores.files.del", (vectorStoreId, fileId) => {
+            const store = this.get(this.vectorStores, vectorStoreId, "vector store");
+            this.get(store.files, fileId, "vector store file");
+            store.files.delete(fileId);
+            return { id: fileId, object: "vector_store.file.deleted", deleted: true };
+          })
+        },
+        fileBatches: {
+          create: this.method("vectorStores.fileBatches.create", (vectorStoreId, { file_ids }) => {
+            const entries = file_ids.map((fileId) => this.addToVectorStore(vectorStoreId, fileId));
+            return {
+              id: this.nextId("vsfb"),
+              object: "vector_store.files_batch",
+              vector_store_id: vectorStoreId,
+              status: entries.every(({ status }) => status === "completed") ? "completed" : "in_progress",
+              file_counts: { total: entries.length }
+            };
+          })
+        }
+      }
+    };
+
+    this.files = {
+      create: this.method("files.create", async ({ file, purpose }) => {
+        const content = Buffer.from(await file.arrayBuffer());
+        const record = {
+          id: this.nextId("assistant-"),
+          object: "file",
+          filename: file.name,
+          bytes: content.length,
+          purpose,
+          created_at: Math.floor(Date.now() / 1000),
+          status: "processed",
+          content
+        };
+        this.storedFiles.set(record.id, record);
+        return this.toFile(record);
+      }),
+      list: ({ purpose } = {}) => this.list("files.list", () => [...this.storedFiles.values()]
+        .filter((file) => !purpose || file.purpose === purpose)
+        .map((file) => this.toFile(file))),
+      retrieve: this.method("files.retrieve", (id) => this.toFile(this.get(this.storedFiles, id, "file"))),
+      content: this.method("files.content", (id) => new Response(this.get(this.storedFiles, id, "file").content)),
+      del: this.method("files.del", (id) => {
+        this.get(this.storedFiles, id, "file");
+        this.storedFiles.delete(id);
+        return { id, object: "file", deleted: true };
+      })
+    };
+  }
+
+  // --- test controls ---
+
+  queueRun(...scripts) {
+    this.runScripts.push(...scripts);
+    return this;
+  }
+
+  // The next call of `name` (for example "files.create") rejects with `error`
+  failNext(name, error) {
+    this.failures.set(name, error);
+    return this;
+  }
+
+  // Changes the indexing state of a file in a vector store, e.g. to finish or fail indexing
+  setIndexingState(vectorStoreId, fileId, status, lastError = null) {
+    const entry = this.get(this.get(this.vectorStores, vectorStoreId, "vector store").files, fileId, "vector store file");
+    entry.status = status;
+    entry.last_error = lastError;
+    return this;
+  }
+
+  // Adds a run that is still going on, like one streamed by another request
+  startRun(threadId, status = "in_progress") {
+    const run = { id: this.nextId("run"), object: "thread.run", thread_id: threadId, assistant_id: "asst_test", status, usage: null };
+    this.runs.set(run.id, run);
+    return { ...run };
+  }
+
+  // Adds a file as code_interpreter creates them, e.g. "/mnt/data/chart.png"; returns its ID
+  addOutputFile(filename, content) {
+    const record = {
+      id: this.nextId("assistant-"),
+      object: "file",
+      filename,
+      bytes: Buffer.byteLength(content),
+      purpose: "assistants_output",
+      created_at: Math.floor(Date.now() / 1000),
+      status: "processed",
+      content: Buffer.from(content)
+    };
+    this.storedFiles.set(record.id, record);
+    return record.id;
+  }
+
+  callCount(name) {
+    return this.calls.filter((call) => call === name).length;
+  }
+
+  // --- internals ---
+
+  // Like the SDK's page promises, lists are iterated with `for await` across all pages
+  list(name, items) {
+    const fake = this;
+    return (async function* () {
+      fake.calls.push(name);
+      if (fake.failures.has(name)) {
+        const error = fake.failures.get(name);
+        fake.failures.delete(name);
+        throw error;
+      }
+      yield* items();
+    })();
+  }
+
+  method(name, fn) {
+    return async (...args) => {
+      this.calls.push(name);
+      if (this.failures.has(name)) {
+        const error = this.failures.get(name);
+        this.failures.delete(name);
+        throw error;
+      }
+      return fn(...args);
+    };
+  }
+
+  nextId(prefix) {
+    this.ids[prefix] = (this.ids[prefix] || 0) + 1;
+    return prefix.endsWith("-") ? `${prefix}${this.ids[prefix]}` : `${prefix}_${this.ids[prefix]}`;
+  }
+
+  get(map, id, kind) {
+    if (!map.has(id)) {
+      const message = `No ${kind} found with id '${id}'.`;
+      throw new NotFoundError(404, { message }, message, {});
+    }
+    return map.get(id);
+  }
+
+  toFile({ content, ...file }) {
+    return { ...file };
+  }
+
+  addToVectorStore(vectorStoreId, fileId) {
+    const store = this.get(this.vectorStores, vectorStoreId, "vector store");
+    this.get(this.storedFiles, fileId, "file");
+    const entry = { id: fileId, object: "vector_store.file", vector_store_id: vectorStoreId, status: this.indexingStatus, last_error: null };
+    store.files.set(fileId, entry);
+    return entry;
+  }
+
+  toVectorStore({ files, ...store }) {
+    return { ...store, object: "vector_store", file_counts: { total: files.size } };
+  }
+
+  createThread({ tool_resources = {}, metadata = {} } = {}) {
+    const thread = { id: this.nextId("thread"), object: "thread", created_at: Math.floor(Date.now() / 1000), metadata, tool_resources };
+    this.threads.set(thread.id, { thread, messages: [] });
+    return thread;
+  }
+
+  addMessage(threadId, { role, content, attachments = [] }, runId = null) {
+    const { messages } = this.get(this.threads, threadId, "thread");
+    const parts = typeof content === "string"
+      ? [{ type: "text", text: { value: content, annotations: [] } }]
+      : content;
+    const message = {
+      id: this.nextId("msg"),
+      object: "thread.message",
+      thread_id: threadId,
+      role,
+      content: parts,
+      attachments,
+      run_id: runId,
+      created_at: Math.floor(Date.now() / 1000)
+    };
+    messages.push(message);
+    return message;
+  }
+
+  listMessages(threadId, { limit = 20, order = "desc", after, run_id } = {}) {
+    const { messages } = this.get(this.threads, threadId, "thread");
+    const ordered = (order === "asc" ? [...messages] : [...messages].reverse()).filter((message) => !run_id || message.run_id === run_id);
+    const start = after ? ordered.findIndex((message) => message.id === after) + 1 : 0;
+    const data = ordered.slice(start, start + limit);
+    return { data, body: { data, has_more: start + limit < ordered.length } };
+  }
+
+  streamRun(threadId, { assistant_id, instructions, additional_instructions, tools }) {
+    this.calls.push("runs.stream");
+    const fake = this;
+    return (async function* () {
+      fake.get(fake.threads, threadId, "thread");
+      fake.get(fake.assistants, assistant_id, "assistant");
+      const run = {
+        id: fake.nextId("run"),
+        object: "thread.run",
+        thread_id: threadId,
+        assistant_id,
+        ...(instructions && { instructions }),
+        ...(additional_instructions && { additional_instructions }),
+        ...(tools && { tools }),
+        status: "queued",
+        usage: null
+      };
+      fake.runs.set(run.id, run);
+
+      yield { event: "thread.run.created", data: { ...run } };
+      yield { event: "thread.run.queued", data: { ...run } };
+      yield* fake.continueRun(run);
+    })();
+  }
+
+  submitToolOutputs(threadId, runId, { tool_outputs }) {
+    this.calls.push("runs.submitToolOutputsStream");
+    const fake = this;
+    return (async function* () {
+      const run = fake.get(fake.runs, runId, "run");
+      if (run.status !== "requires_action") {
+        throw new Error(`Run ${runId} is ${run.status}, it does not accept tool outputs`);
+      }
+      fake.submittedToolOutputs.push(...tool_outputs);
+      run.required_action = null;
+      yield* fake.continueRun(run);
+    })();
+  }
+
+  // Streams a code_interpreter step like the service does: the code in chunks, the first
+  // delta carrying the tool call ID, then its outputs
+  async *runCode(run, { input = "", logs = null, images = [] }) {
+    const stepId = this.nextId("step");
+    const toolCallId = this.nextId("call");
+    const delta = (toolCall) => ({
+      event: "thread.run.step.delta",
+      data: {
+        id: stepId,
+        object: "thread.run.step.delta",
+        delta: { step_details: { type: "tool_calls", tool_calls: [{ index: 0, type: "code_interpreter", ...toolCall }] } }
+      }
+    });
+
+    for (const [index, chunk] of (Array.isArray(input) ? input : [input]).entries()) {
+      yield delta({ ...(index === 0 && { id: toolCallId }), code_interpreter: { input: chunk, outputs: [] } });
+    }
+    const outputs = [
+      ...(logs ? [{ type: "logs", logs }] : []),
+      ...images.map((fileId) => ({ type: "image", image: { file_id: fileId } }))
+    ];
+    yield delta({ code_interpreter: { outputs: outputs.map((output, index) => ({ index, ...output })) } });
+  }
+
+  async *continueRun(run) {
+    const script = this.runScripts.shift() || { reply: DEFAULT_REPLY };
+
+    run.status = "in_progress";
+    yield { event: "thread.run.in_progress", data: { ...run } };
+
+    if (script.error) {
+      run.status = "failed";
+      run.last_error = script.error;
+      yield { event: "thread.run.failed", data: { ...run } };
+      return;
+    }
+
+    if (script.toolCalls) {
+      run.status = "requires_action";
+      run.required_action = {
+        type: "submit_tool_outputs",
+        submit_tool_outputs: {
+          tool_calls: script.toolCalls.map((toolCall) => ({
+            id: this.nextId("call"),
+            type: "function",
+            function: {
+              name: toolCall.name,
+              arguments: typeof toolCall.arguments === "string"
+                ? toolCall.arguments
+                : JSON.stringify(toolCall.arguments || {})
+            }
+          }))
+        }
+      };
+      yield { event: "thread.run.requires_action", data: { ...run } };
+      return;
+    }
+
+    if (script.code) {
+      yield* this.runCode(run, script.code);
+    }
+
+    const chunks = Array.isArray(script.reply) ? script.reply : [script.reply ?? DEFAULT_REPLY];
+    const annotations = script.annotations || [];
+    const images = (script.images || []).map((fileId) => ({ type: "image_file", image_file: { file_id: fileId } }));
+    const message = this.addMessage(run.thread_id, { role: "assistant", content: [] }, run.id);
+    yield { event: "thread.message.created", data: { ...message } };
+
+    for (const [index, image] of images.entries()) {
+      yield {
+        event: "thread.message.delta",
+        data: { id: message.id, object: "thread.message.delta", delta: { content: [{ index, ...image }] } }
+      };
+    }
+
+    for (const value of chunks) {
+      if (run.status === "cancelled") {
+        yield { event: "thread.run.cancelled", data: { ...run } };
+        return;
+      }
+      // Send each annotation along with the chunk that contains its marker
+      const chunkAnnotations = annotations.filter((annotation) => value.includes(annotation.text));
+      yield {
+        event: "thread.message.delta",
+        data: {
+          id: message.id,
+          object: "thread.message.delta",
+          delta: { content: [{ index: images.length, type: "text", text: { value, annotations: chunkAnnotations } }] }
+        }
+      };
+    }
+
+    message.content = [...images, { type: "text", text: { value: chunks.join(""), annotations } }];
+    yield { event: "thread.message.completed", data: { ...message } };
+
+    run.status = "completed";
+    run.usage = script.usage || { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 };
+    yield { event: "thread.run.completed", data: { ...run } };
+  }
+}
+
+module.exports = { FakeOpenAI, DEFAULT_REPLY };
@@ -0,0 +1,104 @@
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+// Settings are read when the function modules load, so they are set before anything
+// from src/ is required. Every test file runs in its own process with its own data dir.
+process.env.ASSISTANT_ID = "asst_test";
+process.env.AZURE_OPENAI_ENDPOINT = "https://fake.openai.azure.com";
+process.env.AZURE_OPENAI_API_KEY = "test-key";
+process.env.OPENAI_API_VERSION = "2024-05-01-preview";
+process.env.OPENAI_FUNCTION_CALLING_SKIP_SEND_EMAIL = "true";
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "assistant-api-test-"));
+
+// The functions log every step; keep test output readable unless asked otherwise
+if (!process.env.DEBUG_TESTS) {
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+}
+
+const { HttpRequest } = require("@azure/functions");
+const { setClientFactory } = require("../../src/lib/openai");
+const { FakeOpenAI } = require("./fakeOpenAI");
+
+function useFakeOpenAI(options) {
+  const fake = new FakeOpenAI(options);
+  setClientFactory(() => fake);
+  return fake;
+}
+
+// Builds an HttpRequest like the Functions host does. `json` and `formData` set the
+// body and content type; `body` is sent as plain text.
+async function createRequest({ method = "GET", url, headers = {}, params = {}, json, formData, body }) {
+  let requestBody;
+  const requestHeaders = { ...headers };
+
+  if (json !== undefined) {
+    requestBody = { string: JSON.stringify(json) };
+    requestHeaders["content-type"] = "application/json";
+  } else if (formData) {
+    // Let the Fetch API encode the multipart body and its boundary
+    const encoded = new Response(formData);
+    requestBody = { bytes: new Uint8Array(await encoded.arrayBuffer()) };
+    requestHeaders["content-type"] = encoded.headers.get("content-type");
+  } else if (body !== undefined) {
+    requestBody = { string: body };
+    requestHeaders["content-type"] = requestHeaders["content-type"] || "text/plain";
+  }
+
+  return new HttpRequest({
+    method,
+    url: new URL(url, "http://localhost:7071").toString(),
+    headers: requestHeaders,
+    params,
+    body: requestBody
+  });
+}
+
+async function readBody(response) {
+  const { body } = response;
+  if (body === undefined || body === null || typeof body === "string") {
+    return body || "";
+  }
+  let text = "";
+  for await (const chunk of body) {
+    text += typeof chunk === "string" ? chunk : Buffer.from(chunk).toString("utf8");
+  }
+  return text;
+}
+
+async function readJson(response) {
+  return JSON.parse(await readBody(response));
+}
+
+function parseEvents(text) {
+  return text
+    .split("\n\n")
+    .filter(Boolean)
+    .map((frame) => {
+      const fields = Object.fromEntries(frame.split("\n").map((line) => {
+        const separator = line.indexOf(": ");
+        return [line.slice(0, separator), line.slice(separator + 2)];
+      }));
+      return { id: Number(fields.id), type: fields.event, data: JSON.parse(fields.data) };
+    });
+}
+
+async function readEvents(response) {
+  return parseEvents(await readBody(response));
+}
+
+function textFile(content, name = "contract.txt", type = "text/plain") {
+  return new File([content], name, { type });
+}
+
+module.exports = {
+  useFakeOpenAI,
+  createRequest,
+  readBody,
+  readJson,
+  readEvents,
+  parseEvents,
+  textFile
+};
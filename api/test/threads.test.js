@@ -0,0 +1,109 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { useFakeOpenAI, createRequest, readBody, readJson } = require("./support/helpers");
+const { handleThreads } = require("../src/functions/threads");
+const { handleAssistant } = require("../src/functions/assistant");
+
+function threadsRequest({ threadId, ...options } = {}) {
+  return createRequest({
+    url: `/api/threads${threadId ? `/${threadId}` : ""}`,
+    params: threadId ? { threadId } : {},
+    ...options
+  });
+}
+
+describe("/api/threads", () => {
+  let fake;
+
+  beforeEach(() => {
+    fake = useFakeOpenAI();
+  });
+
+  it("creates, renames, lists and deletes a thread", async () => {
+    const created = await handleThreads(await threadsRequest({ method: "POST", json: { title: "Lease review", tags: ["lease"] } }));
+    assert.equal(created.status, 201);
+    const { id } = await readJson(created);
+
+    const renamed = await handleThreads(await threadsRequest({ method: "PATCH", threadId: id, json: { title: "Lease review (final)" } }));
+    assert.equal((await readJson(renamed)).title, "Lease review (final)");
+
+    const listed = await readJson(await handleThreads(await threadsRequest({ url: "/api/threads?tag=lease" })));
+    assert.deepEqual(listed.threads.map(thread => [thread.id, thread.title]), [[id, "Lease review (final)"]]);
+
+    const deleted = await handleThreads(await threadsRequest({ method: "DELETE", threadId: id }));
+    assert.equal(deleted.status, 200);
+    assert.equal(fake.threads.size, 0);
+    assert.equal((await readJson(await handleThreads(await threadsRequest()))).total, 0);
+  });
+
+  it("records conversations started through /api/assistant with a title", async () => {
+    const request = await createRequest({ method: "POST", url: "/api/assistant", json: { message: "Review the ACME supply contract" } });
+    await readBody(await handleAssistant(request));
+
+    const { threads } = await readJson(await handleThreads(await threadsRequest()));
+    const thread = threads.find(({ title }) => title === "Review the ACME supply contract");
+    assert.ok(thread);
+
+    const { messages, hasMore } = await readJson(await handleThreads(await threadsRequest({ threadId: thread.id })));
+    assert.deepEqual(messages.map(({ role }) => role), ["user", "assistant"]);
+    assert.equal(hasMore, false);
+  });
+
+  it("paginates messages", async () => {
+    const thread = await fake.beta.threads.create();
+    for (const content of ["one", "two", "three"]) {
+      await fake.beta.threads.messages.create(thread.id, { role: "user", content });
+    }
+
+    const first = await readJson(await handleThreads(await threadsRequest({ threadId: thread.id, url: `/api/threads/${thread.id}?limit=2` })));
+    const second = await readJson(await handleThreads(await threadsRequest({
+      threadId: thread.id,
+      url: `/api/threads/${thread.id}?limit=2&after=${first.nextCursor}`
+    })));
+
+    assert.deepEqual(first.messages.map(({ content }) => content), ["one", "two"]);
+    assert.equal(first.hasMore, true);
+    assert.deepEqual(second.messages.map(({ content }) => content), ["three"]);
+    assert.equal(second.hasMore, false);
+  });
+
+  it("pages the thread list and rejects an unknown cursor", async () => {
+    for (const title of ["Lease", "NDA", "Invoice"]) {
+      await handleThreads(await threadsRequest({ method: "POST", json: { title, tags: ["paged"] } }));
+    }
+
+    const first = await readJson(await handleThreads(await threadsRequest({ url: "/api/threads?tag=paged&limit=2" })));
+    assert.equal(first.hasMore, true);
+    const second = await readJson(await handleThreads(await threadsRequest({ url: `/api/threads?tag=paged&limit=2&after=${first.nextCursor}` })));
+    assert.equal(second.threads.length, 1);
+    assert.ok(!first.threads.some(thread => thread.id === second.threads[0].id));
+
+    const unknown = await handleThreads(await threadsRequest({ url: "/api/threads?after=thread_missing" }));
+    assert.equal(unknown.status, 400);
+    assert.deepEqual(await readJson(unknown), { error: "after must be the nextCursor of a previous page", after: "thread_missing" });
+  });
+
+  it("returns 404 for unknown threads", async () => {
+    for (const method of ["GET", "PATCH", "DELETE"]) {
+      const response = await handleThreads(await threadsRequest({ method, threadId: "thread_missing", json: method === "PATCH" ? {} : undefined }));
+      assert.equal(response.status, 404, method);
+    }
+  });
+
+  it("treats a null body as no changes", async () => {
+    const created = await handleThreads(await threadsRequest({ method: "POST", json: null }));
+    assert.equal(created.status, 201);
+    const { id } = await readJson(created);
+
+    const updated = await handleThreads(await threadsRequest({ method: "PATCH", threadId: id, json: null }));
+    assert.equal(updated.status, 200);
+    assert.equal((await readJson(updated)).title, "");
+  });
+
+  it("validates changes", async () => {
+    const response = await handleThreads(await threadsRequest({ method: "POST", json: { tags: "lease" } }));
+
+    assert.equal(response.status, 400);
+    assert.equal(fake.threads.size, 0);
+  });
+});
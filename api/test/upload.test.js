@@ -0,0 +1,179 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.UPLOAD_MAX_FILE_SIZE = "1024";
+process.env.INDEXING_POLL_INTERVAL_MS = "10";
+
+const { useFakeOpenAI, createRequest, readJson, textFile } = require("./support/helpers");
+const { handleUpload } = require("../src/functions/upload");
+
+function upload(formData) {
+  return createRequest({ method: "POST", url: "/api/upload", formData });
+}
+
+describe("POST /api/upload", () => {
+  let fake;
+
+  beforeEach(() => {
+    fake = useFakeOpenAI();
+  });
+
+  it("answers CORS preflight requests", async () => {
+    const response = await handleUpload(await createRequest({
+      method: "OPTIONS",
+      url: "/api/upload",
+      headers: { origin: "http://localhost:4280" }
+    }));
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers["Access-Control-Allow-Origin"], "http://localhost:4280");
+  });
+
+  it("rejects a request without a file", async () => {
+    const formData = new FormData();
+    formData.append("fileName", "nothing.txt");
+
+    const response = await handleUpload(await upload(formData));
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(await readJson(response), { error: "No file provided" });
+  });
+
+  it("uploads the file and adds it to the assistant vector store", async () => {
+    const formData = new FormData();
+    formData.append("file", textFile("The parties agree..."), "contract.txt");
+
+    const response = await handleUpload(await upload(formData));
+    const body = await readJson(response);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(
+      { fileId: body.fileId, fileName: body.fileName, fileSize: body.fileSize, status: body.status },
+      { fileId: "assistant-1", fileName: "contract.txt", fileSize: 20, status: "uploaded" }
+    );
+    assert.match(body.sha256, /^[0-9a-f]{64}$/);
+    assert.equal(fake.storedFiles.get("assistant-1").purpose, "assistants");
+    assert.ok(fake.vectorStores.get("vs_default").files.has("assistant-1"));
+  });
+
+  it("adds the files of a request to the vector store in one batch", async () => {
+    fake = useFakeOpenAI({ indexingStatus: "in_progress" });
+    const formData = new FormData();
+    formData.append("file", textFile("Lease terms", "lease.txt"));
+    formData.append("file", textFile("NDA terms", "nda.txt"));
+
+    const body = await readJson(await handleUpload(await upload(formData)));
+
+    assert.equal(fake.callCount("vectorStores.fileBatches.create"), 1);
+    assert.deepEqual(body.files.map(({ indexing }) => indexing.status), ["in_progress", "in_progress"]);
+  });
+
+  it("waits until the files are indexed when asked to", async () => {
+    fake = useFakeOpenAI({ indexingStatus: "in_progress" });
+    setTimeout(() => fake.setIndexingState("vs_default", "assistant-1", "completed"), 30);
+    const formData = new FormData();
+    formData.append("file", textFile("Lease terms", "lease.txt"));
+
+    const response = await handleUpload(await createRequest({ method: "POST", url: "/api/upload?wait=true&timeout=5", formData }));
+    const body = await readJson(response);
+
+    assert.deepEqual(body.indexing, { status: "completed", lastError: null, timedOut: false });
+  });
+
+  it("stops waiting for indexing after the timeout", async () => {
+    fake = useFakeOpenAI({ indexingStatus: "in_progress" });
+    const formData = new FormData();
+    formData.append("file", textFile("Lease terms", "lease.txt"));
+
+    const response = await handleUpload(await createRequest({ method: "POST", url: "/api/upload?wait=true&timeout=0.05", formData }));
+    const body = await readJson(response);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(body.indexing, { status: "in_progress", lastError: null, timedOut: true });
+  });
+
+  it("keeps the upload when the vector store cannot be updated", async () => {
+    fake.failNext("vectorStores.fileBatches.create", new Error("Vector store is busy"));
+    const formData = new FormData();
+    formData.append("file", textFile("Terms"));
+
+    const response = await handleUpload(await upload(formData));
+
+    assert.equal(response.status, 200);
+    assert.ok(fake.storedFiles.has("assistant-1"));
+    assert.equal((await readJson(response)).indexing.status, "not_indexed");
+  });
+
+  it("reports service errors as JSON", async () => {
+    fake.failNext("files.create", new Error("Quota exceeded"));
+    const formData = new FormData();
+    formData.append("file", textFile("Terms"));
+
+    const response = await handleUpload(await upload(formData));
+
+    assert.equal(response.status, 500);
+    const body = await readJson(response);
+    assert.equal(body.error, "Upload failed");
+    assert.equal(body.message, "Quota exceeded");
+  });
+
+  it("uploads several files and reports a result per file", async () => {
+    const formData = new FormData();
+    formData.append("file", textFile("Lease terms", "lease.txt"));
+    formData.append("file", textFile("%PDF-1.7 ...", "nda.pdf", "application/pdf"));
+    formData.append("file", textFile("MZ", "setup.exe", "application/octet-stream"));
+
+    const response = await handleUpload(await upload(formData));
+    const body = await readJson(response);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(body.files.map(({ fileName, status }) => [fileName, status]), [
+      ["lease.txt", "uploaded"],
+      ["nda.pdf", "uploaded"],
+      ["setup.exe", "rejected"]
+    ]);
+    assert.equal(body.files[2].error.code, "unsupported_type");
+    assert.deepEqual([body.uploaded, body.rejected], [2, 1]);
+    assert.equal(fake.storedFiles.size, 2);
+  });
+
+  it("checks the content and the size of the files", async () => {
+    const disguised = new FormData();
+    disguised.append("file", textFile("Not a PDF at all", "contract.pdf", "application/pdf"));
+    const mismatch = await handleUpload(await upload(disguised));
+    assert.equal(mismatch.status, 400);
+    assert.equal((await readJson(mismatch)).files[0].error.code, "content_mismatch");
+
+    const large = new FormData();
+    large.append("file", textFile("x".repeat(2048), "large.txt"));
+    const tooLarge = await handleUpload(await upload(large));
+    assert.equal(tooLarge.status, 413);
+
+    const wrongType = new FormData();
+    wrongType.append("file", textFile("Terms", "contract.txt", "image/png"));
+    assert.equal((await handleUpload(await upload(wrongType))).status, 415);
+
+    assert.equal(fake.callCount("files.create"), 0);
+  });
+
+  it("returns the existing file when the same content is uploaded again", async () => {
+    const first = new FormData();
+    first.append("file", textFile("The parties agree...", "contract.txt"));
+    const uploaded = await readJson(await handleUpload(await upload(first)));
+
+    const again = new FormData();
+    again.append("file", textFile("The parties agree...", "contract-copy.txt"));
+    const duplicate = await readJson(await handleUpload(await upload(again)));
+
+    assert.equal(duplicate.status, "duplicate");
+    assert.equal(duplicate.fileId, uploaded.fileId);
+    assert.equal(fake.storedFiles.size, 1);
+    assert.equal(fake.vectorStores.get("vs_default").files.size, 1);
+
+    // Once the file is gone from Azure OpenAI, the content is uploaded again
+    await fake.files.del(uploaded.fileId);
+    const reuploaded = await readJson(await handleUpload(await upload(again)));
+    assert.equal(reuploaded.status, "uploaded");
+    assert.notEqual(reuploaded.fileId, uploaded.fileId);
+  });
+});
@@ -0,0 +1,221 @@
+// Thin client for the Azure Functions API.
+// The base URL comes from the API_URL Vite env variable (see vite.config.js); when it is
+// not set, requests go to the same origin, where the Static Web Apps CLI proxies /api.
+const API_URL = (import.meta.env.API_URL || "").replace(/\/+$/, "");
+
+// When the API requires authentication, a bearer token or API key is read from
+// localStorage ("assistant.accessToken" or "assistant.apiKey"), where a sign-in flow
+// or the user can put it.
+const ACCESS_TOKEN_KEY = "assistant.accessToken";
+const API_KEY_KEY = "assistant.apiKey";
+
+export function apiUrl(path) {
+  return `${API_URL}/api/${path}`;
+}
+
+function authHeaders() {
+  const token = localStorage.getItem(ACCESS_TOKEN_KEY);
+  if (token) {
+    return { Authorization: `Bearer ${token}` };
+  }
+  const apiKey = localStorage.getItem(API_KEY_KEY);
+  return apiKey ? { "X-API-Key": apiKey } : {};
+}
+
+async function errorFromResponse(response) {
+  let message = `${response.status} ${response.statusText}`;
+  try {
+    const body = await response.json();
+    message = body.message || body.error || message;
+  } catch {
+    // Not a JSON error body, keep the status text
+  }
+  const error = new Error(message);
+  error.status = response.status;
+  return error;
+}
+
+async function requestJson(path, options = {}) {
+  const response = await fetch(apiUrl(path), {
+    ...options,
+    headers: { ...authHeaders(), ...options.headers }
+  });
+  if (!response.ok) {
+    throw await errorFromResponse(response);
+  }
+  return response.json();
+}
+
+// Sends a chat message and resolves with the response, whose body is the event stream
+export async function sendMessage({ message, fileIds = [], threadId = null, collection = null, profile = null, signal }) {
+  const headers = {
+    ...authHeaders(),
+    "Content-Type": "application/json",
+    Accept: "text/event-stream"
+  };
+  if (threadId) {
+    headers["X-Thread-ID"] = threadId;
+  }
+
+  const response = await fetch(apiUrl("assistant"), {
+    method: "POST",
+    headers,
+    body: JSON.stringify({ message, fileIds, ...(collection && { collection }), ...(profile && { profile }) }),
+    signal
+  });
+  if (!response.ok) {
+    throw await errorFromResponse(response);
+  }
+  return response;
+}
+
+// Stops the answer being generated on the thread; aborting the fetch alone only closes the stream
+export function cancelRun(threadId) {
+  return requestJson(`runs/${encodeURIComponent(threadId)}/cancel`, { method: "POST" });
+}
+
+export function getThread(threadId, { limit = 100 } = {}) {
+  return requestJson(`threads/${encodeURIComponent(threadId)}?limit=${limit}`);
+}
+
+// Downloads the conversation rendered as markdown, html or pdf; resolves with the file
+// name and its content as a Blob
+export async function exportThread(threadId, format) {
+  const response = await fetch(apiUrl(`threads/${encodeURIComponent(threadId)}/export?format=${format}`), {
+    headers: authHeaders()
+  });
+  if (!response.ok) {
+    throw await errorFromResponse(response);
+  }
+  const fileName = /filename="([^"]+)"/.exec(response.headers.get("Content-Disposition") || "")?.[1] || `conversation.${format}`;
+  return { fileName, blob: await response.blob() };
+}
+
+// A file created by code_interpreter (an image or a download) with its name. The API may
+// need credentials, so it is fetched rather than linked.
+export async function getOutput(fileId) {
+  const response = await fetch(apiUrl(`outputs/${encodeURIComponent(fileId)}`), { headers: authHeaders() });
+  if (!response.ok) {
+    throw await errorFromResponse(response);
+  }
+  const fileName = /filename="([^"]+)"/.exec(response.headers.get("Content-Disposition") || "")?.[1] || fileId;
+  return { fileName, blob: await response.blob() };
+}
+
+// Every file, following the cursor pagination of /api/files
+export async function listFiles() {
+  const files = [];
+  let cursor = null;
+  do {
+    const page = await requestJson(`files?limit=100${cursor ? `&after=${encodeURIComponent(cursor)}` : ""}`);
+    files.push(...page.files);
+    cursor = page.nextCursor;
+  } while (cursor);
+  return files;
+}
+
+// Assistant profiles a conversation can start with
+export function listProfiles() {
+  return requestJson("assistants");
+}
+
+export async function listCollections() {
+  const { collections } = await requestJson("collections");
+  return collections;
+}
+
+export function createCollection(name) {
+  return requestJson("collections", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ name })
+  });
+}
+
+// Indexing state of files in the vector stores of their collections
+export async function getFileStatus(fileIds) {
+  const { files } = await requestJson(`files/status?fileIds=${fileIds.map(encodeURIComponent).join(",")}`);
+  return files;
+}
+
+export function deleteFile(fileId) {
+  return requestJson(`files/${encodeURIComponent(fileId)}`, { method: "DELETE" });
+}
+
+// fetch() cannot report upload progress, so uploads go through XMLHttpRequest
+export function uploadFile(file, onProgress = () => {}, collection = null) {
+  return new Promise((resolve, reject) => {
+    const formData = new FormData();
+    formData.append("file", file, file.name);
+    if (collection) {
+      formData.append("collection", collection);
+    }
+
+    const xhr = new XMLHttpRequest();
+    xhr.open("POST", apiUrl("upload"));
+    xhr.responseType = "json";
+    for (const [name, value] of Object.entries(authHeaders())) {
+      xhr.setRequestHeader(name, value);
+    }
+
+    xhr.upload.addEventListener("progress", (event) => {
+      if (event.lengthComputable) {
+        onProgress(event.loaded / event.total);
+      }
+    });
+    xhr.addEventListener("load", () => {
+      if (xhr.status >= 200 && xhr.status < 300) {
+        resolve(xhr.response);
+      } else {
+        reject(new Error(xhr.response?.message || xhr.response?.error || `Upload failed (${xhr.status})`));
+      }
+    });
+    xhr.addEventListener("error", () => reject(new Error("Network error during upload")));
+    xhr.addEventListener("abort", () => reject(new Error("Upload cancelled")));
+
+    xhr.send(formData);
+  });
+}
+
+// Batch jobs: the same questions asked about each of a set of files and collections
+export async function listBatches() {
+  const { batches } = await requestJson("batches");
+  return batches;
+}
+
+export function createBatch({ name, questions, fileIds = [], collections = [], profile = null }) {
+  return requestJson("batches", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ ...(name && { name }), questions, fileIds, collections, ...(profile && { profile }) })
+  });
+}
+
+// The job with every answer, as a row per file or collection
+export function getBatch(batchId) {
+  return requestJson(`batches/${encodeURIComponent(batchId)}`);
+}
+
+export function resumeBatch(batchId) {
+  return requestJson(`batches/${encodeURIComponent(batchId)}/resume`, { method: "POST" });
+}
+
+export function cancelBatch(batchId) {
+  return requestJson(`batches/${encodeURIComponent(batchId)}/cancel`, { method: "POST" });
+}
+
+export function deleteBatch(batchId) {
+  return requestJson(`batches/${encodeURIComponent(batchId)}`, { method: "DELETE" });
+}
+
+// Downloads the answers as csv or json; resolves with the file name and its content as a Blob
+export async function downloadBatchResults(batchId, format) {
+  const response = await fetch(apiUrl(`batches/${encodeURIComponent(batchId)}/results?format=${format}`), {
+    headers: authHeaders()
+  });
+  if (!response.ok) {
+    throw await errorFromResponse(response);
+  }
+  const fileName = /filename="([^"]+)"/.exec(response.headers.get("Content-Disposition") || "")?.[1] || `batch.${format}`;
+  return { fileName, blob: await response.blob() };
+}
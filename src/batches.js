@@ -0,0 +1,244 @@
+import {
+  cancelBatch,
+  createBatch,
+  deleteBatch,
+  downloadBatchResults,
+  getBatch,
+  listBatches,
+  listCollections,
+  listFiles,
+  resumeBatch
+} from "./api.js";
+
+// Batch questions page: a form asking the same questions about several documents and
+// collections, the jobs of the user, and the answers of the selected job as a table with
+// a row per document and a column per question. Running jobs are polled until they end.
+
+const batchFormRef = document.querySelector("#batchFormRef");
+const batchNameRef = document.querySelector("#batchNameRef");
+const batchQuestionsRef = document.querySelector("#batchQuestionsRef");
+const batchFilesRef = document.querySelector("#batchFilesRef");
+const batchFilesEmptyRef = document.querySelector("#batchFilesEmptyRef");
+const batchCollectionsRef = document.querySelector("#batchCollectionsRef");
+const batchSubmitRef = document.querySelector("#batchSubmitRef");
+const batchErrorRef = document.querySelector("#batchErrorRef");
+const batchPickerRef = document.querySelector("#batchPickerRef");
+const batchDownloadRef = document.querySelector("#batchDownloadRef");
+const batchResumeRef = document.querySelector("#batchResumeRef");
+const batchCancelRef = document.querySelector("#batchCancelRef");
+const batchDeleteRef = document.querySelector("#batchDeleteRef");
+const batchStatusRef = document.querySelector("#batchStatusRef");
+const batchTableRef = document.querySelector("#batchTableRef");
+
+const BATCH_STORAGE_KEY = "assistant.batchId";
+const BATCH_POLL_MS = 3000;
+const ACTIVE_STATUSES = ["queued", "running"];
+
+let batches = [];
+let current = null;
+let batchPoll = null;
+
+function checkboxItem(value, label) {
+  const itemRef = document.createElement("li");
+  itemRef.className = "files__item";
+  const checkboxRef = document.createElement("input");
+  checkboxRef.type = "checkbox";
+  checkboxRef.value = value;
+  const nameRef = document.createElement("span");
+  nameRef.className = "files__name";
+  nameRef.textContent = label;
+  nameRef.title = label;
+  itemRef.append(checkboxRef, nameRef);
+  return itemRef;
+}
+
+function checkedValues(listRef) {
+  return [...listRef.querySelectorAll("input:checked")].map(checkboxRef => checkboxRef.value);
+}
+
+async function renderTargets() {
+  const [files, collections] = await Promise.all([
+    listFiles().catch(() => []),
+    listCollections().catch(() => [])
+  ]);
+  batchFilesEmptyRef.classList.toggle("hidden", files.length > 0);
+  batchFilesRef.replaceChildren(...files.map(file => checkboxItem(file.fileId, file.fileName)));
+  batchCollectionsRef.replaceChildren(...collections.map(collection =>
+    checkboxItem(collection.id, `${collection.name} (${collection.fileCount})`)));
+}
+
+function progressLabel({ status, progress, error }) {
+  const done = progress.completed + progress.failed;
+  const failed = progress.failed > 0 ? `, ${progress.failed} failed` : "";
+  return `${status}: ${done} of ${progress.total} answered${failed}${error ? ` (${error})` : ""}`;
+}
+
+function renderPicker() {
+  const selected = current?.id || localStorage.getItem(BATCH_STORAGE_KEY);
+  const placeholderRef = document.createElement("option");
+  placeholderRef.value = "";
+  placeholderRef.textContent = batches.length > 0 ? "Choose a batch…" : "No batches yet";
+  batchPickerRef.replaceChildren(placeholderRef, ...batches.map((batch) => {
+    const optionRef = document.createElement("option");
+    optionRef.value = batch.id;
+    optionRef.textContent = `${batch.name} (${batch.status})`;
+    optionRef.selected = batch.id === selected;
+    return optionRef;
+  }));
+}
+
+function answerCell({ status, answer, citations, error }) {
+  const cellRef = document.createElement("td");
+  cellRef.className = `batch__cell batch__cell--${status}`;
+  if (status !== "completed") {
+    cellRef.textContent = status === "failed" ? `Failed: ${error}` : status;
+    return cellRef;
+  }
+  const answerRef = document.createElement("p");
+  answerRef.textContent = answer;
+  cellRef.append(answerRef);
+  if (citations.length > 0) {
+    const citationsRef = document.createElement("ul");
+    citationsRef.className = "batch__citations";
+    citationsRef.append(...citations.map(({ label, fileName, quote }) => {
+      const citationRef = document.createElement("li");
+      citationRef.textContent = `${label} ${fileName}`;
+      citationRef.title = quote || "";
+      return citationRef;
+    }));
+    cellRef.append(citationsRef);
+  }
+  return cellRef;
+}
+
+function renderBatch() {
+  const active = current && ACTIVE_STATUSES.includes(current.status);
+  batchDownloadRef.disabled = !current;
+  batchResumeRef.disabled = !current || active || current.progress.completed === current.progress.total;
+  batchCancelRef.disabled = !active;
+  batchDeleteRef.disabled = !current || active;
+  batchTableRef.classList.toggle("hidden", !current);
+  if (!current) {
+    batchStatusRef.textContent = "Start a batch to ask the same questions about several documents.";
+    return;
+  }
+
+  batchStatusRef.textContent = progressLabel(current);
+  const headRef = document.createElement("tr");
+  headRef.append(...["Document", ...current.questions].map((text) => {
+    const headerRef = document.createElement("th");
+    headerRef.textContent = text;
+    return headerRef;
+  }));
+  batchTableRef.replaceChildren(headRef, ...current.rows.map(({ target, answers }) => {
+    const rowRef = document.createElement("tr");
+    const targetRef = document.createElement("th");
+    targetRef.textContent = target.type === "collection" ? `${target.name} (collection)` : target.name;
+    rowRef.append(targetRef, ...answers.map(answerCell));
+    return rowRef;
+  }));
+}
+
+// Reloads the selected job, and keeps doing so while it runs
+async function showBatch(batchId) {
+  clearTimeout(batchPoll);
+  if (!batchId) {
+    current = null;
+    localStorage.removeItem(BATCH_STORAGE_KEY);
+    renderBatch();
+    return;
+  }
+  try {
+    current = await getBatch(batchId);
+    localStorage.setItem(BATCH_STORAGE_KEY, batchId);
+  } catch (error) {
+    console.error("Could not get the batch", error);
+    current = null;
+    localStorage.removeItem(BATCH_STORAGE_KEY);
+  }
+  renderBatch();
+
+  if (current && ACTIVE_STATUSES.includes(current.status)) {
+    batchPoll = setTimeout(() => showBatch(batchId), BATCH_POLL_MS);
+  } else if (current && batches.some(batch => batch.id === batchId && batch.status !== current.status)) {
+    await refreshBatches();
+  }
+}
+
+async function refreshBatches() {
+  try {
+    batches = await listBatches();
+  } catch (error) {
+    console.error("Could not list batches", error);
+    batches = [];
+  }
+  renderPicker();
+}
+
+async function startBatch(event) {
+  event.preventDefault();
+  batchErrorRef.classList.add("hidden");
+  const questions = batchQuestionsRef.value.split("\n").map(question => question.trim()).filter(Boolean);
+  batchSubmitRef.disabled = true;
+  try {
+    const batch = await createBatch({
+      name: batchNameRef.value.trim(),
+      questions,
+      fileIds: checkedValues(batchFilesRef),
+      collections: checkedValues(batchCollectionsRef)
+    });
+    current = batch;
+    await refreshBatches();
+    await showBatch(batch.id);
+  } catch (error) {
+    batchErrorRef.textContent = error.message;
+    batchErrorRef.classList.remove("hidden");
+  } finally {
+    batchSubmitRef.disabled = false;
+  }
+}
+
+async function runAction(action, failure) {
+  try {
+    await action(current.id);
+    await refreshBatches();
+    await showBatch(batchPickerRef.value);
+  } catch (error) {
+    alert(`${failure}: ${error.message}`);
+  }
+}
+
+batchFormRef.addEventListener("submit", startBatch);
+batchPickerRef.addEventListener("change", () => showBatch(batchPickerRef.value));
+batchResumeRef.addEventListener("click", () => runAction(resumeBatch, "Could not resume the batch"));
+batchCancelRef.addEventListener("click", () => runAction(cancelBatch, "Could not cancel the batch"));
+batchDeleteRef.addEventListener("click", () => {
+  if (confirm(`Delete "${current.name}" and its answers?`)) {
+    runAction(deleteBatch, "Could not delete the batch");
+  }
+});
+
+batchDownloadRef.addEventListener("change", async () => {
+  const format = batchDownloadRef.value;
+  batchDownloadRef.value = "";
+  if (!format || !current) {
+    return;
+  }
+
+  batchDownloadRef.disabled = true;
+  try {
+    const { fileName, blob } = await downloadBatchResults(current.id, format);
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  } catch (error) {
+    alert(`Could not download the answers: ${error.message}`);
+  } finally {
+    batchDownloadRef.disabled = !current;
+  }
+});
+
+renderTargets();
+refreshBatches().then(() => showBatch(batchPickerRef.value));
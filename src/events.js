@@ -0,0 +1,77 @@
+// Parser for the Server-Sent Events stream sent by /api/assistant.
+// Network chunks do not line up with frames: a chunk can hold several frames,
+// or stop in the middle of one (or even in the middle of a multi-byte character),
+// so incomplete input is buffered until the blank line that ends the frame arrives.
+
+export function parseFrame(frame) {
+  let type = "message";
+  let id = null;
+  const data = [];
+
+  for (const line of frame.split(/\r?\n/)) {
+    if (line === "" || line.startsWith(":")) {
+      continue; // comment or keep-alive
+    }
+    const separator = line.indexOf(":");
+    const field = separator === -1 ? line : line.slice(0, separator);
+    let value = separator === -1 ? "" : line.slice(separator + 1);
+    if (value.startsWith(" ")) {
+      value = value.slice(1);
+    }
+
+    if (field === "event") {
+      type = value;
+    } else if (field === "data") {
+      data.push(value);
+    } else if (field === "id") {
+      id = value;
+    }
+  }
+
+  if (data.length === 0) {
+    return null;
+  }
+
+  const raw = data.join("\n");
+  try {
+    return { id, type, data: JSON.parse(raw) };
+  } catch {
+    return { id, type, data: raw };
+  }
+}
+
+export function createEventStreamParser(onEvent) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  function flushFrames() {
+    let match;
+    while ((match = /\r?\n\r?\n/.exec(buffer))) {
+      const frame = buffer.slice(0, match.index);
+      buffer = buffer.slice(match.index + match[0].length);
+      const event = parseFrame(frame);
+      if (event) {
+        onEvent(event);
+      }
+    }
+  }
+
+  return {
+    push(chunk) {
+      buffer += decoder.decode(chunk, { stream: true });
+      flushFrames();
+    },
+    end() {
+      buffer += decoder.decode();
+      flushFrames();
+      // A stream may end without the final blank line
+      if (buffer.trim()) {
+        const event = parseFrame(buffer);
+        buffer = "";
+        if (event) {
+          onEvent(event);
+        }
+      }
+    }
+  };
+}
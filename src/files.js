@@ -0,0 +1,282 @@
+import { createCollection, deleteFile, getFileStatus, listCollections, listFiles, uploadFile } from "./api.js";
+
+// Sidebar with the uploaded documents: collection picker, drag-and-drop upload with progress,
+// indexing state, delete, and "attach to this message" toggles shown as chips above the composer.
+// The selected collection is where uploads go and what the assistant searches.
+
+const dropZoneRef = document.querySelector("#dropZoneRef");
+const fileInputRef = document.querySelector("#fileInputRef");
+const uploadsRef = document.querySelector("#uploadsRef");
+const filesRef = document.querySelector("#filesRef");
+const filesEmptyRef = document.querySelector("#filesEmptyRef");
+const attachmentsRef = document.querySelector("#attachmentsRef");
+const collectionRef = document.querySelector("#collectionRef");
+const newCollectionRef = document.querySelector("#newCollectionRef");
+
+const COLLECTION_KEY = "assistant.collection";
+
+let files = [];
+const attached = new Set();
+
+const INDEXING_POLL_MS = 3000;
+let indexingPoll = null;
+
+const INDEXING_LABELS = {
+  in_progress: "Indexing…",
+  completed: "Indexed",
+  failed: "Indexing failed",
+  cancelled: "Not indexed",
+  not_indexed: "Not indexed"
+};
+
+function formatSize(bytes = 0) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function renderAttachments() {
+  attachmentsRef.replaceChildren(...files
+    .filter(file => attached.has(file.fileId))
+    .map((file) => {
+      const chipRef = document.createElement("li");
+      chipRef.className = "chip";
+      chipRef.textContent = `📎 ${file.fileName}`;
+
+      const removeRef = document.createElement("button");
+      removeRef.className = "chip__remove";
+      removeRef.title = "Detach";
+      removeRef.textContent = "×";
+      removeRef.addEventListener("click", () => toggleAttachment(file.fileId, false));
+
+      chipRef.append(removeRef);
+      return chipRef;
+    }));
+}
+
+function toggleAttachment(fileId, isAttached) {
+  if (isAttached) {
+    attached.add(fileId);
+  } else {
+    attached.delete(fileId);
+  }
+  renderFiles();
+}
+
+function renderFiles() {
+  const selected = getSelectedCollection() || "default";
+  const shown = files.filter(file => (file.collectionId || "default") === selected);
+  filesEmptyRef.classList.toggle("hidden", shown.length > 0);
+  filesRef.replaceChildren(...shown.map((file) => {
+    const itemRef = document.createElement("li");
+    itemRef.className = "files__item";
+
+    const attachRef = document.createElement("input");
+    attachRef.type = "checkbox";
+    attachRef.title = "Attach to this message";
+    attachRef.checked = attached.has(file.fileId);
+    attachRef.addEventListener("change", () => toggleAttachment(file.fileId, attachRef.checked));
+
+    const nameRef = document.createElement("span");
+    nameRef.className = "files__name";
+    nameRef.textContent = file.fileName;
+    nameRef.title = `${file.fileName} (${file.fileId})`;
+
+    const sizeRef = document.createElement("span");
+    sizeRef.className = "text__hint";
+    sizeRef.textContent = formatSize(file.fileSize);
+
+    const indexingRef = document.createElement("span");
+    if (file.indexing) {
+      indexingRef.className = `files__indexing files__indexing--${file.indexing.status}`;
+      indexingRef.textContent = INDEXING_LABELS[file.indexing.status] || file.indexing.status;
+      indexingRef.title = file.indexing.lastError?.message || "";
+    }
+
+    const flagRef = document.createElement("span");
+    if (file.guardrailFlags) {
+      flagRef.className = "files__flag";
+      flagRef.textContent = "⚠";
+      flagRef.title = file.guardrailFlags.map(({ reason }) => reason).join("\n");
+    }
+
+    const deleteRef = document.createElement("button");
+    deleteRef.className = "button--icon";
+    deleteRef.title = "Delete";
+    deleteRef.textContent = "🗑";
+    deleteRef.addEventListener("click", () => removeFile(file));
+
+    itemRef.append(attachRef, nameRef, sizeRef, indexingRef, flagRef, deleteRef);
+    return itemRef;
+  }));
+  renderAttachments();
+}
+
+async function removeFile(file) {
+  if (!confirm(`Delete "${file.fileName}"? It will no longer be available to the assistant.`)) {
+    return;
+  }
+  try {
+    await deleteFile(file.fileId);
+    attached.delete(file.fileId);
+    files = files.filter(({ fileId }) => fileId !== file.fileId);
+    renderFiles();
+  } catch (error) {
+    alert(`Could not delete "${file.fileName}": ${error.message}`);
+  }
+}
+
+async function upload(file) {
+  const itemRef = document.createElement("li");
+  const labelRef = document.createElement("span");
+  labelRef.textContent = file.name;
+  const progressRef = document.createElement("progress");
+  progressRef.max = 1;
+  progressRef.value = 0;
+  itemRef.append(labelRef, progressRef);
+  uploadsRef.append(itemRef);
+
+  try {
+    const uploaded = await uploadFile(file, (progress) => {
+      progressRef.value = progress;
+    }, getSelectedCollection());
+    itemRef.remove();
+    // Newly uploaded documents are usually what the next question is about
+    attached.add(uploaded.fileId);
+    await refresh();
+  } catch (error) {
+    progressRef.remove();
+    itemRef.classList.add("output__error");
+    labelRef.textContent = `${file.name}: ${error.message}`;
+    setTimeout(() => itemRef.remove(), 5000);
+  }
+}
+
+function uploadAll(fileList) {
+  return Promise.all([...fileList].map(upload));
+}
+
+// Files cannot be searched until they are indexed, so their state is refreshed until done
+function watchIndexing() {
+  clearTimeout(indexingPoll);
+  const pending = files.filter(file => file.indexing?.status === "in_progress");
+  if (pending.length === 0) {
+    return;
+  }
+  indexingPoll = setTimeout(async () => {
+    try {
+      const statuses = await getFileStatus(pending.map(file => file.fileId));
+      for (const { fileId, status, lastError } of statuses) {
+        const file = files.find(candidate => candidate.fileId === fileId);
+        if (file) {
+          file.indexing = { status, lastError };
+        }
+      }
+      renderFiles();
+    } catch (error) {
+      console.error("Could not get the indexing state", error);
+    }
+    watchIndexing();
+  }, INDEXING_POLL_MS);
+}
+
+export async function refresh() {
+  await renderCollections();
+  try {
+    files = await listFiles();
+  } catch (error) {
+    console.error("Could not list files", error);
+    files = [];
+  }
+  // Drop attachments of files that no longer exist
+  for (const fileId of attached) {
+    if (!files.some(file => file.fileId === fileId)) {
+      attached.delete(fileId);
+    }
+  }
+  renderFiles();
+  watchIndexing();
+}
+
+async function renderCollections() {
+  let collections = [];
+  try {
+    collections = await listCollections();
+  } catch (error) {
+    console.error("Could not list collections", error);
+  }
+  const selected = localStorage.getItem(COLLECTION_KEY) || "default";
+  collectionRef.replaceChildren(...collections.map((collection) => {
+    const optionRef = document.createElement("option");
+    optionRef.value = collection.id;
+    optionRef.textContent = `${collection.name} (${collection.fileCount})`;
+    optionRef.selected = collection.id === selected;
+    return optionRef;
+  }));
+}
+
+async function addCollection() {
+  const name = prompt("Name of the new collection");
+  if (!name?.trim()) {
+    return;
+  }
+  try {
+    const collection = await createCollection(name.trim());
+    localStorage.setItem(COLLECTION_KEY, collection.id);
+    await renderCollections();
+    renderFiles();
+  } catch (error) {
+    alert(`Could not create "${name}": ${error.message}`);
+  }
+}
+
+// The collection the assistant searches, or null for the default one
+export function getSelectedCollection() {
+  const value = collectionRef.value || localStorage.getItem(COLLECTION_KEY);
+  return value && value !== "default" ? value : null;
+}
+
+export function getAttachedFileIds() {
+  return [...attached];
+}
+
+export function clearAttachments() {
+  attached.clear();
+  renderFiles();
+}
+
+export function getFileName(fileId) {
+  return files.find(file => file.fileId === fileId)?.fileName || fileId;
+}
+
+export function initFilesPanel() {
+  collectionRef.addEventListener("change", () => {
+    localStorage.setItem(COLLECTION_KEY, collectionRef.value);
+    renderFiles();
+  });
+  newCollectionRef.addEventListener("click", addCollection);
+
+  fileInputRef.addEventListener("change", () => {
+    uploadAll(fileInputRef.files);
+    fileInputRef.value = "";
+  });
+
+  dropZoneRef.addEventListener("dragover", (event) => {
+    event.preventDefault();
+    dropZoneRef.classList.add("files__dropzone--active");
+  });
+  dropZoneRef.addEventListener("dragleave", () => {
+    dropZoneRef.classList.remove("files__dropzone--active");
+  });
+  dropZoneRef.addEventListener("drop", (event) => {
+    event.preventDefault();
+    dropZoneRef.classList.remove("files__dropzone--active");
+    uploadAll(event.dataTransfer.files);
+  });
+
+  return refresh();
+}
@@ -0,0 +1,221 @@
+import { Marked } from "marked";
+import DOMPurify from "dompurify";
+import hljs from "highlight.js/lib/core";
+import bash from "highlight.js/lib/languages/bash";
+import csharp from "highlight.js/lib/languages/csharp";
+import css from "highlight.js/lib/languages/css";
+import javascript from "highlight.js/lib/languages/javascript";
+import json from "highlight.js/lib/languages/json";
+import python from "highlight.js/lib/languages/python";
+import sql from "highlight.js/lib/languages/sql";
+import typescript from "highlight.js/lib/languages/typescript";
+import xml from "highlight.js/lib/languages/xml";
+import yaml from "highlight.js/lib/languages/yaml";
+import "highlight.js/styles/github.css";
+
+// Markdown rendering of assistant answers.
+//
+// Answers come from the model and, through file_search, from uploaded documents, so they
+// are never trusted: HTML in the Markdown is shown as text, and the rendered HTML goes
+// through DOMPurify with a short list of allowed tags, no images (whose URLs could leak
+// data), and only http(s)/mailto links or links to the files code_interpreter created
+// ("/api/outputs/…", which the page downloads itself). While an answer streams, the text is re-parsed on
+// each animation frame and only the blocks from the first changed one on are replaced, so
+// a half-written table or code block is redrawn while the blocks before it stay as they are.
+
+hljs.registerLanguage("bash", bash);
+hljs.registerLanguage("csharp", csharp);
+hljs.registerLanguage("css", css);
+hljs.registerLanguage("javascript", javascript);
+hljs.registerLanguage("json", json);
+hljs.registerLanguage("python", python);
+hljs.registerLanguage("sql", sql);
+hljs.registerLanguage("typescript", typescript);
+hljs.registerLanguage("xml", xml);
+hljs.registerLanguage("yaml", yaml);
+
+const SANITIZE_OPTIONS = {
+  ALLOWED_TAGS: [
+    "p", "br", "hr", "h1", "h2", "h3", "h4", "h5", "h6", "strong", "em", "del", "code", "pre",
+    "blockquote", "ul", "ol", "li", "table", "thead", "tbody", "tr", "th", "td", "a", "input"
+  ],
+  ALLOWED_ATTR: ["href", "title", "align", "start", "class", "type", "checked", "disabled"],
+  ALLOWED_URI_REGEXP: /^(?:https?:|mailto:|\/api\/outputs\/)/i,
+  RETURN_DOM_FRAGMENT: true
+};
+
+DOMPurify.addHook("afterSanitizeAttributes", (node) => {
+  // Only the code block language survives as a class, so answers cannot mimic the page's own elements
+  if (node.hasAttribute("class") && !(node.nodeName === "CODE" && /^language-[\w+-]+$/.test(node.getAttribute("class")))) {
+    node.removeAttribute("class");
+  }
+  if (node.nodeName === "A") {
+    node.setAttribute("target", "_blank");
+    node.setAttribute("rel", "noopener noreferrer");
+  }
+  // Task list checkboxes are for display only
+  if (node.nodeName === "INPUT") {
+    node.setAttribute("type", "checkbox");
+    node.setAttribute("disabled", "");
+  }
+});
+
+const escapeHtml = (text) => text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+const marked = new Marked({
+  gfm: true,
+  renderer: {
+    html({ text }) {
+      return escapeHtml(text);
+    }
+  }
+});
+
+const CITATION_LABEL = /\[(\d+)\]/g;
+
+// Replaces "[n]" in the text (outside code and links) with a link when `linkCitation` knows the label
+function linkCitations(root, linkCitation) {
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+    acceptNode: (node) => node.parentElement?.closest("code, pre, a") ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT
+  });
+  const textNodes = [];
+  while (walker.nextNode()) {
+    textNodes.push(walker.currentNode);
+  }
+
+  for (const textNode of textNodes) {
+    const text = textNode.nodeValue;
+    const parts = [];
+    let last = 0;
+    for (const match of text.matchAll(CITATION_LABEL)) {
+      const href = linkCitation(match[0]);
+      if (!href) {
+        continue;
+      }
+      parts.push(text.slice(last, match.index));
+      const supRef = document.createElement("sup");
+      const linkRef = document.createElement("a");
+      linkRef.className = "citation__link";
+      linkRef.href = href;
+      linkRef.textContent = match[0];
+      supRef.append(linkRef);
+      parts.push(supRef);
+      last = match.index + match[0].length;
+    }
+    if (parts.length > 0) {
+      parts.push(text.slice(last));
+      textNode.replaceWith(...parts.filter((part) => part !== ""));
+    }
+  }
+}
+
+function copyButton(codeRef) {
+  const buttonRef = document.createElement("button");
+  buttonRef.type = "button";
+  buttonRef.className = "code-block__copy";
+  buttonRef.textContent = "Copy";
+  buttonRef.addEventListener("click", async () => {
+    try {
+      await navigator.clipboard.writeText(codeRef.textContent);
+      buttonRef.textContent = "Copied";
+    } catch {
+      buttonRef.textContent = "Copy failed";
+    }
+    setTimeout(() => { buttonRef.textContent = "Copy"; }, 1500);
+  });
+  return buttonRef;
+}
+
+// Highlights code blocks and gives them a header with their language and a copy button
+function decorateCodeBlocks(root) {
+  for (const preRef of root.querySelectorAll("pre")) {
+    const codeRef = preRef.querySelector("code") || preRef;
+    const language = /language-([\w+-]+)/.exec(codeRef.className)?.[1] || "";
+    if (hljs.getLanguage(language)) {
+      // highlight.js escapes the code it wraps in spans
+      codeRef.innerHTML = hljs.highlight(codeRef.textContent, { language, ignoreIllegals: true }).value;
+      codeRef.classList.add("hljs");
+    }
+
+    const blockRef = document.createElement("div");
+    blockRef.className = "code-block";
+    const headerRef = document.createElement("div");
+    headerRef.className = "code-block__header";
+    const languageRef = document.createElement("span");
+    languageRef.textContent = language || "text";
+    headerRef.append(languageRef, copyButton(codeRef));
+
+    preRef.replaceWith(blockRef);
+    blockRef.append(headerRef, preRef);
+  }
+}
+
+function wrapTables(root) {
+  for (const tableRef of root.querySelectorAll("table")) {
+    const wrapperRef = document.createElement("div");
+    wrapperRef.className = "table-wrapper";
+    tableRef.replaceWith(wrapperRef);
+    wrapperRef.append(tableRef);
+  }
+}
+
+function renderBlock(token, links, linkCitation) {
+  const tokens = [token];
+  tokens.links = links;
+  const fragment = DOMPurify.sanitize(marked.parser(tokens), SANITIZE_OPTIONS);
+  linkCitations(fragment, linkCitation);
+  decorateCodeBlocks(fragment);
+  wrapTables(fragment);
+  return [...fragment.childNodes];
+}
+
+// Renders Markdown into `targetRef`. `linkCitation(label)` returns the href of a citation
+// label such as "[1]", or null to leave it as text; `onRender` runs after each update.
+export function createMarkdownView(targetRef, { linkCitation = () => null, onRender = () => {} } = {}) {
+  targetRef.classList.add("markdown");
+  let source = "";
+  let blocks = [];
+  let frame = null;
+
+  function render() {
+    frame = null;
+    const tokens = marked.lexer(source);
+
+    let first = 0;
+    while (first < blocks.length && first < tokens.length && blocks[first].raw === tokens[first].raw) {
+      first += 1;
+    }
+    for (const block of blocks.slice(first)) {
+      block.nodes.forEach((node) => node.remove());
+    }
+
+    blocks = blocks.slice(0, first);
+    for (const token of tokens.slice(first)) {
+      const nodes = renderBlock(token, tokens.links, linkCitation);
+      targetRef.append(...nodes);
+      blocks.push({ raw: token.raw, nodes });
+    }
+    onRender();
+  }
+
+  return {
+    // Adds streamed text; rendering waits for the next frame so bursts of deltas render once
+    append(text) {
+      source += text;
+      if (!frame) {
+        frame = requestAnimationFrame(render);
+      }
+    },
+    // Replaces the whole text and renders it right away
+    set(text) {
+      source = text;
+      if (frame) {
+        cancelAnimationFrame(frame);
+      }
+      render();
+    },
+    get source() {
+      return source;
+    }
+  };
+}
@@ -1,90 +1,468 @@
+import { createEventStreamParser } from "./events.js";
+import { cancelRun, exportThread, getOutput, getThread, listProfiles, sendMessage } from "./api.js";
+import { clearAttachments, getAttachedFileIds, getFileName, getSelectedCollection, initFilesPanel } from "./files.js";
+import { createMarkdownView } from "./markdown.js";
+
+const THREAD_STORAGE_KEY = "assistant.threadId";
+const PROFILE_STORAGE_KEY = "assistant.profile";
+
 let aborter = new AbortController();
 let autoAbortTimeout = null;
+let threadId = localStorage.getItem(THREAD_STORAGE_KEY);
+let messageCount = 0;
 
-const outputRef = document.querySelector("#outputRef");
+const messagesRef = document.querySelector("#messagesRef");
 const loadingRef = document.querySelector("#loadingRef");
 const userQueryRef = document.querySelector("#userQueryRef");
 const cancelQueryRef = document.querySelector("#cancelQueryRef");
 const submitQueryRef = document.querySelector("#submitQueryRef");
 const statusLabelRef = document.querySelector("#statusLabelRef");
+const threadLabelRef = document.querySelector("#threadLabelRef");
+const newConversationRef = document.querySelector("#newConversationRef");
+const exportFormatRef = document.querySelector("#exportFormatRef");
+const profileRef = document.querySelector("#profileRef");
 
-userQueryRef.value =
+const DEFAULT_QUERY =
   "Based on the latest financial data and current stock market trends, can you provide a detailed analysis of Microsoft's current state? Please include insights into their recent performance, market position, and future outlook. Additionally, retrieve and include the latest closing price of Microsoft's stock using its ticker symbol (MSFT). Send me the full analysis by email.";
 
+function setThreadId(value) {
+  threadId = value;
+  if (threadId) {
+    localStorage.setItem(THREAD_STORAGE_KEY, threadId);
+    threadLabelRef.textContent = `Conversation ${threadId}`;
+  } else {
+    localStorage.removeItem(THREAD_STORAGE_KEY);
+    threadLabelRef.textContent = "New conversation";
+  }
+  exportFormatRef.disabled = !threadId;
+  // A conversation keeps the profile it started with
+  profileRef.disabled = Boolean(threadId);
+}
+
+function scrollToBottom() {
+  messagesRef.scrollTop = messagesRef.scrollHeight;
+}
+
+function setBusy(busy) {
+  cancelQueryRef.classList.toggle("hidden", !busy);
+  submitQueryRef.classList.toggle("hidden", busy);
+  loadingRef.classList.toggle("hidden", !busy);
+  newConversationRef.disabled = busy;
+}
+
+function addUserMessage(text, fileIds = []) {
+  const itemRef = document.createElement("li");
+  itemRef.className = "message message--user";
+
+  const bodyRef = document.createElement("div");
+  bodyRef.className = "message__body";
+  bodyRef.textContent = text;
+  itemRef.append(bodyRef);
+
+  if (fileIds.length > 0) {
+    const filesRef = document.createElement("ul");
+    filesRef.className = "chat__attachments";
+    for (const fileId of fileIds) {
+      const chipRef = document.createElement("li");
+      chipRef.className = "chip";
+      chipRef.textContent = `📎 ${getFileName(fileId)}`;
+      filesRef.append(chipRef);
+    }
+    itemRef.append(filesRef);
+  }
+
+  messagesRef.append(itemRef);
+  scrollToBottom();
+}
+
+// An assistant answer: the code it ran, its text rendered from Markdown, the images and files
+// it created, errors, and the footnotes for the citations it contains
+function addAssistantMessage() {
+  const index = ++messageCount;
+  const itemRef = document.createElement("li");
+  itemRef.className = "message message--assistant";
+
+  const bodyRef = document.createElement("div");
+  bodyRef.className = "message__body";
+  const codeRef = document.createElement("div");
+  const contentRef = document.createElement("div");
+  const outputsRef = document.createElement("div");
+  outputsRef.className = "outputs";
+  bodyRef.append(codeRef, contentRef, outputsRef);
+
+  const citationsRef = document.createElement("ol");
+  citationsRef.className = "citations hidden";
+
+  itemRef.append(bodyRef, citationsRef);
+  messagesRef.append(itemRef);
+
+  const answer = { index, bodyRef, codeRef, outputsRef, citationsRef, citations: new Map(), codeCalls: new Map() };
+  answer.markdown = createMarkdownView(contentRef, {
+    linkCitation: (label) => {
+      const citation = answer.citations.get(label);
+      return citation ? `#citation-${index}-${citation.index}` : null;
+    },
+    onRender: scrollToBottom
+  });
+  return answer;
+}
+
+// Nothing was shown for the answer: no text, code, generated file or error
+function isEmptyAnswer(answer) {
+  return answer.markdown.source.trim() === "" && !answer.bodyRef.querySelector(".output__error, .code-run, .outputs > *");
+}
+
+// The collapsible block showing the code of one code_interpreter call and what it logged
+function codeCall(answer, toolCallId) {
+  if (!answer.codeCalls.has(toolCallId)) {
+    const detailsRef = document.createElement("details");
+    detailsRef.className = "code-run";
+    const summaryRef = document.createElement("summary");
+    summaryRef.textContent = "Code";
+    const codeRef = document.createElement("code");
+    const preRef = document.createElement("pre");
+    preRef.append(codeRef);
+    const logsRef = document.createElement("pre");
+    logsRef.className = "code-run__logs hidden";
+    detailsRef.append(summaryRef, preRef, logsRef);
+    answer.codeRef.append(detailsRef);
+    answer.codeCalls.set(toolCallId, { codeRef, logsRef });
+  }
+  return answer.codeCalls.get(toolCallId);
+}
+
+function addCode(answer, { toolCallId, value }) {
+  codeCall(answer, toolCallId).codeRef.append(value);
+  scrollToBottom();
+}
+
+function addLog(answer, { toolCallId, value }) {
+  const { logsRef } = codeCall(answer, toolCallId);
+  logsRef.append(value);
+  logsRef.classList.remove("hidden");
+  scrollToBottom();
+}
+
+async function saveOutput(fileId) {
+  try {
+    const { fileName, blob } = await getOutput(fileId);
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  } catch (error) {
+    alert(`Could not download the file: ${error.message}`);
+  }
+}
+
+// Images need the API credentials, so they are fetched and shown from a blob URL
+async function addImage(answer, { fileId, fileName }) {
+  const figureRef = document.createElement("figure");
+  figureRef.className = "outputs__image";
+  const imageRef = document.createElement("img");
+  imageRef.alt = fileName || "Generated image";
+  const captionRef = document.createElement("button");
+  captionRef.type = "button";
+  captionRef.className = "outputs__download";
+  captionRef.textContent = `⬇ ${fileName || fileId}`;
+  captionRef.addEventListener("click", () => saveOutput(fileId));
+  figureRef.append(imageRef, captionRef);
+  answer.outputsRef.append(figureRef);
+
+  try {
+    const { blob } = await getOutput(fileId);
+    imageRef.src = URL.createObjectURL(blob);
+    imageRef.addEventListener("load", scrollToBottom, { once: true });
+  } catch (error) {
+    console.error("Could not load the image", error);
+    imageRef.replaceWith(`Could not load ${fileName || fileId}`);
+  }
+}
+
+function addFile(answer, { fileId, fileName }) {
+  const chipRef = document.createElement("button");
+  chipRef.type = "button";
+  chipRef.className = "chip outputs__download";
+  chipRef.textContent = `⬇ ${fileName || fileId}`;
+  chipRef.addEventListener("click", () => saveOutput(fileId));
+  answer.outputsRef.append(chipRef);
+  scrollToBottom();
+}
+
+function addCitation(answer, citation) {
+  answer.citations.set(citation.label, citation);
+
+  const itemRef = document.createElement("li");
+  itemRef.id = `citation-${answer.index}-${citation.index}`;
+  itemRef.value = citation.index;
+
+  const nameRef = document.createElement("strong");
+  nameRef.textContent = citation.fileName || "Unknown document";
+  const idRef = document.createElement("code");
+  idRef.textContent = citation.fileId || "";
+  itemRef.append(nameRef, " ", idRef);
+
+  if (citation.quote) {
+    const quoteRef = document.createElement("blockquote");
+    quoteRef.textContent = citation.quote;
+    itemRef.append(quoteRef);
+  }
+
+  answer.citationsRef.append(itemRef);
+  answer.citationsRef.classList.remove("hidden");
+}
+
+function addError(answer, message) {
+  const errorRef = document.createElement("p");
+  errorRef.className = "output__error";
+  errorRef.textContent = `Error: ${message}`;
+  answer.bodyRef.append(errorRef);
+}
+
+// Guardrail decisions are shown under the answer: what was masked, flagged or refused
+function addGuardrail(answer, decision) {
+  const noticeRef = document.createElement("p");
+  noticeRef.className = `guardrail guardrail--${decision.action}`;
+  noticeRef.textContent = decision.fileName ? `${decision.fileName}: ${decision.reason}` : decision.reason;
+  noticeRef.title = `${decision.stage} · ${decision.check}`;
+  answer.bodyRef.append(noticeRef);
+}
+
+function handleStreamEvent(answer, { type, data }) {
+  switch (type) {
+    case "thread":
+      setThreadId(data.threadId);
+      break;
+    case "status":
+      statusLabelRef.textContent = data.status;
+      break;
+    case "tool_call":
+      statusLabelRef.textContent = `${data.name} (${data.status})`;
+      break;
+    case "citation":
+      addCitation(answer, data);
+      break;
+    case "text":
+      answer.markdown.append(data.value);
+      break;
+    case "code":
+      addCode(answer, data);
+      break;
+    case "log":
+      addLog(answer, data);
+      break;
+    case "image":
+      addImage(answer, data);
+      break;
+    case "file":
+      addFile(answer, data);
+      break;
+    case "guardrail":
+      addGuardrail(answer, data);
+      break;
+    case "error":
+      addError(answer, data.message);
+      break;
+  }
+}
+
+messagesRef.addEventListener("click", (event) => {
+  // Links in answers to generated files are downloaded with the API credentials
+  const outputLink = event.target.closest('a[href^="/api/outputs/"]');
+  if (outputLink) {
+    event.preventDefault();
+    const fileId = decodeURIComponent(outputLink.getAttribute("href").slice("/api/outputs/".length));
+    saveOutput(fileId);
+    return;
+  }
+
+  const link = event.target.closest(".citation__link");
+  if (!link) {
+    return;
+  }
+  event.preventDefault();
+  const footnoteRef = document.querySelector(link.getAttribute("href"));
+  footnoteRef?.scrollIntoView({ behavior: "smooth", block: "center" });
+  footnoteRef?.classList.add("citation--active");
+  setTimeout(() => footnoteRef?.classList.remove("citation--active"), 1500);
+});
+
 cancelQueryRef.addEventListener("click", () => {
   aborter.abort();
   aborter = new AbortController();
-  cancelQueryRef.classList.add("hidden");
-  submitQueryRef.classList.remove("hidden");
-  loadingRef.classList.add("hidden");
+  setBusy(false);
+  if (threadId) {
+    // The API also cancels the run when the stream closes; there may be no run left to cancel
+    cancelRun(threadId).catch(() => {});
+  }
+});
+
+newConversationRef.addEventListener("click", () => {
+  setThreadId(null);
+  messagesRef.replaceChildren();
+  clearAttachments();
+  userQueryRef.focus();
+});
+
+exportFormatRef.addEventListener("change", async () => {
+  const format = exportFormatRef.value;
+  exportFormatRef.value = "";
+  if (!format || !threadId) {
+    return;
+  }
+
+  exportFormatRef.disabled = true;
+  try {
+    const { fileName, blob } = await exportThread(threadId, format);
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  } catch (error) {
+    alert(`Could not export the conversation: ${error.message}`);
+  } finally {
+    exportFormatRef.disabled = !threadId;
+  }
 });
 
 submitQueryRef
   .addEventListener("click", async (event) => {
-    const { value } = userQueryRef;
+    const value = userQueryRef.value.trim();
     if (value) {
-      statusLabelRef.innerHTML = "waiting";
-      outputRef.innerHTML = "";
+      const fileIds = getAttachedFileIds();
+      statusLabelRef.textContent = "waiting";
+      userQueryRef.value = "";
+      clearAttachments();
 
-      loadingRef.classList.remove("hidden");
-      outputRef.classList.add("hidden");
-      cancelQueryRef.classList.remove("hidden");
-      submitQueryRef.classList.add("hidden");
+      addUserMessage(value, fileIds);
+      const answer = addAssistantMessage();
+      setBusy(true);
 
-      autoTimeout();
-      submitQuery(value);
+      autoTimeout(answer);
+      submitQuery(answer, value, fileIds);
     }
   });
 
-function autoTimeout() {
+userQueryRef.addEventListener("keydown", (event) => {
+  if (event.key === "Enter" && (event.ctrlKey || event.metaKey)) {
+    submitQueryRef.click();
+  }
+});
+
+function autoTimeout(answer) {
   autoAbortTimeout = setTimeout(() => {
     cancelQueryRef.click();
-    outputRef.classList.remove("hidden");
-    if (outputRef.innerHTML === "") {
-      outputRef.innerHTML = "Your Assistant could not fetch data. Please try again!"
+    if (isEmptyAnswer(answer)) {
+      answer.markdown.set("Your Assistant could not fetch data. Please try again!");
     }
   }, 60_000); // cancel request if it times out
 }
 
-function submitQuery(body) {
-  const API_URL = 'https://contract-ai-functions-fcfge9g8epf8ffda.swedencentral-01.azurewebsites.net';
-  fetch(`${API_URL}/api/assistant`, {
-    body,
-    method: "POST",
-    signal: aborter.signal
-  }).then(response => response.body)
-    .then(processReadableStream);
+async function submitQuery(answer, message, fileIds) {
+  try {
+    const response = await sendMessage({
+      message,
+      fileIds,
+      threadId,
+      collection: getSelectedCollection(),
+      profile: threadId ? null : profileRef.value || null,
+      signal: aborter.signal
+    });
+    await processReadableStream(answer, response.body);
+  } catch (error) {
+    clearTimeout(autoAbortTimeout);
+    if (error.name === "AbortError") {
+      return;
+    }
+    if (error.status === 404 && threadId) {
+      // The conversation is gone on the server: start over instead of failing every turn
+      setThreadId(null);
+      addError(answer, "This conversation no longer exists. Your next message starts a new one.");
+    } else {
+      addError(answer, error.message);
+    }
+    setBusy(false);
+  }
 }
 
-function processReadableStream(stream) {
-  stream.pipeTo(new WritableStream({
-    write(chunk, controller) {
-      const value = new TextDecoder().decode(chunk);
-      if (value.startsWith('@')) {
-        statusLabelRef.innerHTML = value.replace('@', '');
-        return;
-      }
-
-      loadingRef.classList.add("hidden");
-      outputRef.classList.remove("hidden");
+function processReadableStream(answer, stream) {
+  const parser = createEventStreamParser((event) => handleStreamEvent(answer, event));
 
-      outputRef.innerHTML += value;
-      outputRef.scrollTop = outputRef.scrollHeight; // scroll to bottom
+  return stream.pipeTo(new WritableStream({
+    write(chunk, controller) {
+      parser.push(chunk);
     },
     start(controller) {
-      clearTimeout(autoAbortTimeout); // cancel 
+      clearTimeout(autoAbortTimeout); // cancel
     },
     close(controller) {
-      cancelQueryRef.classList.add("hidden");
-      submitQueryRef.classList.remove("hidden");
-      loadingRef.classList.add("hidden");
-      outputRef.classList.remove("hidden");
-      if (outputRef.innerHTML === "") {
-        outputRef.innerHTML = "Whoops, something went wrong. Please try again!"
+      parser.end();
+      setBusy(false);
+      if (isEmptyAnswer(answer)) {
+        answer.markdown.set("Whoops, something went wrong. Please try again!");
       }
     },
     abort(reason) {
       console.log(reason);
     },
-  })).catch(console.error);
+  }));
 }
+
+profileRef.addEventListener("change", () => {
+  localStorage.setItem(PROFILE_STORAGE_KEY, profileRef.value);
+});
+
+// Fills the profile picker, which stays hidden while there is only one profile
+async function loadProfiles() {
+  try {
+    const { defaultProfile, profiles } = await listProfiles();
+    const selected = localStorage.getItem(PROFILE_STORAGE_KEY) || defaultProfile;
+    profileRef.replaceChildren(...profiles.map(({ profile, name, description }) => {
+      const optionRef = document.createElement("option");
+      optionRef.value = profile;
+      optionRef.textContent = name;
+      optionRef.title = description;
+      optionRef.selected = profile === selected;
+      return optionRef;
+    }));
+    profileRef.classList.toggle("hidden", profiles.length < 2);
+  } catch (error) {
+    console.error("Could not list assistant profiles", error);
+  }
+}
+
+// Restores the stored conversation after a page reload
+async function loadConversation() {
+  if (!threadId) {
+    userQueryRef.value = DEFAULT_QUERY;
+    return;
+  }
+
+  setThreadId(threadId);
+  try {
+    const { messages } = await getThread(threadId);
+    for (const message of messages) {
+      if (message.role === "user") {
+        addUserMessage(message.content, message.fileIds);
+      } else {
+        // Stored answers still carry the raw file_search markers, which have no footnotes here
+        const answer = addAssistantMessage();
+        answer.markdown.set(message.content.replace(/【[^】]*】/g, ""));
+        for (const fileId of message.imageFileIds || []) {
+          addImage(answer, { fileId });
+        }
+      }
+    }
+  } catch (error) {
+    if (error.status === 404) {
+      setThreadId(null);
+    } else {
+      console.error("Could not load conversation", error);
+    }
+  }
+}
+
+loadProfiles();
+initFilesPanel().then(loadConversation);
@@ -1,7 +1,17 @@
+import { fileURLToPath } from "node:url";
+
 export default {
   root: "./src",
+  envDir: "../",
   build: {
-    outDir: '../dist'
+    outDir: '../dist',
+    rollupOptions: {
+      // The chat and the batch questions page
+      input: {
+        main: fileURLToPath(new URL("./src/index.html", import.meta.url)),
+        batches: fileURLToPath(new URL("./src/batches.html", import.meta.url))
+      }
+    }
   },
   envPrefix: ["ASSISTANT_ID", "AZURE_", "OPENAI_", "API_URL"],
 };